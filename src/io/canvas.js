@@ -73,31 +73,6 @@ let canvasPH = window.innerHeight;
  */
 let canvasScale = window.innerWidth / CANVAS_C_W;
 
-/* directions */
-
-const DIR_TP = 0;
-const DIR_TP_LFT = 1;
-const DIR_TP_RGT = 2;
-const DIR_BTM = 3;
-const DIR_BTM_LFT = 4;
-const DIR_BTM_RGT = 5;
-const DIR_LFT = 6;
-const DIR_RGT = 7;
-const DIR_MID = 8;
-
-/* color palette by MortMort: https://lospec.com/palette-list/softmilk-32 */
-
-const CL_WT = '#f2f2f0';
-const CL_BLK = '#23213d';
-const CL_LGT_BLU = '#7cd8eb';
-const CL_BLU = '#4884d4';
-const CL_DRK_BLU = '#454194';
-const CL_YLW = '#f3d040';
-const CL_RD = '#bd515a';
-const CL_DRK_RD = '#903d62';
-const CL_GRN = '#1f9983';
-const CL_DRK_GRN = '#22636b';
-
 /**
  * The canvas's background color.
  * @type {string}
@@ -110,8 +85,30 @@ let bgCl = CL_WT;
  */
 let fgCl = CL_BLK;
 
+/**
+ * The objects parsed from the {@link COURSE_FILES}, in the order they are played.
+ * @type {Object[]}
+ */
+let courseData;
+
+/**
+ * The object parsed from the level file of the hole being played. Changed by the level editor.
+ * @type {Object}
+ * @see rebuildLevel
+ */
+let levelData;
+
 /* Functions */
 
+/**
+ * Loads the {@link COURSE_FILES}.
+ *
+ * Is called by the p5 library before the {@link setup} function, which waits until the files have been loaded.
+ */
+function preload() {
+	courseData = COURSE_FILES.map(file => loadJSON(LEVEL_FOLDER + file));
+}
+
 /**
  * Initializes the canvas and various elements of the program.
  *
@@ -121,14 +118,17 @@ function setup() {
 	createCanvas(canvasPW, canvasPH);
 	frameRate(1000);
 	setOrigin(0.25, 0.50);
-	randomizeWind();
-	applyWindToFlag();
 
+	initializeCourse(courseData);
+	initializeSeed();
+	levelData = course.getHoleData();
+	initializeTerrain(levelData);
+	initializeWorld();
 	initializeUi();
-	initializeTerrain();
-	initializeSpring();
+	initializeEditor();
+	initializeReplayControls();
 	initializeFlag();
-	initializeBall();
+	initializeWindParticles();
 }
 
 /**
@@ -154,28 +154,27 @@ function draw() {
 
 	// update objects
 	let delta = getDeltaInSec();
+	updateFPS(delta);
 	updateUi(delta);
-	simulatePhysics(delta);
+	if(showWindParticles) updateWindParticles(delta * getPlaybackRate());
+	updatePhysics(delta);
+	updateFlag();
+	updatePrediction();
+	updateCourse(delta * getPlaybackRate());
 
 	/* display */
 	setOrigin(0.25, 0.50);
 
+	// wind particles
+	if(showWindParticles) drawWindParticles();
+
 	// UI
 	drawUi();
 
 	// terrain
-	stroke(CL_BLU);
-	strokeWeight(1);
-	wall.draw();
-	slope.draw();
-	lftGround.draw();
-	rgtGround.draw();
-	btmGround.draw();
-
-	strokeWeight(0);
-	obstacle.draw();
+	drawTerrain();
 
-	if(DEBUG) drawTerrainColliders();
+	if(DEBUG || editorActive) drawTerrainColliders(world);
 
 	// flag
 	strokeWeight(0);
@@ -188,20 +187,108 @@ function draw() {
 	
 	// catapult
 	strokeWeight(0);
-	catapult.draw();
+	level.catapult.draw();
 
 	// spring
-	if(state === STATE_SPRING_ATTACHED || state === STATE_SPRING_RELEASE) {
-		let x = catapultPosition.x;
-		let y = catapultPosition.y;
-		let w = springVector.mag();
+	let ball = world.ball;
+
+	if(world.state === STATE_SPRING_ATTACHED || world.state === STATE_SPRING_RELEASE) {
+		let x = world.spring.anchor.x;
+		let y = world.spring.anchor.y;
+		let w = world.spring.vector.mag();
 		let h = ball.body.diameter;
 
-		getIsoscelesTriangle(x, y, w, h, CL_LGT_BLU, degrees(springPhi)).draw();
+		getIsoscelesTriangle(x, y, w, h, CL_LGT_BLU, degrees(world.spring.phi)).draw();
+	}
+
+	// launcher
+	if(world.state === STATE_SWING || (world.state === STATE_AIM && world.launcher.isPulled())) {
+		drawLauncher(world.launcher, ball);
 	}
 
+	// trails
+	drawTrails();
+
+	// trajectory preview
+	predictedTrajectory.forEach(point => {
+		new Circle(point, 0.05, fgCl).draw();
+	});
+
 	// ball
-	ball.body.draw();
+	let ballCircle = new Circle(ball.getInterpolatedPosition(physicsAlpha), ball.body.diameter, ball.body.color);
+	ballCircle.draw();
+	ballCircle.drawRotationMarker(ball.getInterpolatedAngle(physicsAlpha), CL_WT);
+
+	// telemetry
+	if(showTelemetry) drawTelemetry();
+
+	// level editor
+	drawEditor();
+
+	// scorecard
+	if(course.isFinished()) drawScorecard();
+}
+
+/**
+ * Draws a {@link Launcher} which has been pulled away from the {@link Ball} or is swinging towards it.
+ *
+ * The {@link SlingshotLauncher} is drawn like the spring, the {@link ImpulseLauncher} as an arrow pointing in the
+ * direction the {@link Ball} is shot in and the {@link ClubLauncher} as a shaft with a head, whose face is tilted by
+ * the loft.
+ *
+ * @param launcher {Launcher}
+ * The {@link Launcher} to draw.
+ *
+ * @param ball {Ball}
+ * The {@link Ball} the {@link Launcher} shoots.
+ */
+function drawLauncher(launcher, ball) {
+	let position = ball.body.position;
+
+	if(launcher instanceof ClubLauncher) {
+		let pivot = launcher.getPivot(position);
+		let head = launcher.getHeadPosition(position);
+		let direction = head.x > position.x ? -1 : 1;
+		let faceNormal = new Vector(direction * Math.cos(launcher.loft), Math.sin(launcher.loft));
+		let faceCenter = Vector.sub(head, Vector.mult(faceNormal, ball.body.getRadius()));
+		let faceTangent = new Vector(faceNormal.y, -faceNormal.x).mult(ball.body.diameter / 2);
+		let faceStart = Vector.add(faceCenter, faceTangent);
+		let faceEnd = Vector.sub(faceCenter, faceTangent);
+
+		stroke(CL_LGT_BLU);
+		strokeWeight(0.02 * canvasScale);
+		line(
+			transformCxToPx(pivot.x), transformCyToPy(pivot.y),
+			transformCxToPx(head.x), transformCyToPy(head.y)
+		);
+		strokeWeight(0.06 * canvasScale);
+		line(
+			transformCxToPx(faceStart.x), transformCyToPy(faceStart.y),
+			transformCxToPx(faceEnd.x), transformCyToPy(faceEnd.y)
+		);
+		strokeWeight(0);
+	} else if(launcher instanceof ImpulseLauncher) {
+		let target = Vector.add(position, launcher.vector);
+		let headLength = Math.min(0.15, launcher.vector.mag());
+
+		stroke(CL_LGT_BLU);
+		strokeWeight(0.02 * canvasScale);
+		line(
+			transformCxToPx(position.x), transformCyToPy(position.y),
+			transformCxToPx(target.x), transformCyToPy(target.y)
+		);
+		strokeWeight(0);
+
+		let angle = degrees(launcher.vector.heading()) + 180;
+		getIsoscelesTriangle(target.x, target.y, headLength, 0.12, CL_LGT_BLU, angle).draw();
+	} else {
+		let x = position.x + launcher.vector.x;
+		let y = position.y + launcher.vector.y;
+		let w = launcher.vector.mag();
+		let h = ball.body.diameter;
+
+		getIsoscelesTriangle(x, y, w, h, CL_LGT_BLU, degrees(launcher.vector.heading()) + 180).draw();
+	}
 }
 
 /* Mouse Input Functions */
@@ -211,7 +298,10 @@ function draw() {
  */
 function mousePressed() {
 	PressUi();
-	checkBallPressed();
+
+	if(!checkBallPressed()) {
+		pressEditor();
+	}
 }
 
 /**
@@ -219,9 +309,24 @@ function mousePressed() {
  */
 function mouseReleased() {
 	releaseUi();
+	releaseEditor();
 	checkBallReleasedByMouse();
 }
 
+/* Keyboard Input Functions */
+
+/**
+ * Pauses or resumes the simulation when the P key is pressed and simulates a single physics step when the S key is
+ * pressed.
+ */
+function keyPressed() {
+	if(key === 'p' || key === 'P') {
+		togglePause();
+	} else if(key === 's' || key === 'S') {
+		stepPhysics();
+	}
+}
+
 /* Transformation Functions */
 
 /**
@@ -44,7 +44,7 @@ function logCollision(
 ) {
     console.log(
         "COLLISION:" +
-        "\nballVelocity: " + vectorToShortString(ball.velocity) + "㎧" +
+        "\nballVelocity: " + vectorToShortString(world.ball.velocity) + "㎧" +
         "\ncollision" + collisionSegment + "; terrainSegmentNormal: " + vectorToShortString(segmentNormal) +
         "\ncollisionDistance: " + collisionDistance + "m" +
         "\ndelta: " + delta + "s; correction: " + correctionDelta + "s; sum: " + correctionDeltaSum + "s" +
@@ -71,7 +71,8 @@ function logAirReflection(
 ) {
     console.log(
         "AIR REFLECTION:" +
-        "\noldVelocity: " + vectorToShortString(oldVelocity) + " newVelocity: " + vectorToShortString(ball.velocity) +
+        "\noldVelocity: " + vectorToShortString(oldVelocity) +
+        " newVelocity: " + vectorToShortString(world.ball.velocity) +
         "\ncollision" + collisionObject + " collisionNormal: " + vectorToShortString(collisionNormal)
     );
 }
@@ -96,7 +97,8 @@ function logGroundReflection(
 ) {
     console.log(
         "GROUND REFLECTION:" +
-        "\noldVelocity: " + vectorToShortString(oldVelocity) + " newVelocity: " + vectorToShortString(ball.velocity) +
+        "\noldVelocity: " + vectorToShortString(oldVelocity) +
+        " newVelocity: " + vectorToShortString(world.ball.velocity) +
         "\ncollision" + collisionObject + " groundSegment: " + vectorToShortString(groundSegmentDirection)
     );
 }
@@ -115,7 +117,8 @@ function logGroundReflection(
 function logFall(oldVelocity, fallSegment) {
     console.log(
         "FALLING:" +
-        "\noldVelocity: " + vectorToShortString(oldVelocity) + " newVelocity: " + vectorToShortString(ball.velocity) +
+        "\noldVelocity: " + vectorToShortString(oldVelocity) +
+        " newVelocity: " + vectorToShortString(world.ball.velocity) +
         "\nfall" + fallSegment
     );
 }
\ No newline at end of file
@@ -0,0 +1,18 @@
+/**
+ * Provides the color palette used by all visuals of the simulation.
+ *
+ * Color palette by MortMort: https://lospec.com/palette-list/softmilk-32
+ *
+ * @author Tizian Kirchner
+ */
+
+const CL_WT = '#f2f2f0';
+const CL_BLK = '#23213d';
+const CL_LGT_BLU = '#7cd8eb';
+const CL_BLU = '#4884d4';
+const CL_DRK_BLU = '#454194';
+const CL_YLW = '#f3d040';
+const CL_RD = '#bd515a';
+const CL_DRK_RD = '#903d62';
+const CL_GRN = '#1f9983';
+const CL_DRK_GRN = '#22636b';
\ No newline at end of file
@@ -51,6 +51,26 @@ class Circle {
         circle(x, y, diameter);
     }
 
+    /**
+     * Draws a line from this {@link Circle}'s center towards its border, which shows how far it has been rotated.
+     *
+     * @param angle {number}
+     * How many radians this {@link Circle} has been rotated counterclockwise.
+     *
+     * @param color {string}
+     * The color of the line in HTML notation.
+     */
+    drawRotationMarker(angle, color) {
+        let x = transformCxToPx(this.position.x);
+        let y = transformCyToPy(this.position.y);
+        let length = this.getRadius() * 0.75 * canvasScale;
+
+        stroke(color);
+        strokeWeight(0.02 * canvasScale);
+        line(x, y, x + Math.cos(angle) * length, y - Math.sin(angle) * length);
+        strokeWeight(0);
+    }
+
     /**
      * @returns {number}
      * This {@link Circle}'s radius.
@@ -5,6 +5,13 @@
  * @author Tizian Kirchner
  */
 
+/**
+ * How many seconds of simulated time pass between two random changes of the {@link flagSway} and the
+ * {@link flagStretch}.
+ * @type {number}
+ */
+const FLAG_SWAY_INTERVAL = 1 / 60;
+
 /**
  * Stores the visualization of the flag at the minigolf hole as a {@link Triangle}.
  * @type {Triangle}
@@ -27,7 +34,7 @@ let flagAngle = 0;
  * Stores how much the {@link flag} is being swayed through the wind.
  *
  * This value is added to the {@link flagAngle} to determine the angle at which the flag is turned.
- * In contrast to the {@link flagAngle}, which does not change unless the {@link windVelocity} changes,
+ * In contrast to the {@link flagAngle}, which only follows the wind blowing at the flag,
  * this value goes through small random changes.
  * How rapid these changes are, is determined by the {@link flagSwayChange}.
  *
@@ -44,7 +51,7 @@ let flagSwayMax = 0;
 /**
  * Determines how rapidly the {@link flagSway} variable changes.
  *
- * The higher the {@link windVelocity}'s x component is, the higher this variable's value is.
+ * The higher the x component of the wind blowing at the flag is, the higher this variable's value is.
  *
  * @type {number}
  */
@@ -56,6 +63,32 @@ let flagSwayChange = 0;
  */
 let flagStretch = 0;
 
+/**
+ * The wind velocity which has been last applied to the {@link flag} through the {@link applyWindToFlag} function.
+ * @type {Vector}
+ */
+let flagWindVelocity = null;
+
+/**
+ * Generates the random changes of the {@link flagSway} and the {@link flagStretch}.
+ *
+ * Seeded with the seed of the {@link world}'s {@link SimulationWorld.random random} numbers, so that the flag sways
+ * the same way whenever the seed is entered again.
+ *
+ * @type {Random}
+ */
+let flagRandom;
+
+/**
+ * The {@link SimulationWorld.time time} of the {@link world} up to which the {@link flag} has been swayed.
+ *
+ * The {@link flagRandom} numbers are drawn once every {@link FLAG_SWAY_INTERVAL} seconds of simulated time, so that
+ * the sway does not depend on the frame rate.
+ *
+ * @type {number}
+ */
+let flagTime = 0;
+
 /**
  * Stores the visualization of the {@link flag}'s flagpole.
  * @type {Rectangle}
@@ -63,31 +96,45 @@ let flagStretch = 0;
 let flagpole;
 
 /**
- * Initializes the {@link flagOrigin} and {@link flagpole}.
+ * Initializes the {@link flagOrigin} and {@link flagpole} at the flag position of the {@link level},
+ * seeds the {@link flagRandom} numbers with the seed of the {@link world} and resets the sway of the {@link flag}.
  */
 function initializeFlag() {
-    flagOrigin = createVector(2.025, 1);
-    flagpole = new Rectangle(2.00, 1.25, 0.05, 1.25, fgCl);
+    let position = level.flagPosition;
+    let height = level.flagHeight;
+    flagOrigin = createVector(position.x, position.y + height - 0.25);
+    flagpole = new Rectangle(position.x - 0.025, position.y + height, 0.05, height, fgCl);
+    flagRandom = new Random(world.random.seed);
+    flagTime = world.time;
+    flagSway = 0;
+    flagStretch = 0;
 }
 
 /**
- * Simulates the {@link flag} swaying in the wind.
+ * Simulates the {@link flag} swaying in the wind, up to the current {@link SimulationWorld.time time} of the
+ * {@link world}.
  *
- * @param delta How many seconds passed between the current and the last frame.
+ * Sways the {@link flag} once every {@link FLAG_SWAY_INTERVAL} seconds of simulated time that passed since the
+ * {@link flagTime}, then turns it according to the wind blowing at the {@link flagOrigin}.
+ * If the time of the {@link world} went back, for example because a {@link Replay} has been scrubbed,
+ * the {@link flag} continues swaying from there.
  */
-function updateFlag(delta) {
-    let flagDirectionVec = createVector(0.88, 0);
-    flagSway += flagSwayChange * sign(random(1, -1), 0) * delta;
-    flagSway = Math.max(-flagSwayMax, flagSway);
-    flagSway = Math.min(flagSwayMax, flagSway);
-    flagDirectionVec.rotate(flagAngle + flagSway);
+function updateFlag() {
+    if(world.time < flagTime) {
+        flagTime = world.time;
+    }
 
-    if(windVelocity.x > 8.5 || windVelocity.x < -8.5) {
-        flagStretch += flagSwayChange * sign(random(1, -1), 0) * delta;
-        flagStretch = Math.max(-flagSwayMax, flagStretch);
-        flagStretch = Math.min(flagSwayMax, flagStretch);
+    // Tolerates rounding errors of the summed time steps.
+    while(world.time - flagTime >= FLAG_SWAY_INTERVAL - 1e-9) {
+        flagTime += FLAG_SWAY_INTERVAL;
+        swayFlag(world.wind.getVelocityAt(world.windVelocity, flagOrigin, flagTime));
     }
 
+    applyWindToFlag(world.getWindVelocityAt(flagOrigin));
+
+    let flagDirectionVec = createVector(0.88, 0);
+    flagDirectionVec.rotate(flagAngle + flagSway);
+
     flag = new Triangle(
         flagOrigin.x, flagOrigin.y + 0.12,
         flagOrigin.x, flagOrigin.y - 0.12,
@@ -98,9 +145,38 @@ function updateFlag(delta) {
 }
 
 /**
- * Updates variables, used by the {@link updateFlag} function, by using the {@link windVelocity}.
+ * Applies the wind blowing at the {@link flagOrigin} to the {@link flag} and randomly changes the {@link flagSway}
+ * and the {@link flagStretch} for {@link FLAG_SWAY_INTERVAL} seconds, so that the flag follows gusts and changes of
+ * the {@link world}'s {@link SimulationWorld.wind wind}.
+ *
+ * @param windVelocity {Vector}
+ * The velocity of the wind at the {@link flagOrigin}.
+ */
+function swayFlag(windVelocity) {
+    applyWindToFlag(windVelocity);
+
+    flagSway += flagSwayChange * sign(flagRandom.range(-1, 1), 0) * FLAG_SWAY_INTERVAL;
+    flagSway = Math.max(-flagSwayMax, flagSway);
+    flagSway = Math.min(flagSwayMax, flagSway);
+
+    if(flagWindVelocity.x > 8.5 || flagWindVelocity.x < -8.5) {
+        flagStretch += flagSwayChange * sign(flagRandom.range(-1, 1), 0) * FLAG_SWAY_INTERVAL;
+        flagStretch = Math.max(-flagSwayMax, flagStretch);
+        flagStretch = Math.min(flagSwayMax, flagStretch);
+    }
+}
+
+/**
+ * Updates variables, used by the {@link updateFlag} function, by using the velocity of the wind blowing at the flag.
+ *
+ * @param windVelocity {Vector}
+ * The velocity of the wind at the {@link flagOrigin}.
+ *
+ * @see SimulationWorld.getWindVelocityAt
  */
-function applyWindToFlag() {
+function applyWindToFlag(windVelocity) {
+    flagWindVelocity = windVelocity;
+
     if(windVelocity.x > 8.5) {
         flagAngle = 0;
         flagSwayChange = 10 * windVelocity.x / 25;
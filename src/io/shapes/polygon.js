@@ -0,0 +1,91 @@
+/**
+ * A colored polygon that can be drawn to the canvas.
+ * @author Tizian Kirchner
+ */
+class Polygon {
+    /**
+     * The corners of this {@link Polygon}.
+     * @type {Vector[]}
+     */
+    vertices;
+
+    /**
+     * The color of this {@link Polygon} in HTML notation.
+     * @type {string}
+     */
+    color;
+
+    /**
+     * If the last of the {@link vertices} is connected to the first one.
+     * An open {@link Polygon} is drawn as a line instead of a filled area.
+     *
+     * @type {boolean}
+     */
+    closed;
+
+    /**
+     * Constructs a new {@link Polygon} object.
+     *
+     * @param vertices {Vector[]}
+     * See {@link Polygon.vertices}.
+     *
+     * @param color {string}
+     * See {@link Polygon.color}.
+     *
+     * @param [closed] {boolean}
+     * See {@link Polygon.closed}. Defaults to true.
+     */
+    constructor(vertices, color, closed) {
+        this.vertices = vertices;
+        this.color = color;
+        this.closed = closed === undefined ? true : closed;
+    }
+
+    /**
+     * Draws this {@link Polygon} to the canvas.
+     */
+    draw() {
+        if(this.closed) {
+            fill(this.color);
+        } else {
+            noFill();
+            strokeWeight(canvasScale * 0.03);
+        }
+
+        beginShape();
+
+        this.vertices.forEach(corner => {
+            vertex(transformCxToPx(corner.x), transformCyToPy(corner.y));
+        });
+
+        endShape(this.closed ? CLOSE : undefined);
+    }
+
+    /**
+     * @returns {number} The x coordinate of this {@link Polygon}'s leftmost corner.
+     */
+    getLeftX() {
+        return Math.min(...this.vertices.map(vertex => vertex.x));
+    }
+
+    /**
+     * @returns {number} The x coordinate of this {@link Polygon}'s rightmost corner.
+     */
+    getRightX() {
+        return Math.max(...this.vertices.map(vertex => vertex.x));
+    }
+
+    /**
+     * @returns {number} The y coordinate of this {@link Polygon}'s topmost corner.
+     */
+    getTopY() {
+        return Math.max(...this.vertices.map(vertex => vertex.y));
+    }
+
+    /**
+     * @returns {number} The y coordinate of this {@link Polygon}'s bottommost corner.
+     */
+    getBottomY() {
+        return Math.min(...this.vertices.map(vertex => vertex.y));
+    }
+}
\ No newline at end of file
@@ -67,20 +67,20 @@ function getRightTriangle(
  * A new isosceles {@link Triangle}.
  */
 function getIsoscelesTriangle(x, y, width, base, color, angle) {
-    let baseMiddle = createVector(width, 0);
-	baseMiddle.rotate(radians(angle));
+    let baseMiddle = new Vector(width, 0);
+	baseMiddle.rotate(angle * Math.PI / 180);
 
-	let baseTop = createVector(baseMiddle.x, baseMiddle.y);
-	baseTop.rotate(HALF_PI);
+	let baseTop = new Vector(baseMiddle.x, baseMiddle.y);
+	baseTop.rotate(Math.PI / 2);
 	baseTop.setMag(base / 2);
 	baseTop.add(baseMiddle);
-	baseTop.add(x, y);
+	baseTop.add(new Vector(x, y));
 
-	let baseBottom = createVector(baseMiddle.x, baseMiddle.y);
-	baseBottom.rotate(-HALF_PI);
+	let baseBottom = new Vector(baseMiddle.x, baseMiddle.y);
+	baseBottom.rotate(-Math.PI / 2);
 	baseBottom.setMag(base / 2);
 	baseBottom.add(baseMiddle);
-	baseBottom.add(x, y);
+	baseBottom.add(new Vector(x, y));
     
     return new Triangle(x, y, baseTop.x, baseTop.y, baseBottom.x, baseBottom.y, color);
 }
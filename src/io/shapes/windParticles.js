@@ -0,0 +1,119 @@
+/**
+ * Stores the particles drifting with the wind across the canvas and provides functions for simulating and drawing
+ * them, while {@link showWindParticles} is true.
+ *
+ * Each particle is drawn as a short streak pointing in the direction the wind blows at its position. The faster the
+ * wind blows, the longer the streak. This shows gusts, the growth of the wind with the height and the zones of the
+ * {@link world}'s {@link SimulationWorld.wind wind} field.
+ *
+ * @author Tizian Kirchner
+ */
+
+/**
+ * How many particles drift across the canvas.
+ * @type {number}
+ */
+const WIND_PARTICLE_COUNT = 150;
+
+/**
+ * How many seconds a particle lives at most, before it is moved to a new random position.
+ * @type {number}
+ */
+const WIND_PARTICLE_LIFETIME = 4;
+
+/**
+ * How many seconds of drifting with the wind the streak of a particle shows.
+ * @type {number}
+ */
+const WIND_PARTICLE_STREAK_TIME = 0.08;
+
+/**
+ * The particles drifting with the wind. Each particle has a position, an age and a lifetime in seconds.
+ * @type {{position: Vector, age: number, lifetime: number}[]}
+ */
+let windParticles = [];
+
+/**
+ * Generates the positions and lifetimes of the {@link windParticles}.
+ * @type {Random}
+ */
+let windParticleRandom;
+
+/**
+ * Spreads the {@link windParticles} across the canvas, seeding their random positions with the {@link gameSeed}.
+ */
+function initializeWindParticles() {
+    windParticleRandom = new Random(gameSeed);
+    windParticles = [];
+
+    for(let i = 0; i < WIND_PARTICLE_COUNT; i++) {
+        let particle = {position: null, age: 0, lifetime: 0};
+        respawnWindParticle(particle);
+        particle.age = windParticleRandom.range(0, particle.lifetime);
+        windParticles.push(particle);
+    }
+}
+
+/**
+ * Moves a particle to a random position on the canvas and gives it a new random lifetime.
+ *
+ * @param particle {{position: Vector, age: number, lifetime: number}}
+ * One of the {@link windParticles}.
+ */
+function respawnWindParticle(particle) {
+    particle.position = new Vector(
+        windParticleRandom.range(getLeftBorderX(), getRightBorderX()),
+        windParticleRandom.range(getBottomBorderY(), getTopBorderY())
+    );
+    particle.age = 0;
+    particle.lifetime = windParticleRandom.range(WIND_PARTICLE_LIFETIME / 2, WIND_PARTICLE_LIFETIME);
+}
+
+/**
+ * Lets the {@link windParticles} drift with the wind at their positions.
+ * Particles leaving the canvas or outliving their lifetime are moved to a new random position.
+ *
+ * @param delta {number} How many seconds of simulated time passed between the current and the last frame.
+ */
+function updateWindParticles(delta) {
+    windParticles.forEach(particle => {
+        particle.position.add(Vector.mult(world.getWindVelocityAt(particle.position), delta));
+        particle.age += delta;
+
+        let position = particle.position;
+        let outside = (
+            position.x < getLeftBorderX() || position.x > getRightBorderX() ||
+            position.y < getBottomBorderY() || position.y > getTopBorderY()
+        );
+
+        if(outside || particle.age >= particle.lifetime) {
+            respawnWindParticle(particle);
+        }
+    });
+}
+
+/**
+ * Draws the {@link windParticles} as streaks, which fade in after they appeared and fade out before they disappear.
+ */
+function drawWindParticles() {
+    let streakColor = color(fgCl);
+    strokeWeight(0.015 * canvasScale);
+
+    windParticles.forEach(particle => {
+        let fade = Math.min(particle.age, particle.lifetime - particle.age, 0.5) / 0.5;
+        let tail = Vector.sub(
+            particle.position,
+            Vector.mult(world.getWindVelocityAt(particle.position), WIND_PARTICLE_STREAK_TIME)
+        );
+
+        streakColor.setAlpha(90 * fade);
+        stroke(streakColor);
+
+        line(
+            transformCxToPx(tail.x), transformCyToPy(tail.y),
+            transformCxToPx(particle.position.x), transformCyToPy(particle.position.y)
+        );
+    });
+
+    strokeWeight(0);
+}
\ No newline at end of file
@@ -0,0 +1,507 @@
+/**
+ * Provides variables and functions for the level editor, which edits the {@link levelData} inside the sketch.
+ *
+ * While the editor is active, the vertices of the terrain pieces, the tip of the {@link Level.catapult catapult},
+ * the bottom of the flagpole and the corners of the hole are shown as handles which can be dragged with the mouse.
+ * Pressing an edge of a terrain piece inserts a new vertex there. After every change, the {@link level} and the
+ * {@link world} are rebuilt from the edited {@link levelData}, so the colliders can be previewed and
+ * the {@link Ball} can be launched right away. The result can be exported to and imported from a level file.
+ *
+ * @author Tizian Kirchner
+ */
+
+/**
+ * How close in meters the mouse cursor has to be to a handle or an edge to press it.
+ * @type {number}
+ */
+const EDITOR_HANDLE_RADIUS = 0.08;
+
+/**
+ * The size of the grid in meters, to which dragged handles snap.
+ * @type {number}
+ */
+const EDITOR_GRID = 0.05;
+
+/**
+ * Determines if the level editor is active.
+ * @type {boolean}
+ */
+let editorActive = false;
+
+/**
+ * The handle currently being dragged by the mouse cursor or null, if no handle is being dragged.
+ *
+ * A handle is an object with a "type", which is either "vertex", "catapult", "flag", "holeStart" or "holeEnd".
+ * Handles of the "vertex" type also store the index of the terrain "piece" and the "vertex" they belong to.
+ *
+ * @type {Object}
+ */
+let draggedHandle = null;
+
+/**
+ * The index of the selected terrain piece in the {@link levelData}'s terrain array, or -1 if none is selected.
+ * @type {number}
+ */
+let selectedPiece = -1;
+
+/**
+ * The index of the selected vertex of the {@link selectedPiece}, or -1 if none is selected.
+ * @type {number}
+ */
+let selectedVertex = -1;
+
+/**
+ * Describes why the edited {@link levelData} could not be turned into a {@link Level}.
+ * Empty if the last change was valid.
+ *
+ * @type {string}
+ */
+let editorError = "";
+
+/**
+ * The hidden file input used by the {@link importLevel} function.
+ * @type {p5.Element}
+ */
+let levelFileInput;
+
+/* buttons */
+
+/**
+ * Calls the {@link addTerrainPiece} function.
+ * @type {Button}
+ */
+let addPieceButton;
+
+/**
+ * Calls the {@link deleteSelection} function.
+ * @type {Button}
+ */
+let deleteButton;
+
+/**
+ * Calls the {@link importLevel} function.
+ * @type {Button}
+ */
+let importButton;
+
+/**
+ * Calls the {@link exportLevel} function.
+ * @type {Button}
+ */
+let exportButton;
+
+/**
+ * Stores references to all {@link Button}s which are only visible while the editor is active.
+ * @type [Button]
+ */
+let editorButtons;
+
+/**
+ * Initializes the editor's {@link Button}s and the hidden file input used for importing level files.
+ */
+function initializeEditor() {
+    let x = getLeftBorderX() + 0.3;
+    let w = 1.25;
+    let h = 0.2;
+
+    addPieceButton = new Button(x, 0, w, h, "ADD PIECE", 0.02, CL_BLU, CL_DRK_BLU, addTerrainPiece);
+    deleteButton = new Button(x, 0, w, h, "DELETE", 0.02, CL_RD, CL_DRK_RD, deleteSelection);
+    importButton = new Button(x, 0, w, h, "IMPORT", 0.02, CL_BLU, CL_DRK_BLU, importLevel);
+    exportButton = new Button(x, 0, w, h, "EXPORT", 0.02, CL_BLU, CL_DRK_BLU, exportLevel);
+    editorButtons = [addPieceButton, deleteButton, importButton, exportButton];
+
+    levelFileInput = createFileInput(loadImportedLevel);
+    levelFileInput.hide();
+}
+
+/**
+ * Toggles the editor by toggling {@link editorActive}. Deselects everything when the editor is closed.
+ * Stops the playback of a {@link Replay} first.
+ */
+function toggleEditor() {
+    stopReplay();
+    editorActive = !editorActive;
+    clearEditorSelection();
+}
+
+/**
+ * Deselects the {@link selectedPiece} and the {@link selectedVertex} and lets go of the {@link draggedHandle}.
+ */
+function clearEditorSelection() {
+    draggedHandle = null;
+    selectedPiece = -1;
+    selectedVertex = -1;
+}
+
+/**
+ * Updates the positions of the editor's {@link Button}s and moves the {@link draggedHandle} to the mouse cursor.
+ */
+function updateEditor() {
+    if(!editorActive) {
+        return;
+    }
+
+    editorButtons.forEach((button, i) => {
+        button.setY(getTopBorderY() - 3.2 - i * 0.25);
+    });
+
+    if(mouseIsPressed) {
+        editorButtons.forEach((button) => {
+            button.update();
+        });
+
+        if(draggedHandle != null) {
+            moveHandle(draggedHandle, snapToGrid(transformPxToCx(mouseX)), snapToGrid(transformPyToCy(mouseY)));
+        }
+    }
+}
+
+/**
+ * Draws the outlines of the edited terrain pieces, the hole, all handles and the editor's {@link Button}s.
+ */
+function drawEditor() {
+    if(!editorActive) {
+        return;
+    }
+
+    let terrain = levelData.terrain;
+
+    noFill();
+    strokeWeight(canvasScale * 0.01);
+
+    terrain.forEach((piece, i) => {
+        stroke(i === selectedPiece ? CL_RD : fgCl);
+        beginShape();
+
+        piece.vertices.forEach(corner => {
+            vertex(transformCxToPx(corner[0]), transformCyToPy(corner[1]));
+        });
+
+        endShape(piece.closed === false ? undefined : CLOSE);
+    });
+
+    let hole = levelData.hole;
+    stroke(CL_YLW);
+    new Rectangle(hole.x, hole.y, hole.w, hole.h, color(0, 0)).draw();
+
+    strokeWeight(0);
+
+    getHandles().forEach(handle => {
+        let position = getHandlePosition(handle);
+        let selected = handle.piece === selectedPiece && handle.vertex === selectedVertex;
+        let handleColor = handle.type === 'vertex' ? (selected ? CL_RD : CL_GRN) : CL_YLW;
+
+        new Circle(position, EDITOR_HANDLE_RADIUS, handleColor).draw();
+    });
+
+    editorButtons.forEach((button) => {
+        button.draw();
+    });
+
+    textAlign(LEFT, TOP);
+    let message = editorError !== "" ? editorError : "Drag the handles, press an edge to add a vertex.";
+    let y = getTopBorderY() - 3.2 - editorButtons.length * 0.25;
+    drawString(message, getLeftBorderX() + 0.3, y, editorError !== "" ? CL_RD : fgCl, 0.12, 2.5, 1);
+}
+
+/**
+ * Starts dragging the handle or inserts a vertex into the edge behind the mouse cursor.
+ * Only called if the mouse press did not grab the {@link Ball}, so that it can be launched while the editor is active.
+ */
+function pressEditor() {
+    if(!editorActive) {
+        return;
+    }
+
+    editorButtons.forEach((button) => {
+        button.mousePressed();
+    });
+
+    if(editorButtons.some(button => button.isBehindCursor())) {
+        return;
+    }
+
+    let mouse = new Vector(transformPxToCx(mouseX), transformPyToCy(mouseY));
+    let handle = getHandles().find(handle => {
+        return Vector.sub(getHandlePosition(handle), mouse).mag() <= EDITOR_HANDLE_RADIUS;
+    });
+
+    if(handle === undefined) {
+        handle = insertVertex(mouse);
+    }
+
+    if(handle === undefined) {
+        selectedPiece = -1;
+        selectedVertex = -1;
+        return;
+    }
+
+    if(handle.type === 'vertex') {
+        selectedPiece = handle.piece;
+        selectedVertex = handle.vertex;
+    }
+
+    draggedHandle = handle;
+}
+
+/**
+ * Calls the release methods of the editor's {@link Button}s and
+ * rebuilds the level after a handle has been dragged.
+ */
+function releaseEditor() {
+    if(!editorActive) {
+        return;
+    }
+
+    editorButtons.forEach((button) => {
+        button.mouseReleased();
+    });
+
+    if(draggedHandle != null) {
+        draggedHandle = null;
+        rebuildLevel();
+    }
+}
+
+/**
+ * @returns {Object[]}
+ * All handles which can be dragged, starting with the catapult, flag and hole handles.
+ * See {@link draggedHandle} for the structure of a handle.
+ */
+function getHandles() {
+    let handles = [{type: 'catapult'}, {type: 'flag'}, {type: 'holeStart'}, {type: 'holeEnd'}];
+
+    levelData.terrain.forEach((piece, i) => {
+        piece.vertices.forEach((corner, j) => {
+            handles.push({type: 'vertex', piece: i, vertex: j});
+        });
+    });
+
+    return handles;
+}
+
+/**
+ * @param handle {Object}
+ * A handle as described by {@link draggedHandle}.
+ *
+ * @returns {Vector}
+ * The position of the handle in the {@link levelData}.
+ */
+function getHandlePosition(handle) {
+    let hole = levelData.hole;
+
+    switch(handle.type) {
+        case 'catapult':
+            return new Vector(levelData.catapult.x, levelData.catapult.y);
+        case 'flag':
+            return new Vector(levelData.flag.x, levelData.flag.y);
+        case 'holeStart':
+            return new Vector(hole.x, hole.y);
+        case 'holeEnd':
+            return new Vector(hole.x + hole.w, hole.y - hole.h);
+        default:
+            let corner = levelData.terrain[handle.piece].vertices[handle.vertex];
+            return new Vector(corner[0], corner[1]);
+    }
+}
+
+/**
+ * Moves a handle to a new position by changing the {@link levelData}.
+ *
+ * The corners of the hole can not be dragged past each other.
+ *
+ * @param handle {Object} A handle as described by {@link draggedHandle}.
+ * @param x {number} The new x coordinate of the handle.
+ * @param y {number} The new y coordinate of the handle.
+ */
+function moveHandle(handle, x, y) {
+    let hole = levelData.hole;
+    let holeRightX = hole.x + hole.w;
+    let holeBottomY = hole.y - hole.h;
+
+    switch(handle.type) {
+        case 'catapult':
+            levelData.catapult.x = x;
+            levelData.catapult.y = y;
+            break;
+        case 'flag':
+            levelData.flag.x = x;
+            levelData.flag.y = y;
+            break;
+        case 'holeStart':
+            hole.x = Math.min(x, snapToGrid(holeRightX - EDITOR_GRID));
+            hole.y = Math.max(y, snapToGrid(holeBottomY + EDITOR_GRID));
+            hole.w = snapToGrid(holeRightX - hole.x);
+            hole.h = snapToGrid(hole.y - holeBottomY);
+            break;
+        case 'holeEnd':
+            hole.w = snapToGrid(Math.max(x - hole.x, EDITOR_GRID));
+            hole.h = snapToGrid(Math.max(hole.y - y, EDITOR_GRID));
+            break;
+        default:
+            levelData.terrain[handle.piece].vertices[handle.vertex] = [x, y];
+    }
+}
+
+/**
+ * Inserts a new vertex into the edge of a terrain piece, if the position is close enough to one.
+ * The edges of the {@link selectedPiece} are preferred over edges of other pieces lying on top of them.
+ *
+ * @param position {Vector}
+ * Where to insert the new vertex.
+ *
+ * @returns {Object | undefined}
+ * The handle of the new vertex as described by {@link draggedHandle}, or undefined if no edge is close enough.
+ */
+function insertVertex(position) {
+    let terrain = levelData.terrain;
+    let pieceIndices = terrain.map((piece, i) => i).filter(i => i !== selectedPiece);
+
+    if(selectedPiece !== -1) {
+        pieceIndices.unshift(selectedPiece);
+    }
+
+    for(let i of pieceIndices) {
+        let vertices = terrain[i].vertices.map(corner => new Vector(corner[0], corner[1]));
+        let edgeCount = terrain[i].closed === false ? vertices.length - 1 : vertices.length;
+
+        for(let j = 0; j < edgeCount; j++) {
+            let start = vertices[j];
+            let edge = Vector.sub(vertices[(j + 1) % vertices.length], start);
+            let amount = Vector.sub(position, start).dot(edge) / edge.magSq();
+            let closestPoint = Vector.add(start, Vector.mult(edge, amount));
+
+            if(amount > 0 && amount < 1 && Vector.sub(position, closestPoint).mag() <= EDITOR_HANDLE_RADIUS) {
+                terrain[i].vertices.splice(j + 1, 0, [snapToGrid(position.x), snapToGrid(position.y)]);
+                return {type: 'vertex', piece: i, vertex: j + 1};
+            }
+        }
+    }
+
+    return undefined;
+}
+
+/**
+ * Adds a new square terrain piece in the middle of the canvas and selects it.
+ */
+function addTerrainPiece() {
+    let x = snapToGrid(CANVAS_C_W / 2);
+    let y = snapToGrid(getTopBorderY() / 2);
+
+    levelData.terrain.push({
+        color: CL_BLU,
+        vertices: [[x - 0.25, y - 0.25], [x + 0.25, y - 0.25], [x + 0.25, y + 0.25], [x - 0.25, y + 0.25]]
+    });
+
+    selectedPiece = levelData.terrain.length - 1;
+    selectedVertex = -1;
+    rebuildLevel();
+}
+
+/**
+ * Deletes the selected vertex. If no vertex is selected or the {@link selectedPiece} would not have enough vertices
+ * left, the whole {@link selectedPiece} is deleted instead.
+ */
+function deleteSelection() {
+    if(selectedPiece === -1) {
+        return;
+    }
+
+    let piece = levelData.terrain[selectedPiece];
+    let minVertexCount = piece.closed === false ? 2 : 3;
+
+    if(selectedVertex !== -1 && piece.vertices.length > minVertexCount) {
+        piece.vertices.splice(selectedVertex, 1);
+    } else {
+        levelData.terrain.splice(selectedPiece, 1);
+        selectedPiece = -1;
+    }
+
+    selectedVertex = -1;
+    rebuildLevel();
+}
+
+/**
+ * Lets the user choose a level file to load through the {@link levelFileInput}.
+ *
+ * @see loadImportedLevel
+ */
+function importLevel() {
+    levelFileInput.elt.click();
+}
+
+/**
+ * Replaces the {@link levelData} and the hole being played in the {@link course} with the contents of an imported
+ * level file. Keeps the current {@link levelData} if the file does not contain a valid level.
+ *
+ * @param file {p5.File}
+ * The level file chosen through the {@link levelFileInput}.
+ */
+function loadImportedLevel(file) {
+    let previousLevelData = levelData;
+
+    try {
+        levelData = typeof file.data === 'string' ? JSON.parse(file.data) : file.data;
+    } catch(error) {
+        editorError = "The file " + file.name + " is not a level file: " + error.message;
+        levelFileInput.elt.value = "";
+        return;
+    }
+
+    selectedPiece = -1;
+    selectedVertex = -1;
+
+    if(rebuildLevel()) {
+        course.holes[course.holeIndex] = levelData;
+    } else {
+        levelData = previousLevelData;
+    }
+
+    levelFileInput.elt.value = "";
+}
+
+/**
+ * Saves the {@link levelData} as a level file, if it describes a valid {@link Level}.
+ */
+function exportLevel() {
+    if(editorError === "") {
+        saveJSON(levelData, 'level.json');
+    }
+}
+
+/**
+ * Rebuilds the {@link level}, the {@link world} and the flag from the {@link levelData}.
+ *
+ * The {@link world} keeps its wind and the values set through the physics settings.
+ * If the {@link levelData} does not describe a valid {@link Level}, the current {@link level} and {@link world}
+ * are kept and the {@link editorError} describes the problem.
+ *
+ * @returns {boolean} If the {@link levelData} described a valid {@link Level}.
+ */
+function rebuildLevel() {
+    try {
+        initializeTerrain(levelData);
+    } catch(error) {
+        editorError = error.message;
+        return false;
+    }
+
+    let windVelocity = world.windVelocity;
+
+    editorError = "";
+    initializeWorld();
+    initializeFlag();
+    world.windVelocity = windVelocity;
+
+    applyPhysicsSettings();
+
+    return true;
+}
+
+/**
+ * @param value {number} A coordinate in meters.
+ * @returns {number} The coordinate rounded to the closest multiple of {@link EDITOR_GRID}.
+ */
+function snapToGrid(value) {
+    return Number((Math.round(value / EDITOR_GRID) * EDITOR_GRID).toFixed(2));
+}
\ No newline at end of file
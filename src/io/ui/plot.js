@@ -0,0 +1,140 @@
+/**
+ * Provides functions for drawing the energy and momentum recorded by the {@link Telemetry} of the {@link world} as
+ * plots over time, which are shown while {@link showTelemetry} is true.
+ *
+ * @author Tizian Kirchner
+ */
+
+/**
+ * How many meters wide the telemetry panel is.
+ * @type {number}
+ */
+const TELEMETRY_PANEL_W = 4;
+
+/**
+ * How many meters wide each plot of the telemetry panel is. The remaining width is used by the legends.
+ * @type {number}
+ */
+const TELEMETRY_PLOT_W = 2.6;
+
+/**
+ * How many meters high each plot of the telemetry panel is.
+ * @type {number}
+ */
+const TELEMETRY_PLOT_H = 0.8;
+
+/**
+ * How many seconds the time axis of the plots covers at least.
+ * @type {number}
+ */
+const TELEMETRY_MIN_TIME_SPAN = 1;
+
+/**
+ * Draws the telemetry panel in the upper center of the canvas.
+ *
+ * Plots the kinetic, gravitational and spring energy of the {@link Ball}, the energy dissipated by drag, collisions
+ * and rolling, and their total, which stays level unless numerical errors add or remove energy.
+ * Below, plots the horizontal and vertical momentum of the {@link Ball} and its magnitude.
+ *
+ * @see Telemetry.samples
+ */
+function drawTelemetry() {
+    let samples = world.telemetry.samples;
+    let x = CANVAS_C_W / 2 - TELEMETRY_PANEL_W / 2;
+    let y = getTopBorderY() - (replayPlayer === null ? 1.2 : 1.85);
+    let h = 2 * TELEMETRY_PLOT_H + 0.7;
+
+    stroke(fgCl);
+    strokeWeight(0.02 * canvasScale);
+    new Rectangle(x, y, TELEMETRY_PANEL_W, h, bgCl).draw();
+    strokeWeight(0);
+
+    let energyCurves = [
+        {name: "Kinetic", color: CL_RD, getValue: sample => sample.kinetic},
+        {name: "Gravitational", color: CL_GRN, getValue: sample => sample.gravitational},
+        {name: "Spring", color: CL_LGT_BLU, getValue: sample => sample.spring},
+        {name: "Drag", color: CL_BLU, getValue: sample => sample.drag},
+        {name: "Collisions", color: CL_YLW, getValue: sample => sample.collision},
+        {name: "Rolling", color: CL_DRK_GRN, getValue: sample => sample.rolling},
+        {name: "Total", color: fgCl, getValue: sample => sample.total}
+    ];
+
+    let momentumCurves = [
+        {name: "Horizontal", color: CL_RD, getValue: sample => sample.momentum.x},
+        {name: "Vertical", color: CL_GRN, getValue: sample => sample.momentum.y},
+        {name: "Magnitude", color: fgCl, getValue: sample => sample.momentum.mag()}
+    ];
+
+    drawTelemetryPlot(samples, energyCurves, "Energy", "J", x + 0.15, y - 0.3);
+    drawTelemetryPlot(samples, momentumCurves, "Momentum", "kg·m/s", x + 0.15, y - 0.6 - TELEMETRY_PLOT_H);
+}
+
+/**
+ * Draws a plot of values recorded by the {@link Telemetry} over time, with a legend listing the latest values.
+ *
+ * The value axis is scaled to fit every curve and always includes zero, which is marked by a horizontal line.
+ *
+ * @param samples {Object[]}
+ * See {@link Telemetry.samples}.
+ *
+ * @param curves {{name: string, color: string, getValue: function(Object): number}[]}
+ * The curves to draw. Each curve reads its value from a sample through its getValue function.
+ *
+ * @param title {string}
+ * The title drawn above the plot.
+ *
+ * @param unit {string}
+ * The unit of the values, which is shown after the title and after each value of the legend.
+ *
+ * @param x {number}
+ * The x coordinate of the plot's left edge.
+ *
+ * @param y {number}
+ * The y coordinate of the plot's top edge.
+ */
+function drawTelemetryPlot(samples, curves, title, unit, x, y) {
+    textAlign(LEFT, TOP);
+    drawString(title + " (" + unit + ")", x, y + 0.2, fgCl, 0.12);
+
+    if(samples.length === 0) {
+        drawString("Launch the ball to record.", x, y - TELEMETRY_PLOT_H / 2, fgCl, 0.1);
+        return;
+    }
+
+    let startTime = samples[0].time;
+    let timeSpan = Math.max(samples[samples.length - 1].time - startTime, TELEMETRY_MIN_TIME_SPAN);
+
+    let values = samples.flatMap(sample => curves.map(curve => curve.getValue(sample)));
+    let minValue = Math.min(0, ...values);
+    let maxValue = Math.max(0, ...values);
+    let valueSpan = Math.max(maxValue - minValue, 1e-6);
+
+    let getPlotX = time => x + (time - startTime) / timeSpan * TELEMETRY_PLOT_W;
+    let getPlotY = value => y - TELEMETRY_PLOT_H + (value - minValue) / valueSpan * TELEMETRY_PLOT_H;
+
+    stroke(fgCl);
+    strokeWeight(0.01 * canvasScale);
+    line(
+        transformCxToPx(x), transformCyToPy(getPlotY(0)),
+        transformCxToPx(x + TELEMETRY_PLOT_W), transformCyToPy(getPlotY(0))
+    );
+
+    curves.forEach(curve => {
+        let vertices = samples.map(sample => new Vector(getPlotX(sample.time), getPlotY(curve.getValue(sample))));
+        stroke(curve.color);
+        new Polygon(vertices, curve.color, false).draw();
+    });
+
+    strokeWeight(0);
+
+    let latestSample = samples[samples.length - 1];
+
+    curves.forEach((curve, i) => {
+        let str = curve.name + ": " + curve.getValue(latestSample).toFixed(2) + unit;
+        drawString(str, x + TELEMETRY_PLOT_W + 0.1, y - i * 0.115, curve.color, 0.1);
+    });
+
+    textAlign(RIGHT, TOP);
+    drawString(maxValue.toFixed(2), x + TELEMETRY_PLOT_W, y + 0.05, fgCl, 0.08);
+    drawString(timeSpan.toFixed(1) + "s", x + TELEMETRY_PLOT_W, y - TELEMETRY_PLOT_H - 0.02, fgCl, 0.08);
+}
\ No newline at end of file
@@ -0,0 +1,274 @@
+/**
+ * Provides variables and functions for playing back {@link Replay}s of tries inside the sketch, with a slider for
+ * scrubbing through the playback and controls for exporting and importing replay files. The playback is paused,
+ * slowed down and stepped through by the controls of the simulation's time.
+ *
+ * While a {@link Replay} is played back, the {@link world} is replaced by the {@link SimulationWorld} of the
+ * {@link replayPlayer} and the {@link level} by the level the try has been played on.
+ *
+ * @author Tizian Kirchner
+ */
+
+/**
+ * Plays back the {@link Replay} being watched or null, if no {@link Replay} is being played back.
+ * @type {ReplayPlayer | null}
+ */
+let replayPlayer = null;
+
+/**
+ * The {@link world} of the game, which is kept while a {@link Replay} is being played back.
+ * @type {SimulationWorld | null}
+ */
+let gameWorld = null;
+
+/**
+ * Describes why the last replay file could not be played back.
+ * Empty if the last replay file was valid.
+ *
+ * @type {string}
+ */
+let replayError = "";
+
+/**
+ * The hidden file input used by the {@link importReplay} function.
+ * @type {p5.Element}
+ */
+let replayFileInput;
+
+/* buttons and sliders */
+
+/**
+ * Calls the {@link exportReplay} function.
+ * @type {Button}
+ */
+let exportReplayButton;
+
+/**
+ * Calls the {@link stopReplay} function.
+ * @type {Button}
+ */
+let exitReplayButton;
+
+/**
+ * Calls the {@link scrubReplay} function.
+ * @type {Slider}
+ */
+let replaySlider;
+
+/**
+ * Stores references to all {@link Button}s which are only visible while a {@link Replay} is being played back.
+ * @type [Button]
+ */
+let replayControlButtons;
+
+/**
+ * Initializes the {@link Button}s and the {@link Slider} controlling the playback and the hidden file input used for
+ * importing replay files.
+ */
+function initializeReplayControls() {
+    let x = CANVAS_C_W / 2 - 2;
+    let w = 0.75;
+    let h = 0.2;
+
+    exportReplayButton = new Button(x + 2.4375, 0, w, h, "EXPORT", 0.02, CL_BLU, CL_DRK_BLU, exportReplay);
+    exitReplayButton = new Button(x + 3.25, 0, w, h, "EXIT", 0.02, CL_RD, CL_DRK_RD, stopReplay);
+    replayControlButtons = [exportReplayButton, exitReplayButton];
+
+    replaySlider = new Slider(x, 0, 4, 0.1, "", 1, CL_BLU, 0.02, scrubReplay);
+    replaySlider.indicatorValue = 0;
+
+    replayFileInput = createFileInput(loadImportedReplay);
+    replayFileInput.hide();
+}
+
+/**
+ * Starts playing back a {@link Replay} from its start, keeping the {@link world} of the game as the
+ * {@link gameWorld}. Keeps playing back the current {@link Replay}, if the level of the {@link Replay} is invalid.
+ *
+ * Closes the level editor and the physics settings, which would change the playback, and resumes the simulation if
+ * it is paused.
+ *
+ * @param replay {Replay}
+ * The {@link Replay} to play back.
+ */
+function startReplay(replay) {
+    let player;
+
+    try {
+        player = new ReplayPlayer(replay);
+        initializeTerrain(replay.level);
+    } catch(error) {
+        replayError = error.message;
+        return;
+    }
+
+    if(replayPlayer === null) {
+        gameWorld = world;
+    }
+
+    replayPlayer = player;
+    replayError = "";
+    simulationPaused = false;
+    showPhysicsSettings = false;
+    editorActive = false;
+    clearEditorSelection();
+    world = replayPlayer.world;
+    initializeFlag();
+}
+
+/**
+ * Stops the playback and returns to the {@link gameWorld} and the level of the hole being played.
+ */
+function stopReplay() {
+    if(replayPlayer === null) {
+        return;
+    }
+
+    replayPlayer = null;
+    world = gameWorld;
+    gameWorld = null;
+
+    initializeTerrain(levelData);
+    initializeFlag();
+    applyPhysicsSettings();
+}
+
+/**
+ * Plays back the {@link SimulationWorld.replay replay} of the last try of the game, if the {@link Ball} has been
+ * launched during it.
+ */
+function replayLastTry() {
+    let lastReplay = (replayPlayer === null ? world : gameWorld).replay;
+
+    if(lastReplay !== null && lastReplay.getStepCount() > 0) {
+        startReplay(new Replay(JSON.parse(JSON.stringify(lastReplay))));
+    }
+}
+
+/**
+ * Plays the {@link Replay} back up to the time chosen through the {@link replaySlider}.
+ *
+ * @see ReplayPlayer.seek
+ */
+function scrubReplay() {
+    replayPlayer.seek(Math.round(replaySlider.indicatorValue * replayPlayer.replay.getStepCount()));
+    world = replayPlayer.world;
+    physicsAccumulator = 0;
+}
+
+/**
+ * Saves the {@link Replay} being played back as a replay file.
+ */
+function exportReplay() {
+    saveJSON(replayPlayer.replay, 'replay.json');
+}
+
+/**
+ * Lets the user choose a replay file to play back through the {@link replayFileInput}.
+ *
+ * @see loadImportedReplay
+ */
+function importReplay() {
+    replayFileInput.elt.click();
+}
+
+/**
+ * Plays back the {@link Replay} stored in an imported replay file.
+ * Sets the {@link replayError} if the file does not contain a valid {@link Replay}.
+ *
+ * @param file {p5.File}
+ * The replay file chosen through the {@link replayFileInput}.
+ */
+function loadImportedReplay(file) {
+    try {
+        let data = typeof file.data === 'string' ? JSON.parse(file.data) : file.data;
+        startReplay(new Replay(data));
+    } catch(error) {
+        replayError = "The file " + file.name + " is not a replay file: " + error.message;
+    }
+
+    replayFileInput.elt.value = "";
+}
+
+/**
+ * Updates the positions and texts of the playback controls and lets the {@link replaySlider} follow the playback,
+ * while it is not being dragged.
+ */
+function updateReplayControls() {
+    if(replayPlayer === null) {
+        return;
+    }
+
+    replayControlButtons.forEach((button) => {
+        button.setY(getTopBorderY() - 1.55);
+    });
+
+    let stepCount = replayPlayer.replay.getStepCount();
+
+    if(!replaySlider.pressed) {
+        replaySlider.indicatorValue = stepCount === 0 ? 0 : replayPlayer.stepIndex / stepCount;
+    }
+
+    replaySlider.setY(getTopBorderY() - 1.3);
+    let duration = replayPlayer.replay.getTime(stepCount);
+    replaySlider.text = "Replay: " + replayPlayer.getTime().toFixed(2) + "s / " + duration.toFixed(2) + "s";
+
+    if(mouseIsPressed) {
+        replayControlButtons.forEach((button) => {
+            button.update();
+        });
+
+        replaySlider.update();
+    }
+}
+
+/**
+ * Draws the playback controls while a {@link Replay} is being played back and the {@link replayError},
+ * if the last replay file was invalid.
+ */
+function drawReplayControls() {
+    if(replayPlayer === null) {
+        if(replayError !== "") {
+            textAlign(CENTER, TOP);
+            drawString(replayError, CANVAS_C_W / 2, getTopBorderY() - 1.3, CL_RD, 0.12);
+        }
+
+        return;
+    }
+
+    replaySlider.draw();
+
+    replayControlButtons.forEach((button) => {
+        button.draw();
+    });
+}
+
+/**
+ * Calls the press methods of the playback controls, while a {@link Replay} is being played back.
+ */
+function pressReplayControls() {
+    if(replayPlayer === null) {
+        return;
+    }
+
+    replaySlider.mousePressed();
+
+    replayControlButtons.forEach((button) => {
+        button.mousePressed();
+    });
+}
+
+/**
+ * Calls the release methods of the playback controls, while a {@link Replay} is being played back.
+ */
+function releaseReplayControls() {
+    if(replayPlayer === null) {
+        return;
+    }
+
+    replaySlider.mouseReleased();
+
+    replayControlButtons.forEach((button) => {
+        button.mouseReleased();
+    });
+}
\ No newline at end of file
@@ -0,0 +1,67 @@
+/**
+ * Provides a function for drawing the scorecard of the {@link course}, which is shown once every hole has been
+ * finished.
+ * @author Tizian Kirchner
+ */
+
+/**
+ * How many meters wide the scorecard is.
+ * @type {number}
+ */
+const SCORECARD_W = 4;
+
+/**
+ * How many meters of space the scorecard uses for each row of text.
+ * @type {number}
+ */
+const SCORECARD_ROW_H = 0.22;
+
+/**
+ * Draws the scorecard of the {@link course} in the center of the canvas.
+ *
+ * Lists the par, strokes and score of every finished hole, followed by the totals and
+ * how many holes have been finished with a birdie, par or bogey.
+ *
+ * @see Course.getScoreCounts
+ */
+function drawScorecard() {
+    let rowCount = course.scores.length + 7;
+    let x = CANVAS_C_W / 2 - SCORECARD_W / 2;
+    let y = (getTopBorderY() + getBottomBorderY()) / 2 + rowCount * SCORECARD_ROW_H / 2;
+    let columns = [x + 0.2, x + 1.2, x + 2, x + 2.8];
+
+    stroke(fgCl);
+    strokeWeight(0.02 * canvasScale);
+    new Rectangle(x, y, SCORECARD_W, rowCount * SCORECARD_ROW_H, bgCl).draw();
+    strokeWeight(0);
+
+    textAlign(CENTER, TOP);
+    drawString("Scorecard", x + SCORECARD_W / 2, y - 0.1, fgCl, 0.2);
+
+    let rows = [["Hole", "Par", "Strokes", "Score"]];
+
+    course.scores.forEach((strokes, i) => {
+        let par = course.getPar(i);
+        rows.push([i + 1, par, strokes, getScoreName(strokes, par)]);
+    });
+
+    let totalStrokes = course.getTotalStrokes();
+    let totalPar = course.getTotalPar();
+    let difference = totalStrokes - totalPar;
+    rows.push(["Total", totalPar, totalStrokes, (difference > 0 ? "+" : "") + difference]);
+
+    textAlign(LEFT, TOP);
+
+    rows.forEach((row, i) => {
+        row.forEach((cell, j) => {
+            drawString("" + cell, columns[j], y - 0.45 - i * SCORECARD_ROW_H, fgCl, 0.12);
+        });
+    });
+
+    let counts = course.getScoreCounts();
+    let summary = (
+        "Birdies: " + counts.birdies + "   Pars: " + counts.pars + "   Bogeys: " + counts.bogeys +
+        "\nPress RESET to play the course again."
+    );
+    drawString(summary, columns[0], y - 0.55 - rows.length * SCORECARD_ROW_H, fgCl, 0.12);
+}
\ No newline at end of file
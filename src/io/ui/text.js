@@ -28,22 +28,28 @@ let fpsRefreshTimer = 0;
 
 /**
  * @returns {string}
- * A string containing information about the current {@link fps}, wind speed and {@link tries}.
- * Adds the {@link ball}'s velocity and position to the string when {@link DEBUG} mode is activated.
+ * A string containing information about the current {@link fps}, wind speed at the {@link Ball}, hole, strokes,
+ * {@link SimulationWorld.integrator integrator}, simulated time and {@link timeScale time scale}.
+ * Adds the {@link Ball}'s velocity and position to the string when {@link DEBUG} mode is activated.
  *
- * @see windVelocity
- * @see successfulTries
+ * @see SimulationWorld.getWindVelocityAt
+ * @see SimulationWorld.getStrokes
+ * @see SimulationWorld.time
  */
 function getInfoText() {
     let infoText = (
         "FPS: " + fps +
-        "\nWind Speed: " + abs(windVelocity.x).toFixed(2) + "㎧" +
-        "\nSuccessful Tries: " + successfulTries + "/" + tries
+        "\nWind Speed: " + world.getWindVelocityAt(world.ball.body.position).mag().toFixed(2) + "㎧" +
+        "\nHole: " + (course.holeIndex + 1) + "/" + course.holes.length +
+        " (Par " + course.getPar(course.holeIndex) + ")" +
+        "\nStrokes: " + world.getStrokes() +
+        "\nIntegrator: " + world.integrator.name +
+        "\nTime: " + world.time.toFixed(2) + "s (" + (simulationPaused ? "Paused" : timeScale.toFixed(2) + "x") + ")"
     );
 
     if(DEBUG) infoText += (
-        "\nBall Speed: " + vectorToFixedString(ball.velocity) + "㎧" +
-        "\nBall Position: " + vectorToFixedString(ball.body.position)
+        "\nBall Speed: " + vectorToFixedString(world.ball.velocity) + "㎧" +
+        "\nBall Position: " + vectorToFixedString(world.ball.body.position)
     );
 
     return infoText;
@@ -138,7 +144,7 @@ function vectorToShortString(vector) {
 }
 
 /**
- * @param vector {p5.Vector}
+ * @param vector {Vector}
  * The {@link Vector} to convert to a string.
  *
  * @returns {string}
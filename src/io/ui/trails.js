@@ -0,0 +1,66 @@
+/**
+ * Provides functions for drawing the {@link Trail}s recorded by the {@link world} and the ghost ball replaying its
+ * {@link SimulationWorld.bestTrail best trail}.
+ *
+ * @author Tizian Kirchner
+ */
+
+/**
+ * Draws the {@link Trail} of the current shot of the {@link world}, as many of its finished trails as chosen through
+ * {@link keptTrailCount}, and the ghost of its {@link SimulationWorld.bestTrail best trail} if {@link showGhost} is
+ * true.
+ *
+ * Older trails are drawn more transparent. The ghost ball follows the best shot as far into the shot as the current
+ * shot has come.
+ */
+function drawTrails() {
+    let trails = world.trails.slice(world.trails.length - keptTrailCount);
+
+    trails.forEach((trail, i) => {
+        drawTrail(trail, fgCl, 0.4 * (i + 1) / (trails.length + 1));
+    });
+
+    drawTrail(world.trail, world.ball.body.color, 0.8);
+
+    if(!showGhost || world.bestTrail === null || world.trail.points.length === 0) {
+        return;
+    }
+
+    let ghost = world.bestTrail.getStateAt(world.trail.time);
+    let ghostColor = color(world.bestTrail.success ? CL_YLW : fgCl);
+    ghostColor.setAlpha(110);
+
+    let ghostCircle = new Circle(ghost.position, world.ball.body.diameter, ghostColor);
+    ghostCircle.draw();
+    ghostCircle.drawRotationMarker(ghost.angle, bgCl);
+}
+
+/**
+ * Draws a {@link Trail} as a line, which fades out towards the start of the shot.
+ *
+ * @param trail {Trail}
+ * The {@link Trail} to draw.
+ *
+ * @param trailColor {string}
+ * The color of the newest part of the line in HTML notation.
+ *
+ * @param opacity {number}
+ * How opaque the newest part of the line is, between 0 and 1.
+ */
+function drawTrail(trail, trailColor, opacity) {
+    let points = trail.points;
+    let lineColor = color(trailColor);
+    strokeWeight(canvasScale * 0.02);
+
+    for(let i = 1; i < points.length; i++) {
+        lineColor.setAlpha(255 * opacity * i / (points.length - 1));
+        stroke(lineColor);
+
+        line(
+            transformCxToPx(points[i - 1].x), transformCyToPy(points[i - 1].y),
+            transformCxToPx(points[i].x), transformCyToPy(points[i].y)
+        );
+    }
+
+    strokeWeight(0);
+}
\ No newline at end of file
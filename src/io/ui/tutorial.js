@@ -5,7 +5,7 @@
 
 /**
  * While the {@link tutorial} is in this state,
- * the user is instructed on how to launch the {@link ball} off the {@link catapult}.
+ * the user is instructed on how to launch the {@link ball} off the {@link Level.catapult catapult}.
  *
  * @type {number}
  */
@@ -21,7 +21,8 @@ const TUTORIAL_WAIT_BUTTON = 1;
 
 /**
  * While the {@link tutorial} is in this state,
- * the user is instructed on how to use the {@link newButton} and {@link resetButton} buttons.
+ * the user is instructed on how to shoot the resting {@link ball} and how to use the {@link newButton} and
+ * {@link resetButton} buttons.
  *
  * @type {number}
  */
@@ -52,15 +53,6 @@ const TUTORIAL_END = 4;
  */
 let tutorial = TUTORIAL_START;
 
-/**
- * How many seconds the {@link ball}'s velocity has been below 0.05 m/s.
- *
- * Only updated during the {@link TUTORIAL_WAIT_BUTTON} state.
- *
- * @type {number}
- */
-let ballLowSpeedTime = 0;
-
 /**
  * Draws various text and animated arrows for the simulation's tutorial.
  *
@@ -74,60 +66,61 @@ function updateTutorial(delta) {
     switch (tutorial) {
         case TUTORIAL_START:
             textAlign(LEFT, TOP);
-            let x = catapultPosition.x - catapultW / 2 + 0.02;
-            let y = catapultPosition.y + 0.7;
+            let x = level.catapultPosition.x - level.catapultWidth / 2 + 0.02;
+            let y = level.catapultPosition.y + 0.7;
             drawAnimatedArrow(x, y, fgCl, 0.35, DIR_BTM);
 
-            x = (lftGround.x + lftGround.w + rgtGround.x) / 2 - 0.07;
-            drawAnimatedArrow(x, 0.7, fgCl, 0.35, DIR_BTM);
+            x = (level.hole.getLeftX() + level.hole.getRightX()) / 2 - 0.07;
+            drawAnimatedArrow(x, level.hole.getTopY() + 0.7, fgCl, 0.35, DIR_BTM);
 
             let str = "Pull the ball towards the bottom right and try to launch it into the hole to the left.";
-            x = catapultPosition.x - catapultW / 2 - 0.75;
-            y = catapultPosition.y + 1.2;
+            x = level.catapultPosition.x - level.catapultWidth / 2 - 0.75;
+            y = level.catapultPosition.y + 1.2;
             textAlign(LEFT, TOP);
             drawString(str, x, y, fgCl, 0.10, 1.5, 1);
 
-            if(state === STATE_SPRING_RELEASE) {
+            if(world.state === STATE_SPRING_RELEASE) {
                 tutorial = TUTORIAL_WAIT_BUTTON;
             }
             break;
         case TUTORIAL_WAIT_BUTTON:
-            if(state === STATE_THROW) {
-                if(ballLowSpeedTime >= 1) {
-                    tutorial = TUTORIAL_BUTTON;
-                }else if(ball.velocity.mag() < 0.05) {
-                    ballLowSpeedTime += delta;
-                }else {
-                    ballLowSpeedTime = 0;
-                }
+            if(world.state === STATE_AIM) {
+                tutorial = TUTORIAL_BUTTON;
             }
 
-            if(state === STATE_SPRING_ATTACHED) {
+            if(world.state === STATE_SPRING_ATTACHED) {
                 tutorial = TUTORIAL_WIND;
             }
             break;
-        case TUTORIAL_BUTTON:
+        case TUTORIAL_BUTTON: {
             textAlign(LEFT, TOP);
+            let ballPosition = world.ball.body.position;
+            drawString(
+                "The ball came to rest. Pull it away from where you want to shoot it and let go " +
+                "to play your next stroke from here.",
+                ballPosition.x - 0.75, ballPosition.y + 0.7, fgCl, 0.10, 1.5, 1
+            );
+
             drawAnimatedArrow(newButton.x + newButton.w / 2, newButton.y - 0.7, fgCl, 0.35, DIR_TP);
             drawString(
-                "Pressing the NEW TRY button will start a new try " +
-                "without resetting your number of tries and successful tries. " +
-                "It will randomize the wind if you landed the ball in the hole.",
+                "Pressing the NEW TRY button will return the ball to the catapult. " +
+                "The strokes you played on this hole are kept.",
                 newButton.x, newButton.y - 1.4, fgCl, 0.10, newButton.w, 2
             );
 
             drawAnimatedArrow(resetButton.x + resetButton.w / 2, resetButton.y - 0.7, fgCl, 0.35, DIR_TP);
             drawString(
-                "Pressing the RESET button will start a new try " +
-                "with resetting your number of tries and successful tries. " +
+                "Pressing the RESET button will restart the course " +
+                "and delete your strokes of all holes. " +
                 "It will always randomize the wind.",
                 resetButton.x, resetButton.y - 1.4, fgCl, 0.10, resetButton.w, 2
             );
 
-            if(state === STATE_SPRING_ATTACHED) {
+            if(world.state === STATE_SPRING_ATTACHED || world.state === STATE_THROW) {
                 tutorial = TUTORIAL_WIND;
             }
             break;
+        }
         case TUTORIAL_WIND:
             textAlign(LEFT, TOP);
             drawAnimatedArrow(flagpole.x - 0.07, flagpole.y + 0.7, fgCl, 0.35, DIR_BTM);
@@ -138,7 +131,7 @@ function updateTutorial(delta) {
                 flagpole.x - 1, flagpole.y + 1.4, fgCl, 0.10, 2, 1
             );
 
-            if(state === STATE_SPRING_RELEASE) {
+            if(world.state === STATE_SPRING_RELEASE || world.ballHeld) {
                 tutorial = TUTORIAL_END;
             }
             break;
@@ -23,12 +23,96 @@ let resetButton;
  */
 let physicsSettingsButton;
 
+/**
+ * Calls the {@link toggleEditor} function.
+ * @type {Button}
+ */
+let editorButton;
+
+/**
+ * Calls the {@link toggleTelemetry} function.
+ * @type {Button}
+ */
+let telemetryButton;
+
+/**
+ * Calls the {@link cyclePredictionDifficulty} function.
+ * @type {Button}
+ */
+let predictionButton;
+
+/**
+ * Calls the {@link cycleKeptTrails} function.
+ * @type {Button}
+ */
+let trailsButton;
+
+/**
+ * Calls the {@link toggleGhost} function.
+ * @type {Button}
+ */
+let ghostButton;
+
+/**
+ * Calls the {@link replayLastTry} function.
+ * @type {Button}
+ */
+let replayButton;
+
+/**
+ * Calls the {@link importReplay} function.
+ * @type {Button}
+ */
+let importReplayButton;
+
+/**
+ * Calls the {@link togglePause} function.
+ * @type {Button}
+ */
+let pauseButton;
+
+/**
+ * Calls the {@link stepPhysics} function.
+ * @type {Button}
+ */
+let stepButton;
+
+/**
+ * Changes the {@link timeScale} by calling the {@link updateTimeScale} function.
+ * @type {Slider}
+ */
+let timeScaleSlider;
+
+/**
+ * Shows the {@link gameSeed} and calls the {@link enterSeed} function.
+ * @type {Button}
+ */
+let seedButton;
+
 /**
  * Calls the {@link resetPhysicsSettings} function.
  * @type {Button}
  */
 let defaultSettingsButton;
 
+/**
+ * Calls the {@link toggleDragModel} function.
+ * @type {Button}
+ */
+let dragModelButton;
+
+/**
+ * Calls the {@link cycleIntegrator} function.
+ * @type {Button}
+ */
+let integratorButton;
+
+/**
+ * Calls the {@link cycleWindMode} function.
+ * @type {Button}
+ */
+let windModeButton;
+
 /**
  * Stores references to all {@link Button}s which are always visible.
  * @type [Button]
@@ -67,6 +151,109 @@ let massSlider;
  */
 let rollResistanceSlider;
 
+/**
+ * Calls the {@link updateLaunchSpin} function.
+ * @type {Slider}
+ */
+let launchSpinSlider;
+
+/**
+ * Calls the {@link updateLiftCoefficient} function.
+ * @type {Slider}
+ */
+let liftSlider;
+
+/**
+ * Calls the {@link updateAirViscosity} function.
+ * @type {Slider}
+ */
+let airViscositySlider;
+
+/**
+ * Calls the {@link updateFixedWind} function.
+ * @type {Slider}
+ */
+let windSpeedSlider;
+
+/**
+ * Calls the {@link updateFixedWind} function.
+ * @type {Slider}
+ */
+let windDirectionSlider;
+
+/**
+ * Calls the {@link updateWindRange} function.
+ * @type {Slider}
+ */
+let minWindSlider;
+
+/**
+ * Calls the {@link updateWindRange} function.
+ * @type {Slider}
+ */
+let maxWindSlider;
+
+/**
+ * Calls the {@link updateSpringStiffness} function.
+ * @type {Slider}
+ */
+let springStiffnessSlider;
+
+/**
+ * Calls the {@link updateSpringDamping} function.
+ * @type {Slider}
+ */
+let springDampingSlider;
+
+/**
+ * Calls the {@link updateSpringRelaxedLength} function.
+ * @type {Slider}
+ */
+let springRelaxedLengthSlider;
+
+/**
+ * Calls the {@link updateSpringMaxLength} function.
+ * @type {Slider}
+ */
+let springMaxLengthSlider;
+
+/**
+ * Calls the {@link updateClubMass} function.
+ * @type {Slider}
+ */
+let clubMassSlider;
+
+/**
+ * Calls the {@link updateClubLoft} function.
+ * @type {Slider}
+ */
+let clubLoftSlider;
+
+/**
+ * Calls the {@link cycleSettingsSliders} function.
+ * @type {Button}
+ */
+let settingsSlidersButton;
+
+/**
+ * Calls the {@link cycleLauncherType} function.
+ * @type {Button}
+ */
+let launcherButton;
+
+/**
+ * Calls the {@link toggleWindParticles} function.
+ * @type {Button}
+ */
+let windParticlesButton;
+
+/**
+ * Stores references to all {@link Button}s related to the physics settings.
+ *
+ * @type [Button]
+ */
+let physicsSettingsButtons;
+
 /**
  * Stores references to all {@link Slider}s related to the physics settings.
  *
@@ -74,6 +261,38 @@ let rollResistanceSlider;
  */
 let physicsSettingsSliders;
 
+/**
+ * Stores references to the {@link Slider}s of the physics settings related to the wind, which share their place with
+ * the {@link springSettingsSliders} and the {@link clubSettingsSliders}.
+ *
+ * @type [Slider]
+ */
+let windSettingsSliders;
+
+/**
+ * Stores references to the {@link Slider}s of the physics settings related to the spring, which share their place
+ * with the {@link windSettingsSliders} and the {@link clubSettingsSliders}.
+ *
+ * @type [Slider]
+ */
+let springSettingsSliders;
+
+/**
+ * Stores references to the {@link Slider}s of the physics settings related to the golf club, which share their place
+ * with the {@link windSettingsSliders} and the {@link springSettingsSliders}.
+ *
+ * @type [Slider]
+ */
+let clubSettingsSliders;
+
+/**
+ * Stores the {@link windSettingsSliders}, the {@link springSettingsSliders} and the {@link clubSettingsSliders},
+ * accessible through the names shown on the {@link settingsSlidersButton}.
+ *
+ * @type {Object.<string, Slider[]>}
+ */
+let settingsSliderSets;
+
 /**
  * Determines if the {@link physicsSettingsSliders} are shown.
  *
@@ -81,6 +300,46 @@ let physicsSettingsSliders;
  */
 let showPhysicsSettings = false;
 
+/**
+ * The name of the set in the {@link settingsSliderSets}, whose {@link Slider}s are shown instead of the other sets,
+ * while the physics settings are shown.
+ *
+ * @type {string}
+ */
+let shownSettingsSliders = "WIND";
+
+/**
+ * Determines if the plots of the {@link Telemetry} are shown.
+ *
+ * @type {boolean}
+ * @see drawTelemetry
+ */
+let showTelemetry = false;
+
+/**
+ * How many trails of finished shots are kept on the screen. One of the {@link KEPT_TRAIL_COUNTS}.
+ *
+ * @type {number}
+ * @see drawTrails
+ */
+let keptTrailCount = KEPT_TRAIL_COUNTS[0];
+
+/**
+ * Determines if the ghost ball replaying the best shot is shown.
+ *
+ * @type {boolean}
+ * @see drawTrails
+ */
+let showGhost = false;
+
+/**
+ * Determines if the particles drifting with the wind are shown.
+ *
+ * @type {boolean}
+ * @see drawWindParticles
+ */
+let showWindParticles = false;
+
 /**
  * Initializes all the UI's {@link Button}s and {@link Slider}s.
  */
@@ -95,6 +354,19 @@ function initializeUi() {
     x = CANVAS_C_W / 2 + 0.75;
     resetButton = new Button(x, y, w, h, "RESET", 0.05, CL_RD, CL_DRK_RD, resetGame);
 
+    x = CANVAS_C_W / 2 - 0.65;
+    y = getTopBorderY() - 0.62;
+    w = 0.6;
+    h = 0.17;
+    pauseButton = new Button(x, y, w, h, "PAUSE", 0.02, CL_BLU, CL_DRK_BLU, togglePause);
+
+    x = CANVAS_C_W / 2 + 0.05;
+    stepButton = new Button(x, y, w, h, "STEP", 0.02, CL_BLU, CL_DRK_BLU, stepPhysics);
+
+    x = CANVAS_C_W / 2 - 0.5;
+    y = getTopBorderY() - 0.97;
+    timeScaleSlider = new Slider(x, y, 1, 0.1, "", 1, CL_BLU, 0.02, updateTimeScale);
+
     x = getRightBorderX() - 2;
     y = getTopBorderY() - 0.2;
     w = 1.25;
@@ -102,13 +374,76 @@ function initializeUi() {
     let text = "PHYSICS SETTINGS";
     physicsSettingsButton = new Button(x, y, w, h, text, 0.02, CL_BLU, CL_DRK_BLU, togglePhysicsSettings);
 
-    alwaysVisibleButtons = [newButton, resetButton, physicsSettingsButton];
+    x = getLeftBorderX() + 0.3;
+    y = getTopBorderY() - 1.2;
+    editorButton = new Button(x, y, w, h, "LEVEL EDITOR", 0.02, CL_BLU, CL_DRK_BLU, toggleEditor);
+
+    y = getTopBorderY() - 1.45;
+    telemetryButton = new Button(x, y, w, h, "TELEMETRY", 0.02, CL_BLU, CL_DRK_BLU, toggleTelemetry);
+
+    y = getTopBorderY() - 1.7;
+    text = "PREVIEW: " + PREDICTION_DIFFICULTIES[selectedPredictionDifficulty].name;
+    predictionButton = new Button(x, y, w, h, text, 0.02, CL_BLU, CL_DRK_BLU, cyclePredictionDifficulty);
+
+    y = getTopBorderY() - 1.95;
+    trailsButton = new Button(x, y, w, h, "TRAILS: " + keptTrailCount, 0.02, CL_BLU, CL_DRK_BLU, cycleKeptTrails);
+
+    y = getTopBorderY() - 2.2;
+    ghostButton = new Button(x, y, w, h, "GHOST: OFF", 0.02, CL_BLU, CL_DRK_BLU, toggleGhost);
+
+    y = getTopBorderY() - 2.45;
+    replayButton = new Button(x, y, w, h, "REPLAY LAST TRY", 0.02, CL_BLU, CL_DRK_BLU, replayLastTry);
+
+    y = getTopBorderY() - 2.7;
+    importReplayButton = new Button(x, y, w, h, "IMPORT REPLAY", 0.02, CL_BLU, CL_DRK_BLU, importReplay);
+
+    y = getTopBorderY() - 2.95;
+    seedButton = new Button(x, y, w, h, "SEED: " + gameSeed, 0.02, CL_BLU, CL_DRK_BLU, enterSeed);
+
+    alwaysVisibleButtons = [
+        newButton, resetButton, pauseButton, stepButton, physicsSettingsButton, editorButton, telemetryButton,
+        predictionButton, trailsButton, ghostButton, replayButton, importReplayButton, seedButton
+    ];
 
     // default physics settings button
-    y = getTopBorderY() - 2.1;
+    x = getRightBorderX() - 2.5;
+    y = getTopBorderY() - 3.55;
+    w = 1.2;
     text = "DEFAULT SETTINGS";
     defaultSettingsButton = new Button(x, y, w, h, text, 0.02, CL_BLU, CL_DRK_BLU, resetPhysicsSettings);
 
+    // drag model button
+    y = getTopBorderY() - 3.85;
+    dragModelButton = new Button(x, y, w, h, "", 0.02, CL_BLU, CL_DRK_BLU, toggleDragModel);
+
+    // wind particles button
+    y = getTopBorderY() - 4.15;
+    windParticlesButton = new Button(x, y, w, h, "", 0.02, CL_BLU, CL_DRK_BLU, toggleWindParticles);
+
+    // wind mode button
+    x = getRightBorderX() - 1.25;
+    y = getTopBorderY() - 3.55;
+    windModeButton = new Button(x, y, w, h, "", 0.02, CL_BLU, CL_DRK_BLU, cycleWindMode);
+
+    // integrator button
+    y = getTopBorderY() - 3.85;
+    text = "NEXT INTEGRATOR";
+    integratorButton = new Button(x, y, w, h, text, 0.02, CL_BLU, CL_DRK_BLU, cycleIntegrator);
+
+    // settings sliders button
+    y = getTopBorderY() - 4.15;
+    settingsSlidersButton = new Button(x, y, w, h, "", 0.02, CL_BLU, CL_DRK_BLU, cycleSettingsSliders);
+
+    // launcher button
+    x = getRightBorderX() - 2.5;
+    y = getTopBorderY() - 4.45;
+    launcherButton = new Button(x, y, w, h, "", 0.02, CL_BLU, CL_DRK_BLU, cycleLauncherType);
+
+    physicsSettingsButtons = [
+        defaultSettingsButton, dragModelButton, windParticlesButton, windModeButton, integratorButton,
+        settingsSlidersButton, launcherButton
+    ];
+
     // physics settings sliders
     gravitySlider = new Slider(
         0, 0, 1, 0.1, "", 1, CL_BLU, 0.02, updateGravity
@@ -131,8 +466,68 @@ function initializeUi() {
     );
     rollResistanceSlider.indicatorValue = 1/6;
 
+    launchSpinSlider = new Slider(
+        0, 0, 1, 0.1, "", 1, CL_BLU, 0.02, updateLaunchSpin
+    );
+
+    liftSlider = new Slider(
+        0, 0, 1, 0.1, "", 1, CL_BLU, 0.02, updateLiftCoefficient
+    );
+
+    airViscositySlider = new Slider(
+        0, 0, 1, 0.1, "", 1, CL_BLU, 0.02, updateAirViscosity
+    );
+
+    windSpeedSlider = new Slider(
+        0, 0, 1, 0.1, "", 1, CL_BLU, 0.02, updateFixedWind
+    );
+
+    windDirectionSlider = new Slider(
+        0, 0, 1, 0.1, "", 1, CL_BLU, 0.02, updateFixedWind
+    );
+
+    minWindSlider = new Slider(
+        0, 0, 1, 0.1, "", 1, CL_BLU, 0.02, updateWindRange
+    );
+
+    maxWindSlider = new Slider(
+        0, 0, 1, 0.1, "", 1, CL_BLU, 0.02, updateWindRange
+    );
+
+    springStiffnessSlider = new Slider(
+        0, 0, 1, 0.1, "", 1, CL_BLU, 0.02, updateSpringStiffness
+    );
+
+    springDampingSlider = new Slider(
+        0, 0, 1, 0.1, "", 1, CL_BLU, 0.02, updateSpringDamping
+    );
+
+    springRelaxedLengthSlider = new Slider(
+        0, 0, 1, 0.1, "", 1, CL_BLU, 0.02, updateSpringRelaxedLength
+    );
+
+    springMaxLengthSlider = new Slider(
+        0, 0, 1, 0.1, "", 1, CL_BLU, 0.02, updateSpringMaxLength
+    );
+
+    clubMassSlider = new Slider(
+        0, 0, 1, 0.1, "", 1, CL_BLU, 0.02, updateClubMass
+    );
+
+    clubLoftSlider = new Slider(
+        0, 0, 1, 0.1, "", 1, CL_BLU, 0.02, updateClubLoft
+    );
+
+    windSettingsSliders = [windSpeedSlider, windDirectionSlider, minWindSlider, maxWindSlider];
+    springSettingsSliders = [
+        springStiffnessSlider, springDampingSlider, springRelaxedLengthSlider, springMaxLengthSlider
+    ];
+    clubSettingsSliders = [clubMassSlider, clubLoftSlider];
+    settingsSliderSets = {WIND: windSettingsSliders, SPRING: springSettingsSliders, CLUB: clubSettingsSliders};
+
     physicsSettingsSliders = [
-        gravitySlider, airDensitySlider, diameterSlider, massSlider, rollResistanceSlider
+        gravitySlider, airDensitySlider, diameterSlider, massSlider, rollResistanceSlider, launchSpinSlider,
+        liftSlider, airViscositySlider, ...windSettingsSliders, ...springSettingsSliders, ...clubSettingsSliders
     ];
 }
 
@@ -150,7 +545,26 @@ function updateUi(delta) {
 
     newButton.setY(getTopBorderY() - 0.7);
     resetButton.setY(getTopBorderY() - 0.7);
+    pauseButton.setY(getTopBorderY() - 0.62);
+    pauseButton.text = simulationPaused ? "RESUME" : "PAUSE";
+    stepButton.setY(getTopBorderY() - 0.62);
+    timeScaleSlider.setY(getTopBorderY() - 0.97);
+    timeScaleSlider.text = "Time Scale: " + timeScale.toFixed(2) + "x";
     physicsSettingsButton.setY(getTopBorderY() - 0.2);
+    editorButton.setY(getTopBorderY() - 1.2);
+    telemetryButton.setY(getTopBorderY() - 1.45);
+    predictionButton.setY(getTopBorderY() - 1.7);
+    predictionButton.text = "PREVIEW: " + PREDICTION_DIFFICULTIES[selectedPredictionDifficulty].name;
+    trailsButton.setY(getTopBorderY() - 1.95);
+    trailsButton.text = "TRAILS: " + keptTrailCount;
+    ghostButton.setY(getTopBorderY() - 2.2);
+    ghostButton.text = showGhost ? "GHOST: ON" : "GHOST: OFF";
+    replayButton.setY(getTopBorderY() - 2.45);
+    importReplayButton.setY(getTopBorderY() - 2.7);
+    seedButton.setY(getTopBorderY() - 2.95);
+    seedButton.text = "SEED: " + gameSeed;
+    updateEditor();
+    updateReplayControls();
 
     if(showPhysicsSettings) {
         gravitySlider.setX(getRightBorderX() - 2.5);
@@ -159,22 +573,106 @@ function updateUi(delta) {
 
         airDensitySlider.setX(getRightBorderX() - 2.5);
         airDensitySlider.setY(getTopBorderY() - 1.25);
-        airDensitySlider.text = "Air Density: " + airDensity.toFixed(2) + "kg/m³";
+        airDensitySlider.text = "Air Density: " + world.airDensity.toFixed(2) + "kg/m³";
 
         diameterSlider.setX(getRightBorderX() - 1.25);
         diameterSlider.setY(getTopBorderY() - 0.75);
-        diameterSlider.text = "Ball Diameter: " + ball.body.diameter.toFixed(2) + "m";
+        diameterSlider.text = "Ball Diameter: " + world.ball.body.diameter.toFixed(2) + "m";
 
         massSlider.setX(getRightBorderX() - 1.25);
         massSlider.setY(getTopBorderY() - 1.25);
-        massSlider.text = "Ball Mass: " + ball.mass.toFixed(2) + "kg";
+        massSlider.text = "Ball Mass: " + world.ball.mass.toFixed(2) + "kg";
 
         rollResistanceSlider.setX(getRightBorderX() - 1.25);
         rollResistanceSlider.setY(getTopBorderY() - 1.75);
         let str = "Ball Rolling Resistance\nCoefficient: ";
-        rollResistanceSlider.text = str + ball.rollResistanceCoefficient.toFixed(4);
+        rollResistanceSlider.text = str + world.ball.rollResistanceCoefficient.toFixed(4);
+
+        launchSpinSlider.setX(getRightBorderX() - 2.5);
+        launchSpinSlider.setY(getTopBorderY() - 1.75);
+        let spin = world.launchSpin === 0 ? "No Spin" : world.launchSpin > 0 ? "Topspin" : "Backspin";
+        launchSpinSlider.text = "Launch Spin: " + Math.abs(world.launchSpin).toFixed(0) + "rad/s\n" + spin;
+
+        liftSlider.setX(getRightBorderX() - 1.25);
+        liftSlider.setY(getTopBorderY() - 2.25);
+        liftSlider.text = "Magnus Lift Coefficient: " + world.ball.liftCoefficient.toFixed(2);
+
+        airViscositySlider.setX(getRightBorderX() - 2.5);
+        airViscositySlider.setY(getTopBorderY() - 2.25);
+        airViscositySlider.text = "Air Viscosity: " + world.airViscosity.toExponential(1) + "Pa·s";
+
+        windSpeedSlider.setX(getRightBorderX() - 2.5);
+        windSpeedSlider.setY(getTopBorderY() - 2.75);
+        windSpeedSlider.text = "Fixed Wind Speed: " + selectedFixedWindVelocity.mag().toFixed(2) + "m/s";
 
-        defaultSettingsButton.setY(getTopBorderY() - 2.1);
+        windDirectionSlider.setX(getRightBorderX() - 1.25);
+        windDirectionSlider.setY(getTopBorderY() - 2.75);
+        let direction = (windDirectionSlider.indicatorValue - 0.5) * 360;
+        windDirectionSlider.text = "Fixed Wind Direction: " + direction.toFixed(0) + "°";
+
+        // the range sliders show the range of the world, which is the range of the level until they are dragged
+        if(!minWindSlider.pressed) {
+            minWindSlider.indicatorValue = getWindRangeIndicatorValue(world.minWindVelocity);
+        }
+
+        if(!maxWindSlider.pressed) {
+            maxWindSlider.indicatorValue = getWindRangeIndicatorValue(world.maxWindVelocity);
+        }
+
+        minWindSlider.setX(getRightBorderX() - 2.5);
+        minWindSlider.setY(getTopBorderY() - 3.25);
+        minWindSlider.text = "Random Wind Min: " + world.minWindVelocity.toFixed(2) + "m/s";
+
+        maxWindSlider.setX(getRightBorderX() - 1.25);
+        maxWindSlider.setY(getTopBorderY() - 3.25);
+        maxWindSlider.text = "Random Wind Max: " + world.maxWindVelocity.toFixed(2) + "m/s";
+
+        springStiffnessSlider.setX(getRightBorderX() - 2.5);
+        springStiffnessSlider.setY(getTopBorderY() - 2.75);
+        springStiffnessSlider.text = "Spring Stiffness: " + world.spring.stiffness.toFixed(2) + "N/m";
+
+        springDampingSlider.setX(getRightBorderX() - 1.25);
+        springDampingSlider.setY(getTopBorderY() - 2.75);
+        springDampingSlider.text = "Spring Damping: " + world.spring.damping.toFixed(2) + "N·s/m";
+
+        springRelaxedLengthSlider.setX(getRightBorderX() - 2.5);
+        springRelaxedLengthSlider.setY(getTopBorderY() - 3.25);
+        springRelaxedLengthSlider.text = "Spring Rest Length: " + world.spring.relaxedLength.toFixed(2) + "m";
+
+        springMaxLengthSlider.setX(getRightBorderX() - 1.25);
+        springMaxLengthSlider.setY(getTopBorderY() - 3.25);
+        springMaxLengthSlider.text = "Spring Max Length: " + world.spring.maxLength.toFixed(2) + "m";
+
+        // the club sliders show the defaults while the world is played with another launcher
+        let club = world.launcher instanceof ClubLauncher ? world.launcher : new ClubLauncher();
+
+        clubMassSlider.setX(getRightBorderX() - 2.5);
+        clubMassSlider.setY(getTopBorderY() - 2.75);
+        clubMassSlider.text = "Club Mass: " + club.mass.toFixed(2) + "kg";
+
+        clubLoftSlider.setX(getRightBorderX() - 1.25);
+        clubLoftSlider.setY(getTopBorderY() - 2.75);
+        clubLoftSlider.text = "Club Loft: " + (club.loft * 180 / Math.PI).toFixed(0) + "°";
+
+        defaultSettingsButton.setY(getTopBorderY() - 3.55);
+
+        dragModelButton.setY(getTopBorderY() - 3.85);
+        dragModelButton.text = world.dragModel === DRAG_MODEL_REYNOLDS ? "DRAG: REYNOLDS" : "DRAG: CONSTANT";
+
+        windParticlesButton.setY(getTopBorderY() - 4.15);
+        windParticlesButton.text = showWindParticles ? "PARTICLES: ON" : "PARTICLES: OFF";
+
+        windModeButton.setY(getTopBorderY() - 3.55);
+        windModeButton.text = "WIND: " + WIND_MODE_NAMES[selectedWindMode];
+
+        integratorButton.setY(getTopBorderY() - 3.85);
+
+        settingsSlidersButton.setY(getTopBorderY() - 4.15);
+        settingsSlidersButton.text = "SLIDERS: " + shownSettingsSliders;
+
+        launcherButton.setY(getTopBorderY() - 4.45);
+        let launcherName = selectedLauncherType === null ? "LEVEL" : LAUNCHER_TYPES[selectedLauncherType].name;
+        launcherButton.text = "LAUNCHER: " + launcherName;
     }
 
     if(mouseIsPressed) {
@@ -182,33 +680,151 @@ function updateUi(delta) {
             button.update();
         });
 
+        timeScaleSlider.update();
+
         if(showPhysicsSettings) {
             physicsSettingsSliders.forEach((slider) => {
                 slider.update();
             })
 
-            defaultSettingsButton.update();
+            physicsSettingsButtons.forEach((button) => {
+                button.update();
+            });
         }
     }
 }
 
 /**
  * Toggles the visibility of the physics settings by toggling {@link showPhysicsSettings}.
+ * Stops the playback of a {@link Replay} first.
  */
 function togglePhysicsSettings() {
+    stopReplay();
     showPhysicsSettings = !showPhysicsSettings;
 }
 
+/**
+ * Shows the set following the {@link shownSettingsSliders} in the {@link settingsSliderSets}, starting over after the
+ * last one.
+ */
+function cycleSettingsSliders() {
+    let names = Object.keys(settingsSliderSets);
+    shownSettingsSliders = names[(names.indexOf(shownSettingsSliders) + 1) % names.length];
+}
+
+/**
+ * @returns {Slider[]}
+ * The {@link physicsSettingsSliders}, except for the sets in the {@link settingsSliderSets}, which are not the
+ * {@link shownSettingsSliders}.
+ */
+function getShownPhysicsSettingsSliders() {
+    let hiddenSliders = Object.keys(settingsSliderSets)
+        .filter(name => name !== shownSettingsSliders)
+        .flatMap(name => settingsSliderSets[name]);
+
+    return physicsSettingsSliders.filter(slider => !hiddenSliders.includes(slider));
+}
+
+/**
+ * Toggles the visibility of the telemetry plots by toggling {@link showTelemetry}.
+ */
+function toggleTelemetry() {
+    showTelemetry = !showTelemetry;
+}
+
+/**
+ * Selects the number following the {@link keptTrailCount} in the {@link KEPT_TRAIL_COUNTS}, starting over after the
+ * last one.
+ */
+function cycleKeptTrails() {
+    keptTrailCount = KEPT_TRAIL_COUNTS[(KEPT_TRAIL_COUNTS.indexOf(keptTrailCount) + 1) % KEPT_TRAIL_COUNTS.length];
+}
+
+/**
+ * Toggles the visibility of the ghost ball by toggling {@link showGhost}.
+ */
+function toggleGhost() {
+    showGhost = !showGhost;
+}
+
+/**
+ * Toggles the visibility of the particles drifting with the wind by toggling {@link showWindParticles}.
+ */
+function toggleWindParticles() {
+    showWindParticles = !showWindParticles;
+}
+
+/**
+ * Returns the indicator value of the {@link minWindSlider} or the {@link maxWindSlider} for an end of the range of
+ * the random wind.
+ *
+ * @param windVelocity {number}
+ * The end of the range in m/s.
+ *
+ * @returns {number}
+ * The indicator value, which is 0 at -{@link MAX_SELECTABLE_WIND_VELOCITY} and 1 at
+ * {@link MAX_SELECTABLE_WIND_VELOCITY}.
+ */
+function getWindRangeIndicatorValue(windVelocity) {
+    let indicatorValue = (windVelocity / MAX_SELECTABLE_WIND_VELOCITY + 1) / 2;
+    return Math.min(Math.max(indicatorValue, 0), 1);
+}
+
 /**
  * Sets all physics settings slider's indicators to their default positions.
+ * Selects the random wind within the range of the {@link level} and randomizes the wind, if another wind mode was
+ * selected. Selects the launcher type of the {@link level}.
+ *
  * @see physicsSettingsSliders
  */
 function resetPhysicsSettings() {
+    let windModeChanged = selectedWindMode !== WIND_MODE_RANDOM;
+    selectedWindMode = WIND_MODE_RANDOM;
+    selectedWindRange = null;
+    world.minWindVelocity = level.minWindVelocity;
+    world.maxWindVelocity = level.maxWindVelocity;
+
     gravitySlider.setIndicator(0.5);
     airDensitySlider.setIndicator(0.5);
     diameterSlider.setIndicator(0.5);
     massSlider.setIndicator(0.5);
     rollResistanceSlider.setIndicator(1/6);
+    launchSpinSlider.setIndicator(0.5);
+    liftSlider.setIndicator(0.5);
+    airViscositySlider.setIndicator(0.5);
+    windSpeedSlider.setIndicator(0.5);
+    windDirectionSlider.setIndicator(0.5);
+    springStiffnessSlider.setIndicator(0.5);
+    springDampingSlider.setIndicator(0.5);
+    springRelaxedLengthSlider.setIndicator(0.5);
+    springMaxLengthSlider.setIndicator(0.5);
+    clubMassSlider.setIndicator(0.5);
+    clubLoftSlider.setIndicator(0.5);
+    selectedDragModel = DRAG_MODEL_CONSTANT;
+    updateDragModel();
+    selectedIntegrator = DEFAULT_INTEGRATOR;
+    updateIntegrator();
+    selectedLauncherType = null;
+    updateLauncher();
+
+    if(windModeChanged) {
+        world.randomizeWind();
+    }
+}
+
+/**
+ * Applies the values of all physics settings sliders, the {@link selectedDragModel}, the {@link selectedIntegrator},
+ * the {@link selectedLauncherType} and the selected wind settings to the {@link world}.
+ * @see physicsSettingsSliders
+ */
+function applyPhysicsSettings() {
+    physicsSettingsSliders.forEach((slider) => {
+        slider.func();
+    });
+
+    updateDragModel();
+    updateIntegrator();
+    updateLauncher();
 }
 
 /**
@@ -216,17 +832,22 @@ function resetPhysicsSettings() {
  */
 function drawUi() {
     drawUiText();
+    drawReplayControls();
 
     alwaysVisibleButtons.forEach((button) => {
         button.draw();
     });
 
+    timeScaleSlider.draw();
+
     if(showPhysicsSettings) {
-        physicsSettingsSliders.forEach((slider) => {
+        getShownPhysicsSettingsSliders().forEach((slider) => {
             slider.draw();
         })
 
-        defaultSettingsButton.draw();
+        physicsSettingsButtons.forEach((button) => {
+            button.draw();
+        });
     }
 }
 
@@ -241,12 +862,18 @@ function PressUi() {
         button.mousePressed();
     })
 
+    timeScaleSlider.mousePressed();
+
+    pressReplayControls();
+
     if(showPhysicsSettings) {
-        physicsSettingsSliders.forEach((slider) => {
+        getShownPhysicsSettingsSliders().forEach((slider) => {
             slider.mousePressed();
         })
 
-        defaultSettingsButton.mousePressed();
+        physicsSettingsButtons.forEach((button) => {
+            button.mousePressed();
+        });
     }
 }
 
@@ -261,11 +888,17 @@ function releaseUi() {
         button.mouseReleased();
     })
 
+    timeScaleSlider.mouseReleased();
+
+    releaseReplayControls();
+
     if(showPhysicsSettings) {
         physicsSettingsSliders.forEach((slider) => {
             slider.mouseReleased();
         })
 
-        defaultSettingsButton.mouseReleased();
+        physicsSettingsButtons.forEach((button) => {
+            button.mouseReleased();
+        });
     }
 }
\ No newline at end of file
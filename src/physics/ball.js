@@ -6,6 +6,16 @@
 class Ball {
     /* constructor dependent fields */
 
+    /**
+     * The {@link SimulationWorld} this {@link Ball} is simulated in.
+     *
+     * Provides the terrain this {@link Ball} can collide with and the environment's physics parameters,
+     * such as its gravity, air density and wind velocity.
+     *
+     * @type {SimulationWorld}
+     */
+    world = null;
+
     /**
      * The {@link Circle} which makes up this {@link Ball}'s body.
      *
@@ -15,7 +25,7 @@ class Ball {
 
     /**
      * Higher mass means this {@link Ball} is less affected by the spring and the wind,
-     * but more affected by {@link gravity}.
+     * but more affected by {@link SimulationWorld.gravity gravity}.
      *
      * @type {number}
      */
@@ -29,13 +39,32 @@ class Ball {
     rollResistanceCoefficient = 0;
 
     /**
-     * This {@link Ball}'s drag divided by its mass. This value is used to calculate by how many m/s this ball is
-     * speeded up by the air.
+     * This {@link Ball}'s drag divided by its mass and its {@link getDragCoefficient drag coefficient}.
+     * This value is used to calculate by how many m/s this ball is speeded up by the air.
      *
      * @type {number}
      */
     dm = 0;
 
+    /**
+     * Determines how strongly this {@link Ball} is lifted by the Magnus effect, while it spins through the air.
+     *
+     * The lift coefficient of this {@link Ball} is this value multiplied by the spin ratio, which describes how fast
+     * this {@link Ball}'s surface spins compared to how fast this {@link Ball} moves through the air.
+     *
+     * @type {number}
+     * @see getAirAcceleration
+     */
+    liftCoefficient = 1;
+
+    /**
+     * This {@link Ball}'s Magnus lift divided by its mass, its {@link angularVelocity} and how fast it moves through
+     * the air. This value is used to calculate by how many m/s this ball is speeded up by the Magnus effect.
+     *
+     * @type {number}
+     */
+    lm = 0;
+
     /* ground-related fields */
 
     /**
@@ -61,26 +90,101 @@ class Ball {
     /**
      * Determines how fast this {@link Ball} is moving in which direction.
      *
-     * @type {p5.Vector}
+     * @type {Vector}
+     */
+    velocity = new Vector(0, 0);
+
+    /**
+     * The position of this {@link Ball}'s {@link body} before the last physics step.
+     *
+     * Used to interpolate this {@link Ball}'s drawn position between two physics steps.
+     *
+     * @type {Vector}
+     * @see updatePhysics
      */
-    velocity = createVector(0, 0);
+    previousPosition = new Vector(0, 0);
+
+    /* spin-related fields */
 
     /**
-     * Determines how much this {@link Ball} is being speeded up through the air and {@link gravity}.
+     * How many radians per second this {@link Ball} rotates counterclockwise around its center.
      *
-     * @type {p5.Vector}
+     * @type {number}
+     * @see setSpin
      */
-    airAcceleration = createVector(0, 0);
+    angularVelocity = 0;
+
+    /**
+     * How many radians this {@link Ball} has rotated counterclockwise around its center.
+     *
+     * Only used to draw the rotation of this {@link Ball}.
+     *
+     * @type {number}
+     */
+    angle = 0;
+
+    /**
+     * The {@link angle} of this {@link Ball} before the last physics step.
+     *
+     * Used to interpolate this {@link Ball}'s drawn rotation between two physics steps.
+     *
+     * @type {number}
+     * @see getInterpolatedAngle
+     */
+    previousAngle = 0;
+
+    /**
+     * The position of this {@link Ball}'s {@link body} before it was last moved along its {@link velocity}.
+     *
+     * Used to detect terrain this {@link Ball} has passed through during the movement.
+     *
+     * @type {Vector}
+     * @see move
+     * @see getSweptCollisionInfo
+     */
+    movementStart = new Vector(0, 0);
+
+    /**
+     * For how many seconds this {@link Ball} was last moved along its {@link velocity}.
+     *
+     * @type {number}
+     * @see move
+     */
+    movementDelta = 0;
+
+    /**
+     * Determines how much this {@link Ball} is being speeded up through the air and
+     * {@link SimulationWorld.gravity gravity}.
+     *
+     * @type {Vector}
+     */
+    airAcceleration = new Vector(0, 0);
 
     /**
      * Determines how much this {@link Ball} is being speeded up through the {@link groundSegment} it is rolling on.
      *
-     * @type {p5.Vector}
+     * @type {Vector}
      */
-    segmentAcceleration = createVector(0, 0);
+    segmentAcceleration = new Vector(0, 0);
+
+    /**
+     * How many joules of energy the air took from this {@link Ball} during the last step it has been simulated.
+     *
+     * @type {number}
+     * @see Telemetry.dragEnergy
+     */
+    stepDragEnergy = 0;
 
     /* collision-related fields */
 
+    /**
+     * Determines if this {@link Ball} bounced off terrain during the last step it has been simulated.
+     *
+     * @type {boolean}
+     * @see Telemetry.collisionEnergy
+     */
+    bouncedInStep = false;
+
     /**
      * Determines if this {@link Ball} is currently colling with something.
      *
@@ -118,7 +222,7 @@ class Ball {
      *
      * If this field is set to null, this {@link Ball} is not colliding with anything.
      *
-     * @type {p5.Vector}
+     * @type {Vector}
      */
     collisionSegmentNormal = null;
 
@@ -155,14 +259,104 @@ class Ball {
      *
      * @param rollResistanceCoefficient {number}
      * See {@link Ball.rollResistanceCoefficient}.
+     *
+     * @param world {SimulationWorld}
+     * See {@link Ball.world}.
      */
-    constructor(body, mass, rollResistanceCoefficient) {
+    constructor(body, mass, rollResistanceCoefficient, world) {
+        this.world = world;
         this.body = body;
         this.mass = mass;
         this.rollResistanceCoefficient = rollResistanceCoefficient;
+        this.previousPosition = body.position.copy();
         this.recalculateDM();
     }
 
+    /**
+     * Returns a copy of this {@link Ball}, which can be simulated without changing this {@link Ball}.
+     * The terrain this {@link Ball} touches is shared with the copy.
+     *
+     * @param world {SimulationWorld}
+     * See {@link Ball.world}.
+     *
+     * @returns {Ball} The copy.
+     */
+    copy(world) {
+        let copy = Object.assign(Object.create(Ball.prototype), this);
+
+        Object.keys(copy).forEach(key => {
+            if(copy[key] instanceof Vector) {
+                copy[key] = copy[key].copy();
+            }
+        });
+
+        copy.body = new Circle(this.body.position.copy(), this.body.diameter, this.body.color);
+        copy.world = world;
+        return copy;
+    }
+
+    /**
+     * Returns the position of this {@link Ball}'s {@link body} between the last and the current physics step.
+     *
+     * @param alpha {number}
+     * How far to interpolate between the {@link previousPosition} and the current position.
+     * 0 returns the {@link previousPosition}, while 1 returns the current position.
+     *
+     * @returns {Vector}
+     * The interpolated position.
+     *
+     * @see physicsAlpha
+     */
+    getInterpolatedPosition(alpha) {
+        return Vector.lerp(this.previousPosition, this.body.position, alpha);
+    }
+
+    /**
+     * Returns the {@link angle} of this {@link Ball} between the last and the current physics step.
+     *
+     * @param alpha {number}
+     * How far to interpolate between the {@link previousAngle} and the current {@link angle}.
+     *
+     * @returns {number}
+     * The interpolated angle in radians.
+     *
+     * @see getInterpolatedPosition
+     */
+    getInterpolatedAngle(alpha) {
+        return this.previousAngle + (this.angle - this.previousAngle) * alpha;
+    }
+
+    /**
+     * @returns {number}
+     * How hard it is to change this {@link Ball}'s {@link angularVelocity}.
+     *
+     * @see BALL_INERTIA_FACTOR
+     */
+    getMomentOfInertia() {
+        return BALL_INERTIA_FACTOR * this.mass * this.body.getRadius() * this.body.getRadius();
+    }
+
+    /**
+     * @returns {number}
+     * How many joules of energy this {@link Ball} has through its {@link velocity} and its {@link angularVelocity}.
+     */
+    getKineticEnergy() {
+        let translationalEnergy = this.mass * this.velocity.magSq() / 2;
+        return translationalEnergy + this.getMomentOfInertia() * this.angularVelocity * this.angularVelocity / 2;
+    }
+
+    /**
+     * Lets this {@link Ball} spin relative to the horizontal direction it is moving in.
+     *
+     * @param spin {number}
+     * How many radians per second this {@link Ball} rotates. Positive values describe topspin, with which this
+     * {@link Ball} rotates like it would when rolling along its {@link velocity}.
+     * Negative values describe backspin.
+     */
+    setSpin(spin) {
+        this.angularVelocity = this.velocity.x >= 0 ? -spin : spin;
+    }
+
     /**
      * Bounces this {@link Ball} off terrain, rolls it on the ground, and affects it through wind.
      *
@@ -180,7 +374,7 @@ class Ball {
                 this.velocity.x === Infinity || this.velocity.y === Infinity ||
                 this.loopCounter >= 100
             ) {
-                state = STATE_ERROR;
+                this.world.state = STATE_ERROR;
                 return;
             }
 
@@ -243,6 +437,7 @@ class Ball {
         this.correctionDeltaSum = 0;
         this.loopCounter = 0;
         this.oldCollisionDistance = Infinity;
+        this.bouncedInStep = false;
     }
 
     /**
@@ -254,22 +449,156 @@ class Ball {
      * For how many seconds to speed up this {@link Ball}.
      */
     addAcceleration(delta) {
-        this.airAcceleration = this.getAirAcceleration(delta);
-        this.segmentAcceleration = createVector(0, 0);
+        this.segmentAcceleration = new Vector(0, 0);
 
         if(this.groundSegment == null) {
-            this.velocity.add(this.airAcceleration);
+            this.angle += this.angularVelocity * delta;
+            this.moveThroughAir(delta);
         } else {
+            let oldVelocity = this.velocity.copy();
+            this.airAcceleration = this.getAirAcceleration(delta);
+            let rolling = Math.abs(this.getSlipVelocity(this.groundSegment.normal)) < ROLLING_SLIP_THRESHOLD;
             this.segmentAcceleration = this.getSegmentAcceleration(this.airAcceleration.x, delta);
             this.velocity.add(this.segmentAcceleration);
 
             if(this.segmentAcceleration.mag() === 0) {
-                this.velocity = this.segmentAcceleration;
+                this.velocity = new Vector(0, 0);
             }
+
+            this.addGroundFriction(rolling, delta);
+            this.stepDragEnergy = this.getDragEnergy(new Vector(this.airAcceleration.x, 0), oldVelocity);
+            this.angle += this.angularVelocity * delta;
+            this.move(delta);
         }
+    }
 
-        let ballMovement = p5.Vector.mult(this.velocity, delta);
-        this.body.position.add(ballMovement);
+    /**
+     * Speeds up and moves this {@link Ball} through the air with the {@link SimulationWorld.integrator}.
+     *
+     * Stores by how many m/s this {@link Ball} has been speeded up in the {@link airAcceleration} field.
+     *
+     * @param delta {number}
+     * For how many seconds to move this {@link Ball}.
+     *
+     * @see movementStart
+     */
+    moveThroughAir(delta) {
+        let getAcceleration = (position, velocity) => this.getAirAccelerationAt(position, velocity);
+        let state = this.world.integrator.integrate(this.body.position, this.velocity, getAcceleration, delta);
+
+        let oldVelocity = this.velocity;
+        this.airAcceleration = Vector.sub(state.velocity, this.velocity);
+        this.movementStart = this.body.position.copy();
+        this.movementDelta = delta;
+        this.body.position = state.position;
+        this.velocity = state.velocity;
+
+        let gravityVelocityChange = new Vector(0, -this.world.gravity * delta);
+        this.stepDragEnergy = this.getDragEnergy(Vector.sub(this.airAcceleration, gravityVelocityChange), oldVelocity);
+    }
+
+    /**
+     * Returns how many joules of energy the air took from this {@link Ball}, while it changed this {@link Ball}'s
+     * velocity.
+     *
+     * @param velocityChange {Vector}
+     * By how many m/s the air changed this {@link Ball}'s {@link velocity}.
+     *
+     * @param oldVelocity {Vector}
+     * This {@link Ball}'s {@link velocity} before it has been changed.
+     *
+     * @returns {number}
+     * The work done against the air, calculated with the average of the old and the current {@link velocity}.
+     */
+    getDragEnergy(velocityChange, oldVelocity) {
+        let averageVelocity = Vector.add(oldVelocity, this.velocity).div(2);
+        return -this.mass * velocityChange.dot(averageVelocity);
+    }
+
+    /**
+     * Lets the friction of the ground act on this {@link Ball}, while it is on the ground.
+     *
+     * If this {@link Ball} was rolling without slipping before being speeded up, its {@link angularVelocity} is
+     * adjusted to keep it rolling. Otherwise, the sliding friction of the {@link groundTerrain}'s {@link Material}
+     * slows down the slipping, until this {@link Ball} rolls without slipping.
+     * For example, a {@link Ball} landing with backspin is slowed down, while its backspin is turned into topspin.
+     *
+     * @param rolling {boolean}
+     * If this {@link Ball} was rolling without slipping before being speeded up.
+     *
+     * @param delta {number}
+     * For how many seconds the friction acts on this {@link Ball}.
+     *
+     * @see ROLLING_SLIP_THRESHOLD
+     */
+    addGroundFriction(rolling, delta) {
+        let normal = this.groundSegment.normal;
+
+        if(rolling) {
+            this.angularVelocity = this.velocity.dot(getContactTangent(normal)) / this.body.getRadius();
+        } else {
+            let maxVelocityChange = this.groundTerrain.material.slidingFriction * this.world.gravity * normal.y * delta;
+            this.segmentAcceleration.add(this.addContactFriction(normal, maxVelocityChange));
+        }
+    }
+
+    /**
+     * Returns how many m/s fast the surface of this {@link Ball} slips over terrain it touches.
+     *
+     * @param normal {Vector}
+     * The normal of the terrain at the point of contact, pointing towards this {@link Ball}.
+     *
+     * @returns {number}
+     * The velocity of the point of contact along the {@link getContactTangent contact tangent}.
+     * 0 if this {@link Ball} rolls without slipping.
+     */
+    getSlipVelocity(normal) {
+        return this.velocity.dot(getContactTangent(normal)) - this.angularVelocity * this.body.getRadius();
+    }
+
+    /**
+     * Lets friction act on the point of contact between this {@link Ball} and terrain, which slows down the slipping
+     * of this {@link Ball}'s surface over the terrain. The friction changes this {@link Ball}'s {@link velocity}
+     * along the terrain and its {@link angularVelocity}, until this {@link Ball} rolls without slipping.
+     *
+     * @param normal {Vector}
+     * The normal of the terrain at the point of contact, pointing towards this {@link Ball}.
+     *
+     * @param maxVelocityChange {number}
+     * By how many m/s the friction can change this {@link Ball}'s {@link velocity} at most.
+     *
+     * @returns {Vector}
+     * By how many m/s the friction changed this {@link Ball}'s {@link velocity} horizontally and vertically.
+     */
+    addContactFriction(normal, maxVelocityChange) {
+        let tangent = getContactTangent(normal);
+        let radius = this.body.getRadius();
+        let inertiaRatio = this.mass * radius * radius / this.getMomentOfInertia();
+
+        // The change of the velocity along the tangent, which stops the slipping.
+        let rollingVelocityChange = -this.getSlipVelocity(normal) / (1 + inertiaRatio);
+        let velocityChange = Math.sign(rollingVelocityChange) *
+            Math.min(Math.abs(rollingVelocityChange), maxVelocityChange);
+
+        let velocityChangeVector = Vector.mult(tangent, velocityChange);
+        this.velocity.add(velocityChangeVector);
+        this.angularVelocity -= velocityChange * inertiaRatio / radius;
+
+        return velocityChangeVector;
+    }
+
+    /**
+     * Moves this {@link Ball} along its {@link velocity} and remembers where the movement started.
+     *
+     * @param delta {number}
+     * For how many seconds to move this {@link Ball}.
+     *
+     * @see movementStart
+     */
+    move(delta) {
+        this.movementStart = this.body.position.copy();
+        this.movementDelta = delta;
+        this.body.position.add(Vector.mult(this.velocity, delta));
     }
 
     /**
@@ -277,7 +606,7 @@ class Ball {
      * stores various information about the collision that occurred.
      *
      * @param collisionInfo {{
-     *  collisionTerrain: TerrainPolygon, collisionSegment: TerrainSegment, collisionSegmentNormal: p5.Vector,
+     *  collisionTerrain: TerrainPolygon, collisionSegment: TerrainSegment, collisionSegmentNormal: Vector,
      *  collisionDistance: number, correctionDelta: number
      * }}
      * Various information about a collision.
@@ -328,17 +657,22 @@ class Ball {
         ) {
             // Fallback that is used if this Ball was pushed further into the terrain, the last time this method was
             // called. Uses the collision segment's normal and the collision distance to correct the ball's position.
-            correctionVector = p5.Vector.mult(this.collisionSegment.normal, collisionDistance);
+            correctionVector = Vector.mult(this.collisionSegment.normal, collisionDistance);
             correctionType = "Normal";
         } else {
             // Default correction procedure. Reverses some of this Ball's movement.
-            correctionVector = p5.Vector.mult(this.velocity, -correctionDelta);
+            correctionVector = Vector.mult(this.velocity, -correctionDelta);
             correctionType = "Velocity";
         }
 
         this.body.position.add(correctionVector);
         this.oldCollisionDistance = collisionDistance;
 
+        // The position has not been corrected along the movement, so the movement can not be retraced anymore.
+        if(correctionType === "Normal") {
+            this.movementStart = this.body.position.copy();
+        }
+
         if(DEBUG) logCollision(
             this.collisionSegment, this.collisionSegmentNormal, collisionDistance,
             delta, correctionDelta, this.correctionDeltaSum,
@@ -349,6 +683,13 @@ class Ball {
     /**
      * Reflects this {@link Ball} off terrain while it is in the air.
      *
+     * How much this {@link Ball} is slowed down by the bounce depends on the {@link Material} of the
+     * {@link collisionTerrain}. Its {@link Material.restitution restitution} decreases this {@link Ball}'s
+     * {@link velocity} along the collisionObject's normal. Its {@link Material.slidingFriction sliding friction}
+     * acts on this {@link Ball}'s surface slipping over the collisionObject, which changes the {@link velocity}
+     * along the collisionObject and the {@link angularVelocity}. This way, spin changes the direction this
+     * {@link Ball} bounces off in and a bounce makes this {@link Ball} spin.
+     *
      * Starts to let this {@link Ball} rolling on the ground if it collided with a {@link TerrainSegment},
      * and this {@link Ball}'s {@link velocity} after the reflection, along the {@link TerrainSegment}'s normal,
      * is smaller than the {@link BOUNCING_THRESHOLD} constant.
@@ -357,7 +698,7 @@ class Ball {
      * @param {TerrainSegment | TerrainCorner} collisionObject
      * The terrain object this ball collided with.
      *
-     * @param {p5.Vector} collisionNormal
+     * @param {Vector} collisionNormal
      * The normal of the collisionObject.
      *
      * @param {number} delta
@@ -367,6 +708,8 @@ class Ball {
      * @see BOUNCING_THERSHOLD
      */
     reflectInAir(collisionObject, collisionNormal, delta) {
+        this.bouncedInStep = true;
+
         // Subtract approximate superfluous air acceleration.
         this.velocity.sub(this.airAcceleration.copy().mult(this.correctionDeltaSum / delta));
 
@@ -379,15 +722,20 @@ class Ball {
             this.velocity.rotate(-normalVelocityAngle * 2);
             this.velocity.mult(-1);
 
-            // Decrease this Ball's velocity along the collisionObject's normal by 20%.
-            let normalAngle = atan2(collisionNormal.y, collisionNormal.x);
-            let velocityAngle = atan2(this.velocity.y, this.velocity.x);
-            ballNormalVelocity = this.velocity.mag() * cos(normalAngle - velocityAngle);
-            this.velocity.sub(p5.Vector.mult(collisionNormal, ballNormalVelocity * 0.2));
+            // Decrease this Ball's velocity along the collisionObject's normal through the restitution.
+            let material = this.collisionTerrain.material;
+            let normalAngle = Math.atan2(collisionNormal.y, collisionNormal.x);
+            let velocityAngle = Math.atan2(this.velocity.y, this.velocity.x);
+            ballNormalVelocity = this.velocity.mag() * Math.cos(normalAngle - velocityAngle);
+            this.velocity.sub(Vector.mult(collisionNormal, ballNormalVelocity * (1 - material.restitution)));
+
+            // Let the sliding friction act on this Ball's surface slipping over the collisionObject.
+            let impactVelocity = Math.max(ballNormalVelocity, 0) * (1 + material.restitution);
+            this.addContactFriction(collisionNormal, material.slidingFriction * impactVelocity);
 
             // Check if this Ball starts rolling.
-            velocityAngle = atan2(this.velocity.y, this.velocity.x);
-            ballNormalVelocity = this.velocity.mag() * cos(normalAngle - velocityAngle);
+            velocityAngle = Math.atan2(this.velocity.y, this.velocity.x);
+            ballNormalVelocity = this.velocity.mag() * Math.cos(normalAngle - velocityAngle);
         }
 
         if (
@@ -398,7 +746,7 @@ class Ball {
             // Set this Ball to start rolling.
             this.groundTerrain = this.collisionTerrain;
             this.groundSegment = collisionObject;
-            let segmentAcc = createVector(0, 0);
+            let segmentAcc = new Vector(0, 0);
             this.reflectOnGround(collisionObject, segmentAcc, delta);
         } else {
             // Add corrected air acceleration.
@@ -407,17 +755,21 @@ class Ball {
             this.addReflectionAcceleration(this.airAcceleration, segmentVertical);
 
             // Position this Ball.
-            this.body.position.add(p5.Vector.mult(this.velocity, this.correctionDeltaSum));
+            this.move(this.correctionDeltaSum);
         }
     }
 
     /**
      * Reflects this {@link Ball} off terrain while it is rolling on the ground.
      *
+     * If this {@link Ball} rolls against terrain it can not roll onto, it bounces back,
+     * slowed down through the {@link Material.restitution restitution} of the {@link collisionTerrain}'s
+     * {@link Material}.
+     *
      * @param {TerrainSegment | TerrainCorner} collisionObject
      * The object this {@link Ball} collided with.
      *
-     * @param {p5.Vector} segmentAcc
+     * @param {Vector} segmentAcc
      * How much this {@link Ball} was speeded up horizontally and vertically between the current and the last frame.
      *
      * @param {number} delta
@@ -444,13 +796,14 @@ class Ball {
                 velocitySgn = -1;
             }
 
-            let oldVelocity = abs(this.velocity.x);
+            let oldVelocity = Math.abs(this.velocity.x);
             this.groundTerrain = this.collisionTerrain;
             this.groundSegment = collisionObject;
-            this.velocity = p5.Vector.mult(this.groundSegment.direction, velocitySgn);
+            this.velocity = Vector.mult(this.groundSegment.direction, velocitySgn);
             this.velocity.setMag(oldVelocity);
         } else {
-            this.velocity.mult(-1);
+            this.velocity.mult(-this.collisionTerrain.material.restitution);
+            this.bouncedInStep = true;
         }
 
         // add segment acceleration
@@ -460,11 +813,11 @@ class Ball {
         if(segmentAcc.mag() < this.velocity.mag()) {
             this.velocity.add(segmentAcc);
         } else {
-            this.velocity = createVector(0, 0)
+            this.velocity = new Vector(0, 0)
         }
 
         // position ball
-        this.body.position.add(p5.Vector.mult(this.velocity, this.correctionDeltaSum));
+        this.move(this.correctionDeltaSum);
     }
 
     /**
@@ -473,13 +826,13 @@ class Ball {
     isOffGround() {
         if (this.groundSegment != null) {
             let corners = this.groundTerrain.corners;
-            let testNormal = p5.Vector.mult(this.groundSegment.normal, COLLISION_THRESHOLD);
+            let testNormal = Vector.mult(this.groundSegment.normal, COLLISION_THRESHOLD);
             let testPosition = this.body.position.copy().sub(testNormal);
             let segmentCollisionDistance = this.getSegmentCollisionDistance(this.groundSegment, testPosition);
             let cornerOverwrite = false;
 
             if(segmentCollisionDistance > 0) for(let i = 0; i < corners.length; i++) {
-                let cornerBallCenterDistance = p5.Vector.sub(this.body.position, corners[i].position).mag();
+                let cornerBallCenterDistance = Vector.sub(this.body.position, corners[i].position).mag();
                 cornerOverwrite = this.getCornerOverwrite(corners[i], cornerBallCenterDistance);
 
                 if(cornerOverwrite) {
@@ -515,7 +868,7 @@ class Ball {
         }
 
         // check if ball position needs to be corrected
-        let ballMovementDistance = p5.Vector.mult(this.velocity, delta).mag();
+        let ballMovementDistance = Vector.mult(this.velocity, delta).mag();
         let correctionDelta = 0;
 
         if(ballMovementDistance > 0) {
@@ -523,7 +876,7 @@ class Ball {
             correctionDelta = segmentHorizontalDistance / ballMovementDistance * delta;
 
             // put the ball on the corner
-            let correctionVector = p5.Vector.mult(this.velocity, correctionDelta);
+            let correctionVector = Vector.mult(this.velocity, correctionDelta);
             this.body.position.sub(correctionVector);
 
             // subtract approximate superfluous segment acceleration
@@ -534,7 +887,7 @@ class Ball {
             this.addReflectionAcceleration(airAcc, this.groundSegment.direction.x === 0);
 
             // correct ball position
-            this.body.position.add(p5.Vector.mult(this.velocity, correctionDelta));
+            this.move(correctionDelta);
         }
 
         this.groundSegment = null;
@@ -550,7 +903,7 @@ class Ball {
      * to prevent this {@link Ball} from getting stuck in the terrain
      * trough floating point rounding errors.
      *
-     * @param {p5.Vector} reflectionAcceleration
+     * @param {Vector} reflectionAcceleration
      * How much this {@link Ball} is speeded up horizontally and vertically.
      *
      * @param {boolean} segmentVertical
@@ -559,8 +912,8 @@ class Ball {
      * than the vertical reflectionAcceleration.
      */
     addReflectionAcceleration(reflectionAcceleration, segmentVertical) {
-        let xOk = abs(reflectionAcceleration.x) < abs(this.velocity.x);
-        let yOk = abs(reflectionAcceleration.y) < abs(this.velocity.y);
+        let xOk = Math.abs(reflectionAcceleration.x) < Math.abs(this.velocity.x);
+        let yOk = Math.abs(reflectionAcceleration.y) < Math.abs(this.velocity.y);
 
         if(xOk && yOk) {
             this.velocity.add(reflectionAcceleration);
@@ -586,12 +939,12 @@ class Ball {
         let collisionCornerNormal = null;
 
         this.collisionTerrain.corners.forEach(corner => {
-            let cornerBallCenterDistance = p5.Vector.sub(this.body.position, corner.position).mag();
+            let cornerBallCenterDistance = Vector.sub(this.body.position, corner.position).mag();
             let cornerOverwrite = this.getCornerOverwrite(corner, cornerBallCenterDistance);
 
             if(cornerOverwrite) {
                 collisionCorner = corner;
-                collisionCornerNormal = p5.Vector.sub(this.body.position, corner.position).normalize();
+                collisionCornerNormal = Vector.sub(this.body.position, corner.position).normalize();
             }
         })
 
@@ -613,11 +966,11 @@ class Ball {
     }
 
     /**
-     * Detects if this {@link Ball} is colliding with one of the {@link TerrainPolygon}s in the {@link terrainArray} and
-     * returns various information about the collision if a collision occurred.
+     * Detects if this {@link Ball} is colliding with one of the {@link TerrainPolygon}s in the
+     * {@link SimulationWorld.terrainArray} and returns various information about the collision if a collision occurred.
      *
      * @returns {{
-     *  collisionTerrain: TerrainPolygon, collisionSegment: TerrainSegment, collisionSegmentNormal: p5.Vector,
+     *  collisionTerrain: TerrainPolygon, collisionSegment: TerrainSegment, collisionSegmentNormal: Vector,
      *  collisionDistance: number, correctionDelta: number
      * }}
      * Various information about a collision.
@@ -635,6 +988,10 @@ class Ball {
      *
      * If no collision occurred, collisionTerrain, collisionSegment, and collisionSegmentNormal will be null and
      * collisionDistance and correctionDelta will be 0.
+     *
+     * Terrain this {@link Ball} has passed through during its last movement is detected by the
+     * {@link getSweptCollisionInfo} method. Its collision is returned instead, if this {@link Ball} does not overlap
+     * any terrain or if it hit terrain clearly before the overlap occurred, for example the far side of thin terrain.
      */
     getTerrainArrayCollisionInfo() {
         let collisionTerrain = null;
@@ -643,13 +1000,15 @@ class Ball {
         let collisionDistance = 0;
         let correctionDelta = 0;
 
-        terrainArray.forEach(terrain => {
+        this.world.terrainArray.forEach(terrain => {
             let segments = terrain.segments;
             let corners = terrain.corners;
             let segmentCollisionDistances = [];
 
             for (let i = 0; i < segments.length; i++) {
-                let segmentCollisionDistance = this.getSegmentCollisionDistance(segments[i], this.body.position);
+                let segmentCollisionDistance = this.getSegmentCollisionDistance(
+                    segments[i], this.body.position, true
+                );
 
                 if (segmentCollisionDistance > COLLISION_THRESHOLD) {
                     segmentCollisionDistances[i] = segmentCollisionDistance;
@@ -664,7 +1023,7 @@ class Ball {
                             collisionSegment = collisionInfo.collisionSegment;
 
                             if(collisionInfo.correctionDelta === correctionDelta) {
-                                segmentNormal = p5.Vector.add(segmentNormal, collisionInfo.segmentNormal).normalize();
+                                segmentNormal = Vector.add(segmentNormal, collisionInfo.segmentNormal).normalize();
                             } else {
                                 segmentNormal = collisionInfo.segmentNormal;
                             }
@@ -679,6 +1038,17 @@ class Ball {
             }
         });
 
+        let sweptCollisionInfo = this.getSweptCollisionInfo();
+
+        // Prefer the hit, if this Ball moved more than the collision threshold between the hit and the overlap.
+        let sweptCorrectionDistance = (sweptCollisionInfo.correctionDelta - correctionDelta) * this.velocity.mag();
+
+        if(sweptCollisionInfo.collisionTerrain != null && (
+            collisionTerrain == null || sweptCorrectionDistance > COLLISION_THRESHOLD
+        )) {
+            return sweptCollisionInfo;
+        }
+
         return {
             'collisionTerrain': collisionTerrain,
             'collisionSegment': collisionSegment,
@@ -688,6 +1058,160 @@ class Ball {
         };
     }
 
+    /**
+     * Sweeps this {@link Ball}'s {@link body} from the {@link movementStart} to its current position and detects
+     * the first {@link TerrainSegment} or {@link TerrainCorner} of the {@link SimulationWorld.terrainArray} it hits.
+     *
+     * Unlike the overlap test of the {@link getTerrainArrayCollisionInfo} method, this detects terrain this
+     * {@link Ball} has completely passed through during a single movement, regardless of how fast it moved.
+     * Terrain is only hit, if this {@link Ball} would have moved more than {@link COLLISION_THRESHOLD} meters into it
+     * by the end of the movement, so rolling along the ground or over a corner does not count as a hit.
+     *
+     * @returns {{
+     *  collisionTerrain: TerrainPolygon, collisionSegment: TerrainSegment, collisionSegmentNormal: Vector,
+     *  collisionDistance: number, correctionDelta: number
+     * }}
+     * Various information about the first hit, structured like the information returned by
+     * {@link getTerrainArrayCollisionInfo}.
+     *
+     * The correctionDelta describes how many seconds have to be reversed to move this {@link Ball} back to where
+     * it hit the terrain. If a {@link TerrainCorner} has been hit, the collisionSegment is the {@link TerrainSegment}
+     * connected to it, whose normal points the most towards this {@link Ball}.
+     */
+    getSweptCollisionInfo() {
+        let movement = Vector.sub(this.body.position, this.movementStart);
+        let impactTime = 1;
+        let impactDistance = 0;
+
+        let collisionTerrain = null;
+        let collisionSegment = null;
+
+        if(movement.mag() > 0) this.world.terrainArray.forEach(terrain => {
+            terrain.segments.forEach(segment => {
+                let impact = segment.internal ? null : this.getSegmentImpact(segment, movement);
+
+                if(impact != null && impact.time < impactTime) {
+                    impactTime = impact.time;
+                    impactDistance = impact.distance;
+                    collisionTerrain = terrain;
+                    collisionSegment = segment;
+                }
+            });
+
+            terrain.corners.forEach(corner => {
+                let impact = this.getCornerImpact(corner, movement);
+
+                if(impact != null && impact.time < impactTime) {
+                    let previousNormal = corner.previousSegment.normal;
+                    let nextNormal = corner.nextSegment.normal;
+
+                    impactTime = impact.time;
+                    impactDistance = impact.distance;
+                    collisionTerrain = terrain;
+                    collisionSegment = impact.normal.dot(previousNormal) > impact.normal.dot(nextNormal) ?
+                        corner.previousSegment : corner.nextSegment;
+                }
+            });
+        });
+
+        return {
+            'collisionTerrain': collisionTerrain,
+            'collisionSegment': collisionSegment,
+            'collisionSegmentNormal': collisionSegment != null ? collisionSegment.normal : null,
+            'collisionDistance': impactDistance,
+            'correctionDelta': collisionSegment != null ? (1 - impactTime) * this.movementDelta : 0
+        };
+    }
+
+    /**
+     * Calculates when this {@link Ball}, moving from the {@link movementStart}, first touches a {@link TerrainSegment}
+     * from the outside of its {@link TerrainPolygon}.
+     *
+     * @param segment {TerrainSegment}
+     * The {@link TerrainSegment} this {@link Ball} might hit.
+     *
+     * @param movement {Vector}
+     * How far this {@link Ball} moved during its last movement.
+     *
+     * @returns {{time: number, distance: number} | null}
+     * The time is the fraction of the movement at which this {@link Ball} touches the {@link TerrainSegment},
+     * between 0 and 1. The distance describes how many meters this {@link Ball} moved past the
+     * {@link TerrainSegment}'s line after touching it. Null if this {@link Ball} does not hit the
+     * {@link TerrainSegment}.
+     */
+    getSegmentImpact(segment, movement) {
+        let radius = this.body.getRadius();
+        let startDistance = this.movementStart.dot(segment.normal) - segment.distance - radius;
+        let approach = -movement.dot(segment.normal);
+
+        if(startDistance < -COLLISION_THRESHOLD || approach - Math.max(startDistance, 0) <= COLLISION_THRESHOLD) {
+            return null;
+        }
+
+        let time = Math.max(startDistance, 0) / approach;
+        let contact = Vector.add(this.movementStart, Vector.mult(movement, time));
+        contact.sub(Vector.mult(segment.normal, radius));
+
+        let segmentPosition = Vector.sub(contact, segment.startPoint).dot(segment.direction);
+
+        if(segmentPosition < 0 || segmentPosition > segment.direction.magSq()) {
+            return null;
+        }
+
+        return {'time': time, 'distance': approach * (1 - time)};
+    }
+
+    /**
+     * Calculates when this {@link Ball}, moving from the {@link movementStart}, first touches a {@link TerrainCorner}
+     * from the area in front of it, in which the {@link TerrainCorner} is the closest point of its
+     * {@link TerrainPolygon}.
+     *
+     * @param corner {TerrainCorner}
+     * The {@link TerrainCorner} this {@link Ball} might hit.
+     *
+     * @param movement {Vector}
+     * How far this {@link Ball} moved during its last movement.
+     *
+     * @returns {{time: number, distance: number, normal: Vector} | null}
+     * The time is the fraction of the movement at which this {@link Ball} touches the {@link TerrainCorner},
+     * between 0 and 1. The distance describes how many meters this {@link Ball} moved towards the
+     * {@link TerrainCorner} after touching it. The normal points from the {@link TerrainCorner} to this
+     * {@link Ball}'s center at the time of the hit. Null if this {@link Ball} does not hit the {@link TerrainCorner}.
+     */
+    getCornerImpact(corner, movement) {
+        let radius = this.body.getRadius();
+        let cornerStartVector = Vector.sub(this.movementStart, corner.position);
+
+        // Solve |cornerStartVector + movement * time| = radius for the earlier time.
+        let a = movement.magSq();
+        let b = 2 * cornerStartVector.dot(movement);
+        let c = cornerStartVector.magSq() - radius * radius;
+        let discriminant = b * b - 4 * a * c;
+
+        if(c < 0 || discriminant < 0) {
+            return null;
+        }
+
+        let time = (-b - Math.sqrt(discriminant)) / (2 * a);
+
+        if(time < 0 || time > 1) {
+            return null;
+        }
+
+        let normal = Vector.add(cornerStartVector, Vector.mult(movement, time)).div(radius);
+        let distance = -movement.dot(normal) * (1 - time);
+
+        if(
+            distance <= COLLISION_THRESHOLD ||
+            normal.dot(corner.previousSegment.direction) <= 0 ||
+            normal.dot(corner.nextSegment.direction) >= 0
+        ) {
+            return null;
+        }
+
+        return {'time': time, 'distance': distance, 'normal': normal};
+    }
+
     /**
      * Detects if this {@link Ball} is colliding with a specific {@link TerrainPolygon} and
      * returns various information about the collision if a collision occurred.
@@ -702,7 +1226,7 @@ class Ball {
      * The {@link TerrainCorner}s of the terrain {@link TerrainPolygon}.
      *
      * @returns {{
-     *  collisionSegment: TerrainSegment, segmentNormal: p5.Vector, collisionDistance: number, correctionDelta: number
+     *  collisionSegment: TerrainSegment, segmentNormal: Vector, collisionDistance: number, correctionDelta: number
      * }}
      * Various information about a collision.
      *
@@ -725,19 +1249,23 @@ class Ball {
         let collisionDistance = 0;
         let correctionDelta = Infinity;
 
-        corners.forEach(corner => {
-            let cornerBallCenterDistance = p5.Vector.sub(this.body.position, corner.position).mag();
-            cornerOverwrite = this.getCornerOverwrite(corner, cornerBallCenterDistance);
-        })
+        for(let i = 0; i < corners.length; i++) {
+            let cornerBallCenterDistance = Vector.sub(this.body.position, corners[i].position).mag();
+            cornerOverwrite = this.getCornerOverwrite(corners[i], cornerBallCenterDistance);
+
+            if(cornerOverwrite) {
+                i = corners.length;
+            }
+        }
 
         if (!cornerOverwrite) {
             for (let j = 0; j < segments.length; j++) {
-                if (segmentCollisionDistances[j] > 0) {
-                    let normalAngle = atan2(-segments[j].normal.y, -segments[j].normal.x);
-                    let velocityAngle = atan2(this.velocity.y, this.velocity.x);
-                    let ballNormalVelocity = this.velocity.mag() * cos(normalAngle - velocityAngle);
+                if (segmentCollisionDistances[j] > 0 && !segments[j].internal) {
+                    let normalAngle = Math.atan2(-segments[j].normal.y, -segments[j].normal.x);
+                    let velocityAngle = Math.atan2(this.velocity.y, this.velocity.x);
+                    let ballNormalVelocity = this.velocity.mag() * Math.cos(normalAngle - velocityAngle);
 
-                    let newCorrectionDelta = abs(segmentCollisionDistances[j] / ballNormalVelocity);
+                    let newCorrectionDelta = Math.abs(segmentCollisionDistances[j] / ballNormalVelocity);
 
                     if(newCorrectionDelta < correctionDelta) {
                         collisionSegment = segments[j];
@@ -758,44 +1286,53 @@ class Ball {
     }
 
     /**
-     * Returns how far this {@link Ball} has moved into a given {@link TerrainSegment}.
+     * Returns how far this {@link Ball} has moved into a given {@link TerrainSegment}, measured along the
+     * {@link TerrainSegment}'s normal.
      *
-     * Note that this method only checks how much the square, touching this {@link Ball}'s {@link body}'s topmost,
-     * bottommost, rightmost, and leftmost point, has moved into the given terrain segment. Two conditions must be
-     * met to confirm that this ball is actually overlapping with the given {@link TerrainSegment}.
-     * The method {@link getCornerOverwrite} must return false for all {@link TerrainCorner}s
-     * of the {@link TerrainPolygon} the given {@link TerrainSegment} belongs to. Additionally, this method must
-     * return a distance bigger than 0.
+     * If the center of this {@link Ball} lies past one of the ends of the {@link TerrainSegment}, only the part of this
+     * {@link Ball} reaching over the end is tested, so that this {@link Ball} collides with the end point like with a
+     * round cap. Note that this {@link Ball} is only actually overlapping with the {@link TerrainPolygon} the
+     * {@link TerrainSegment} belongs to, if the method {@link getCornerOverwrite} also returns false for all of its
+     * {@link TerrainCorner}s.
      *
      * @param {TerrainSegment} terrainSegment
      * The given {@link TerrainSegment} this {@link Ball} might have moved into.
      *
-     * @param {p5.Vector} position
+     * @param {Vector} position
      * The position this {@link Ball} takes during the distance calculation.
      *
+     * @param {boolean} [ignoreConnectedBorders]
+     * If the ends of the given {@link TerrainSegment}, which are connected to another segment by a
+     * {@link TerrainCorner}, should not limit the collision. The {@link TerrainCorner}s take care of these ends
+     * when testing for a collision with the whole {@link TerrainPolygon}. Defaults to false.
+     *
      * @returns {number}
-     * How far this {@link Ball} has moved into the given {@link TerrainSegment}.
+     * How far this {@link Ball} has moved into the given {@link TerrainSegment}. 0 if it does not touch it.
      */
-    getSegmentCollisionDistance(terrainSegment, position) {
+    getSegmentCollisionDistance(terrainSegment, position, ignoreConnectedBorders) {
+        let radius = this.body.getRadius();
         let distance = terrainSegment.distance - position.dot(terrainSegment.normal);
 
-        if(distance > -this.body.getRadius()) {
-            let leftBorderDistance = (
-                terrainSegment.endBorderDistance - position.dot(terrainSegment.endBorderNormal)
-            );
+        let pastEndDistance = position.dot(terrainSegment.endBorderNormal) - terrainSegment.endBorderDistance;
+        let pastStartDistance = position.dot(terrainSegment.startBorderNormal) - terrainSegment.startBorderDistance;
 
-            let rightBorderDistance = (
-                terrainSegment.startBorderDistance - position.dot(terrainSegment.startBorderNormal)
-            );
+        if(ignoreConnectedBorders && terrainSegment.endCorner != null) {
+            pastEndDistance = 0;
+        }
 
-            if(leftBorderDistance > -this.body.getRadius() && rightBorderDistance > -this.body.getRadius()) {
-                return distance + this.body.getRadius();
-            } else {
-                return 0;
-            }
-        } else {
+        if(ignoreConnectedBorders && terrainSegment.startCorner != null) {
+            pastStartDistance = 0;
+        }
+
+        let pastBorderDistance = Math.max(pastEndDistance, pastStartDistance, 0);
+
+        if(pastBorderDistance >= radius) {
             return 0;
         }
+
+        // how far the surface of this ball reaches towards the segment above the end point it has moved past
+        let reach = Math.sqrt(radius * radius - pastBorderDistance * pastBorderDistance);
+        return Math.max(distance + reach, 0);
     }
 
     /**
@@ -803,6 +1340,10 @@ class Ball {
      * guaranteed to be outside the {@link TerrainPolygon} the {@link TerrainCorner} belongs to.
      * Otherwise, this method returns false.
      *
+     * This side is the area in front of the {@link TerrainCorner}, which lies past the ends of both
+     * {@link TerrainSegment}s connected by it. Within that area, the {@link TerrainCorner} is the closest point of the
+     * {@link TerrainPolygon}, so this {@link Ball} is outside it if its center is further away than its radius.
+     *
      * @param {TerrainCorner} corner
      * The {@link TerrainCorner} that belongs to the {@link TerrainPolygon} for which is tested if this {@link Ball}
      * is guaranteed to be outside it.
@@ -815,40 +1356,39 @@ class Ball {
      * the given {@link TerrainCorner} belongs to.
      */
     getCornerOverwrite(corner, cornerBallCenterDistance) {
-        return cornerBallCenterDistance > this.body.getRadius() - COLLISION_THRESHOLD && (
-            (corner.verticalLocation === DIR_TP && corner.position.y < this.body.position.y) ||
-            (corner.verticalLocation === DIR_BTM && corner.position.y > this.body.position.y) ||
-            corner.verticalLocation === DIR_MID
-        ) && (
-            (corner.horizontalLocation === DIR_RGT && corner.position.x < this.body.position.x) ||
-            (corner.horizontalLocation === DIR_LFT && corner.position.x > this.body.position.x) ||
-            corner.horizontalLocation === DIR_MID
-        );
+        let cornerBallVector = Vector.sub(this.body.position, corner.position);
+
+        return cornerBallCenterDistance > this.body.getRadius() - COLLISION_THRESHOLD &&
+            cornerBallVector.dot(corner.previousSegment.direction) > 0 &&
+            cornerBallVector.dot(corner.nextSegment.direction) < 0;
     }
 
     /**
      * Returns how by how many m/s this {@link Ball} is speeded up, while rolling on the ground,
      * within the given duration of {@link delta}.
      *
+     * The {@link rollResistanceCoefficient} is multiplied by the {@link Material.rollResistanceFactor}
+     * of the {@link groundTerrain}'s {@link Material}.
+     *
      * @param {number} horizontalAirAcc
      * By how many m/s this {@link Ball} is speeded up horizontally, by the air, within {@link delta}'s time frame.
      *
      * @param {number} delta
      * Within how many seconds this {@link Ball} gets speeded up.
      *
-     * @returns {p5.Vector}
+     * @returns {Vector}
      * How many m/s this {@link Ball} is speeded up horizontally and vertically.
      */
     getSegmentAcceleration(horizontalAirAcc, delta) {
         let seg = this.groundSegment;
-        let segAngleSin = abs(seg.direction.y) / seg.direction.mag();
-        let segAngleCos = abs(seg.direction.x) / seg.direction.mag();
-        let rrc = this.rollResistanceCoefficient;
-        let min = gravity * rrc * segAngleCos * delta;
+        let segAngleSin = Math.abs(seg.direction.y) / seg.direction.mag();
+        let segAngleCos = Math.abs(seg.direction.x) / seg.direction.mag();
+        let rrc = this.rollResistanceCoefficient * this.groundTerrain.material.rollResistanceFactor;
+        let min = this.world.gravity * rrc * segAngleCos * delta;
         let sgn = sign(this.velocity.x, min);
 
-        let segDir = p5.Vector.mult(seg.direction, seg.direction.y >= 0 ? -1 : 1);
-        let segAcc = gravity * (segAngleSin - sgn * rrc * segAngleCos) * delta;
+        let segDir = Vector.mult(seg.direction, seg.direction.y >= 0 ? -1 : 1);
+        let segAcc = this.world.gravity * (segAngleSin - sgn * rrc * segAngleCos) * delta;
 
         segDir.setMag(segAcc + horizontalAirAcc);
 
@@ -859,26 +1399,85 @@ class Ball {
      * Returns how by how many m/s this {@link Ball} is speeded up, while moving through the air,
      * within the given duration of {@link delta}.
      *
+     * Besides {@link SimulationWorld.gravity gravity} and drag, a spinning {@link Ball} is lifted by the Magnus effect
+     * perpendicular to how it moves through the air. Backspin lifts it up, while topspin pushes it down.
+     *
      * @param delta
      * Within how many seconds this ball gets speeded up.
      *
-     * @returns {p5.Vector}
+     * @returns {Vector}
      * How many m/s this {@link Ball} is speeded up horizontally and vertically.
      */
     getAirAcceleration(delta) {
-        let windVDifference = p5.Vector.sub(this.velocity, windVelocity);
-        let x = -this.dm * windVDifference.mag() * windVDifference.x * delta;
-        let y = -(gravity + this.dm * windVDifference.mag() * windVDifference.y) * delta;
-        return createVector(x, y);
+        return Vector.mult(this.getAirAccelerationAt(this.body.position, this.velocity), delta);
     }
 
     /**
-     * Recalculates the value of this {@link Ball}'s {@link dm} field.
+     * Returns the acceleration of this {@link Ball} while moving through the air at a position with a velocity.
+     *
+     * @param position {Vector}
+     * The position of this {@link Ball}, which determines the wind it moves through.
+     *
+     * @param velocity {Vector}
+     * The velocity of this {@link Ball}.
+     *
+     * @returns {Vector}
+     * The acceleration in m/s². See {@link getAirAcceleration}.
+     *
+     * @see SimulationWorld.getWindVelocityAt
+     */
+    getAirAccelerationAt(position, velocity) {
+        let windVDifference = Vector.sub(velocity, this.world.getWindVelocityAt(position));
+        let airSpeed = windVDifference.mag();
+        let drag = airSpeed === 0 ? 0 : this.dm * this.getDragCoefficient(airSpeed) * airSpeed;
+        let lift = this.lm * this.angularVelocity;
+        let x = -(drag * windVDifference.x + lift * windVDifference.y);
+        let y = -(this.world.gravity + drag * windVDifference.y - lift * windVDifference.x);
+        return new Vector(x, y);
+    }
+
+    /**
+     * Returns the drag coefficient of this {@link Ball} according to the {@link SimulationWorld.dragModel}.
+     *
+     * @param airSpeed {number}
+     * How many m/s fast this {@link Ball} moves through the air. Must be greater than 0.
+     *
+     * @returns {number}
+     * The {@link DRAG_COEFFICIENT} or the drag coefficient at this {@link Ball}'s {@link getReynoldsNumber Reynolds
+     * number}.
+     */
+    getDragCoefficient(airSpeed) {
+        if(this.world.dragModel === DRAG_MODEL_REYNOLDS) {
+            return getSphereDragCoefficient(this.getReynoldsNumber(airSpeed));
+        }
+
+        return DRAG_COEFFICIENT;
+    }
+
+    /**
+     * Returns the Reynolds number of this {@link Ball}, which describes whether the air flows around this {@link Ball}
+     * smoothly or turbulently.
+     *
+     * @param airSpeed {number}
+     * How many m/s fast this {@link Ball} moves through the air.
+     *
+     * @returns {number}
+     * The Reynolds number based on this {@link Ball}'s diameter, the {@link SimulationWorld.airDensity} and the
+     * {@link SimulationWorld.airViscosity}.
+     */
+    getReynoldsNumber(airSpeed) {
+        return this.world.airDensity * airSpeed * this.body.diameter / this.world.airViscosity;
+    }
+
+    /**
+     * Recalculates the values of this {@link Ball}'s {@link dm} and {@link lm} fields.
      */
     recalculateDM() {
         let area = Math.PI * this.body.getRadius() * this.body.getRadius();
-        let dragCoefficient = 0.47;
-        let drag = (dragCoefficient * airDensity * area) / 2;
+        let drag = (this.world.airDensity * area) / 2;
         this.dm = drag / this.mass;
+
+        let lift = (this.liftCoefficient * this.world.airDensity * area * this.body.getRadius()) / 2;
+        this.lm = lift / this.mass;
     }
 }
\ No newline at end of file
@@ -0,0 +1,75 @@
+/**
+ * Loads the simulation's physics core into the global scope of a Node.js process, without p5 or a canvas.
+ *
+ * The core consists of the scripts which do not depend on p5 while being loaded or simulated. They are evaluated in
+ * the same order as in index.html, so their functions, classes and constants become globals, just like in the browser.
+ *
+ * Level files can be read through the exported {@link readLevelFile} function.
+ *
+ * Usage:
+ * <pre>
+ * const {readLevelFile} = require('./src/physics/headless.js');
+ * initializeTerrain(readLevelFile('level1.json'));
+ * let world = createWorld();
+ * world.step(1 / 240);
+ * </pre>
+ *
+ * @author Tizian Kirchner
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * The paths of the scripts making up the physics core, relative to the src folder.
+ * @type {string[]}
+ */
+const CORE_SCRIPTS = [
+    'physics/math.js',
+    'physics/random.js',
+    'physics/vector.js',
+    'physics/integrator.js',
+    'physics/ball.js',
+    'physics/spring.js',
+    'physics/launcher.js',
+    'physics/wind.js',
+    'physics/world.js',
+    'physics/telemetry.js',
+    'physics/prediction.js',
+    'physics/trail.js',
+    'physics/replay.js',
+    'terrain/material.js',
+    'terrain/terrainSegment.js',
+    'terrain/terrainCorner.js',
+    'terrain/terrainPolygon.js',
+    'terrain/level.js',
+    'terrain/course.js',
+    'terrain/terrain.js',
+    'io/palette.js',
+    'io/shapes/circle.js',
+    'io/shapes/rectangle.js',
+    'io/shapes/triangle.js',
+    'io/shapes/polygon.js'
+];
+
+CORE_SCRIPTS.forEach(script => {
+    let file = path.join(__dirname, '..', script);
+    vm.runInThisContext(fs.readFileSync(file, 'utf8'), {filename: file});
+});
+
+/**
+ * Reads and parses a level file from the src/res/levels folder.
+ *
+ * @param name {string}
+ * The name of the level file, for example level1.json.
+ *
+ * @returns {Object}
+ * The object parsed from the level file, which can be passed to the {@link initializeTerrain} function.
+ */
+function readLevelFile(name) {
+    let file = path.join(__dirname, '..', 'res', 'levels', name);
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+module.exports = {readLevelFile};
\ No newline at end of file
@@ -0,0 +1,201 @@
+/**
+ * Provides the {@link Integrator} class, its implementations of different numerical integration methods and the
+ * {@link INTEGRATORS} the {@link SimulationWorld} can simulate the {@link Ball} and the {@link Spring} with.
+ *
+ * @author Tizian Kirchner
+ */
+
+/**
+ * Advances the position and velocity of an object by a time step, according to the acceleration acting on it.
+ *
+ * Implementations differ in how accurately they follow the exact movement of the object and in whether they keep the
+ * energy of oscillating objects, like a {@link Ball} on the {@link Spring}, from drifting away over time.
+ */
+class Integrator {
+    /**
+     * The name through which this {@link Integrator} is shown on the screen.
+     * @type {string}
+     */
+    name;
+
+    /**
+     * Constructs a new {@link Integrator} object.
+     *
+     * @param name {string}
+     * See {@link Integrator.name}.
+     */
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Advances a position and a velocity by a time step. Neither of the given {@link Vector}s is changed.
+     *
+     * @param position {Vector}
+     * The position at the start of the time step.
+     *
+     * @param velocity {Vector}
+     * The velocity at the start of the time step.
+     *
+     * @param getAcceleration {function(Vector, Vector): Vector}
+     * Returns the acceleration in m/s² acting on the object at a position with a velocity.
+     *
+     * @param delta {number}
+     * How many seconds the time step lasts.
+     *
+     * @returns {{position: Vector, velocity: Vector}}
+     * The position and the velocity at the end of the time step.
+     */
+    integrate(position, velocity, getAcceleration, delta) {
+        throw new Error("The integrator \"" + this.name + "\" does not implement the integrate method.");
+    }
+}
+
+/**
+ * Moves the object with its velocity at the start of the time step, before speeding it up.
+ *
+ * The simplest, first-order method. Adds energy to oscillating objects, which lets their oscillation grow over time.
+ */
+class ExplicitEulerIntegrator extends Integrator {
+    /**
+     * Constructs a new {@link ExplicitEulerIntegrator} object.
+     */
+    constructor() {
+        super("Explicit Euler");
+    }
+
+    /**
+     * See {@link Integrator.integrate}.
+     */
+    integrate(position, velocity, getAcceleration, delta) {
+        let acceleration = getAcceleration(position, velocity);
+
+        return {
+            position: Vector.add(position, Vector.mult(velocity, delta)),
+            velocity: Vector.add(velocity, Vector.mult(acceleration, delta))
+        };
+    }
+}
+
+/**
+ * Speeds up the object, before moving it with its velocity at the end of the time step.
+ *
+ * A first-order method as well, but it keeps the energy of oscillating objects from drifting away.
+ * The method the simulation has been built with.
+ */
+class SemiImplicitEulerIntegrator extends Integrator {
+    /**
+     * Constructs a new {@link SemiImplicitEulerIntegrator} object.
+     */
+    constructor() {
+        super("Semi-Implicit Euler");
+    }
+
+    /**
+     * See {@link Integrator.integrate}.
+     */
+    integrate(position, velocity, getAcceleration, delta) {
+        let acceleration = getAcceleration(position, velocity);
+        let newVelocity = Vector.add(velocity, Vector.mult(acceleration, delta));
+
+        return {
+            position: Vector.add(position, Vector.mult(newVelocity, delta)),
+            velocity: newVelocity
+        };
+    }
+}
+
+/**
+ * Moves the object with the acceleration at the start of the time step and speeds it up with the average of the
+ * accelerations at the start and the end of the time step.
+ *
+ * A second-order method, which keeps the energy of oscillating objects from drifting away.
+ * Since the acceleration may depend on the velocity, like the drag of a {@link Ball}, the acceleration at the end of
+ * the time step is calculated with a velocity predicted through the acceleration at the start.
+ */
+class VelocityVerletIntegrator extends Integrator {
+    /**
+     * Constructs a new {@link VelocityVerletIntegrator} object.
+     */
+    constructor() {
+        super("Velocity Verlet");
+    }
+
+    /**
+     * See {@link Integrator.integrate}.
+     */
+    integrate(position, velocity, getAcceleration, delta) {
+        let acceleration = getAcceleration(position, velocity);
+
+        let newPosition = Vector.add(position, Vector.mult(velocity, delta));
+        newPosition.add(Vector.mult(acceleration, delta * delta / 2));
+
+        let predictedVelocity = Vector.add(velocity, Vector.mult(acceleration, delta));
+        let newAcceleration = getAcceleration(newPosition, predictedVelocity);
+
+        return {
+            position: newPosition,
+            velocity: Vector.add(velocity, Vector.mult(Vector.add(acceleration, newAcceleration), delta / 2))
+        };
+    }
+}
+
+/**
+ * Samples the acceleration at the start, twice in the middle and at the end of the time step and combines them.
+ *
+ * The classic fourth-order Runge-Kutta method. The most accurate of the {@link INTEGRATORS}, but it calculates the
+ * acceleration four times per time step.
+ */
+class RungeKutta4Integrator extends Integrator {
+    /**
+     * Constructs a new {@link RungeKutta4Integrator} object.
+     */
+    constructor() {
+        super("RK4");
+    }
+
+    /**
+     * See {@link Integrator.integrate}.
+     */
+    integrate(position, velocity, getAcceleration, delta) {
+        let velocity1 = velocity;
+        let acceleration1 = getAcceleration(position, velocity1);
+
+        let velocity2 = Vector.add(velocity, Vector.mult(acceleration1, delta / 2));
+        let acceleration2 = getAcceleration(Vector.add(position, Vector.mult(velocity1, delta / 2)), velocity2);
+
+        let velocity3 = Vector.add(velocity, Vector.mult(acceleration2, delta / 2));
+        let acceleration3 = getAcceleration(Vector.add(position, Vector.mult(velocity2, delta / 2)), velocity3);
+
+        let velocity4 = Vector.add(velocity, Vector.mult(acceleration3, delta));
+        let acceleration4 = getAcceleration(Vector.add(position, Vector.mult(velocity3, delta)), velocity4);
+
+        let velocitySum = Vector.add(velocity1, velocity4).add(Vector.mult(Vector.add(velocity2, velocity3), 2));
+        let accelerationSum = Vector.add(acceleration1, acceleration4);
+        accelerationSum.add(Vector.mult(Vector.add(acceleration2, acceleration3), 2));
+
+        return {
+            position: Vector.add(position, Vector.mult(velocitySum, delta / 6)),
+            velocity: Vector.add(velocity, Vector.mult(accelerationSum, delta / 6))
+        };
+    }
+}
+
+/**
+ * The {@link Integrator}s the {@link SimulationWorld} can simulate the {@link Ball} and the {@link Spring} with,
+ * accessible through their keys.
+ *
+ * @type {Object.<string, Integrator>}
+ */
+const INTEGRATORS = {
+    explicitEuler: new ExplicitEulerIntegrator(),
+    semiImplicitEuler: new SemiImplicitEulerIntegrator(),
+    velocityVerlet: new VelocityVerletIntegrator(),
+    rungeKutta4: new RungeKutta4Integrator()
+};
+
+/**
+ * The key of the {@link Integrator} a new {@link SimulationWorld} is simulated with.
+ * @type {string}
+ */
+const DEFAULT_INTEGRATOR = 'semiImplicitEuler';
\ No newline at end of file
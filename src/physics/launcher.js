@@ -0,0 +1,375 @@
+/**
+ * Provides the {@link Launcher} class, its implementations of different ways to shoot the {@link Ball} during the
+ * states {@link STATE_AIM} and {@link STATE_SWING}, constants determining how hard they shoot it and the
+ * {@link LAUNCHER_TYPES} a {@link SimulationWorld} can be played with.
+ *
+ * @author Tizian Kirchner
+ */
+
+/**
+ * How far the mouse cursor can pull a {@link Launcher} away from the {@link Ball}.
+ * @type {number}
+ */
+const LAUNCHER_MAX_LENGTH = 1;
+
+/**
+ * How far a {@link Launcher} has to be pulled away from the {@link Ball}, for the {@link Ball} to be shot.
+ * Shorter pulls are cancelled when the {@link Ball} is let go.
+ *
+ * @type {number}
+ */
+const LAUNCHER_MIN_LENGTH = 0.05;
+
+/**
+ * How many m/s fast the {@link SlingshotLauncher} shoots the {@link Ball}, when it is pulled to its
+ * {@link LAUNCHER_MAX_LENGTH}.
+ *
+ * @type {number}
+ */
+const LAUNCHER_MAX_SPEED = 7.5;
+
+/**
+ * How many N·s of impulse the {@link ImpulseLauncher} gives the {@link Ball}, when it is pulled to its
+ * {@link LAUNCHER_MAX_LENGTH}. Shoots a {@link Ball} of the default mass as fast as the {@link LAUNCHER_MAX_SPEED}.
+ *
+ * @type {number}
+ */
+const LAUNCHER_MAX_IMPULSE = 3.75;
+
+/**
+ * How many meters long the shaft of the {@link ClubLauncher} is, from the pivot it swings around to its head.
+ * @type {number}
+ */
+const CLUB_LENGTH = 1.2;
+
+/**
+ * How many radians far the {@link ClubLauncher} can be swung back from hanging straight down.
+ * Stays below pointing straight up, where the club would balance without swinging down.
+ *
+ * @type {number}
+ */
+const CLUB_MAX_ANGLE = Math.PI * 5 / 6;
+
+/**
+ * The default {@link ClubLauncher.mass}.
+ * @type {number}
+ */
+const CLUB_MASS = 2;
+
+/**
+ * The default {@link ClubLauncher.loft}.
+ * @type {number}
+ */
+const CLUB_LOFT = Math.PI * 25 / 180;
+
+/**
+ * The coefficient of restitution of the collision between the head of the {@link ClubLauncher} and the {@link Ball}.
+ * @type {number}
+ */
+const CLUB_RESTITUTION = 0.8;
+
+/**
+ * Shoots a resting {@link Ball} from its current position, after it has been pulled away from the {@link Ball} by the
+ * mouse cursor.
+ *
+ * Implementations differ in the direction and speed they shoot the {@link Ball} with and in whether they strike the
+ * {@link Ball} right after being let go or swing towards it first.
+ */
+class Launcher {
+    /**
+     * Stores a {@link Vector} going from the center of the {@link Ball} to where the {@link Launcher} has been pulled.
+     * @type {Vector}
+     */
+    vector = new Vector(0, 0);
+
+    /**
+     * Lets this {@link Launcher} rest on the {@link Ball}, without being pulled.
+     */
+    reset() {
+        this.vector = new Vector(0, 0);
+    }
+
+    /**
+     * @returns {Launcher}
+     * A copy of this {@link Launcher}, which can be pulled and let go without changing this {@link Launcher}.
+     */
+    copy() {
+        let copy = Object.assign(new this.constructor(), this);
+        copy.vector = this.vector.copy();
+        return copy;
+    }
+
+    /**
+     * Pulls this {@link Launcher} towards a target position, while limiting it to lengths not going over
+     * {@link LAUNCHER_MAX_LENGTH}.
+     *
+     * @param ball {Ball}
+     * The {@link Ball} to shoot.
+     *
+     * @param target {Vector}
+     * The position this {@link Launcher} is being pulled towards, usually the position of the mouse cursor.
+     */
+    pull(ball, target) {
+        let ballTargetVec = Vector.sub(target, ball.body.position);
+
+        if(ballTargetVec.mag() > LAUNCHER_MAX_LENGTH) {
+            ballTargetVec.setMag(LAUNCHER_MAX_LENGTH);
+        }
+
+        this.vector = ballTargetVec;
+    }
+
+    /**
+     * @returns {boolean} If this {@link Launcher} has been pulled far enough to shoot the {@link Ball}.
+     * @see LAUNCHER_MIN_LENGTH
+     */
+    isPulled() {
+        return this.vector.mag() >= LAUNCHER_MIN_LENGTH;
+    }
+
+    /**
+     * Lets go of this {@link Launcher} after it has been pulled far enough to shoot the {@link Ball}.
+     * Launchers which strike the {@link Ball} right away do nothing.
+     */
+    release() {}
+
+    /**
+     * @returns {boolean}
+     * If this {@link Launcher} has been let go and is swinging towards the {@link Ball}, which it has not struck yet.
+     */
+    isSwinging() {
+        return false;
+    }
+
+    /**
+     * Lets this {@link Launcher} swing towards the {@link Ball} for a time step.
+     *
+     * @param gravity {number}
+     * How quickly objects fall down.
+     *
+     * @param delta {number}
+     * For how many seconds to let this {@link Launcher} swing.
+     *
+     * @returns {boolean} If this {@link Launcher} reached the {@link Ball} and strikes it.
+     */
+    swing(gravity, delta) {
+        return true;
+    }
+
+    /**
+     * @param ball {Ball}
+     * The {@link Ball} to shoot.
+     *
+     * @returns {Vector}
+     * The velocity the {@link Ball} is shot with.
+     */
+    getLaunchVelocity(ball) {
+        throw new Error("The launcher " + this.constructor.name + " does not implement the getLaunchVelocity method.");
+    }
+}
+
+/**
+ * Shoots the {@link Ball} like a slingshot.
+ *
+ * The {@link SlingshotLauncher} is pulled away from the {@link Ball} and shoots it in the opposite direction.
+ * The further it is pulled, the faster the {@link Ball} is shot, regardless of how heavy the {@link Ball} is.
+ */
+class SlingshotLauncher extends Launcher {
+    /**
+     * See {@link Launcher.getLaunchVelocity}.
+     * Points away from where this {@link SlingshotLauncher} has been pulled.
+     */
+    getLaunchVelocity(ball) {
+        return Vector.mult(this.vector, -LAUNCHER_MAX_SPEED / LAUNCHER_MAX_LENGTH);
+    }
+}
+
+/**
+ * Shoots the {@link Ball} by giving it an impulse in the direction the {@link ImpulseLauncher} has been dragged to.
+ *
+ * The further it is dragged, the larger the impulse. Since the impulse is divided by the mass of the {@link Ball},
+ * heavy balls are shot slower than light ones.
+ */
+class ImpulseLauncher extends Launcher {
+    /**
+     * See {@link Launcher.getLaunchVelocity}.
+     * Points towards where this {@link ImpulseLauncher} has been dragged.
+     */
+    getLaunchVelocity(ball) {
+        return Vector.mult(this.vector, LAUNCHER_MAX_IMPULSE / LAUNCHER_MAX_LENGTH / ball.mass);
+    }
+}
+
+/**
+ * A golf club, which hangs from a pivot {@link CLUB_LENGTH} meters above the {@link Ball} like a pendulum.
+ *
+ * The club is swung back by pulling its head away from the {@link Ball}. Once it is let go, gravity swings it back
+ * down, until its head strikes the {@link Ball} at the bottom of the swing. The {@link Ball} leaves the tilted face of
+ * the head at the angle of the {@link loft} and gets faster, the heavier the club is.
+ */
+class ClubLauncher extends Launcher {
+    /**
+     * How many kilograms heavy the head of this {@link ClubLauncher} is.
+     * @type {number}
+     */
+    mass = CLUB_MASS;
+
+    /**
+     * By how many radians the face of the head is tilted back from standing upright.
+     * @type {number}
+     */
+    loft = CLUB_LOFT;
+
+    /**
+     * The angle in radians by which the club is turned counterclockwise from hanging straight down, while it is
+     * {@link swinging}.
+     *
+     * @type {number}
+     */
+    angle = 0;
+
+    /**
+     * How many radians per second fast the club turns counterclockwise, while it is {@link swinging}.
+     * @type {number}
+     */
+    angularVelocity = 0;
+
+    /**
+     * Determines if the club has been let go and is swinging towards the {@link Ball}.
+     * @type {boolean}
+     */
+    swinging = false;
+
+    /**
+     * Lets this {@link ClubLauncher} hang straight down on the {@link Ball}, without being swung back.
+     */
+    reset() {
+        super.reset();
+        this.angle = 0;
+        this.angularVelocity = 0;
+        this.swinging = false;
+    }
+
+    /**
+     * Swings the head of this {@link ClubLauncher} back towards a target position, while limiting it to angles not
+     * going over {@link CLUB_MAX_ANGLE}.
+     *
+     * @param ball {Ball}
+     * The {@link Ball} to shoot.
+     *
+     * @param target {Vector}
+     * The position the head is being pulled towards, usually the position of the mouse cursor.
+     */
+    pull(ball, target) {
+        let pivot = this.getPivot(ball.body.position);
+        let angle = Math.atan2(target.x - pivot.x, pivot.y - target.y);
+        angle = Math.min(Math.max(angle, -CLUB_MAX_ANGLE), CLUB_MAX_ANGLE);
+
+        this.vector = new Vector(CLUB_LENGTH * Math.sin(angle), CLUB_LENGTH * (1 - Math.cos(angle)));
+    }
+
+    /**
+     * Starts swinging from the angle this {@link ClubLauncher} has been swung back to.
+     */
+    release() {
+        this.angle = this.getPulledAngle();
+        this.angularVelocity = 0;
+        this.swinging = true;
+    }
+
+    /**
+     * See {@link Launcher.isSwinging}.
+     */
+    isSwinging() {
+        return this.swinging;
+    }
+
+    /**
+     * See {@link Launcher.swing}.
+     *
+     * Accelerates the club like a pendulum, whose mass lies in its head. Strikes the {@link Ball} once the club passes
+     * the bottom of the swing.
+     */
+    swing(gravity, delta) {
+        this.angularVelocity -= gravity / CLUB_LENGTH * Math.sin(this.angle) * delta;
+        let angle = this.angle + this.angularVelocity * delta;
+
+        if(angle === 0 || Math.sign(angle) !== Math.sign(this.angle)) {
+            this.angle = 0;
+            this.swinging = false;
+            return true;
+        }
+
+        this.angle = angle;
+        return false;
+    }
+
+    /**
+     * See {@link Launcher.getLaunchVelocity}.
+     *
+     * Treats the strike as a collision between the head, moving with the speed it reached at the bottom of the
+     * swing, and the resting {@link Ball}, in the direction the face of the head points to.
+     */
+    getLaunchVelocity(ball) {
+        let direction = Math.sign(this.angularVelocity);
+        let faceNormal = new Vector(direction * Math.cos(this.loft), Math.sin(this.loft));
+        let headSpeed = Math.abs(this.angularVelocity) * CLUB_LENGTH * Math.cos(this.loft);
+        let ballSpeed = (1 + CLUB_RESTITUTION) * this.mass / (this.mass + ball.mass) * headSpeed;
+
+        return faceNormal.mult(ballSpeed);
+    }
+
+    /**
+     * @returns {number}
+     * The angle in radians by which the club has been swung back counterclockwise, calculated from the
+     * {@link vector}.
+     */
+    getPulledAngle() {
+        return Math.atan2(this.vector.x, CLUB_LENGTH - this.vector.y);
+    }
+
+    /**
+     * @param ballPosition {Vector}
+     * The position of the {@link Ball}.
+     *
+     * @returns {Vector}
+     * The position of the pivot the club swings around, straight above the {@link Ball}.
+     */
+    getPivot(ballPosition) {
+        return new Vector(ballPosition.x, ballPosition.y + CLUB_LENGTH);
+    }
+
+    /**
+     * @param ballPosition {Vector}
+     * The position of the {@link Ball}.
+     *
+     * @returns {Vector}
+     * The position of the center of the head, following the swing while the club is {@link swinging}.
+     */
+    getHeadPosition(ballPosition) {
+        let angle = this.swinging ? this.angle : this.getPulledAngle();
+        return Vector.add(this.getPivot(ballPosition), new Vector(Math.sin(angle), -Math.cos(angle)).mult(CLUB_LENGTH));
+    }
+}
+
+/**
+ * The ways the {@link Ball} can be launched, accessible through their keys.
+ *
+ * Each type has a name through which it is shown on the screen and creates the {@link Launcher} the {@link Ball} is
+ * shot with during the state {@link STATE_AIM}. With a type using the spring, the {@link Ball} of each try is
+ * launched off the {@link Spring} of the catapult first. Otherwise, it is teed up on the tip of the catapult and shot
+ * from there by the {@link Launcher}.
+ *
+ * @type {Object.<string, {name: string, usesSpring: boolean, createLauncher: function(): Launcher}>}
+ */
+const LAUNCHER_TYPES = {
+    spring: {name: "SPRING", usesSpring: true, createLauncher: () => new SlingshotLauncher()},
+    club: {name: "CLUB", usesSpring: false, createLauncher: () => new ClubLauncher()},
+    impulse: {name: "IMPULSE", usesSpring: false, createLauncher: () => new ImpulseLauncher()}
+};
+
+/**
+ * The key of the type in the {@link LAUNCHER_TYPES} a level is played with, unless it names another one.
+ * @type {string}
+ */
+const DEFAULT_LAUNCHER_TYPE = 'spring';
\ No newline at end of file
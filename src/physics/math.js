@@ -1,3 +1,21 @@
+/**
+ * Provides mathematical helper functions and direction constants used throughout the simulation.
+ *
+ * @author Tizian Kirchner
+ */
+
+/* directions */
+
+const DIR_TP = 0;
+const DIR_TP_LFT = 1;
+const DIR_TP_RGT = 2;
+const DIR_BTM = 3;
+const DIR_BTM_LFT = 4;
+const DIR_BTM_RGT = 5;
+const DIR_LFT = 6;
+const DIR_RGT = 7;
+const DIR_MID = 8;
+
 /**
  * Returns 1, 0 or -1 depending on whether the input value is positive, 0 or negative.
  *
@@ -5,19 +23,47 @@
  * @param [min] {number} If the absolute value of the input value is smaller than this value, 0 will be returned.
  *
  * @returns {number} 1, 0 or -1 depending on whether the input value is positive, 0 or negative.
- *
- * @author Tizian Kirchner
  */
 function sign(value, min) {
     if(min === undefined) {
         min = 0;
     }
 
-    if(value === 0 || abs(value) < min) {
+    if(value === 0 || Math.abs(value) < min) {
         return 0;
     } else if(value > 0) {
         return 1;
     } else {
         return -1;
     }
+}
+
+/**
+ * Returns the direction along terrain, in which a ball touching the terrain moves,
+ * when it rolls without slipping while rotating counterclockwise.
+ *
+ * @param normal {Vector} The normal of the terrain at the point of contact, pointing towards the ball.
+ * @returns {Vector} The normal, rotated by 90 degrees counterclockwise.
+ */
+function getContactTangent(normal) {
+    return new Vector(-normal.y, normal.x);
+}
+
+/**
+ * Returns the drag coefficient of a smooth sphere at a Reynolds number, following the correlation by Morrison (2013).
+ *
+ * The drag coefficient falls from the high values of viscous flow at low Reynolds numbers to about 0.47,
+ * until it drops sharply during the drag crisis at a Reynolds number of about 300000,
+ * where the flow around the sphere becomes turbulent.
+ *
+ * @param reynoldsNumber {number} The Reynolds number of the sphere, which must be greater than 0.
+ * @returns {number} The drag coefficient.
+ */
+function getSphereDragCoefficient(reynoldsNumber) {
+    let viscous = 24 / reynoldsNumber;
+    let transition = 2.6 * (reynoldsNumber / 5) / (1 + Math.pow(reynoldsNumber / 5, 1.52));
+    let crisisRatio = reynoldsNumber / 263000;
+    let crisis = 0.411 * Math.pow(crisisRatio, -7.94) / (1 + Math.pow(crisisRatio, -8));
+    let turbulent = 0.25 * (reynoldsNumber / 1e6) / (1 + reynoldsNumber / 1e6);
+    return viscous + transition + crisis + turbulent;
 }
\ No newline at end of file
@@ -1,7 +1,9 @@
 /**
- * Contains and updates values related to the physics of the environment in which the simulation takes place.
- * Performs different physics calculations according to different states the simulation can be in, such as the
- * {@link ball} being attached to the spring or being released from the spring.
+ * Connects the {@link world} to the sketch in canvas.js.
+ *
+ * Advances the {@link world} in fixed physics steps, updates its physics parameters according to the physics settings,
+ * lets the mouse cursor pull the {@link Ball} away from the spring and moves on to the next hole of the {@link course}
+ * once the {@link Ball} landed in the hole.
  *
  * @author Tizian Kirchner
  */
@@ -9,190 +11,282 @@
 /* Physics */
 
 /**
- * Net acceleration that is applied to objects on earth.
+ * A multiplier used to adjust the effects of gravity.
+ *
+ * By modifying the value of `gravityMultiplier`, the strength of gravity can be scaled up or down.
+ * A value greater than 1 increases the gravity force, while a value between 0 and 1 decreases it.
+ * Setting it to 1 represents the default or standard gravity.
  *
  * @type {number}
  */
-const STANDARD_GRAVITY = 9.81;
+let gravityMultiplier = 1;
 
 /**
- * How many meters an object must have moved into terrain before a collision is detected.
+ * The {@link SimulationWorld.dragModel} selected in the physics settings.
+ *
+ * Kept outside of the {@link world}, so that it is applied to the {@link SimulationWorld} of every hole.
  *
  * @type {number}
+ * @see toggleDragModel
  */
-const COLLISION_THRESHOLD = 0.001;
+let selectedDragModel = DRAG_MODEL_CONSTANT;
 
 /**
- * See {@link Ball.reflectInAir}.
+ * The key of the {@link SimulationWorld.integrator} selected in the physics settings.
  *
- * @type {number}
+ * Kept outside of the {@link world}, so that it is applied to the {@link SimulationWorld} of every hole.
+ *
+ * @type {string}
+ * @see INTEGRATORS
+ * @see cycleIntegrator
  */
-const BOUNCING_THRESHOLD = 0.1;
+let selectedIntegrator = DEFAULT_INTEGRATOR;
 
 /**
- * Determines how quickly objects fall down.
+ * The {@link SimulationWorld.windMode} selected in the physics settings.
+ *
+ * Kept outside of the {@link world}, so that it is applied to the {@link SimulationWorld} of every hole.
  *
  * @type {number}
+ * @see cycleWindMode
  */
-let gravity = STANDARD_GRAVITY;
+let selectedWindMode = WIND_MODE_RANDOM;
 
 /**
- * A multiplier used to adjust the effects of gravity.
+ * The {@link SimulationWorld.fixedWindVelocity} selected in the physics settings.
  *
- * By modifying the value of `gravityMultiplier`, the strength of gravity can be scaled up or down.
- * A value greater than 1 increases the gravity force, while a value between 0 and 1 decreases it.
- * Setting it to 1 represents the default or standard gravity.
+ * @type {Vector}
+ * @see updateFixedWind
+ */
+let selectedFixedWindVelocity = new Vector(5, 0);
+
+/**
+ * The range of the random wind selected in the physics settings or null, if the range of the {@link level} is used.
  *
- * @type {number}
+ * @type {{min: number, max: number} | null}
+ * @see updateWindRange
  */
-let gravityMultiplier = 1;
+let selectedWindRange = null;
 
 /**
- * Determines how strongly objects are affected by {@link windVelocity wind}.
+ * The key of the {@link SimulationWorld.launcherType} selected in the physics settings or null, if the
+ * {@link Level.launcherType launcher type of the level} is used.
  *
- * If the {@link windVelocity} is equal to the zero {@link Vector} this variable determines how strongly the air
- * slows down objects.
+ * Kept outside of the {@link world}, so that it is applied to the {@link SimulationWorld} of every hole.
  *
+ * @type {string | null}
+ * @see LAUNCHER_TYPES
+ * @see cycleLauncherType
+ */
+let selectedLauncherType = null;
+
+/**
+ * The fastest wind in m/s, which can be selected in the physics settings, in either direction.
  * @type {number}
  */
-let airDensity = 1.3;
+const MAX_SELECTABLE_WIND_VELOCITY = 15;
 
 /**
- * Determines how strongly objects are affected by wind and in which direction wind pushed them.
+ * The {@link SimulationWorld} simulated and drawn by the sketch.
  *
- * @type {Vector}
+ * @type {SimulationWorld}
  */
-let windVelocity;
-
-/* Ball */
+let world;
 
 /**
- * Launched of the {@link catapult} by the user.
+ * The seed of the game's random numbers, which is shown on the HUD.
  *
- * The goal of the minigolf game is to land this ball in the hole on the left side of the terrain.
+ * The {@link world} of each hole derives its seed from it, so that entering the same seed reproduces the wind
+ * on every hole of the {@link course}.
  *
- * @type {Ball}
+ * @type {number}
+ * @see getHoleSeed
  */
-let ball;
+let gameSeed = createRandomSeed();
+
+/* Trajectory Preview */
 
 /**
- * Determines if the {@link ball} is being pressed by the mouse cursor.
+ * The key of the difficulty in the {@link PREDICTION_DIFFICULTIES} the trajectory preview is played with.
  *
- * @type {boolean}
+ * @type {string}
+ * @see cyclePredictionDifficulty
  */
-let ballPressed = false;
+let selectedPredictionDifficulty = DEFAULT_PREDICTION_DIFFICULTY;
 
 /**
- * Determines if the {@link ball} has been fully released by the spring above the {@link catapult}.
+ * The positions the held {@link Ball} is predicted to pass through once it is let go.
+ * Empty while the {@link Ball} is not held or the preview is turned off.
  *
- * @type {boolean}
+ * @type {Vector[]}
+ * @see updatePrediction
  */
-let ballTopStart = false;
+let predictedTrajectory = [];
 
 /**
- * Determines if the {@link ball} has been fully released by the spring to the right of the {@link catapult}.
+ * Describes the position of the held {@link Ball} and the pull of the launcher the {@link predictedTrajectory} has
+ * been predicted for, so that it is only predicted again once either of them changes.
  *
- * @type {boolean}
+ * @type {string}
  */
-let ballRightStart = false;
+let predictionKey = "";
+
+/* Time Step */
 
 /**
- * Determines if the {@link ball} has been fully released by the spring to the left of the {@link catapult}.
+ * How many seconds of simulated time pass during a single physics step.
  *
- * @type {boolean}
+ * The {@link Ball} and the spring are always simulated with this fixed duration, regardless of the frame rate,
+ * so that the same shot produces the same trajectory at any frame rate.
+ *
+ * @type {number}
+ * @see updatePhysics
  */
-let ballLeftStart = false;
+let physicsStep = 1 / 240;
 
-/* Administration */
+/**
+ * How many physics steps are simulated during a single frame at most, while the simulation runs at real time or slower.
+ *
+ * If a frame took longer than this many physics steps, the remaining time is discarded.
+ * This slows the simulation down during lag spikes instead of freezing it or letting it spiral out of control.
+ * While the simulation is sped up, the limit is multiplied by the {@link timeScale}, so that every time scale is
+ * reached at frame rates down to 10 frames per second.
+ *
+ * @type {number}
+ * @see updatePhysics
+ */
+const MAX_PHYSICS_SUBSTEPS = 24;
 
 /**
- * Determines if collision information is printed to the console and if terrain colliders are drawn.
+ * Stores how many seconds of frame time have passed which have not been simulated by a physics step yet.
  *
- * @type {boolean}
+ * @type {number}
+ * @see updatePhysics
  */
-const DEBUG = false;
+let physicsAccumulator = 0;
 
 /**
- * Determines how often the {@link ball} has been fully released by the spring since the {@link resetButton}
- * has been last pressed.
+ * Determines how far the time of the current frame lies between the last and the next physics step.
+ *
+ * 0 means the frame is exactly at the last physics step, while 1 means the frame is exactly at the next physics step.
+ * Used to interpolate the positions of visuals between two physics steps.
  *
  * @type {number}
+ * @see Ball.getInterpolatedPosition
  */
-let tries = 0;
+let physicsAlpha = 0;
 
 /**
- * Determines how often the {@link ball} landed in the hole, since the {@link resetButton}
- * has been last pressed.
+ * How fast the simulation runs, as a fraction of the real time. Set through the {@link timeScaleSlider}.
  *
  * @type {number}
+ * @see updateTimeScale
  */
-let successfulTries = 0;
+let timeScale = 1;
 
 /**
- * Determines if the {@link ball} landed in the hole, since it has been released by the spring.
+ * Determines if the simulation is paused.
  *
  * @type {boolean}
+ * @see togglePause
  */
-let success = false;
+let simulationPaused = false;
 
-/* Simulation State */
+/* Course */
 
 /**
- * Forces the simulation of the a {@link Ball} object to stop.
- *
- * Used as the value for the {@link state} variable,
- * if the {@link Ball.simulate} method got stuck in an infinite loop or
- * {@link Ball.velocity} uses an invalid value for one of its components.
+ * How many seconds the {@link Ball} stays in the hole, before the next hole of the {@link course} is loaded.
  *
  * @type {number}
+ * @see updateCourse
  */
-const STATE_ERROR = -1;
+const HOLE_COMPLETED_DELAY = 2;
 
 /**
- * Used as the value for the {@link state} variable,
- * if the {@link ball} is currently attached to spring and not being released by the spring.
+ * Stores how many seconds the {@link Ball} has been in the hole.
  *
  * @type {number}
+ * @see updateCourse
  */
-const STATE_SPRING_ATTACHED = 0;
+let holeCompletedTimer = 0;
 
 /**
- * Used as the value for the {@link state} variable,
- * if the {@link ball} is currently being released by the spring.
- *
- * @type {number}
+ * @returns {number} How many seconds have passed between the current and the last frame.
  */
-const STATE_SPRING_RELEASE = 1;
+function getDeltaInSec() {
+    return deltaTime * 0.001;
+}
 
 /**
- * Used as the value for the {@link state} variable,
- * if the {@link ball} has been fully released by the spring and
- * is flying through the air or rolling on the ground.
+ * Advances the simulation by the given frame time, using as many physics steps of {@link physicsStep} seconds as fit
+ * into the time that has not been simulated yet.
  *
- * @type {number}
+ * At most {@link MAX_PHYSICS_SUBSTEPS} physics steps, multiplied by a {@link timeScale} above 1, are simulated.
+ * Time which does not fit into a whole physics step is kept in the {@link physicsAccumulator} for the next frame and
+ * used to update the {@link physicsAlpha}.
+ * The frame time is scaled by the {@link getPlaybackRate playback rate}, which slows down or pauses the simulation.
+ *
+ * @param delta {number} How many seconds passed between the current and the last frame.
  */
-const STATE_THROW = 2;
+function updatePhysics(delta) {
+    physicsAccumulator += delta * getPlaybackRate();
+    let maxSubsteps = MAX_PHYSICS_SUBSTEPS * Math.max(timeScale, 1);
+    let substeps = 0;
+
+    while(physicsAccumulator >= physicsStep && substeps < maxSubsteps) {
+        simulatePhysics(physicsStep);
+        physicsAccumulator -= physicsStep;
+        substeps++;
+    }
+
+    // Discard the time that could not be simulated because of the substep limit.
+    if(physicsAccumulator >= physicsStep) {
+        physicsAccumulator %= physicsStep;
+    }
+
+    physicsAlpha = physicsAccumulator / physicsStep;
+}
 
 /**
- * Determines how {@link ball} and spring are being simulated.
+ * @returns {number}
+ * How fast the physics are simulated, as a fraction of the real time.
+ * 0 while the simulation is {@link simulationPaused paused} and the {@link timeScale} otherwise.
  *
- * @type {number}
+ * @see updatePhysics
  */
-let state = STATE_SPRING_ATTACHED;
+function getPlaybackRate() {
+    return simulationPaused ? 0 : timeScale;
+}
 
 /**
- * @returns {number} How many seconds have passed between the current and the last frame.
+ * Updates the {@link timeScale}, according to the {@link timeScaleSlider}'s indicator value.
+ *
+ * Sets the {@link timeScale} between 0.1 and 4.
  */
-function getDeltaInSec() {
-    let deltaInSec = deltaTime * 0.001;
-
-    if(deltaInSec > 0.1) {
-        return 0;
+function updateTimeScale() {
+    if(timeScaleSlider.indicatorValue <= 0.5) {
+        timeScale = 0.1 + timeScaleSlider.indicatorValue * 1.8;
     } else {
-        return deltaInSec;
+        timeScale = 1 + (timeScaleSlider.indicatorValue - 0.5) * 6;
     }
 }
 
+/**
+ * Pauses or resumes the simulation by toggling {@link simulationPaused}.
+ */
+function togglePause() {
+    simulationPaused = !simulationPaused;
+}
+
+/**
+ * Pauses the simulation and lets the {@link updatePhysics} function simulate exactly one more physics step of
+ * {@link physicsStep} seconds.
+ */
+function stepPhysics() {
+    simulationPaused = true;
+    physicsAccumulator += physicsStep;
+}
+
 /**
  * Updates the {@link gravityMultiplier}, according to the {@link gravitySlider}'s indicator value.
  *
@@ -205,13 +299,13 @@ function updateGravity() {
         gravityMultiplier = 1 + (gravitySlider.indicatorValue - 0.5) * 6;
     }
 
-    gravity = STANDARD_GRAVITY * gravityMultiplier;
+    world.gravity = STANDARD_GRAVITY * gravityMultiplier;
 }
 
 /**
  * Updates how many kg/m³ dense the air is, according to the {@link airDensitySlider}'s indicator value.
  *
- * Sets the {@link airDensity} between 0.0003 kg/m³ and 3 kg/m³.
+ * Sets the {@link SimulationWorld.airDensity} between 0.0003 kg/m³ and 3 kg/m³.
  */
 function updateAirDensity() {
     let newAirDensity;
@@ -222,14 +316,14 @@ function updateAirDensity() {
         newAirDensity = 1.3 + (airDensitySlider.indicatorValue - 0.5) * 1997.4;
     }
 
-    if(newAirDensity !== airDensity) {
-        airDensity = newAirDensity;
-        ball.recalculateDM();
+    if(newAirDensity !== world.airDensity) {
+        world.airDensity = newAirDensity;
+        world.ball.recalculateDM();
     }
 }
 
 /**
- * Updates how many meters long the {@link ball}'s diameter is, according to the {@link diameterSlider}'s indicator
+ * Updates how many meters long the {@link Ball}'s diameter is, according to the {@link diameterSlider}'s indicator
  * value.
  *
  * The diameter can be between 0.1 m and 0.3 m.
@@ -237,14 +331,14 @@ function updateAirDensity() {
 function updateBallDiameter() {
     let newBallDiameter = 0.1 + diameterSlider.indicatorValue * 0.2;
 
-    if(newBallDiameter !== ball.body.diameter) {
-        ball.body.diameter = newBallDiameter;
-        ball.recalculateDM();
+    if(newBallDiameter !== world.ball.body.diameter) {
+        world.ball.body.diameter = newBallDiameter;
+        world.ball.recalculateDM();
     }
 }
 
 /**
- * Updates how many kilograms heavy the {@link ball} is, according to the {@link massSlider}'s indicator value.
+ * Updates how many kilograms heavy the {@link Ball} is, according to the {@link massSlider}'s indicator value.
  *
  * The mass can be between 0.01 kg and 10 kg.
  */
@@ -257,228 +351,456 @@ function updateBallMass() {
         newBallMass = 0.5 + (massSlider.indicatorValue - 0.5) * 19;
     }
 
-    if(newBallMass !== ball.mass) {
-        ball.mass = newBallMass;
-        ball.recalculateDM();
+    if(newBallMass !== world.ball.mass) {
+        world.ball.mass = newBallMass;
+        world.ball.recalculateDM();
     }
 }
 
 /**
- * Updates how high the {@link ball}'s roll resistance coefficient is,
+ * Updates how high the {@link Ball}'s roll resistance coefficient is,
  * according to the {@link rollResistanceSlider}'s indicator value.
  *
  * The roll resistance coefficient can be between 0.0003 and 3.
  */
 function updateBallRollResistanceCoefficient() {
-    ball.rollResistanceCoefficient = 0.0003 + rollResistanceSlider.indicatorValue * 0.2997;
+    world.ball.rollResistanceCoefficient = 0.0003 + rollResistanceSlider.indicatorValue * 0.2997;
+}
+
+/**
+ * Updates how fast the {@link Ball} spins when it is launched, according to the {@link launchSpinSlider}'s indicator
+ * value.
+ *
+ * The {@link SimulationWorld.launchSpin} can be between -100 rad/s of backspin and 100 rad/s of topspin.
+ */
+function updateLaunchSpin() {
+    world.launchSpin = (launchSpinSlider.indicatorValue - 0.5) * 200;
 }
 
 /**
- * Sets a random value for the horizontal {@link windVelocity} between 6 m/s and 9 m/s.
+ * Initializes the {@link world} on the terrain initialized by the {@link initializeTerrain} function and
+ * randomizes its wind according to the selected wind settings, using the seed of the hole being played.
  *
- * The wind can come from the left or the right.
+ * @see getHoleSeed
  */
-function randomizeWind() {
-    windVelocity = createVector(random(0, 1), random(0, 0));
-    windVelocity.setMag(random(-9, 6));
+function initializeWorld() {
+    world = createWorld(getHoleSeed());
+    updateWind();
+    world.randomizeWind();
 }
 
 /**
- * Initializes the {@link ball} object.
+ * Sets the {@link gameSeed} to the seed passed through the "seed" URL parameter, if the parameter is a valid seed.
+ *
+ * @see parseSeed
  */
-function initializeBall() {
-    let ballPos = createVector(catapultPosition.x, catapultPosition.y - SPRING_RELAXED_LENGTH);
-    let ballBody = new Circle(ballPos, 0.20, CL_GRN);
-    ball = new Ball(ballBody, 0.50, 0.05);
+function initializeSeed() {
+    let seed = parseSeed(getURLParams().seed);
+
+    if(seed !== null) {
+        gameSeed = seed;
+    }
 }
 
 /**
- * Sets the {@link ball} back to its initial state at the {@link catapult}.
+ * @returns {number}
+ * The seed of the random numbers of the hole being played in the {@link course}, derived from the {@link gameSeed}.
  */
-function resetBall() {
-    ball.body.position.x = catapultPosition.x;
-    ball.body.position.y = catapultPosition.y - SPRING_RELAXED_LENGTH;
-    ball.velocity = createVector(0, 0);
-    ball.groundSegment = null;
-    springVector = createVector(0, -SPRING_RELAXED_LENGTH);
+function getHoleSeed() {
+    return (gameSeed + course.holeIndex) >>> 0;
 }
 
 /**
- * Attaches the {@link ball} to the mouse cursor, if the {@link ball} is being pressed by the mouse cursor,
- * and the {@link ball} is attached to the spring.
+ * Asks the user for a new {@link gameSeed} and restarts the game with it, so that the wind of a previous game
+ * can be reproduced. Keeps the {@link gameSeed}, if the user cancels or enters an invalid seed.
+ */
+function enterSeed() {
+    let seed = parseSeed(prompt("Enter a seed between 0 and " + (SEED_COUNT - 1) + ":", String(gameSeed)));
+
+    if(seed !== null) {
+        gameSeed = seed;
+        resetGame();
+    }
+}
+
+/**
+ * Lets the mouse cursor hold the {@link Ball}, if the {@link Ball} is being pressed by the mouse cursor,
+ * and the {@link Ball} is attached to the spring. The {@link Ball} of a {@link Replay} can not be held.
+ *
+ * @returns {boolean} If the mouse cursor holds the {@link Ball}.
  */
 function checkBallPressed() {
-    if(state === STATE_SPRING_ATTACHED || state === STATE_SPRING_RELEASE) {
-        let mouseCX = transformPxToCx(mouseX);
-        let mouseCY = transformPyToCy(mouseY);
-        let balMouVec = createVector(mouseCX - ball.body.position.x, mouseCY - ball.body.position.y);
-
-        if(balMouVec.mag() <= ball.body.diameter / 2) {
-            ballPressed = true;
-            ball.velocity = createVector(0, 0);
-        }
+    if(replayPlayer !== null) {
+        return false;
+    }
+
+    let ball = world.ball;
+    let mouseCX = transformPxToCx(mouseX);
+    let mouseCY = transformPyToCy(mouseY);
+    let balMouVec = new Vector(mouseCX - ball.body.position.x, mouseCY - ball.body.position.y);
+
+    if(balMouVec.mag() <= ball.body.diameter / 2) {
+        world.grabBall();
     }
+
+    return world.ballHeld;
 }
 
 /**
- * Releases the {@link ball} from the mouse cursor if the {@link ball} is being held by the mouse cursor.
- * Starts to release the ball from the spring if the spring has been stretched to a length longer than its relaxed
- * length.
+ * Releases the {@link Ball} from the mouse cursor if the {@link Ball} is being held by the mouse cursor.
  *
- * @see SPRING_RELAXED_LENGTH
+ * @see SimulationWorld.releaseBall
  */
 function checkBallReleasedByMouse() {
-    if((state === STATE_SPRING_ATTACHED || state === STATE_SPRING_RELEASE) && ballPressed) {
-        ballPressed = false;
+    world.releaseBall();
+}
+
+/**
+ * Starts a new try of the current hole at the catapult, keeping the strokes played on the hole.
+ * Stops the playback of a {@link Replay} first.
+ *
+ * @see SimulationWorld.newTry
+ */
+function newTry() {
+    stopReplay();
+    world.newTry();
+}
+
+/**
+ * Resets the minigolf game by deleting the scores of the {@link course} and loading its first hole.
+ * Stops the playback of a {@link Replay} first.
+ */
+function resetGame() {
+    stopReplay();
+    course.restart();
+    loadHole();
+}
+
+/**
+ * Rebuilds the {@link level}, the {@link world} and the flag from the level file of the hole being played
+ * in the {@link course}.
+ *
+ * The {@link world} keeps the values set through the physics settings.
+ */
+function loadHole() {
+    levelData = course.getHoleData();
+    holeCompletedTimer = 0;
+    clearEditorSelection();
+
+    initializeTerrain(levelData);
+    initializeWorld();
+    initializeFlag();
+    applyPhysicsSettings();
+}
 
-        if(springVector.mag() > SPRING_RELAXED_LENGTH + 0.01) {
-            state = STATE_SPRING_RELEASE;
-        } else {
-            state = STATE_SPRING_ATTACHED;
+/**
+ * Finishes the hole being played, once the {@link Ball} has been in the hole for {@link HOLE_COMPLETED_DELAY}
+ * seconds, and loads the next hole of the {@link course}.
+ *
+ * The strokes are counted by the {@link SimulationWorld.getStrokes} method. No hole is finished while the level editor
+ * is open, so that edited levels can be tested, and while a {@link Replay} is being played back.
+ *
+ * @param delta {number} How many seconds of simulated time passed between the current and the last frame.
+ */
+function updateCourse(delta) {
+    if(!world.success || course.isFinished() || editorActive || replayPlayer !== null) {
+        holeCompletedTimer = 0;
+        return;
+    }
+
+    holeCompletedTimer += delta;
+
+    if(holeCompletedTimer >= HOLE_COMPLETED_DELAY) {
+        course.finishHole(world.getStrokes());
+
+        if(!course.isFinished()) {
+            loadHole();
         }
     }
 }
 
 /**
- * Releases the {@link ball} from the spring into the air if
- * the spring reaches a length shorter than its relaxed length.
+ * Simulates a single physics step of the {@link world}.
+ *
+ * Lets the {@link Ball} follow the mouse cursor while it is being held.
+ * While a {@link Replay} is being played back, simulates its next step instead.
  *
- * Stores additional information about where the {@link ball} is released into the air, which is used by the function
- * {@link simulatePhysics} to determine when to activate the {@link catapultTerrain}.
+ * @param delta {number} For how many seconds to simulate the physics. Should be the {@link physicsStep}.
+ *
+ * @see updatePhysics
+ */
+function simulatePhysics(delta) {
+    if(replayPlayer !== null) {
+        replayPlayer.step();
+        return;
+    }
+
+    if(world.ballHeld) {
+        world.pullBall(new Vector(transformPxToCx(mouseX), transformPyToCy(mouseY)));
+    }
+
+    world.step(delta);
+}
+
+/**
+ * Updates how strongly the {@link Ball} is lifted by its spin, according to the {@link liftSlider}'s indicator value.
  *
- * @see SPRING_RELAXED_LENGTH
+ * The {@link Ball.liftCoefficient} can be between 0 and 2.
  */
-function checkBallReleasedBySpring() {
-    if(springVector.mag() < SPRING_RELAXED_LENGTH) {
-        tries++;
-        state = STATE_THROW;
-        ballTopStart = ball.body.getBottomY() > catapultPosition.y;
-        ballLeftStart = ball.body.getRightX() < catapultPosition.x - catapultW / 2;
-        ballRightStart = ball.body.getLeftX() > catapultPosition.x + catapultW / 2;
+function updateLiftCoefficient() {
+    let newLiftCoefficient = liftSlider.indicatorValue * 2;
+
+    if(newLiftCoefficient !== world.ball.liftCoefficient) {
+        world.ball.liftCoefficient = newLiftCoefficient;
+        world.ball.recalculateDM();
     }
 }
 
 /**
- * Limits the {@link ball}'s position to places where it does not stretch the spring to lengths going over the
- * spring's maximum length or going under the spring's relaxed length.
+ * Updates how many Pa·s viscous the air is, according to the {@link airViscositySlider}'s indicator value.
  *
- * @see SPRING_MAX_LENGTH
- * @see SPRING_RELAXED_LENGTH
+ * Sets the {@link SimulationWorld.airViscosity} between 1/100 and 100 times the {@link STANDARD_AIR_VISCOSITY}.
  */
-function adjustBallPositionToSpring() {
-    // calculate distance between catapult and mouse cursor
-    let catMouVec = createVector(transformPxToCx(mouseX), transformPyToCy(mouseY)).sub(catapultPosition);
-    let catMouMag = catMouVec.mag();
+function updateAirViscosity() {
+    world.airViscosity = STANDARD_AIR_VISCOSITY * Math.pow(10, (airViscositySlider.indicatorValue - 0.5) * 4);
+}
 
-    // set ball position depending on spring limits
-    if(catMouMag > SPRING_MAX_LENGTH) {
-        springVector = catMouVec.setMag(SPRING_MAX_LENGTH);
-    } else if(catMouMag < SPRING_RELAXED_LENGTH) {
-        springVector = catMouVec.setMag(SPRING_RELAXED_LENGTH);
+/**
+ * Updates how many N/m of force are required to stretch the spring, according to the
+ * {@link springStiffnessSlider}'s indicator value.
+ *
+ * The {@link Spring.stiffness} can be between 10 N/m and 200 N/m.
+ */
+function updateSpringStiffness() {
+    if(springStiffnessSlider.indicatorValue <= 0.5) {
+        world.spring.stiffness = 10 + springStiffnessSlider.indicatorValue * 80;
     } else {
-        springVector = catMouVec;
+        world.spring.stiffness = SPRING_STIFFNESS + (springStiffnessSlider.indicatorValue - 0.5) * 300;
     }
+}
 
-    ball.body.position = catapultPosition.copy().add(catMouVec);
-    springPhi = atan2(springVector.y, springVector.x);
+/**
+ * Updates how strongly the spring slows down the {@link Ball} attached to it, according to the
+ * {@link springDampingSlider}'s indicator value.
+ *
+ * The {@link Spring.damping} can be between 0 N·s/m and 1 N·s/m.
+ */
+function updateSpringDamping() {
+    if(springDampingSlider.indicatorValue <= 0.5) {
+        world.spring.damping = springDampingSlider.indicatorValue * 0.2;
+    } else {
+        world.spring.damping = SPRING_DAMPING + (springDampingSlider.indicatorValue - 0.5) * 1.8;
+    }
 }
 
 /**
- * Starts a new try for the minigolf game by reattaching the {@link ball} to the spring and
- * randomizing the {@link windVelocity} if the {@link ball} stayed in the hole during the previous try.
+ * Updates how many meters long the relaxed spring is, according to the {@link springRelaxedLengthSlider}'s
+ * indicator value.
+ *
+ * The {@link Spring.relaxedLength} can be between 0.1 m and 0.35 m, so that the {@link Ball} hanging from the spring
+ * stays above the ground.
  */
-function newTry() {
-    if(success === true) {
-        randomizeWind();
-        applyWindToFlag();
-        success = false;
+function updateSpringRelaxedLength() {
+    if(springRelaxedLengthSlider.indicatorValue <= 0.5) {
+        world.spring.relaxedLength = 0.1 + springRelaxedLengthSlider.indicatorValue * 0.3;
+    } else {
+        world.spring.relaxedLength = SPRING_RELAXED_LENGTH + (springRelaxedLengthSlider.indicatorValue - 0.5) * 0.2;
     }
+}
+
+/**
+ * Updates how many meters far the spring can be stretched, according to the {@link springMaxLengthSlider}'s
+ * indicator value.
+ *
+ * The {@link Spring.maxLength} can be between 0.5 m and 1.5 m, which is always longer than the
+ * {@link Spring.relaxedLength}.
+ */
+function updateSpringMaxLength() {
+    world.spring.maxLength = 0.5 + springMaxLengthSlider.indicatorValue;
+}
 
-    state = STATE_SPRING_ATTACHED;
-    resetBall();
-    resetTerrain();
+/**
+ * Switches the {@link selectedDragModel} between {@link DRAG_MODEL_CONSTANT} and {@link DRAG_MODEL_REYNOLDS}.
+ */
+function toggleDragModel() {
+    selectedDragModel = selectedDragModel === DRAG_MODEL_CONSTANT ? DRAG_MODEL_REYNOLDS : DRAG_MODEL_CONSTANT;
+    updateDragModel();
 }
 
 /**
- * Resets the minigolf game by reattaching the {@link ball} to the spring,
- * randomizing the {@link windVelocity} and resetting the number of {@link tries} and {@link successfulTries}.
+ * Applies the {@link selectedDragModel} to the {@link world}.
  */
-function resetGame() {
-    state = STATE_SPRING_ATTACHED;
-    tries = 0;
-    successfulTries = 0;
-    success = false;
-    resetBall();
-    resetTerrain();
-    randomizeWind();
-    applyWindToFlag();
+function updateDragModel() {
+    world.dragModel = selectedDragModel;
 }
 
 /**
- * Simulates the physics of the {@link flag}, the {@link ball} and the spring according to the
- * simulation's current {@link state}.
+ * Selects the {@link Integrator} following the {@link selectedIntegrator} in the {@link INTEGRATORS}, starting over
+ * after the last one.
+ */
+function cycleIntegrator() {
+    let keys = Object.keys(INTEGRATORS);
+    selectedIntegrator = keys[(keys.indexOf(selectedIntegrator) + 1) % keys.length];
+    updateIntegrator();
+}
+
+/**
+ * Applies the {@link selectedIntegrator} to the {@link world}.
+ */
+function updateIntegrator() {
+    world.integrator = INTEGRATORS[selectedIntegrator];
+}
+
+/**
+ * Selects the wind mode following the {@link selectedWindMode}, starting over after the last one, and randomizes the
+ * wind of the {@link world} in the new mode.
  *
- * Activates the {@link catapultTerrain} if the {@link ball} is not in the area of the {@link catapult} anymore,
- * after being released by the spring.
+ * @see WIND_MODE_NAMES
+ */
+function cycleWindMode() {
+    selectedWindMode = (selectedWindMode + 1) % WIND_MODE_NAMES.length;
+    updateWind();
+    world.randomizeWind();
+}
+
+/**
+ * Updates the {@link selectedFixedWindVelocity}, according to the {@link windSpeedSlider}'s and the
+ * {@link windDirectionSlider}'s indicator values.
  *
- * @param delta {number} How many seconds passed between the current and the last frame.
+ * The speed can be between 0 and 10 m/s. The direction can be between -180° and 180°, where 0° lets the wind blow to
+ * the right and 90° lets it blow upwards.
+ */
+function updateFixedWind() {
+    let speed = windSpeedSlider.indicatorValue * 10;
+    let direction = (windDirectionSlider.indicatorValue - 0.5) * 2 * Math.PI;
+
+    selectedFixedWindVelocity = new Vector(speed * Math.cos(direction), speed * Math.sin(direction));
+    updateWind();
+}
+
+/**
+ * Updates the {@link selectedWindRange}, according to the {@link minWindSlider}'s and the {@link maxWindSlider}'s
+ * indicator values, once either of them has been dragged. Until then, the range of the {@link level} is kept.
  *
- * @see initializeTerrain
+ * Both ends of the range can be between -{@link MAX_SELECTABLE_WIND_VELOCITY} and
+ * {@link MAX_SELECTABLE_WIND_VELOCITY}. An end dragged past the other end pushes the other end along.
  */
-function simulatePhysics(delta) {
-    updateFPS(delta);
-    updateFlag(delta);
-
-    switch (state) {
-        case STATE_SPRING_ATTACHED:
-            if(ballPressed) {
-                adjustBallPositionToSpring();
-            } else {
-                simulateSpring(delta);
-            }
-            break;
-        case STATE_SPRING_RELEASE:
-            if(ballPressed) {
-                adjustBallPositionToSpring();
-            } else {
-                simulateSpring(delta);
-                checkBallReleasedBySpring();
-            }
-            break;
-        case STATE_THROW:
-            ball.simulate(delta);
-
-            // Start a new try if the ball flies out of the right screen border.
-            if(ball.body.position.x > CANVAS_C_W - cX0 + ball.body.getRadius()) {
-                newTry();
-            }
-
-            // Limit the ball's height to wall's height.
-            if(ball.body.getTopY() > wall.y) {
-                ball.body.position.y = wall.y - ball.body.getRadius();
-            }
-
-            // Add the catapult terrain when the ball is outside the catapult's area.
-            if(!catapultTerrainAdded && (
-                (!ballTopStart && ball.body.getBottomY() > catapultPosition.y) ||
-                (!ballLeftStart && ball.body.getRightX() < catapultPosition.x - catapultW / 2) ||
-                (!ballRightStart && ball.body.getLeftX() > catapultPosition.x + catapultW / 2)
-            )) {
-                terrainArray.push(catapultTerrain);
-                catapultTerrainAdded = true;
-            }
-
-            // Check if the ball landed in the hole.
-            if(
-                !success &&
-                ball.collisionSegment != null &&
-                ball.collisionSegment.endPoint.y === btmGround.y &&
-                ball.body.position.y + ball.velocity.y < 0.10
-            ) {
-                successfulTries++;
-                success = true;
-            }
-
-            break;
+function updateWindRange() {
+    if(minWindSlider.pressed || maxWindSlider.pressed) {
+        let min = (minWindSlider.indicatorValue * 2 - 1) * MAX_SELECTABLE_WIND_VELOCITY;
+        let max = (maxWindSlider.indicatorValue * 2 - 1) * MAX_SELECTABLE_WIND_VELOCITY;
+
+        selectedWindRange = {min: Math.min(min, max), max: Math.max(min, max)};
+    }
+
+    updateWind();
+}
+
+/**
+ * Applies the {@link selectedWindMode}, the {@link selectedFixedWindVelocity} and the {@link selectedWindRange} to
+ * the {@link world}.
+ *
+ * The wind blowing at the moment follows the changes right away: It is set to the fixed wind in the
+ * {@link WIND_MODE_FIXED fixed mode} and kept inside the range in the {@link WIND_MODE_RANDOM random mode}.
+ */
+function updateWind() {
+    world.windMode = selectedWindMode;
+    world.fixedWindVelocity = selectedFixedWindVelocity.copy();
+
+    if(selectedWindRange !== null) {
+        world.minWindVelocity = selectedWindRange.min;
+        world.maxWindVelocity = selectedWindRange.max;
+    }
+
+    if(world.windMode === WIND_MODE_FIXED) {
+        world.windVelocity = world.fixedWindVelocity.copy();
+    } else if(world.windMode === WIND_MODE_RANDOM) {
+        let windVelocityX = Math.min(Math.max(world.windVelocity.x, world.minWindVelocity), world.maxWindVelocity);
+        world.windVelocity = new Vector(windVelocityX, 0);
+    }
+}
+
+/**
+ * Selects the launcher type following the {@link selectedLauncherType} in the {@link LAUNCHER_TYPES}, starting over
+ * with the launcher type of the {@link level} after the last one.
+ */
+function cycleLauncherType() {
+    let keys = [null, ...Object.keys(LAUNCHER_TYPES)];
+    selectedLauncherType = keys[(keys.indexOf(selectedLauncherType) + 1) % keys.length];
+    updateLauncher();
+}
+
+/**
+ * Applies the {@link selectedLauncherType} or the launcher type of the {@link level} to the {@link world}.
+ * Changing the launcher type starts the try over at the catapult.
+ *
+ * @see SimulationWorld.setLauncherType
+ */
+function updateLauncher() {
+    world.setLauncherType(selectedLauncherType === null ? level.launcherType : selectedLauncherType);
+    updateClubMass();
+    updateClubLoft();
+}
+
+/**
+ * Updates how many kilograms heavy the head of the golf club is, according to the {@link clubMassSlider}'s indicator
+ * value, if the {@link world} is played with the {@link ClubLauncher}.
+ *
+ * The {@link ClubLauncher.mass} can be between 0.2 kg and 5 kg.
+ */
+function updateClubMass() {
+    if(!(world.launcher instanceof ClubLauncher)) {
+        return;
+    }
+
+    if(clubMassSlider.indicatorValue <= 0.5) {
+        world.launcher.mass = 0.2 + clubMassSlider.indicatorValue * 3.6;
+    } else {
+        world.launcher.mass = CLUB_MASS + (clubMassSlider.indicatorValue - 0.5) * 6;
+    }
+}
+
+/**
+ * Updates by how many radians the face of the golf club is tilted back, according to the {@link clubLoftSlider}'s
+ * indicator value, if the {@link world} is played with the {@link ClubLauncher}.
+ *
+ * The {@link ClubLauncher.loft} can be between 0° and 50°.
+ */
+function updateClubLoft() {
+    if(world.launcher instanceof ClubLauncher) {
+        world.launcher.loft = clubLoftSlider.indicatorValue * 2 * CLUB_LOFT;
+    }
+}
+
+/**
+ * Selects the difficulty following the {@link selectedPredictionDifficulty} in the {@link PREDICTION_DIFFICULTIES},
+ * starting over after the last one.
+ */
+function cyclePredictionDifficulty() {
+    let keys = Object.keys(PREDICTION_DIFFICULTIES);
+    selectedPredictionDifficulty = keys[(keys.indexOf(selectedPredictionDifficulty) + 1) % keys.length];
+    predictionKey = "";
+}
+
+/**
+ * Predicts the {@link predictedTrajectory} of the held {@link Ball} up to the horizon of the
+ * {@link selectedPredictionDifficulty}, if the {@link Ball} has been moved since the last prediction.
+ *
+ * @see predictTrajectory
+ */
+function updatePrediction() {
+    let horizon = PREDICTION_DIFFICULTIES[selectedPredictionDifficulty].horizon;
+
+    if(!world.ballHeld || horizon <= 0) {
+        predictedTrajectory = [];
+        predictionKey = "";
+        return;
+    }
+
+    let key = world.ball.body.position + " " + world.launcher.vector;
+
+    if(key !== predictionKey) {
+        predictedTrajectory = predictTrajectory(world, horizon, physicsStep);
+        predictionKey = key;
     }
 }
\ No newline at end of file
@@ -0,0 +1,94 @@
+/**
+ * Provides the {@link predictTrajectory} function, which predicts where the {@link Ball} will go once it is let go,
+ * and the {@link PREDICTION_DIFFICULTIES} determining how much of the predicted trajectory is shown.
+ *
+ * @author Tizian Kirchner
+ */
+
+/**
+ * How many seconds of simulated time pass between two points of a predicted trajectory.
+ * @type {number}
+ */
+const PREDICTION_POINT_INTERVAL = 1 / 20;
+
+/**
+ * The difficulties the trajectory preview can be played with, accessible through their keys.
+ *
+ * The horizon of a difficulty determines for how many seconds after letting go of the {@link Ball} its trajectory is
+ * predicted. A horizon of 0 hides the preview.
+ *
+ * @type {Object.<string, {name: string, horizon: number}>}
+ */
+const PREDICTION_DIFFICULTIES = {
+    easy: {name: "EASY", horizon: 3},
+    medium: {name: "MEDIUM", horizon: 1},
+    hard: {name: "HARD", horizon: 0.4},
+    off: {name: "OFF", horizon: 0}
+};
+
+/**
+ * The key of the difficulty the trajectory preview is played with at the start.
+ * @type {string}
+ */
+const DEFAULT_PREDICTION_DIFFICULTY = 'off';
+
+/**
+ * Predicts the trajectory of the held {@link Ball} of a {@link SimulationWorld}, by letting go of it in a copy of the
+ * {@link SimulationWorld} and simulating the copy.
+ *
+ * The prediction follows the release by the {@link Spring} or the shot by the {@link Launcher} and the flight of the
+ * {@link Ball}, including the wind, drag and bounces off the terrain. It ends after the horizon, once the {@link Ball}
+ * lands in the hole, comes to rest or goes out of bounds. The horizon starts once a swinging {@link Launcher} has
+ * struck the {@link Ball}.
+ *
+ * @param world {SimulationWorld}
+ * The {@link SimulationWorld} whose {@link Ball} is being held. It is not changed by the prediction.
+ *
+ * @param horizon {number}
+ * For how many seconds after letting go of the {@link Ball} to predict its trajectory.
+ *
+ * @param delta {number}
+ * The time step to simulate the copy with. Should be the {@link physicsStep}.
+ *
+ * @returns {Vector[]}
+ * The positions of the {@link Ball} every {@link PREDICTION_POINT_INTERVAL} seconds, starting where it is let go.
+ * Empty, if the {@link Ball} is not held or would not be launched.
+ */
+function predictTrajectory(world, horizon, delta) {
+    if(!world.ballHeld || horizon <= 0) {
+        return [];
+    }
+
+    let copy = world.copy();
+    copy.releaseBall();
+
+    while(copy.state === STATE_SWING) {
+        copy.step(delta);
+    }
+
+    if(copy.state !== STATE_SPRING_RELEASE && copy.state !== STATE_THROW) {
+        return [];
+    }
+
+    let points = [copy.ball.body.position.copy()];
+    let steps = Math.round(horizon / delta);
+    let stepsPerPoint = Math.max(Math.round(PREDICTION_POINT_INTERVAL / delta), 1);
+
+    for(let i = 1; i <= steps; i++) {
+        copy.step(delta);
+
+        if(copy.state !== STATE_SPRING_RELEASE && copy.state !== STATE_THROW) {
+            break;
+        }
+
+        if(i % stepsPerPoint === 0 || copy.success) {
+            points.push(copy.ball.body.position.copy());
+        }
+
+        if(copy.success) {
+            break;
+        }
+    }
+
+    return points;
+}
\ No newline at end of file
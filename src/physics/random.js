@@ -0,0 +1,107 @@
+/**
+ * Provides the {@link Random} class, a seedable generator of random numbers, and functions for creating and parsing
+ * seeds.
+ *
+ * Seeds are unsigned 32 bit integers. The same seed always generates the same sequence of numbers, so that the wind
+ * and the sway of the flag can be reproduced by entering the seed again.
+ *
+ * @author Tizian Kirchner
+ */
+
+/**
+ * The number of possible seeds. Seeds are integers from 0 up to, but not including, this number.
+ * @type {number}
+ */
+const SEED_COUNT = 2 ** 32;
+
+/**
+ * @returns {number} A new seed, chosen at random.
+ */
+function createRandomSeed() {
+    return Math.floor(Math.random() * SEED_COUNT);
+}
+
+/**
+ * Reads a seed entered by the user or passed as a URL parameter.
+ *
+ * @param text {string | null | undefined}
+ * The text to read.
+ *
+ * @returns {number | null}
+ * The seed or null, if the text is not an integer between 0 and {@link SEED_COUNT} - 1.
+ */
+function parseSeed(text) {
+    if(typeof text !== 'string' || !/^\d+$/.test(text.trim())) {
+        return null;
+    }
+
+    let seed = Number(text.trim());
+    return seed < SEED_COUNT ? seed : null;
+}
+
+/**
+ * Generates a sequence of random numbers, which is determined by its {@link seed}.
+ *
+ * Uses the Mulberry32 algorithm, which is fast and spreads the numbers of even neighbouring seeds well enough for
+ * the wind and the flag.
+ */
+class Random {
+    /**
+     * The seed the sequence has been started with.
+     * @type {number}
+     */
+    seed;
+
+    /**
+     * The inner state, which determines the next number of the sequence.
+     * @type {number}
+     */
+    state;
+
+    /**
+     * Constructs a new {@link Random} object at the start of the sequence of a seed.
+     *
+     * @param seed {number}
+     * See {@link Random.seed}.
+     */
+    constructor(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * @returns {number} The next number of the sequence, between 0 inclusive and 1 exclusive.
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+
+        let value = this.state;
+        value = Math.imul(value ^ (value >>> 15), value | 1);
+        value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+
+        return ((value ^ (value >>> 14)) >>> 0) / SEED_COUNT;
+    }
+
+    /**
+     * @param min {number}
+     * The lowest number, which can be returned.
+     *
+     * @param max {number}
+     * The number, which is never reached.
+     *
+     * @returns {number} The next number of the sequence, scaled to lie between min and max.
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * @returns {Random}
+     * A copy of this {@link Random} object, which continues the sequence independently of this one.
+     */
+    copy() {
+        let copy = new Random(this.seed);
+        copy.state = this.state;
+        return copy;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,411 @@
+/**
+ * Provides the {@link Replay} class, which records a try so that it can be simulated again exactly,
+ * the {@link ReplayPlayer} class, which plays a {@link Replay} back, and a function for capturing the start of a try.
+ *
+ * A replay file stores a {@link Replay} as JSON:
+ *
+ * version      The version of the replay format. See {@link REPLAY_VERSION}.
+ * level        The object parsed from the level file the try has been played on.
+ * environment  The gravity, the air, the wind and its gusts, the integrator, the launch spin and the properties of
+ *              the ball, the spring and the launcher.
+ * start        The state and the time of the world, the position of the ball and the pull of the spring and the
+ *              launcher at the moment the ball has been let go.
+ * schedule     The time steps the try has been simulated with, as pairs of a time step and how many times in a row
+ *              it has been simulated.
+ *
+ * @author Tizian Kirchner
+ */
+
+/**
+ * The version of the replay format written by {@link captureReplay}. Replays of other versions can not be played.
+ * @type {number}
+ */
+const REPLAY_VERSION = 1;
+
+/**
+ * How many steps a {@link Replay} records at most. Steps beyond are not recorded anymore.
+ * @type {number}
+ */
+const REPLAY_MAX_STEPS = 240 * 120;
+
+/**
+ * Returns a property of an object parsed from a replay file and fails if the property is missing.
+ *
+ * @param object {Object}
+ * The object parsed from the replay file or one of its nested objects.
+ *
+ * @param property {string}
+ * The name of the property.
+ *
+ * @param path {string}
+ * Where the object is located in the replay file. Used to describe a missing property.
+ *
+ * @returns {*} The value of the property.
+ */
+function getReplayProperty(object, property, path) {
+    if(object == null || object[property] === undefined) {
+        throw new Error("The replay file is missing the property \"" + path + property + "\".");
+    }
+
+    return object[property];
+}
+
+/**
+ * Captures everything required to simulate the try of a {@link SimulationWorld} again,
+ * at the moment its held {@link Ball} is about to be let go.
+ *
+ * @param world {SimulationWorld}
+ * The {@link SimulationWorld} whose {@link Ball} is about to be let go.
+ *
+ * @returns {Replay}
+ * A {@link Replay} without any steps, which are added by {@link SimulationWorld.step}.
+ */
+function captureReplay(world) {
+    let ball = world.ball;
+
+    return new Replay({
+        version: REPLAY_VERSION,
+        level: JSON.parse(JSON.stringify(world.levelData)),
+        environment: {
+            gravity: world.gravity,
+            airDensity: world.airDensity,
+            airViscosity: world.airViscosity,
+            dragModel: world.dragModel,
+            integrator: Object.keys(INTEGRATORS).find(key => INTEGRATORS[key] === world.integrator),
+            windMode: world.windMode,
+            windVelocity: {x: world.windVelocity.x, y: world.windVelocity.y},
+            gustPhases: world.wind.gustPhases.slice(),
+            launchSpin: world.launchSpin,
+            ball: {
+                diameter: ball.body.diameter,
+                mass: ball.mass,
+                rollResistanceCoefficient: ball.rollResistanceCoefficient,
+                liftCoefficient: ball.liftCoefficient
+            },
+            spring: {
+                stiffness: world.spring.stiffness,
+                relaxedLength: world.spring.relaxedLength,
+                maxLength: world.spring.maxLength,
+                damping: world.spring.damping
+            },
+            launcher: {
+                type: world.launcherType,
+                clubMass: world.launcher instanceof ClubLauncher ? world.launcher.mass : CLUB_MASS,
+                clubLoft: world.launcher instanceof ClubLauncher ? world.launcher.loft : CLUB_LOFT
+            }
+        },
+        start: {
+            state: world.state,
+            time: world.time,
+            position: {x: ball.body.position.x, y: ball.body.position.y},
+            angle: ball.angle,
+            springVector: {x: world.spring.vector.x, y: world.spring.vector.y},
+            launcherVector: {x: world.launcher.vector.x, y: world.launcher.vector.y},
+            lie: world.lie === null ? null : {x: world.lie.x, y: world.lie.y},
+            catapultTerrainAdded: world.catapultTerrainAdded
+        },
+        schedule: []
+    });
+}
+
+/**
+ * A try of the minigolf game, recorded compactly enough to be saved as a replay file.
+ *
+ * Since the simulation does not depend on anything but its initial state and its time steps, simulating the
+ * recorded steps from the recorded start reproduces the try exactly.
+ */
+class Replay {
+    /**
+     * The version of the replay format.
+     * @type {number}
+     * @see REPLAY_VERSION
+     */
+    version;
+
+    /**
+     * The object parsed from the level file the try has been played on.
+     * @type {Object}
+     * @see Level.data
+     */
+    level;
+
+    /**
+     * The physics settings and the wind the try has been played with.
+     *
+     * @type {{
+     *  gravity: number, airDensity: number, airViscosity: number, dragModel: number, integrator: string,
+     *  windMode: number, windVelocity: {x: number, y: number}, gustPhases: number[], launchSpin: number,
+     *  ball: {diameter: number, mass: number, rollResistanceCoefficient: number, liftCoefficient: number},
+     *  spring: {stiffness: number, relaxedLength: number, maxLength: number, damping: number},
+     *  launcher: {type: string, clubMass: number, clubLoft: number}
+     * }}
+     */
+    environment;
+
+    /**
+     * The state of the {@link SimulationWorld} at the moment the {@link Ball} has been let go.
+     *
+     * @type {{
+     *  state: number, time: number, position: {x: number, y: number}, angle: number,
+     *  springVector: {x: number, y: number}, launcherVector: {x: number, y: number},
+     *  lie: {x: number, y: number} | null, catapultTerrainAdded: boolean
+     * }}
+     */
+    start;
+
+    /**
+     * The time steps the try has been simulated with, as pairs of a time step in seconds and how many times in a row
+     * it has been simulated.
+     *
+     * @type {number[][]}
+     */
+    schedule;
+
+    /**
+     * Constructs a new {@link Replay} object from a captured try or the contents of a replay file.
+     *
+     * @param data {Object}
+     * The captured try or the object parsed from the replay file.
+     * See the description of replay.js for the structure of replay files.
+     */
+    constructor(data) {
+        let version = getReplayProperty(data, 'version', '');
+
+        if(version !== REPLAY_VERSION) {
+            throw new Error("The replay file has the version " + version + ", but version " + REPLAY_VERSION +
+                " is required.");
+        }
+
+        this.version = version;
+        this.level = getReplayProperty(data, 'level', '');
+        this.environment = getReplayProperty(data, 'environment', '');
+        this.start = getReplayProperty(data, 'start', '');
+        this.schedule = getReplayProperty(data, 'schedule', '');
+
+        let integrator = getReplayProperty(this.environment, 'integrator', 'environment.');
+
+        if(INTEGRATORS[integrator] === undefined) {
+            throw new Error("The replay file uses the unknown integrator \"" + integrator + "\".");
+        }
+
+        let launcher = getReplayProperty(this.environment, 'launcher', 'environment.');
+        let launcherType = getReplayProperty(launcher, 'type', 'environment.launcher.');
+
+        if(LAUNCHER_TYPES[launcherType] === undefined) {
+            throw new Error("The replay file uses the unknown launcher type \"" + launcherType + "\".");
+        }
+    }
+
+    /**
+     * Adds a time step to the {@link schedule}, unless {@link REPLAY_MAX_STEPS} steps have been recorded.
+     *
+     * @param delta {number}
+     * For how many seconds the step has been simulated.
+     */
+    addStep(delta) {
+        if(this.getStepCount() >= REPLAY_MAX_STEPS) {
+            return;
+        }
+
+        let lastEntry = this.schedule[this.schedule.length - 1];
+
+        if(lastEntry !== undefined && lastEntry[0] === delta) {
+            lastEntry[1]++;
+        } else {
+            this.schedule.push([delta, 1]);
+        }
+    }
+
+    /**
+     * @returns {number} How many steps have been recorded.
+     */
+    getStepCount() {
+        return this.schedule.reduce((count, entry) => count + entry[1], 0);
+    }
+
+    /**
+     * @param index {number}
+     * The index of a recorded step, starting at 0.
+     *
+     * @returns {number}
+     * For how many seconds the step has been simulated or undefined, if the step has not been recorded.
+     */
+    getDelta(index) {
+        let entry = this.schedule.find(entry => {
+            index -= entry[1];
+            return index < 0;
+        });
+
+        return entry === undefined ? undefined : entry[0];
+    }
+
+    /**
+     * @param stepCount {number}
+     * How many of the recorded steps to sum up.
+     *
+     * @returns {number}
+     * How many seconds the first steps last together.
+     */
+    getTime(stepCount) {
+        let time = 0;
+
+        this.schedule.forEach(entry => {
+            let count = Math.min(entry[1], stepCount);
+            time += entry[0] * count;
+            stepCount -= count;
+        });
+
+        return time;
+    }
+
+    /**
+     * Creates a {@link SimulationWorld} in the state the try started in and lets go of its {@link Ball},
+     * so that simulating the {@link schedule} reproduces the try.
+     *
+     * @returns {SimulationWorld}
+     * The {@link SimulationWorld}, which has not been simulated yet.
+     */
+    createWorld() {
+        let world = new SimulationWorld(new Level(this.level));
+        let environment = this.environment;
+        let start = this.start;
+        let ball = world.ball;
+
+        world.gravity = environment.gravity;
+        world.airDensity = environment.airDensity;
+        world.airViscosity = environment.airViscosity;
+        world.dragModel = environment.dragModel;
+        world.integrator = INTEGRATORS[environment.integrator];
+        world.windMode = environment.windMode;
+        world.windVelocity = new Vector(environment.windVelocity.x, environment.windVelocity.y);
+        world.wind.gustPhases = environment.gustPhases.slice();
+        world.launchSpin = environment.launchSpin;
+
+        ball.body.diameter = environment.ball.diameter;
+        ball.mass = environment.ball.mass;
+        ball.rollResistanceCoefficient = environment.ball.rollResistanceCoefficient;
+        ball.liftCoefficient = environment.ball.liftCoefficient;
+        ball.recalculateDM();
+
+        world.spring.stiffness = environment.spring.stiffness;
+        world.spring.relaxedLength = environment.spring.relaxedLength;
+        world.spring.maxLength = environment.spring.maxLength;
+        world.spring.damping = environment.spring.damping;
+        world.setLauncherType(environment.launcher.type);
+
+        if(world.launcher instanceof ClubLauncher) {
+            world.launcher.mass = environment.launcher.clubMass;
+            world.launcher.loft = environment.launcher.clubLoft;
+        }
+
+        world.state = start.state;
+        world.time = start.time;
+        ball.body.position = new Vector(start.position.x, start.position.y);
+        ball.previousPosition = ball.body.position.copy();
+        ball.angle = start.angle;
+        ball.previousAngle = start.angle;
+        world.spring.vector = new Vector(start.springVector.x, start.springVector.y);
+        world.spring.phi = world.spring.vector.heading();
+        world.launcher.vector = new Vector(start.launcherVector.x, start.launcherVector.y);
+        world.lie = start.lie === null ? null : new Vector(start.lie.x, start.lie.y);
+        world.resetTerrain();
+
+        if(start.catapultTerrainAdded) {
+            world.terrainArray.push(world.catapultTerrain);
+            world.catapultTerrainAdded = true;
+        }
+
+        world.ballHeld = true;
+        world.releaseBall();
+        return world;
+    }
+}
+
+/**
+ * Plays a {@link Replay} back by simulating its steps one after another in a {@link SimulationWorld} of its own.
+ * Since the simulation can not be reversed, going back in time simulates the {@link Replay} again from its start.
+ */
+class ReplayPlayer {
+    /**
+     * The {@link Replay} being played back.
+     * @type {Replay}
+     */
+    replay;
+
+    /**
+     * The {@link SimulationWorld} the {@link replay} is being played back in.
+     * Replaced by a new {@link SimulationWorld} whenever the playback starts over.
+     *
+     * @type {SimulationWorld}
+     */
+    world;
+
+    /**
+     * How many steps of the {@link replay} have been simulated.
+     * @type {number}
+     */
+    stepIndex = 0;
+
+    /**
+     * Constructs a new {@link ReplayPlayer} object at the start of a {@link Replay}.
+     *
+     * @param replay {Replay}
+     * See {@link ReplayPlayer.replay}.
+     */
+    constructor(replay) {
+        this.replay = replay;
+        this.restart();
+    }
+
+    /**
+     * Starts playing the {@link replay} back from its start.
+     */
+    restart() {
+        this.world = this.replay.createWorld();
+        this.stepIndex = 0;
+    }
+
+    /**
+     * Simulates the next step of the {@link replay}, unless every step has been simulated.
+     */
+    step() {
+        if(this.isFinished()) {
+            return;
+        }
+
+        this.world.step(this.replay.getDelta(this.stepIndex));
+        this.stepIndex++;
+    }
+
+    /**
+     * Plays the {@link replay} back up to a step, starting over if the step has already been passed.
+     *
+     * @param stepIndex {number}
+     * How many steps of the {@link replay} should have been simulated.
+     */
+    seek(stepIndex) {
+        stepIndex = Math.max(0, Math.min(stepIndex, this.replay.getStepCount()));
+
+        if(stepIndex < this.stepIndex) {
+            this.restart();
+        }
+
+        while(this.stepIndex < stepIndex) {
+            this.step();
+        }
+    }
+
+    /**
+     * @returns {boolean} If every step of the {@link replay} has been simulated.
+     */
+    isFinished() {
+        return this.stepIndex >= this.replay.getStepCount();
+    }
+
+    /**
+     * @returns {number} How many seconds of the {@link replay} have been played back.
+     */
+    getTime() {
+        return this.replay.getTime(this.stepIndex);
+    }
+}
\ No newline at end of file
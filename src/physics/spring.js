@@ -1,76 +1,211 @@
 /**
- * Stores information about the spring the {@link ball} is attached to during the states {@link STATE_SPRING_ATTACHED}
- * and {@link STATE_SPRING_RELEASE}.
- *
- * Provides functions for initializing and simulating the spring.
+ * Provides the {@link Spring} class and constants determining the default properties of the spring
+ * the {@link Ball} is attached to during the states {@link STATE_SPRING_ATTACHED} and {@link STATE_SPRING_RELEASE}.
  *
  * @author Tizian Kirchner
  */
 
 /**
- * Determines how much N/m of force is required to stretch or compress the spring.
+ * The default {@link Spring.stiffness}.
  * @type {number}
  */
 const SPRING_STIFFNESS = 50;
 
 /**
- * How long the spring is while it is relaxed.
+ * The default {@link Spring.relaxedLength}.
  * @type {number}
  */
 const SPRING_RELAXED_LENGTH = 0.25;
 
 /**
- * How far the spring can be stretched by the mouse cursor.
+ * The default {@link Spring.maxLength}.
  * @type {number}
  */
 const SPRING_MAX_LENGTH = 1;
 
 /**
- * Stores the angle between the {@link springVector} and the positive x-axis in radians.
+ * The default {@link Spring.damping}.
  * @type {number}
  */
-let springPhi;
+const SPRING_DAMPING = 0.1;
 
 /**
- * Stores a {@link Vector} going from the tip of the {@link catapult} to the center of the {@link ball}.
+ * The spring attached to the tip of the {@link Level.catapult catapult}, which launches a {@link Ball} into the air.
  */
-let springVector;
+class Spring {
+    /**
+     * The position of the tip of the {@link Level.catapult catapult}, to which this {@link Spring} is attached.
+     * @type {Vector}
+     */
+    anchor;
 
-/**
- * Initializes the spring the {@link ball} is attached to during the states {@link STATE_SPRING_ATTACHED}
- * and {@link STATE_SPRING_RELEASE}.
- */
-function initializeSpring() {
-    springVector = createVector(0, -SPRING_RELAXED_LENGTH);
-    springPhi = atan2(springVector.y, springVector.x);
-}
+    /**
+     * Stores a {@link Vector} going from the {@link anchor} to the center of the {@link Ball}.
+     * @type {Vector}
+     */
+    vector;
 
-/**
- * Simulates how the spring pulls on the {@link ball}.
- *
- * Changes the {@link ball}'s properties accordingly.
- *
- * @param delta For how many seconds to simulate the spring.
- */
-function simulateSpring(delta) {
-    let springLength = springVector.mag();
-    let springForce = 0;
+    /**
+     * Stores the angle between the {@link vector} and the positive x-axis in radians.
+     * @type {number}
+     */
+    phi;
+
+    /**
+     * Determines how much N/m of force is required to stretch this {@link Spring}.
+     * @type {number}
+     */
+    stiffness = SPRING_STIFFNESS;
+
+    /**
+     * How many meters long this {@link Spring} is while it is relaxed.
+     * @type {number}
+     */
+    relaxedLength = SPRING_RELAXED_LENGTH;
+
+    /**
+     * How many meters far this {@link Spring} can be stretched by the mouse cursor.
+     * @type {number}
+     */
+    maxLength = SPRING_MAX_LENGTH;
+
+    /**
+     * How many N·s/m of force this {@link Spring} slows the attached {@link Ball} down with per m/s of its velocity.
+     * @type {number}
+     */
+    damping = SPRING_DAMPING;
+
+    /**
+     * Constructs a new relaxed {@link Spring} object.
+     *
+     * @param anchor {Vector}
+     * See {@link Spring.anchor}.
+     */
+    constructor(anchor) {
+        this.anchor = anchor;
+        this.reset();
+    }
 
-    if(springLength > SPRING_RELAXED_LENGTH) {
-        springForce = (springLength - SPRING_RELAXED_LENGTH) * SPRING_STIFFNESS;
+    /**
+     * Relaxes this {@link Spring} and lets it point straight down from its {@link anchor}.
+     */
+    reset() {
+        this.vector = new Vector(0, -this.relaxedLength);
+        this.phi = this.vector.heading();
     }
 
-    let ballRM = ball.body.getRadius() / ball.mass;
-    let ballXAcc = ballRM * ball.velocity.x + springForce * cos(springPhi) / ball.mass;
-    let ballYAcc = gravity + ballRM * ball.velocity.y + springForce * sin(springPhi) / ball.mass;
-    ballXAcc *= delta;
-    ballYAcc *= delta;
+    /**
+     * @returns {Spring} A copy of this {@link Spring}, which can be stretched without changing this {@link Spring}.
+     */
+    copy() {
+        let copy = new Spring(this.anchor);
+        copy.vector = this.vector.copy();
+        copy.phi = this.phi;
+        copy.stiffness = this.stiffness;
+        copy.relaxedLength = this.relaxedLength;
+        copy.maxLength = this.maxLength;
+        copy.damping = this.damping;
+        return copy;
+    }
+
+    /**
+     * Simulates how this {@link Spring} pulls on a {@link Ball}.
+     *
+     * Changes the {@link Ball}'s properties accordingly.
+     *
+     * @param ball {Ball}
+     * The {@link Ball} attached to this {@link Spring}.
+     *
+     * @param gravity {number}
+     * How quickly the {@link Ball} falls down.
+     *
+     * @param integrator {Integrator}
+     * Advances the {@link Ball}'s position and velocity.
+     *
+     * @param delta {number}
+     * For how many seconds to simulate this {@link Spring}.
+     */
+    simulate(ball, gravity, integrator, delta) {
+        let getAcceleration = (position, velocity) => this.getAcceleration(ball, gravity, position, velocity);
+        let state = integrator.integrate(ball.body.position, ball.velocity, getAcceleration, delta);
 
-    ball.velocity.x -= ballXAcc;
-    ball.velocity.y -= ballYAcc;
+        ball.body.position = state.position;
+        ball.velocity = state.velocity;
+
+        this.vector = Vector.sub(ball.body.position, this.anchor);
+        this.phi = this.vector.heading();
+    }
 
-    ball.body.position.add(p5.Vector.mult(ball.velocity, delta));
+    /**
+     * Returns the acceleration of a {@link Ball} attached to this {@link Spring}, which is pulled by this
+     * {@link Spring}, pulled down by gravity and slowed down by the {@link damping}.
+     *
+     * @param ball {Ball}
+     * The {@link Ball} attached to this {@link Spring}.
+     *
+     * @param gravity {number}
+     * How quickly the {@link Ball} falls down.
+     *
+     * @param position {Vector}
+     * The position of the {@link Ball}, which determines how far this {@link Spring} is stretched.
+     *
+     * @param velocity {Vector}
+     * The velocity of the {@link Ball}.
+     *
+     * @returns {Vector}
+     * The acceleration in m/s².
+     */
+    getAcceleration(ball, gravity, position, velocity) {
+        let vector = Vector.sub(position, this.anchor);
+        let springLength = vector.mag();
+        let springForce = 0;
 
-    springVector = p5.Vector.sub(ball.body.position, catapultPosition);
-    springPhi = atan2(springVector.y, springVector.x);
+        if(springLength > this.relaxedLength) {
+            springForce = (springLength - this.relaxedLength) * this.stiffness;
+        }
+
+        let phi = vector.heading();
+        let dampingM = this.damping / ball.mass;
+        let ballXAcc = dampingM * velocity.x + springForce * Math.cos(phi) / ball.mass;
+        let ballYAcc = gravity + dampingM * velocity.y + springForce * Math.sin(phi) / ball.mass;
+
+        return new Vector(-ballXAcc, -ballYAcc);
+    }
+
+    /**
+     * @returns {number}
+     * How many joules of energy are stored in this {@link Spring} through being stretched beyond its relaxed length.
+     */
+    getPotentialEnergy() {
+        let stretch = Math.max(this.vector.mag() - this.relaxedLength, 0);
+        return this.stiffness * stretch * stretch / 2;
+    }
+
+    /**
+     * Moves a {@link Ball} towards a target position, while limiting this {@link Spring} to lengths not going over
+     * the {@link maxLength} or going under the {@link relaxedLength}.
+     *
+     * @param ball {Ball}
+     * The {@link Ball} attached to this {@link Spring}.
+     *
+     * @param target {Vector}
+     * The position the {@link Ball} is being pulled towards, usually the position of the mouse cursor.
+     */
+    pull(ball, target) {
+        // calculate distance between catapult and target
+        let anchorTargetVec = Vector.sub(target, this.anchor);
+        let anchorTargetMag = anchorTargetVec.mag();
+
+        // set ball position depending on spring limits
+        if(anchorTargetMag > this.maxLength) {
+            this.vector = anchorTargetVec.setMag(this.maxLength);
+        } else if(anchorTargetMag < this.relaxedLength) {
+            this.vector = anchorTargetVec.setMag(this.relaxedLength);
+        } else {
+            this.vector = anchorTargetVec;
+        }
+
+        ball.body.position = this.anchor.copy().add(anchorTargetVec);
+        this.phi = this.vector.heading();
+    }
 }
\ No newline at end of file
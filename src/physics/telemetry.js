@@ -0,0 +1,210 @@
+/**
+ * Provides the {@link Telemetry} class, which records the energy and momentum of the {@link Ball} during a try,
+ * and constants determining how often it records them.
+ *
+ * @author Tizian Kirchner
+ */
+
+/**
+ * How many seconds of simulated time pass between two samples recorded by the {@link Telemetry}.
+ * @type {number}
+ */
+const TELEMETRY_SAMPLE_INTERVAL = 1 / 30;
+
+/**
+ * How many samples the {@link Telemetry} keeps at most. Older samples are discarded.
+ * @type {number}
+ */
+const TELEMETRY_MAX_SAMPLES = 900;
+
+/**
+ * Records the energy and momentum of the {@link Ball} of a {@link SimulationWorld} over the time of a try.
+ *
+ * Besides the kinetic, gravitational and spring energy, the {@link Telemetry} sums up how much energy has been
+ * dissipated by drag, by collisions with terrain and by rolling over the ground. Without numerical errors, the total of
+ * these energies stays the same during a try. How far the total drifts shows how accurately the
+ * {@link SimulationWorld.integrator integrator} follows the movement of the {@link Ball}.
+ */
+class Telemetry {
+    /**
+     * How many seconds have been simulated since the start of the try.
+     * @type {number}
+     */
+    time = 0;
+
+    /**
+     * How many joules of energy the air took from the {@link Ball} since the start of the try.
+     * Includes the damping of the {@link Ball} on the {@link Spring}. Wind blowing the {@link Ball} along gives energy
+     * back to it.
+     *
+     * @type {number}
+     * @see Ball.stepDragEnergy
+     */
+    dragEnergy = 0;
+
+    /**
+     * How many joules of energy the {@link Ball} lost while bouncing off terrain since the start of the try.
+     * @type {number}
+     */
+    collisionEnergy = 0;
+
+    /**
+     * How many joules of energy the {@link Ball} lost through rolling resistance and friction while rolling over the
+     * ground since the start of the try.
+     *
+     * @type {number}
+     */
+    rollingEnergy = 0;
+
+    /**
+     * The samples recorded during the try, in the order they have been recorded.
+     *
+     * Each sample stores the {@link time} it has been recorded at, the kinetic, gravitational and spring energy of the
+     * {@link Ball}, the energy dissipated by drag, collisions and rolling up to that time, the sum of these energies
+     * and the momentum of the {@link Ball}. All energies are given in joules, the momentum in kg·m/s.
+     *
+     * @type {{
+     *  time: number, kinetic: number, gravitational: number, spring: number,
+     *  drag: number, collision: number, rolling: number, total: number, momentum: Vector
+     * }[]}
+     */
+    samples = [];
+
+    /**
+     * How many seconds of simulated time have passed since the last sample has been recorded.
+     * @type {number}
+     */
+    sampleTimer = 0;
+
+    /**
+     * The {@link SimulationWorld.getMechanicalEnergy mechanical energy} at the start of the current step
+     * or null, if no step has been started since the {@link reset}.
+     *
+     * @type {number | null}
+     */
+    stepStartEnergy = null;
+
+    /**
+     * The velocity of the {@link Ball} at the start of the current step.
+     * @type {Vector}
+     */
+    stepStartVelocity = new Vector(0, 0);
+
+    /**
+     * The {@link SimulationWorld.state state} of the {@link SimulationWorld} at the start of the current step.
+     * @type {number}
+     */
+    stepStartState = STATE_SPRING_ATTACHED;
+
+    /**
+     * Discards all samples and dissipated energies to start recording a new try.
+     */
+    reset() {
+        this.time = 0;
+        this.dragEnergy = 0;
+        this.collisionEnergy = 0;
+        this.rollingEnergy = 0;
+        this.samples = [];
+        this.sampleTimer = 0;
+        this.stepStartEnergy = null;
+    }
+
+    /**
+     * Remembers the energy, velocity and state of a {@link SimulationWorld} before it is simulated for a step.
+     *
+     * @param world {SimulationWorld}
+     * The {@link SimulationWorld} about to be simulated.
+     */
+    startStep(world) {
+        this.stepStartEnergy = world.getMechanicalEnergy();
+        this.stepStartVelocity = world.ball.velocity.copy();
+        this.stepStartState = world.state;
+    }
+
+    /**
+     * Finds out by which cause the energy lost during a step of a {@link SimulationWorld} has been dissipated and
+     * records a sample once {@link TELEMETRY_SAMPLE_INTERVAL} seconds have passed since the last one.
+     *
+     * While the {@link Ball} is attached to the {@link Spring} or flies through the air, only the energy taken by the
+     * air is counted as dissipated, so that numerical errors show up in the total. Energy lost beyond that counts as
+     * dissipated by a collision, if the {@link Ball} bounced off terrain during the step,
+     * or by rolling, if the {@link Ball} is on the ground.
+     * Steps during which the {@link Ball} rests, waiting to be shot by the {@link Launcher}, are not recorded.
+     *
+     * @param world {SimulationWorld}
+     * The {@link SimulationWorld} after it has been simulated.
+     *
+     * @param delta {number}
+     * For how many seconds the {@link SimulationWorld} has been simulated.
+     */
+    finishStep(world, delta) {
+        let ballResting = this.stepStartState === STATE_AIM || this.stepStartState === STATE_SWING;
+
+        if(this.stepStartEnergy === null || world.ballHeld || ballResting) {
+            return;
+        }
+
+        let ball = world.ball;
+        let lostEnergy = this.stepStartEnergy - world.getMechanicalEnergy();
+
+        if(this.stepStartState === STATE_THROW) {
+            this.dragEnergy += ball.stepDragEnergy;
+
+            if(ball.bouncedInStep) {
+                this.collisionEnergy += lostEnergy - ball.stepDragEnergy;
+            } else if(ball.groundSegment != null) {
+                this.rollingEnergy += lostEnergy - ball.stepDragEnergy;
+            }
+        } else {
+            // The spring slows the ball down with a force of its damping times the ball's velocity.
+            let averageVelocity = Vector.add(this.stepStartVelocity, ball.velocity).div(2);
+            this.dragEnergy += world.spring.damping * averageVelocity.magSq() * delta;
+        }
+
+        this.time += delta;
+        this.sampleTimer += delta;
+
+        if(this.samples.length === 0 || this.sampleTimer >= TELEMETRY_SAMPLE_INTERVAL) {
+            this.recordSample(world);
+            this.sampleTimer = 0;
+        }
+    }
+
+    /**
+     * Records the current energies and momentum of the {@link Ball} of a {@link SimulationWorld} as a sample.
+     * Discards the oldest sample if more than {@link TELEMETRY_MAX_SAMPLES} samples have been recorded.
+     *
+     * @param world {SimulationWorld}
+     * The {@link SimulationWorld} to record.
+     */
+    recordSample(world) {
+        let sample = {
+            time: this.time,
+            kinetic: world.ball.getKineticEnergy(),
+            gravitational: world.getGravitationalEnergy(),
+            spring: world.getSpringEnergy(),
+            drag: this.dragEnergy,
+            collision: this.collisionEnergy,
+            rolling: this.rollingEnergy,
+            momentum: Vector.mult(world.ball.velocity, world.ball.mass)
+        };
+
+        sample.total = sample.kinetic + sample.gravitational + sample.spring +
+            sample.drag + sample.collision + sample.rolling;
+
+        this.samples.push(sample);
+
+        if(this.samples.length > TELEMETRY_MAX_SAMPLES) {
+            this.samples.shift();
+        }
+    }
+
+    /**
+     * @returns {Object | undefined}
+     * The most recently recorded sample or undefined, if no sample has been recorded during the try.
+     * See {@link samples}.
+     */
+    getLatestSample() {
+        return this.samples[this.samples.length - 1];
+    }
+}
\ No newline at end of file
@@ -1,67 +1,228 @@
 /**
- * Provides functions for testing how the {@link ball} moves and reacts to collisions under different conditions.
+ * Provides functions for testing how the {@link Ball} moves and reacts to collisions under different conditions.
+ *
+ * Each function prepares a {@link SimulationWorld} for a scenario, which then plays out through
+ * {@link SimulationWorld.step}. In the browser a scenario can be started through the console,
+ * for example with testRightCornerFall(world). The scenarios are also simulated by the regression tests
+ * in the test folder. They are designed for the {@link level} stored in level1.json.
  *
  * @author Tizian Kirchner
  */
 
 /**
- * Rolls the {@link ball} off the right corner of the hole.
+ * Places the {@link Ball} of a {@link SimulationWorld} and lets it fly from there without any wind.
+ *
+ * @param world {SimulationWorld}
+ * The {@link SimulationWorld} to prepare.
+ *
+ * @param position {Vector}
+ * Where to place the center of the {@link Ball}.
+ *
+ * @param velocity {Vector}
+ * The {@link Ball}'s initial velocity.
+ */
+function startTestThrow(world, position, velocity) {
+    world.ball.body.position = position;
+    world.ball.velocity = velocity;
+    world.windVelocity = new Vector(0, 0);
+    world.state = STATE_THROW;
+}
+
+/**
+ * Places the {@link Ball} of a {@link SimulationWorld} on the ground and lets it roll from there without any wind.
+ * The {@link Ball} spins as fast as it would when rolling without slipping.
+ *
+ * @param world {SimulationWorld}
+ * The {@link SimulationWorld} to prepare.
+ *
+ * @param position {Vector}
+ * Where to place the center of the {@link Ball}.
+ *
+ * @param velocity {Vector}
+ * The {@link Ball}'s initial velocity.
+ */
+function startTestRoll(world, position, velocity) {
+    startTestThrow(world, position, velocity);
+    world.ball.setSpin(velocity.mag() / world.ball.body.getRadius());
+}
+
+/**
+ * Rolls the {@link Ball} off the right corner of the hole.
+ *
+ * @param world {SimulationWorld}
+ * The {@link SimulationWorld} to prepare.
+ */
+function testRightCornerFall(world) {
+    let position = new Vector(world.hole.getRightX() + 1, world.ball.body.getRadius() + 0.01);
+    startTestRoll(world, position, new Vector(-1.5, 0));
+}
+
+/**
+ * Rolls the {@link Ball} off the left corner of the hole.
+ *
+ * @param world {SimulationWorld}
+ * The {@link SimulationWorld} to prepare.
+ */
+function testLeftCornerFall(world) {
+    let position = new Vector(world.hole.getLeftX() - 1, world.ball.body.getRadius() + 0.01);
+    startTestRoll(world, position, new Vector(1.5, 0));
+}
+
+/**
+ * Lets the {@link Ball} fall on the right corner of the hole.
+ *
+ * @param world {SimulationWorld}
+ * The {@link SimulationWorld} to prepare.
+ */
+function testRightCornerCollision(world) {
+    let position = new Vector(world.hole.getRightX(), world.ball.body.getRadius() + 5);
+    startTestThrow(world, position, new Vector(0, 0));
+}
+
+/**
+ * Lets the {@link Ball} fall on the left corner of the hole.
+ *
+ * @param world {SimulationWorld}
+ * The {@link SimulationWorld} to prepare.
  */
-function testRightCornerFall() {
-    ball.body.position = createVector(rgtGround.x + 1, ball.body.getRadius() + 0.01);
-    ball.velocity = createVector(-1.5, 0);
-    windVelocity = createVector(0, 0);
-    state = STATE_THROW;
+function testLeftCornerCollision(world) {
+    let position = new Vector(world.hole.getLeftX(), world.ball.body.getRadius() + 5);
+    startTestThrow(world, position, new Vector(0, 0));
 }
 
 /**
- * Rolls the {@link ball} off the left corner of the hole.
+ * Lets the {@link Ball} get pressed against the obstacle by the wind,
+ * while keeping the {@link Ball} on the ground.
+ *
+ * @param world {SimulationWorld}
+ * The {@link SimulationWorld} to prepare.
  */
-function testLeftCornerFall() {
-    ball.body.position = createVector(lftGround.x + lftGround.w - 1, ball.body.getRadius() + 0.01);
-    ball.velocity = createVector(1.5, 0);
-    windVelocity = createVector(0, 0);
-    state = STATE_THROW;
+function testStrongWindGroundCollision(world) {
+    let position = new Vector(8, world.ball.body.getRadius() + 0.01);
+    startTestRoll(world, position, new Vector(-10, 0));
+    world.windVelocity = new Vector(-10, 0);
 }
 
 /**
- * Lets the {@link ball} fall on the right corner of the hole.
+ * Lets the {@link Ball} get pressed against the wall on the left,
+ * while the {@link Ball} is flying midair.
+ *
+ * @param world {SimulationWorld}
+ * The {@link SimulationWorld} to prepare.
  */
-function testRightCornerCollision() {
-    ball.body.position = createVector(rgtGround.x, ball.body.getRadius() + 5);
-    ball.velocity = createVector(0, 0);
-    windVelocity = createVector(0, 0);
-    state = STATE_THROW;
+function testStrongWindAirCollision(world) {
+    let position = new Vector(8, world.ball.body.getRadius() + 10);
+    startTestThrow(world, position, new Vector(-10, 0));
+    world.windVelocity = new Vector(-10, 0);
 }
 
 /**
- * Lets the {@link ball} fall on the left corner of the hole.
+ * Lets the {@link Ball} fall on the slope, from which it rolls towards the hole.
+ *
+ * @param world {SimulationWorld}
+ * The {@link SimulationWorld} to prepare.
  */
-function testLeftCornerCollision() {
-    ball.body.position = createVector(lftGround.x + lftGround.w, ball.body.getRadius() + 5);
-    ball.velocity = createVector(0, 0);
-    windVelocity = createVector(0, 0);
-    state = STATE_THROW;
+function testSlopeDrop(world) {
+    let slope = level.getTerrainShape('slope');
+    startTestThrow(world, new Vector(slope.getLeftX() + 0.3, slope.getTopY() + 0.1), new Vector(0, 0));
 }
 
 /**
- * Lets the {@link ball} get pressed against the {@link obstacleTerrain} by the wind,
- * while keeping the {@link ball} on the ground.
+ * Rolls the {@link Ball} to the left, up the slope, from which it rolls back towards the hole.
+ *
+ * @param world {SimulationWorld}
+ * The {@link SimulationWorld} to prepare.
  */
-function testStrongWindGroundCollision() {
-    ball.body.position = createVector(8, ball.body.getRadius() + 0.01);
-    ball.velocity = createVector(-10, 0);
-    windVelocity = createVector(-10, 0);
-    state = STATE_THROW;
+function testSlopeClimb(world) {
+    let slope = level.getTerrainShape('slope');
+    let position = new Vector(slope.getRightX() + 0.5, world.ball.body.getRadius() + 0.001);
+    startTestRoll(world, position, new Vector(-3, 0));
 }
 
 /**
- * Lets the {@link ball} get pressed against the {@link wallTerrain} on the left,
- * while the {@link ball} is flying midair.
+ * Lets the {@link Ball} fall on the tip of the {@link Level.catapult catapult}, where it should stay balanced.
+ *
+ * @param world {SimulationWorld}
+ * The {@link SimulationWorld} to prepare.
+ */
+function testCatapultTipCollision(world) {
+    startTestThrow(world, new Vector(world.catapultPosition.x, 2), new Vector(0, 0));
+}
+
+/**
+ * Rolls the {@link Ball} to the right, against the left side of the {@link Level.catapult catapult}.
+ *
+ * @param world {SimulationWorld}
+ * The {@link SimulationWorld} to prepare.
+ */
+function testCatapultSideCollision(world) {
+    let position = new Vector(world.catapultPosition.x - 1, world.ball.body.getRadius() + 0.001);
+    startTestRoll(world, position, new Vector(2, 0));
+}
+
+/**
+ * Lets the {@link Ball} fall on the top left corner of the obstacle,
+ * where the {@link Ball} touches the corner and both of the corner's segments.
+ *
+ * @param world {SimulationWorld}
+ * The {@link SimulationWorld} to prepare.
+ */
+function testObstacleCornerCollision(world) {
+    let obstacle = level.getTerrainShape('obstacle');
+    startTestThrow(world, new Vector(obstacle.getLeftX() - 0.02, 2), new Vector(0, 0));
+}
+
+/**
+ * Lets the {@link Ball} fall on the top of the obstacle, where it should come to rest.
+ *
+ * @param world {SimulationWorld}
+ * The {@link SimulationWorld} to prepare.
+ */
+function testObstacleTopCollision(world) {
+    let obstacle = level.getTerrainShape('obstacle');
+    let x = (obstacle.getLeftX() + obstacle.getRightX()) / 2;
+    startTestThrow(world, new Vector(x, 2), new Vector(0, 0));
+}
+
+/**
+ * Drops the {@link Ball} into the bottom left corner of the hole,
+ * where it collides with the hole's wall and floor at the same time.
+ *
+ * @param world {SimulationWorld}
+ * The {@link SimulationWorld} to prepare.
+ */
+function testHoleCornerCollision(world) {
+    startTestThrow(world, new Vector(world.hole.getLeftX() + 0.2, 0.8), new Vector(-0.2, 0));
+}
+
+/**
+ * Rolls the {@link Ball} quickly against the right side of the obstacle.
+ *
+ * @param world {SimulationWorld}
+ * The {@link SimulationWorld} to prepare.
+ */
+function testFastObstacleCollision(world) {
+    startTestRoll(world, new Vector(8.5, 0.35), new Vector(-30, 0));
+}
+
+/**
+ * Rolls the {@link Ball} so fast against the right side of the obstacle,
+ * that it would pass through the obstacle within a single step without sweeping its movement.
+ *
+ * @param world {SimulationWorld}
+ * The {@link SimulationWorld} to prepare.
+ */
+function testTunnelingObstacleCollision(world) {
+    startTestRoll(world, new Vector(8.2, 0.15), new Vector(-150, 0));
+}
+
+/**
+ * Throws the {@link Ball} so fast against the wall on the left,
+ * that it would pass through the wall within a single step without sweeping its movement.
+ *
+ * @param world {SimulationWorld}
+ * The {@link SimulationWorld} to prepare.
  */
-function testStrongWindAirCollision() {
-    ball.body.position = createVector(8, ball.body.getRadius() + 10);
-    ball.velocity = createVector(-10, 0);
-    windVelocity = createVector(-10, 0);
-    state = STATE_THROW;
+function testTunnelingWallCollision(world) {
+    startTestThrow(world, new Vector(4, 1), new Vector(-400, 0));
 }
\ No newline at end of file
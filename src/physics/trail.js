@@ -0,0 +1,137 @@
+/**
+ * Provides the {@link Trail} class, which records the path of the {@link Ball} during a shot, and constants
+ * determining how trails are recorded and kept.
+ *
+ * @author Tizian Kirchner
+ */
+
+/**
+ * How many seconds of simulated time pass between two points of a {@link Trail}.
+ * @type {number}
+ */
+const TRAIL_POINT_INTERVAL = 1 / 60;
+
+/**
+ * How many points a {@link Trail} records at most. Points beyond are not recorded anymore.
+ * @type {number}
+ */
+const TRAIL_MAX_POINTS = 3600;
+
+/**
+ * The numbers of finished trails, which can be chosen to be kept on the screen.
+ * @type {number[]}
+ */
+const KEPT_TRAIL_COUNTS = [0, 1, 3, 5];
+
+/**
+ * How many finished trails a {@link SimulationWorld} keeps at most.
+ * @type {number}
+ */
+const TRAIL_HISTORY_LENGTH = Math.max(...KEPT_TRAIL_COUNTS);
+
+/**
+ * The path the {@link Ball} of a {@link SimulationWorld} took during a shot, from being let go until the next shot.
+ * Can be replayed as a ghost ball, by looking up where the {@link Ball} was at a time of the shot.
+ */
+class Trail {
+    /**
+     * The positions of the {@link Ball}, in the order they have been recorded.
+     * @type {Vector[]}
+     */
+    points = [];
+
+    /**
+     * The {@link Ball.angle angles} of the {@link Ball} at the {@link points}.
+     * @type {number[]}
+     */
+    angles = [];
+
+    /**
+     * How many seconds after the {@link Ball} has been let go each of the {@link points} has been recorded.
+     * @type {number[]}
+     */
+    times = [];
+
+    /**
+     * How many seconds have been simulated since the {@link Ball} has been let go.
+     * @type {number}
+     */
+    time = 0;
+
+    /**
+     * How many seconds of simulated time have passed since the last point has been recorded.
+     * @type {number}
+     */
+    pointTimer = 0;
+
+    /**
+     * Determines if the {@link Ball} landed in the hole during the shot.
+     * @type {boolean}
+     */
+    success = false;
+
+    /**
+     * Records the position of a {@link Ball} once {@link TRAIL_POINT_INTERVAL} seconds have passed since the last
+     * recorded point.
+     *
+     * @param ball {Ball}
+     * The {@link Ball} whose path to record.
+     *
+     * @param delta {number}
+     * For how many seconds the {@link Ball} has been simulated since the last call.
+     */
+    record(ball, delta) {
+        this.time += delta;
+        this.pointTimer += delta;
+
+        // Tolerates rounding errors of the summed time steps.
+        if(this.points.length > 0 && this.pointTimer < TRAIL_POINT_INTERVAL - 1e-9) {
+            return;
+        }
+
+        if(this.points.length < TRAIL_MAX_POINTS) {
+            this.points.push(ball.body.position.copy());
+            this.angles.push(ball.angle);
+            this.times.push(this.time);
+        }
+
+        this.pointTimer = 0;
+    }
+
+    /**
+     * @returns {Vector | undefined}
+     * The last recorded position or undefined, if no position has been recorded.
+     */
+    getEndPosition() {
+        return this.points[this.points.length - 1];
+    }
+
+    /**
+     * Returns where the {@link Ball} was at a time of the shot, interpolated between the two closest {@link points}.
+     * Before the first and after the last point, the first and the last point are returned.
+     *
+     * @param time {number}
+     * How many seconds after the {@link Ball} has been let go.
+     *
+     * @returns {{position: Vector, angle: number}}
+     * The position and the angle of the {@link Ball} at the time.
+     */
+    getStateAt(time) {
+        let index = this.times.findIndex(pointTime => pointTime >= time);
+
+        if(index === -1) {
+            index = this.points.length - 1;
+        }
+
+        if(index === 0 || this.times[index] < time) {
+            return {position: this.points[index].copy(), angle: this.angles[index]};
+        }
+
+        let amount = (time - this.times[index - 1]) / (this.times[index] - this.times[index - 1]);
+
+        return {
+            position: Vector.lerp(this.points[index - 1], this.points[index], amount),
+            angle: this.angles[index - 1] + (this.angles[index] - this.angles[index - 1]) * amount
+        };
+    }
+}
\ No newline at end of file
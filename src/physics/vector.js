@@ -0,0 +1,250 @@
+/**
+ * A two-dimensional vector used by the simulation's physics.
+ *
+ * Provides the subset of the p5.Vector functionality the physics rely on,
+ * so that the physics can be simulated without p5, for example in Node.js.
+ * Like p5.Vector, most methods modify this {@link Vector} and return it to allow chaining,
+ * while the static methods return a new {@link Vector}.
+ *
+ * @author Tizian Kirchner
+ */
+class Vector {
+    /**
+     * The horizontal component of this {@link Vector}.
+     * @type {number}
+     */
+    x;
+
+    /**
+     * The vertical component of this {@link Vector}.
+     * @type {number}
+     */
+    y;
+
+    /**
+     * Constructs a new {@link Vector} object.
+     *
+     * @param [x] {number}
+     * See {@link Vector.x}. Defaults to 0.
+     *
+     * @param [y] {number}
+     * See {@link Vector.y}. Defaults to 0.
+     */
+    constructor(x, y) {
+        this.x = x === undefined ? 0 : x;
+        this.y = y === undefined ? 0 : y;
+    }
+
+    /**
+     * @returns {Vector} A new {@link Vector} with the same components as this {@link Vector}.
+     */
+    copy() {
+        return new Vector(this.x, this.y);
+    }
+
+    /**
+     * Sets the components of this {@link Vector}.
+     *
+     * @param x {number} See {@link Vector.x}.
+     * @param y {number} See {@link Vector.y}.
+     *
+     * @returns {Vector} This {@link Vector}.
+     */
+    set(x, y) {
+        this.x = x;
+        this.y = y;
+        return this;
+    }
+
+    /**
+     * @param vector {Vector} The {@link Vector} to add to this {@link Vector}.
+     * @returns {Vector} This {@link Vector}.
+     */
+    add(vector) {
+        this.x += vector.x;
+        this.y += vector.y;
+        return this;
+    }
+
+    /**
+     * @param vector {Vector} The {@link Vector} to subtract from this {@link Vector}.
+     * @returns {Vector} This {@link Vector}.
+     */
+    sub(vector) {
+        this.x -= vector.x;
+        this.y -= vector.y;
+        return this;
+    }
+
+    /**
+     * @param scalar {number} The number to multiply this {@link Vector}'s components with.
+     * @returns {Vector} This {@link Vector}.
+     */
+    mult(scalar) {
+        this.x *= scalar;
+        this.y *= scalar;
+        return this;
+    }
+
+    /**
+     * @param scalar {number} The number to divide this {@link Vector}'s components by.
+     * @returns {Vector} This {@link Vector}.
+     */
+    div(scalar) {
+        this.x /= scalar;
+        this.y /= scalar;
+        return this;
+    }
+
+    /**
+     * @returns {number} The length of this {@link Vector}.
+     */
+    mag() {
+        return Math.sqrt(this.x * this.x + this.y * this.y);
+    }
+
+    /**
+     * @returns {number} The squared length of this {@link Vector}.
+     */
+    magSq() {
+        return this.x * this.x + this.y * this.y;
+    }
+
+    /**
+     * @param vector {Vector} The other {@link Vector}.
+     * @returns {number} The dot product of this and the other {@link Vector}.
+     */
+    dot(vector) {
+        return this.x * vector.x + this.y * vector.y;
+    }
+
+    /**
+     * @param vector {Vector} The other {@link Vector}.
+     * @returns {number} The z component of the cross product of this and the other {@link Vector}.
+     */
+    cross(vector) {
+        return this.x * vector.y - this.y * vector.x;
+    }
+
+    /**
+     * Scales this {@link Vector} to a length of 1. A {@link Vector} with a length of 0 is left unchanged.
+     *
+     * @returns {Vector} This {@link Vector}.
+     */
+    normalize() {
+        let length = this.mag();
+
+        if(length !== 0) {
+            this.mult(1 / length);
+        }
+
+        return this;
+    }
+
+    /**
+     * Scales this {@link Vector} to the given length. A {@link Vector} with a length of 0 is left unchanged.
+     *
+     * @param length {number} The new length of this {@link Vector}. A negative length flips this {@link Vector}.
+     * @returns {Vector} This {@link Vector}.
+     */
+    setMag(length) {
+        return this.normalize().mult(length);
+    }
+
+    /**
+     * @returns {number} The angle between this {@link Vector} and the positive x-axis in radians.
+     */
+    heading() {
+        return Math.atan2(this.y, this.x);
+    }
+
+    /**
+     * Rotates this {@link Vector} counterclockwise.
+     *
+     * @param angle {number} By how many radians to rotate this {@link Vector}.
+     * @returns {Vector} This {@link Vector}.
+     */
+    rotate(angle) {
+        let newHeading = this.heading() + angle;
+        let length = this.mag();
+        this.x = Math.cos(newHeading) * length;
+        this.y = Math.sin(newHeading) * length;
+        return this;
+    }
+
+    /**
+     * @param vector {Vector} The other {@link Vector}.
+     *
+     * @returns {number}
+     * The angle between this and the other {@link Vector} in radians.
+     * The angle is negative if the other {@link Vector} is turned clockwise from this {@link Vector}.
+     */
+    angleBetween(vector) {
+        let dotMagMag = this.dot(vector) / (this.mag() * vector.mag());
+        let angle = Math.acos(Math.min(1, Math.max(-1, dotMagMag)));
+        return angle * Math.sign(this.cross(vector) || 1);
+    }
+
+    /**
+     * Moves this {@link Vector} towards another {@link Vector}.
+     *
+     * @param vector {Vector} The {@link Vector} to move towards.
+     * @param amount {number} 0 leaves this {@link Vector} unchanged, 1 moves it all the way to the other one.
+     * @returns {Vector} This {@link Vector}.
+     */
+    lerp(vector, amount) {
+        this.x += (vector.x - this.x) * amount;
+        this.y += (vector.y - this.y) * amount;
+        return this;
+    }
+
+    toString() {
+        return "Vector: (" + this.x + "; " + this.y + ")";
+    }
+
+    /**
+     * @param a {Vector} The first summand.
+     * @param b {Vector} The second summand.
+     * @returns {Vector} A new {@link Vector} storing the sum of a and b.
+     */
+    static add(a, b) {
+        return a.copy().add(b);
+    }
+
+    /**
+     * @param a {Vector} The minuend.
+     * @param b {Vector} The subtrahend.
+     * @returns {Vector} A new {@link Vector} storing the difference of a and b.
+     */
+    static sub(a, b) {
+        return a.copy().sub(b);
+    }
+
+    /**
+     * @param vector {Vector} The {@link Vector} to multiply.
+     * @param scalar {number} The number to multiply the {@link Vector}'s components with.
+     * @returns {Vector} A new {@link Vector} storing the product.
+     */
+    static mult(vector, scalar) {
+        return vector.copy().mult(scalar);
+    }
+
+    /**
+     * @param vector {Vector} The {@link Vector} to divide.
+     * @param scalar {number} The number to divide the {@link Vector}'s components by.
+     * @returns {Vector} A new {@link Vector} storing the quotient.
+     */
+    static div(vector, scalar) {
+        return vector.copy().div(scalar);
+    }
+
+    /**
+     * @param a {Vector} The {@link Vector} to start from.
+     * @param b {Vector} The {@link Vector} to move towards.
+     * @param amount {number} 0 returns a copy of a, 1 returns a copy of b.
+     * @returns {Vector} A new {@link Vector} between a and b.
+     */
+    static lerp(a, b, amount) {
+        return a.copy().lerp(b, amount);
+    }
+}
\ No newline at end of file
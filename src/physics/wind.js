@@ -0,0 +1,257 @@
+/**
+ * Provides the {@link WindField} class, which determines how fast the wind blows at each position and time of a
+ * {@link SimulationWorld}, the {@link WindZone} class for areas with a wind of their own, like a fan, and constants
+ * for the modes the wind of a {@link SimulationWorld} can be set in.
+ *
+ * @author Tizian Kirchner
+ */
+
+/**
+ * A {@link SimulationWorld.windMode wind mode}, in which the wind is randomized between the
+ * {@link SimulationWorld.minWindVelocity minimum} and the {@link SimulationWorld.maxWindVelocity maximum} velocity.
+ *
+ * @type {number}
+ */
+const WIND_MODE_RANDOM = 0;
+
+/**
+ * A {@link SimulationWorld.windMode wind mode}, in which the wind is set to the
+ * {@link SimulationWorld.fixedWindVelocity fixed wind velocity}.
+ *
+ * @type {number}
+ */
+const WIND_MODE_FIXED = 1;
+
+/**
+ * A {@link SimulationWorld.windMode wind mode}, in which no wind blows at all, not even inside {@link WindZone}s.
+ * @type {number}
+ */
+const WIND_MODE_OFF = 2;
+
+/**
+ * The names of the wind modes, indexed by the wind modes.
+ * @type {string[]}
+ */
+const WIND_MODE_NAMES = ["RANDOM", "FIXED", "OFF"];
+
+/**
+ * How many meters above the ground the wind blows exactly as fast as the {@link SimulationWorld.windVelocity}.
+ * Below, the wind is calmer, above, it is stronger, unless the {@link WindField.shear} is 0.
+ *
+ * @type {number}
+ */
+const WIND_REFERENCE_HEIGHT = 1;
+
+/**
+ * How many meters rough the ground is. The wind is calmest, but not completely calm, directly above the ground.
+ * @type {number}
+ */
+const WIND_GROUND_ROUGHNESS = 0.1;
+
+/**
+ * The periods of the waves the gusts are made of, as fractions of the {@link WindField.gustPeriod},
+ * and how strongly each wave contributes to the gusts.
+ *
+ * @type {{period: number, weight: number}[]}
+ */
+const WIND_GUST_WAVES = [
+    {period: 1, weight: 1},
+    {period: 0.43, weight: 0.5},
+    {period: 0.19, weight: 0.25}
+];
+
+/**
+ * An area in which an additional wind blows, like the air blown by a fan.
+ */
+class WindZone {
+    /**
+     * The area of this {@link WindZone}.
+     * @type {Rectangle}
+     */
+    area;
+
+    /**
+     * The velocity in m/s which is added to the wind inside the {@link area}.
+     * @type {Vector}
+     */
+    velocity;
+
+    /**
+     * Constructs a new {@link WindZone} object.
+     *
+     * @param area {Rectangle}
+     * See {@link WindZone.area}.
+     *
+     * @param velocity {Vector}
+     * See {@link WindZone.velocity}.
+     */
+    constructor(area, velocity) {
+        this.area = area;
+        this.velocity = velocity;
+    }
+
+    /**
+     * @param position {Vector}
+     * A position in cartesian coordinates.
+     *
+     * @returns {boolean} If the position lies inside the {@link area}.
+     */
+    contains(position) {
+        let area = this.area;
+
+        return (
+            position.x >= area.x && position.x <= area.x + area.w &&
+            position.y <= area.y && position.y >= area.y - area.h
+        );
+    }
+}
+
+/**
+ * Determines the wind at each position and time of a {@link SimulationWorld} from its
+ * {@link SimulationWorld.windVelocity base wind}.
+ *
+ * The wind gets stronger with the height above the ground, is varied over time by gusts and blows faster inside the
+ * {@link zones}. Without {@link gustStrength}, {@link shear}, {@link verticalVelocity} and {@link zones}, the wind
+ * blows like the base wind everywhere.
+ */
+class WindField {
+    /**
+     * The y coordinate of the ground, above which the height of a position is measured.
+     * @type {number}
+     */
+    groundY;
+
+    /**
+     * How strongly the wind grows with the height above the ground. 0 lets the wind blow equally strong at every
+     * height. Typical values lie between 0.1 over open water and 0.4 over rough land.
+     *
+     * @type {number}
+     * @see getHeightFactor
+     */
+    shear = 0;
+
+    /**
+     * By which fraction of itself the wind becomes stronger or weaker through gusts at most.
+     * @type {number}
+     * @see getGustFactor
+     */
+    gustStrength = 0;
+
+    /**
+     * How many seconds the slowest wave of the gusts lasts.
+     * @type {number}
+     */
+    gustPeriod = 6;
+
+    /**
+     * The phases in radians of the waves the gusts are made of. See {@link WIND_GUST_WAVES}.
+     * @type {number[]}
+     * @see randomizeGusts
+     */
+    gustPhases = WIND_GUST_WAVES.map(() => 0);
+
+    /**
+     * The vertical velocity in m/s which is added to the base wind. Positive values let the wind blow upwards.
+     * @type {number}
+     */
+    verticalVelocity = 0;
+
+    /**
+     * The areas with an additional wind of their own.
+     * @type {WindZone[]}
+     */
+    zones = [];
+
+    /**
+     * Constructs a new {@link WindField} object.
+     *
+     * @param groundY {number}
+     * See {@link WindField.groundY}.
+     */
+    constructor(groundY) {
+        this.groundY = groundY;
+    }
+
+    /**
+     * @returns {WindField}
+     * A copy of this {@link WindField}, whose gusts can be randomized without changing this {@link WindField}.
+     */
+    copy() {
+        let copy = Object.assign(new WindField(this.groundY), this);
+        copy.gustPhases = this.gustPhases.slice();
+        return copy;
+    }
+
+    /**
+     * Shifts the waves the gusts are made of by random phases, so that each try has different gusts.
+     *
+     * @param random {Random}
+     * Generates the phases.
+     */
+    randomizeGusts(random) {
+        this.gustPhases = WIND_GUST_WAVES.map(() => random.range(0, 2 * Math.PI));
+    }
+
+    /**
+     * Returns how much stronger the wind blows at a height than at the {@link WIND_REFERENCE_HEIGHT}, following the
+     * power law of wind profiles.
+     *
+     * @param y {number}
+     * The y coordinate of the position.
+     *
+     * @returns {number}
+     * The factor the base wind is multiplied with. 1 if the {@link shear} is 0.
+     */
+    getHeightFactor(y) {
+        let height = Math.max(y - this.groundY, 0);
+        return Math.pow((height + WIND_GROUND_ROUGHNESS) / (WIND_REFERENCE_HEIGHT + WIND_GROUND_ROUGHNESS), this.shear);
+    }
+
+    /**
+     * Returns how much stronger the wind blows at a time through gusts, by summing up waves of different periods.
+     *
+     * @param time {number}
+     * How many seconds have been simulated. See {@link SimulationWorld.time}.
+     *
+     * @returns {number}
+     * The factor the base wind is multiplied with, between 1 - {@link gustStrength} and 1 + {@link gustStrength}.
+     */
+    getGustFactor(time) {
+        let sum = 0;
+        let weights = 0;
+
+        WIND_GUST_WAVES.forEach((wave, i) => {
+            sum += wave.weight * Math.sin(2 * Math.PI * time / (this.gustPeriod * wave.period) + this.gustPhases[i]);
+            weights += wave.weight;
+        });
+
+        return 1 + this.gustStrength * sum / weights;
+    }
+
+    /**
+     * Returns the velocity of the wind at a position and time.
+     *
+     * @param baseVelocity {Vector}
+     * The velocity of the wind at the {@link WIND_REFERENCE_HEIGHT} without gusts.
+     *
+     * @param position {Vector}
+     * The position in cartesian coordinates.
+     *
+     * @param time {number}
+     * How many seconds have been simulated. See {@link SimulationWorld.time}.
+     *
+     * @returns {Vector} The velocity of the wind in m/s.
+     */
+    getVelocityAt(baseVelocity, position, time) {
+        let factor = this.getHeightFactor(position.y) * this.getGustFactor(time);
+        let velocity = new Vector(baseVelocity.x * factor, (baseVelocity.y + this.verticalVelocity) * factor);
+
+        this.zones.forEach(zone => {
+            if(zone.contains(position)) {
+                velocity.add(zone.velocity);
+            }
+        });
+
+        return velocity;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,1137 @@
+/**
+ * Provides the {@link SimulationWorld} class, which contains everything required to simulate the minigolf game's
+ * physics, and constants describing the states a {@link SimulationWorld} can be in.
+ *
+ * The {@link SimulationWorld} does not depend on p5 or a canvas. It can be simulated in the browser, where the sketch
+ * in canvas.js draws it, or in Node.js, where it can be loaded through headless.js.
+ *
+ * @author Tizian Kirchner
+ */
+
+/* Physics */
+
+/**
+ * Net acceleration that is applied to objects on earth.
+ *
+ * @type {number}
+ */
+const STANDARD_GRAVITY = 9.81;
+
+/**
+ * How many meters an object must have moved into terrain before a collision is detected.
+ *
+ * @type {number}
+ */
+const COLLISION_THRESHOLD = 0.001;
+
+/**
+ * See {@link Ball.reflectInAir}.
+ *
+ * @type {number}
+ */
+const BOUNCING_THRESHOLD = 0.1;
+
+/**
+ * The {@link Ball}'s moment of inertia divided by its mass and its squared radius.
+ * A value of 2/5 describes a solid sphere.
+ *
+ * @type {number}
+ * @see Ball.getMomentOfInertia
+ */
+const BALL_INERTIA_FACTOR = 2 / 5;
+
+/**
+ * How many m/s the surface of the {@link Ball} may slip over the ground, while the {@link Ball} still counts as rolling
+ * without slipping.
+ *
+ * @type {number}
+ * @see Ball.addGroundFriction
+ */
+const ROLLING_SLIP_THRESHOLD = 0.001;
+
+/**
+ * How many m/s the {@link Ball} may move up- or downwards, while touching the terrain inside the hole,
+ * to count as having landed in the hole.
+ *
+ * A {@link Ball} which moves faster may still bounce back out of the hole.
+ *
+ * @type {number}
+ * @see SimulationWorld.isBallInHole
+ */
+const HOLE_MAX_VERTICAL_VELOCITY = 0.4;
+
+/**
+ * How many m/s the {@link Ball} may move at most, to count as resting.
+ *
+ * @type {number}
+ * @see SimulationWorld.checkBallAtRest
+ */
+const REST_MAX_VELOCITY = 0.05;
+
+/**
+ * How many seconds the {@link Ball} has to move slower than {@link REST_MAX_VELOCITY}, before it comes to rest.
+ *
+ * @type {number}
+ * @see SimulationWorld.checkBallAtRest
+ */
+const REST_TIME = 1;
+
+/**
+ * How many strokes are added to the strokes of a hole, when the {@link Ball} goes out of bounds.
+ *
+ * @type {number}
+ * @see SimulationWorld.returnBallToLie
+ */
+const OUT_OF_BOUNDS_PENALTY = 1;
+
+/* Administration */
+
+/**
+ * Determines if collision information is printed to the console and if terrain colliders are drawn.
+ *
+ * @type {boolean}
+ */
+const DEBUG = false;
+
+/* Drag */
+
+/**
+ * The drag coefficient of a smooth sphere, which is used by the {@link DRAG_MODEL_CONSTANT}.
+ *
+ * @type {number}
+ */
+const DRAG_COEFFICIENT = 0.47;
+
+/**
+ * The dynamic viscosity of air at room temperature in Pa·s.
+ *
+ * @type {number}
+ */
+const STANDARD_AIR_VISCOSITY = 1.8e-5;
+
+/**
+ * Used as the value for the {@link SimulationWorld.dragModel} field,
+ * if the {@link Ball} is slowed down by the air with the constant {@link DRAG_COEFFICIENT}.
+ *
+ * @type {number}
+ */
+const DRAG_MODEL_CONSTANT = 0;
+
+/**
+ * Used as the value for the {@link SimulationWorld.dragModel} field,
+ * if the drag coefficient of the {@link Ball} depends on its Reynolds number.
+ *
+ * @type {number}
+ * @see getSphereDragCoefficient
+ */
+const DRAG_MODEL_REYNOLDS = 1;
+
+/* Simulation State */
+
+/**
+ * Forces the simulation of the a {@link Ball} object to stop.
+ *
+ * Used as the value for the {@link SimulationWorld.state} field,
+ * if the {@link Ball.simulate} method got stuck in an infinite loop or
+ * {@link Ball.velocity} uses an invalid value for one of its components.
+ *
+ * @type {number}
+ */
+const STATE_ERROR = -1;
+
+/**
+ * Used as the value for the {@link SimulationWorld.state} field,
+ * if the {@link Ball} is currently attached to spring and not being released by the spring.
+ *
+ * @type {number}
+ */
+const STATE_SPRING_ATTACHED = 0;
+
+/**
+ * Used as the value for the {@link SimulationWorld.state} field,
+ * if the {@link Ball} is currently being released by the spring.
+ *
+ * @type {number}
+ */
+const STATE_SPRING_RELEASE = 1;
+
+/**
+ * Used as the value for the {@link SimulationWorld.state} field,
+ * if the {@link Ball} has been fully released by the spring and
+ * is flying through the air or rolling on the ground.
+ *
+ * @type {number}
+ */
+const STATE_THROW = 2;
+
+/**
+ * Used as the value for the {@link SimulationWorld.state} field,
+ * if the {@link Ball} came to rest after being thrown and can be shot from its position with the {@link Launcher}.
+ *
+ * @type {number}
+ */
+const STATE_AIM = 3;
+
+/**
+ * Used as the value for the {@link SimulationWorld.state} field,
+ * if the {@link Launcher} has been let go and is swinging towards the resting {@link Ball}, like a golf club.
+ *
+ * @type {number}
+ * @see Launcher.isSwinging
+ */
+const STATE_SWING = 4;
+
+/**
+ * Stores a {@link Ball}, the {@link Spring} and the {@link Launcher} launching it, the terrain it can collide with and
+ * the environment's physics parameters.
+ *
+ * Performs different physics calculations according to different states the simulation can be in, such as the
+ * {@link Ball} being attached to the {@link Spring} or being released from the {@link Spring}.
+ */
+class SimulationWorld {
+    /* Environment */
+
+    /**
+     * Determines how quickly objects fall down.
+     *
+     * @type {number}
+     */
+    gravity = STANDARD_GRAVITY;
+
+    /**
+     * Determines how strongly objects are affected by {@link windVelocity wind}.
+     *
+     * If the {@link windVelocity} is equal to the zero {@link Vector} this field determines how strongly the air
+     * slows down objects.
+     *
+     * @type {number}
+     */
+    airDensity = 1.3;
+
+    /**
+     * How many Pa·s viscous the air is. Determines the Reynolds number of objects moving through the air,
+     * while the {@link dragModel} is {@link DRAG_MODEL_REYNOLDS}.
+     *
+     * @type {number}
+     */
+    airViscosity = STANDARD_AIR_VISCOSITY;
+
+    /**
+     * Determines how the drag coefficient of objects moving through the air is calculated.
+     * Either {@link DRAG_MODEL_CONSTANT} or {@link DRAG_MODEL_REYNOLDS}.
+     *
+     * @type {number}
+     * @see Ball.getDragCoefficient
+     */
+    dragModel = DRAG_MODEL_CONSTANT;
+
+    /**
+     * Advances the position and velocity of the {@link ball}, while it flies through the air or is attached to the
+     * {@link spring}.
+     *
+     * @type {Integrator}
+     * @see INTEGRATORS
+     */
+    integrator = INTEGRATORS[DEFAULT_INTEGRATOR];
+
+    /**
+     * Determines how strongly objects are affected by wind and in which direction wind pushed them.
+     *
+     * The base wind, which the {@link wind} field varies over the height, the time and the areas of the level.
+     *
+     * @type {Vector}
+     * @see getWindVelocityAt
+     */
+    windVelocity = new Vector(0, 0);
+
+    /**
+     * Varies the {@link windVelocity} over the height, the {@link time} and the areas of the level.
+     * @type {WindField}
+     */
+    wind;
+
+    /**
+     * Determines how the {@link randomizeWind} method sets the {@link windVelocity}.
+     * Either {@link WIND_MODE_RANDOM}, {@link WIND_MODE_FIXED} or {@link WIND_MODE_OFF}.
+     *
+     * @type {number}
+     */
+    windMode = WIND_MODE_RANDOM;
+
+    /**
+     * The {@link windVelocity} the {@link randomizeWind} method sets, while the {@link windMode} is
+     * {@link WIND_MODE_FIXED}. Can blow in any direction, including upwards and downwards.
+     *
+     * @type {Vector}
+     */
+    fixedWindVelocity = new Vector(0, 0);
+
+    /**
+     * The lowest horizontal wind velocity in m/s the {@link randomizeWind} method sets.
+     *
+     * @type {number}
+     */
+    minWindVelocity = -9;
+
+    /**
+     * The highest horizontal wind velocity in m/s the {@link randomizeWind} method sets.
+     *
+     * @type {number}
+     */
+    maxWindVelocity = 6;
+
+    /**
+     * Generates the random numbers of this {@link SimulationWorld}, such as the {@link windVelocity}.
+     * @type {Random}
+     */
+    random;
+
+    /* Terrain */
+
+    /**
+     * Stores the {@link TerrainPolygon}s the {@link ball} can collide with.
+     *
+     * @type {TerrainPolygon[]}
+     */
+    terrainArray;
+
+    /**
+     * Handles the collision between the {@link Level.catapult catapult} and the {@link ball}.
+     *
+     * Added to the {@link terrainArray} by the {@link step} method,
+     * once the {@link ball} has left the area of the catapult.
+     *
+     * @type {TerrainPolygon}
+     */
+    catapultTerrain;
+
+    /**
+     * Determines whether the {@link catapultTerrain} has been added to the {@link terrainArray}.
+     *
+     * @type {boolean}
+     */
+    catapultTerrainAdded = false;
+
+    /**
+     * Stores the position of the tip of the catapult.
+     *
+     * @type {Vector}
+     */
+    catapultPosition;
+
+    /**
+     * How many meters wide the base of the catapult is.
+     *
+     * @type {number}
+     */
+    catapultWidth;
+
+    /**
+     * The area inside the hole.
+     *
+     * @type {Rectangle}
+     * @see isBallInHole
+     */
+    hole;
+
+    /**
+     * The {@link ball}'s top border is never moved above this height.
+     *
+     * @type {number}
+     */
+    ceilingY = Infinity;
+
+    /**
+     * The {@link ball} is out of bounds once its left border has passed this x coordinate.
+     *
+     * @type {number}
+     * @see returnBallToLie
+     */
+    rightBorderX = Infinity;
+
+    /* Ball and Spring */
+
+    /**
+     * Launched of the {@link Level.catapult catapult} by the user.
+     *
+     * The goal of the minigolf game is to land this ball in the hole.
+     *
+     * @type {Ball}
+     */
+    ball;
+
+    /**
+     * The spring the {@link ball} is attached to during the states {@link STATE_SPRING_ATTACHED} and
+     * {@link STATE_SPRING_RELEASE}.
+     *
+     * @type {Spring}
+     */
+    spring;
+
+    /**
+     * The key of the type in the {@link LAUNCHER_TYPES} the {@link ball} is launched with.
+     *
+     * @type {string}
+     * @see setLauncherType
+     */
+    launcherType = DEFAULT_LAUNCHER_TYPE;
+
+    /**
+     * Shoots the {@link ball} from where it came to rest during the state {@link STATE_AIM}.
+     * Created by the type of the {@link launcherType}.
+     *
+     * @type {Launcher}
+     */
+    launcher = new SlingshotLauncher();
+
+    /**
+     * How many radians per second the {@link ball} spins, once it is released by the {@link spring} or shot by the
+     * {@link launcher}. Positive values describe topspin, negative values describe backspin.
+     *
+     * @type {number}
+     * @see Ball.setSpin
+     */
+    launchSpin = 0;
+
+    /**
+     * The position the {@link ball} last came to rest at, from which the last stroke was played.
+     *
+     * Is null while the {@link ball} has not come to rest since it has been released by the spring.
+     *
+     * @type {Vector|null}
+     * @see returnBallToLie
+     */
+    lie = null;
+
+    /**
+     * Stores how many seconds the {@link ball} has been moving slower than {@link REST_MAX_VELOCITY}.
+     *
+     * @type {number}
+     * @see checkBallAtRest
+     */
+    ballLowSpeedTime = 0;
+
+    /**
+     * Determines if the {@link ball} is being held, for example by the mouse cursor.
+     *
+     * While the {@link ball} is being held, the {@link spring} is not simulated.
+     *
+     * @type {boolean}
+     * @see pullBall
+     */
+    ballHeld = false;
+
+    /**
+     * Determines if the {@link ball} has been fully released by the spring above the {@link Level.catapult catapult}.
+     *
+     * @type {boolean}
+     */
+    ballTopStart = false;
+
+    /**
+     * Determines if the {@link ball} has been fully released by the spring to the right of the
+     * {@link Level.catapult catapult}.
+     *
+     * @type {boolean}
+     */
+    ballRightStart = false;
+
+    /**
+     * Determines if the {@link ball} has been fully released by the spring to the left of the
+     * {@link Level.catapult catapult}.
+     *
+     * @type {boolean}
+     */
+    ballLeftStart = false;
+
+    /* Administration */
+
+    /**
+     * Determines how {@link ball} and {@link spring} are being simulated.
+     *
+     * @type {number}
+     */
+    state = STATE_SPRING_ATTACHED;
+
+    /**
+     * Determines how often the {@link ball} has been fully released by the spring or shot by the {@link launcher}
+     * since the {@link reset} method has been last called.
+     *
+     * @type {number}
+     */
+    tries = 0;
+
+    /**
+     * Determines how many penalty strokes have been added for the {@link ball} going out of bounds,
+     * since the {@link reset} method has been last called.
+     *
+     * @type {number}
+     * @see OUT_OF_BOUNDS_PENALTY
+     */
+    penaltyStrokes = 0;
+
+    /**
+     * Determines how often the {@link ball} landed in the hole, since the {@link reset} method has been last called.
+     *
+     * @type {number}
+     */
+    successfulTries = 0;
+
+    /**
+     * Determines if the {@link ball} landed in the hole, since it has been released by the spring.
+     *
+     * @type {boolean}
+     */
+    success = false;
+
+    /**
+     * Records the energy and momentum of the {@link ball} during the current try.
+     *
+     * @type {Telemetry}
+     */
+    telemetry = new Telemetry();
+
+    /**
+     * The path of the {@link ball} during the current shot.
+     * @type {Trail}
+     */
+    trail = new Trail();
+
+    /**
+     * The paths of the finished shots, the most recent one last. At most {@link TRAIL_HISTORY_LENGTH} are kept.
+     * @type {Trail[]}
+     */
+    trails = [];
+
+    /**
+     * The path of the best finished shot or null, if no shot has been finished.
+     *
+     * The most recent shot landing in the hole is the best shot.
+     * Until a shot lands in the hole, the shot coming to an end closest to the hole is the best shot.
+     *
+     * @type {Trail | null}
+     * @see isBetterTrail
+     */
+    bestTrail = null;
+
+    /**
+     * The object parsed from the level file of the {@link Level} this {@link SimulationWorld} has been created on.
+     * @type {Object}
+     * @see Level.data
+     */
+    levelData;
+
+    /**
+     * Records the current try, so that it can be replayed, or null if no try has been started.
+     *
+     * @type {Replay | null}
+     * @see captureReplay
+     */
+    replay = null;
+
+    /**
+     * How many seconds have been simulated by the {@link step} method.
+     * @type {number}
+     */
+    time = 0;
+
+    /**
+     * Constructs a new {@link SimulationWorld} object on the terrain of a {@link Level},
+     * with a {@link Ball} attached to its {@link Spring}.
+     *
+     * @param level {Level}
+     * Provides the terrain, the catapult, the hole and the range of the wind.
+     *
+     * @param seed {number}
+     * The seed of the {@link random} numbers. A random seed is chosen if it is omitted.
+     */
+    constructor(level, seed) {
+        this.random = new Random(seed === undefined ? createRandomSeed() : seed);
+        this.levelData = level.data;
+        this.terrainArray = level.terrainArray.slice();
+        this.catapultTerrain = level.catapultTerrain;
+        this.catapultPosition = level.catapultPosition;
+        this.catapultWidth = level.catapultWidth;
+        this.hole = level.hole;
+        this.ceilingY = level.ceilingY;
+        this.rightBorderX = level.rightBorderX;
+        this.minWindVelocity = level.minWindVelocity;
+        this.maxWindVelocity = level.maxWindVelocity;
+        this.wind = level.windField.copy();
+        this.spring = new Spring(this.catapultPosition);
+
+        let ballPosition = new Vector(this.catapultPosition.x, this.catapultPosition.y - this.spring.relaxedLength);
+        this.ball = new Ball(new Circle(ballPosition, 0.20, CL_GRN), 0.50, 0.05, this);
+        this.setLauncherType(level.launcherType);
+    }
+
+    /**
+     * Returns a copy of this {@link SimulationWorld}, which can be simulated without changing this
+     * {@link SimulationWorld}, for example to predict where the {@link ball} will go.
+     *
+     * The copy shares the terrain, the {@link hole} and the {@link integrator} with this {@link SimulationWorld},
+     * but has its own {@link ball}, {@link spring}, {@link launcher}, {@link telemetry}, {@link random} numbers and
+     * {@link wind} field.
+     *
+     * @returns {SimulationWorld} The copy.
+     *
+     * @see predictTrajectory
+     */
+    copy() {
+        let copy = Object.assign(Object.create(SimulationWorld.prototype), this);
+
+        Object.keys(copy).forEach(key => {
+            if(copy[key] instanceof Vector) {
+                copy[key] = copy[key].copy();
+            }
+        });
+
+        copy.terrainArray = this.terrainArray.slice();
+        copy.ball = this.ball.copy(copy);
+        copy.spring = this.spring.copy();
+        copy.launcher = this.launcher.copy();
+        copy.telemetry = new Telemetry();
+        copy.random = this.random.copy();
+        copy.wind = this.wind.copy();
+        copy.trails = this.trails.slice();
+        copy.replay = null;
+        return copy;
+    }
+
+    /**
+     * Sets a random value for the horizontal {@link windVelocity} between
+     * the {@link minWindVelocity} and the {@link maxWindVelocity} and randomizes the gusts of the {@link wind}.
+     *
+     * The wind can come from the left or the right. The values are taken from the {@link random} numbers, so that
+     * they are determined by their seed.
+     * Depending on the {@link windMode}, sets the {@link fixedWindVelocity} or no wind instead.
+     */
+    randomizeWind() {
+        switch (this.windMode) {
+            case WIND_MODE_FIXED:
+                this.windVelocity = this.fixedWindVelocity.copy();
+                break;
+            case WIND_MODE_OFF:
+                this.windVelocity = new Vector(0, 0);
+                break;
+            default:
+                this.windVelocity = new Vector(this.random.range(this.minWindVelocity, this.maxWindVelocity), 0);
+        }
+
+        this.wind.randomizeGusts(this.random);
+    }
+
+    /**
+     * @param position {Vector}
+     * A position in cartesian coordinates.
+     *
+     * @returns {Vector}
+     * The velocity of the wind in m/s at the position and the current {@link time}.
+     * The zero {@link Vector}, while the {@link windMode} is {@link WIND_MODE_OFF}.
+     *
+     * @see WindField.getVelocityAt
+     */
+    getWindVelocityAt(position) {
+        if(this.windMode === WIND_MODE_OFF) {
+            return new Vector(0, 0);
+        }
+
+        return this.wind.getVelocityAt(this.windVelocity, position, this.time);
+    }
+
+    /**
+     * Holds the {@link ball} in place, if the {@link ball} is attached to the {@link spring} or
+     * can be shot by the {@link launcher}.
+     *
+     * @see pullBall
+     * @see releaseBall
+     */
+    grabBall() {
+        if(this.state === STATE_SPRING_ATTACHED || this.state === STATE_SPRING_RELEASE || this.state === STATE_AIM) {
+            this.ballHeld = true;
+            this.ball.velocity = new Vector(0, 0);
+            this.ball.angularVelocity = 0;
+        }
+    }
+
+    /**
+     * Moves the held {@link ball} towards a target position, while keeping the {@link spring} within its limits.
+     * During the state {@link STATE_AIM}, the {@link launcher} is pulled towards the target instead.
+     *
+     * @param target {Vector}
+     * The position the {@link ball} is being pulled towards, usually the position of the mouse cursor.
+     *
+     * @see Spring.pull
+     * @see Launcher.pull
+     */
+    pullBall(target) {
+        if(this.ballHeld && this.state === STATE_AIM) {
+            this.launcher.pull(this.ball, target);
+        } else if(this.ballHeld) {
+            this.spring.pull(this.ball, target);
+        }
+    }
+
+    /**
+     * Lets go of the held {@link ball}.
+     * Starts to release the ball from the spring if the spring has been stretched to a length longer than its relaxed
+     * length. During the state {@link STATE_AIM}, the {@link ball} is shot by the {@link launcher} instead.
+     * Captures the start of the try as the {@link replay}.
+     *
+     * @see Spring.relaxedLength
+     * @see shootBall
+     */
+    releaseBall() {
+        if(this.state === STATE_AIM && this.ballHeld) {
+            this.replay = captureReplay(this);
+            this.ballHeld = false;
+            this.telemetry.reset();
+            this.startTrail();
+            this.shootBall();
+        } else if((this.state === STATE_SPRING_ATTACHED || this.state === STATE_SPRING_RELEASE) && this.ballHeld) {
+            this.replay = captureReplay(this);
+            this.ballHeld = false;
+            this.telemetry.reset();
+            this.startTrail();
+
+            if(this.spring.vector.mag() > this.spring.relaxedLength + 0.01) {
+                this.state = STATE_SPRING_RELEASE;
+            } else {
+                this.state = STATE_SPRING_ATTACHED;
+            }
+        }
+    }
+
+    /**
+     * Starts recording a new {@link trail} for the shot about to be played.
+     *
+     * Adds the {@link trail} of the previous shot to the {@link trails}, if the {@link ball} moved during the shot,
+     * and makes it the {@link bestTrail}, if it is better.
+     */
+    startTrail() {
+        if(this.trail.points.length > 1) {
+            this.trails.push(this.trail);
+
+            if(this.trails.length > TRAIL_HISTORY_LENGTH) {
+                this.trails.shift();
+            }
+
+            if(this.isBetterTrail(this.trail)) {
+                this.bestTrail = this.trail;
+            }
+        }
+
+        this.trail = new Trail();
+    }
+
+    /**
+     * Checks if a finished {@link Trail} is better than the {@link bestTrail}.
+     *
+     * @param trail {Trail}
+     * The finished {@link Trail}.
+     *
+     * @returns {boolean}
+     * True if the {@link Trail} landed in the hole, if there is no {@link bestTrail} or if the {@link Trail} ended
+     * closer to the hole than the {@link bestTrail}, which did not land in the hole.
+     */
+    isBetterTrail(trail) {
+        if(this.bestTrail === null || trail.success) {
+            return true;
+        }
+
+        if(this.bestTrail.success) {
+            return false;
+        }
+
+        return this.getHoleDistance(trail.getEndPosition()) < this.getHoleDistance(this.bestTrail.getEndPosition());
+    }
+
+    /**
+     * @param position {Vector}
+     * The position to measure from.
+     *
+     * @returns {number}
+     * How many meters the position is away from the center of the {@link hole}'s opening.
+     */
+    getHoleDistance(position) {
+        let opening = new Vector((this.hole.getLeftX() + this.hole.getRightX()) / 2, this.hole.getTopY());
+        return Vector.sub(position, opening).mag();
+    }
+
+    /**
+     * Releases the {@link ball} from the spring into the air with the {@link launchSpin} if
+     * the spring reaches a length shorter than its relaxed length.
+     *
+     * Stores additional information about where the {@link ball} is released into the air, which is used by the
+     * {@link step} method to determine when to activate the {@link catapultTerrain}.
+     *
+     * @see Spring.relaxedLength
+     */
+    checkBallReleasedBySpring() {
+        if(this.spring.vector.mag() < this.spring.relaxedLength) {
+            this.tries++;
+            this.state = STATE_THROW;
+            this.ball.setSpin(this.launchSpin);
+            this.ballTopStart = this.ball.body.getBottomY() > this.catapultPosition.y;
+            this.ballLeftStart = this.ball.body.getRightX() < this.catapultPosition.x - this.catapultWidth / 2;
+            this.ballRightStart = this.ball.body.getLeftX() > this.catapultPosition.x + this.catapultWidth / 2;
+        }
+    }
+
+    /**
+     * Shoots the {@link ball} from where it came to rest, if the {@link launcher} has been pulled far enough.
+     * A {@link launcher} swinging towards the {@link ball} first starts the state {@link STATE_SWING} instead.
+     * Otherwise, the {@link launcher} is reset and the {@link ball} stays at rest.
+     *
+     * @see Launcher.isPulled
+     */
+    shootBall() {
+        if(!this.launcher.isPulled()) {
+            this.launcher.reset();
+            return;
+        }
+
+        this.launcher.release();
+
+        if(this.launcher.isSwinging()) {
+            this.state = STATE_SWING;
+        } else {
+            this.strikeBall();
+        }
+    }
+
+    /**
+     * Lets the {@link launcher} strike the {@link ball}, which is shot with the {@link launchSpin}.
+     *
+     * @see Launcher.getLaunchVelocity
+     */
+    strikeBall() {
+        this.tries++;
+        this.ball.velocity = this.launcher.getLaunchVelocity(this.ball);
+        this.ball.setSpin(this.launchSpin);
+        this.ball.groundSegment = null;
+        this.ballLowSpeedTime = 0;
+        this.state = STATE_THROW;
+        this.launcher.reset();
+    }
+
+    /**
+     * Replaces the {@link launcher} with a new one of a type and starts a new try at the
+     * {@link Level.catapult catapult}, since the {@link ball} is placed differently for each type.
+     * Keeps the {@link launcher} if it already is of the type.
+     *
+     * @param launcherType {string}
+     * The key of the type in the {@link LAUNCHER_TYPES}.
+     */
+    setLauncherType(launcherType) {
+        if(launcherType === this.launcherType) {
+            return;
+        }
+
+        this.launcherType = launcherType;
+        this.launcher = LAUNCHER_TYPES[launcherType].createLauncher();
+        this.placeBallAtCatapult();
+    }
+
+    /**
+     * Places the {@link ball} at the {@link Level.catapult catapult} for a new try.
+     *
+     * If the {@link launcherType} uses the spring, the {@link ball} hangs from the {@link spring}. Otherwise, it is
+     * teed up on the tip of the catapult, which becomes its {@link lie}, and can be shot by the {@link launcher} from
+     * there right away.
+     */
+    placeBallAtCatapult() {
+        this.resetBall();
+        this.resetTerrain();
+
+        if(LAUNCHER_TYPES[this.launcherType].usesSpring) {
+            this.state = STATE_SPRING_ATTACHED;
+            return;
+        }
+
+        let tee = new Vector(this.catapultPosition.x, this.catapultPosition.y + this.ball.body.getRadius());
+        this.ball.body.position = tee.copy();
+        this.ball.previousPosition = tee.copy();
+        this.lie = tee;
+        this.terrainArray.push(this.catapultTerrain);
+        this.catapultTerrainAdded = true;
+        this.state = STATE_AIM;
+    }
+
+    /**
+     * Lets the {@link ball} come to rest at its current position, once it has been moving and spinning slower than
+     * {@link REST_MAX_VELOCITY} for {@link REST_TIME} seconds without landing in the hole.
+     * The spin is measured by how fast the surface of the {@link ball} moves around its center.
+     *
+     * The position becomes the new {@link lie} and the {@link ball} can be shot from there by the {@link launcher}.
+     *
+     * @param delta {number} For how many seconds the {@link ball} has been simulated.
+     */
+    checkBallAtRest(delta) {
+        let surfaceVelocity = Math.abs(this.ball.angularVelocity) * this.ball.body.getRadius();
+
+        if(this.success || this.ball.velocity.mag() >= REST_MAX_VELOCITY || surfaceVelocity >= REST_MAX_VELOCITY) {
+            this.ballLowSpeedTime = 0;
+            return;
+        }
+
+        this.ballLowSpeedTime += delta;
+
+        if(this.ballLowSpeedTime >= REST_TIME) {
+            this.ballLowSpeedTime = 0;
+            this.ball.velocity = new Vector(0, 0);
+            this.ball.angularVelocity = 0;
+            this.lie = this.ball.body.position.copy();
+            this.state = STATE_AIM;
+        }
+    }
+
+    /**
+     * Adds a penalty stroke for the {@link ball} going out of bounds and returns it to the {@link lie},
+     * from which the last stroke was played.
+     * Starts a new try at the {@link Level.catapult catapult} instead, if the {@link ball} has not come to rest yet.
+     *
+     * @see OUT_OF_BOUNDS_PENALTY
+     */
+    returnBallToLie() {
+        this.penaltyStrokes += OUT_OF_BOUNDS_PENALTY;
+
+        if(this.lie === null) {
+            this.newTry();
+            return;
+        }
+
+        this.telemetry.reset();
+        this.ball.body.position = this.lie.copy();
+        this.ball.previousPosition = this.lie.copy();
+        this.ball.velocity = new Vector(0, 0);
+        this.ball.angularVelocity = 0;
+        this.ball.groundSegment = null;
+        this.ballLowSpeedTime = 0;
+        this.state = STATE_AIM;
+    }
+
+    /**
+     * @returns {number} How many strokes have been played, including the {@link penaltyStrokes}.
+     */
+    getStrokes() {
+        return this.tries + this.penaltyStrokes;
+    }
+
+    /**
+     * Sets the {@link ball} back to its initial state, hanging from the {@link spring} of the
+     * {@link Level.catapult catapult}.
+     */
+    resetBall() {
+        this.ball.body.position = new Vector(
+            this.catapultPosition.x, this.catapultPosition.y - this.spring.relaxedLength
+        );
+        this.ball.previousPosition = this.ball.body.position.copy();
+        this.ball.velocity = new Vector(0, 0);
+        this.ball.angularVelocity = 0;
+        this.ball.groundSegment = null;
+        this.ballHeld = false;
+        this.ballLowSpeedTime = 0;
+        this.lie = null;
+        this.spring.reset();
+        this.launcher.reset();
+        this.telemetry.reset();
+    }
+
+    /**
+     * Removes the {@link catapultTerrain} from the {@link terrainArray}
+     * if the {@link catapultTerrain} has been added to the array.
+     */
+    resetTerrain() {
+        if(this.terrainArray.includes(this.catapultTerrain)) {
+            this.terrainArray.splice(this.terrainArray.indexOf(this.catapultTerrain), 1);
+        }
+
+        this.catapultTerrainAdded = false;
+    }
+
+    /**
+     * Starts a new try for the minigolf game by placing the {@link ball} at the catapult again and
+     * randomizing the {@link windVelocity} if the {@link ball} stayed in the hole during the previous try.
+     *
+     * @see placeBallAtCatapult
+     */
+    newTry() {
+        if(this.success === true) {
+            this.randomizeWind();
+            this.success = false;
+        }
+
+        this.placeBallAtCatapult();
+    }
+
+    /**
+     * Resets the minigolf game by placing the {@link ball} at the catapult again, randomizing the {@link windVelocity}
+     * and resetting the number of {@link tries}, {@link penaltyStrokes} and {@link successfulTries}.
+     * Deletes the {@link trails} of the finished shots.
+     *
+     * @see placeBallAtCatapult
+     */
+    reset() {
+        this.tries = 0;
+        this.penaltyStrokes = 0;
+        this.successfulTries = 0;
+        this.success = false;
+        this.trail = new Trail();
+        this.trails = [];
+        this.bestTrail = null;
+        this.placeBallAtCatapult();
+        this.randomizeWind();
+    }
+
+    /**
+     * Simulates the physics of the {@link ball} and the {@link spring} according to the current {@link state}.
+     *
+     * Activates the {@link catapultTerrain} if the {@link ball} is not in the area of the
+     * {@link Level.catapult catapult} anymore, after being released by the spring.
+     * During the state {@link STATE_AIM}, the {@link ball} stays at rest.
+     * During the state {@link STATE_SWING}, the {@link launcher} swings towards the resting {@link ball} and strikes
+     * it.
+     * Lets the {@link telemetry} record the energy the {@link ball} gains or loses during the step and records the
+     * {@link trail} of the {@link ball} once it has been let go.
+     * The steps simulated after the {@link ball} has been let go are added to the {@link replay}.
+     *
+     * @param delta {number} For how many seconds to simulate the physics.
+     */
+    step(delta) {
+        this.time += delta;
+        this.ball.previousPosition = this.ball.body.position.copy();
+        this.ball.previousAngle = this.ball.angle;
+        this.telemetry.startStep(this);
+
+        let ballLetGo = !this.ballHeld && (
+            this.state === STATE_SPRING_RELEASE || this.state === STATE_SWING || this.state === STATE_THROW
+        );
+
+        if(ballLetGo && this.replay !== null) {
+            this.replay.addStep(delta);
+        }
+
+        switch (this.state) {
+            case STATE_SPRING_ATTACHED:
+                if(!this.ballHeld) {
+                    this.spring.simulate(this.ball, this.gravity, this.integrator, delta);
+                }
+                break;
+            case STATE_SPRING_RELEASE:
+                if(!this.ballHeld) {
+                    this.spring.simulate(this.ball, this.gravity, this.integrator, delta);
+                    this.checkBallReleasedBySpring();
+                }
+                break;
+            case STATE_SWING:
+                if(this.launcher.swing(this.gravity, delta)) {
+                    this.strikeBall();
+                }
+                break;
+            case STATE_THROW:
+                this.simulateThrow(delta);
+                break;
+        }
+
+        this.telemetry.finishStep(this, delta);
+
+        if(!this.ballHeld && (this.state === STATE_SPRING_RELEASE || this.state === STATE_THROW)) {
+            this.trail.record(this.ball, delta);
+        }
+    }
+
+    /**
+     * Simulates the {@link ball} after it has been fully released by the {@link spring} or shot by the
+     * {@link launcher}.
+     *
+     * Returns the {@link ball} to its {@link lie} if it left the terrain on the right, activates the
+     * {@link catapultTerrain}, checks if the {@link ball} landed in the hole and lets it come to rest.
+     *
+     * @param delta {number} For how many seconds to simulate the {@link ball}.
+     */
+    simulateThrow(delta) {
+        this.ball.simulate(delta);
+        let body = this.ball.body;
+
+        // Return the ball to its lie if it flies out of the right border.
+        if(body.position.x > this.rightBorderX + body.getRadius()) {
+            this.returnBallToLie();
+            return;
+        }
+
+        // Limit the ball's height to the ceiling.
+        if(body.getTopY() > this.ceilingY) {
+            body.position.y = this.ceilingY - body.getRadius();
+        }
+
+        // Add the catapult terrain when the ball is outside the catapult's area.
+        if(!this.catapultTerrainAdded && (
+            (!this.ballTopStart && body.getBottomY() > this.catapultPosition.y) ||
+            (!this.ballLeftStart && body.getRightX() < this.catapultPosition.x - this.catapultWidth / 2) ||
+            (!this.ballRightStart && body.getLeftX() > this.catapultPosition.x + this.catapultWidth / 2)
+        )) {
+            this.terrainArray.push(this.catapultTerrain);
+            this.catapultTerrainAdded = true;
+        }
+
+        // Check if the ball landed in the hole.
+        if(!this.success && this.isBallInHole()) {
+            this.successfulTries++;
+            this.success = true;
+            this.trail.success = true;
+        }
+
+        this.checkBallAtRest(delta);
+    }
+
+    /**
+     * @returns {number}
+     * How many joules of energy the {@link ball} has through its height above the bottom of the {@link hole}.
+     */
+    getGravitationalEnergy() {
+        let height = this.ball.body.position.y - this.ball.body.getRadius() - this.hole.getBottomY();
+        return this.ball.mass * this.gravity * height;
+    }
+
+    /**
+     * @returns {number}
+     * How many joules of energy are stored in the {@link spring}, while the {@link ball} is attached to it.
+     */
+    getSpringEnergy() {
+        if(this.state !== STATE_SPRING_ATTACHED && this.state !== STATE_SPRING_RELEASE) {
+            return 0;
+        }
+
+        return this.spring.getPotentialEnergy();
+    }
+
+    /**
+     * @returns {number}
+     * The sum of the {@link Ball.getKineticEnergy kinetic}, {@link getGravitationalEnergy gravitational} and
+     * {@link getSpringEnergy spring} energy in joules.
+     */
+    getMechanicalEnergy() {
+        return this.ball.getKineticEnergy() + this.getGravitationalEnergy() + this.getSpringEnergy();
+    }
+
+    /**
+     * Checks if the {@link ball} landed in the hole.
+     *
+     * The {@link ball} landed in the hole once it has fully sunk below the top of the {@link hole}'s area,
+     * with its center lying within the area,
+     * while it touches the terrain and does not move vertically faster than {@link HOLE_MAX_VERTICAL_VELOCITY}.
+     *
+     * @returns {boolean} True if the {@link ball} landed in the hole.
+     */
+    isBallInHole() {
+        let position = this.ball.body.position;
+
+        return (
+            this.ball.collisionTerrain != null &&
+            Math.abs(this.ball.velocity.y) < HOLE_MAX_VERTICAL_VELOCITY &&
+            position.x > this.hole.getLeftX() && position.x < this.hole.getRightX() &&
+            this.ball.body.getTopY() < this.hole.getTopY() && position.y > this.hole.getBottomY()
+        );
+    }
+}
\ No newline at end of file
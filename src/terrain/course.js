@@ -0,0 +1,161 @@
+/**
+ * Provides the {@link Course} class, which plays several levels as the holes of a minigolf course,
+ * and a function for naming the score of a hole.
+ *
+ * @author Tizian Kirchner
+ */
+
+/**
+ * Names how many strokes a hole took compared to its par, like a scorecard does.
+ *
+ * @param strokes {number}
+ * How many strokes it took to land the {@link Ball} in the hole.
+ *
+ * @param par {number}
+ * The par of the hole.
+ *
+ * @returns {string}
+ * For example "Hole in One", "Birdie", "Par" or "Bogey". Scores beyond a triple bogey are given as "+n".
+ */
+function getScoreName(strokes, par) {
+    if(strokes === 1) {
+        return "Hole in One";
+    }
+
+    let names = {"-3": "Albatross", "-2": "Eagle", "-1": "Birdie", "0": "Par", "1": "Bogey",
+        "2": "Double Bogey", "3": "Triple Bogey"};
+    let difference = strokes - par;
+
+    if(names[difference] !== undefined) {
+        return names[difference];
+    }
+
+    return difference > 0 ? "+" + difference : "" + difference;
+}
+
+/**
+ * An ordered list of holes, each given by the object parsed from a level file, which are played one after another.
+ *
+ * Records how many strokes each finished hole took. Does not depend on p5 or a canvas.
+ */
+class Course {
+    /**
+     * The objects parsed from the level files of the holes, in the order they are played.
+     * See the description of level.js for their structure.
+     *
+     * @type {Object[]}
+     */
+    holes;
+
+    /**
+     * The index of the hole currently being played in the {@link holes} array.
+     * @type {number}
+     */
+    holeIndex = 0;
+
+    /**
+     * How many strokes each finished hole took, in the order the holes were played.
+     * @type {number[]}
+     */
+    scores = [];
+
+    /**
+     * Constructs a new {@link Course} object, starting at its first hole.
+     *
+     * @param holes {Object[]}
+     * See {@link Course.holes}.
+     */
+    constructor(holes) {
+        if(holes.length === 0) {
+            throw new Error("A course requires at least one hole.");
+        }
+
+        this.holes = holes;
+    }
+
+    /**
+     * @returns {Object} The object parsed from the level file of the hole currently being played.
+     */
+    getHoleData() {
+        return this.holes[this.holeIndex];
+    }
+
+    /**
+     * @param index {number} The index of a hole in the {@link holes} array.
+     * @returns {number} The par of the hole.
+     */
+    getPar(index) {
+        return getLevelProperty(this.holes[index], 'par', '');
+    }
+
+    /**
+     * Records the strokes of the hole currently being played and moves on to the next hole,
+     * unless the hole was the last one.
+     *
+     * @param strokes {number}
+     * How many strokes it took to land the {@link Ball} in the hole.
+     */
+    finishHole(strokes) {
+        if(this.isFinished()) {
+            return;
+        }
+
+        this.scores.push(strokes);
+
+        if(this.holeIndex < this.holes.length - 1) {
+            this.holeIndex++;
+        }
+    }
+
+    /**
+     * @returns {boolean} If every hole of this {@link Course} has been finished.
+     */
+    isFinished() {
+        return this.scores.length === this.holes.length;
+    }
+
+    /**
+     * Deletes all {@link scores} and starts over at the first hole.
+     */
+    restart() {
+        this.holeIndex = 0;
+        this.scores = [];
+    }
+
+    /**
+     * @returns {number} The sum of the strokes of all finished holes.
+     */
+    getTotalStrokes() {
+        return this.scores.reduce((sum, strokes) => sum + strokes, 0);
+    }
+
+    /**
+     * @returns {number} The sum of the par of all finished holes.
+     */
+    getTotalPar() {
+        return this.scores.reduce((sum, strokes, i) => sum + this.getPar(i), 0);
+    }
+
+    /**
+     * @returns {{birdies: number, pars: number, bogeys: number}}
+     * How many finished holes took fewer strokes than their par, exactly their par or more strokes than their par.
+     * Eagles and better count as birdies, double bogeys and worse count as bogeys.
+     */
+    getScoreCounts() {
+        let counts = {birdies: 0, pars: 0, bogeys: 0};
+
+        this.scores.forEach((strokes, i) => {
+            let difference = strokes - this.getPar(i);
+
+            if(difference < 0) {
+                counts.birdies++;
+            } else if(difference === 0) {
+                counts.pars++;
+            } else {
+                counts.bogeys++;
+            }
+        });
+
+        return counts;
+    }
+}
\ No newline at end of file
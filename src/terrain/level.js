@@ -0,0 +1,331 @@
+/**
+ * Provides the {@link Level} class, which builds the terrain, visuals and win condition of a course from a level file.
+ *
+ * Levels are stored as JSON files in the src/res/levels folder. All positions and sizes are given in meters and
+ * cartesian coordinates. A level file contains a single object with the following properties:
+ *
+ * <pre>
+ * name      The name of the level.
+ * par       How many strokes a good player needs to land the ball in the hole.
+ * bounds    The "top" y coordinate the ball can not fly above and the "right" x coordinate,
+ *           after which a ball flying out of the level is out of bounds.
+ * catapult  The "x" and "y" coordinates of the catapult's tip, to which the spring is attached,
+ *           and the catapult's "width", "height", "color" and optional "material".
+ * hole      The area inside the hole as a rectangle. "x" and "y" are the coordinates of its top left corner,
+ *           "w" and "h" its width and height.
+ * flag      The "x" and "y" coordinates of the bottom of the flagpole and the flagpole's "height".
+ * wind      The "min" and "max" horizontal wind velocity in m/s, between which the wind is randomized.
+ *           Optionally, how strongly the wind grows with the height as "shear", the strength of "gusts" as a fraction
+ *           of the wind and their "gustPeriod" in seconds, a "vertical" wind velocity in m/s and an array of "zones",
+ *           each given as a rectangle like the hole with a "velocity" [x, y] added to the wind inside it.
+ *           The height is measured from the base of the catapult. See {@link WindField} for details.
+ * launcher  Optionally, the key of one of the {@link LAUNCHER_TYPES} the ball is launched with, for example "club".
+ *           Levels without a launcher are played with the {@link DEFAULT_LAUNCHER_TYPE}.
+ * terrain   An array of terrain pieces. Each piece has a "color" and an array of "vertices", each given as [x, y].
+ *           The vertices describe a convex or concave polygon in either order, which must not intersect itself.
+ *           A piece with "closed" set to false is an open polyline instead, like the surface of a hill,
+ *           whose vertices are ordered so that the air lies to the right when walking along them.
+ *           See {@link getTerrainPolygons} for details.
+ *           A piece can be given a "name", through which it can be looked up with {@link Level.getTerrainShape}.
+ *           A piece can be given a "material", which is one of the names of the {@link MATERIALS}.
+ *           Pieces without a material are made of the {@link DEFAULT_MATERIAL}.
+ * </pre>
+ *
+ * For example:
+ *
+ * <pre>
+ * {
+ *     "name": "Example",
+ *     "par": 2,
+ *     "bounds": {"top": 100, "right": 10},
+ *     "catapult": {"x": 9, "y": 0.5, "width": 0.24, "height": 0.5, "color": "#22636b"},
+ *     "hole": {"x": 2, "y": 0, "w": 0.4, "h": 0.4},
+ *     "flag": {"x": 1.8, "y": 0, "height": 1.25},
+ *     "wind": {"min": -5, "max": 5, "gusts": 0.2, "zones": [{"x": 4, "y": 3, "w": 1, "h": 3, "velocity": [0, 5]}]},
+ *     "terrain": [
+ *         {"name": "ground", "color": "#4884d4", "vertices": [[0, -0.4], [10, -0.4], [10, 0], [0, 0]]},
+ *         {"color": "#bd515a", "material": "wood", "vertices": [[5, 0], [5.2, 0], [5.2, 0.3], [5, 0.3]]}
+ *     ]
+ * }
+ * </pre>
+ *
+ * @author Tizian Kirchner
+ */
+
+/**
+ * Returns a property of an object parsed from a level file and fails if the property is missing.
+ *
+ * @param object {Object}
+ * The object parsed from the level file or one of its nested objects.
+ *
+ * @param property {string}
+ * The name of the property.
+ *
+ * @param path {string}
+ * Where the object is located in the level file. Used to describe a missing property.
+ *
+ * @returns {*} The value of the property.
+ */
+function getLevelProperty(object, property, path) {
+    if(object == null || object[property] === undefined) {
+        throw new Error("The level file is missing the property \"" + path + property + "\".");
+    }
+
+    return object[property];
+}
+
+/**
+ * A course of the minigolf game, built from the contents of a level file.
+ *
+ * Provides everything required to draw the course and to create a {@link SimulationWorld} on it.
+ */
+class Level {
+    /**
+     * The object parsed from the level file this {@link Level} has been built from.
+     * @type {Object}
+     * @see Replay.level
+     */
+    data;
+
+    /**
+     * The name of this {@link Level}.
+     * @type {string}
+     */
+    name;
+
+    /**
+     * How many tries a good player needs to land the {@link Ball} in the hole of this {@link Level}.
+     * @type {number}
+     */
+    par;
+
+    /* Terrain */
+
+    /**
+     * The visualizations of the pieces of terrain.
+     * @type {Polygon[]}
+     */
+    terrainShapes = [];
+
+    /**
+     * Stores the visualizations of the pieces of terrain which have been given a name in the level file,
+     * accessible through their names.
+     *
+     * @type {Object.<string, Polygon>}
+     * @see getTerrainShape
+     */
+    namedTerrainShapes = {};
+
+    /**
+     * The {@link TerrainPolygon}s of the pieces of terrain, not including the {@link catapultTerrain}.
+     * @type {TerrainPolygon[]}
+     */
+    terrainArray = [];
+
+    /**
+     * The y coordinate the {@link Ball}'s top border is never moved above.
+     * @type {number}
+     * @see SimulationWorld.ceilingY
+     */
+    ceilingY;
+
+    /**
+     * The {@link Ball} is out of bounds once its left border has passed this x coordinate.
+     * @type {number}
+     * @see SimulationWorld.rightBorderX
+     */
+    rightBorderX;
+
+    /* Catapult */
+
+    /**
+     * A triangle to which's top corner the spring is attached.
+     * @type {Triangle}
+     */
+    catapult;
+
+    /**
+     * The position of the {@link catapult}'s tip.
+     * @type {Vector}
+     */
+    catapultPosition;
+
+    /**
+     * How many meters wide the base of the {@link catapult} is.
+     * @type {number}
+     */
+    catapultWidth;
+
+    /**
+     * How many meters high the {@link catapult} is.
+     * @type {number}
+     */
+    catapultHeight;
+
+    /**
+     * Handles the collision between the {@link catapult} and the {@link Ball}.
+     * @type {TerrainPolygon}
+     * @see SimulationWorld.catapultTerrain
+     */
+    catapultTerrain;
+
+    /* Hole and Flag */
+
+    /**
+     * The area inside the hole.
+     * @type {Rectangle}
+     * @see SimulationWorld.hole
+     */
+    hole;
+
+    /**
+     * The position of the bottom of the flagpole.
+     * @type {Vector}
+     */
+    flagPosition;
+
+    /**
+     * How many meters high the flagpole is.
+     * @type {number}
+     */
+    flagHeight;
+
+    /* Wind */
+
+    /**
+     * The lowest horizontal wind velocity in m/s the wind is randomized to.
+     * @type {number}
+     */
+    minWindVelocity;
+
+    /**
+     * The highest horizontal wind velocity in m/s the wind is randomized to.
+     * @type {number}
+     */
+    maxWindVelocity;
+
+    /**
+     * Varies the wind over the height, the time and the areas of the level.
+     * Each {@link SimulationWorld} created on this {@link Level} simulates a copy of it.
+     *
+     * @type {WindField}
+     */
+    windField;
+
+    /* Launcher */
+
+    /**
+     * The key of the type in the {@link LAUNCHER_TYPES} the {@link Ball} is launched with on this {@link Level}.
+     * @type {string}
+     * @see SimulationWorld.launcherType
+     */
+    launcherType = DEFAULT_LAUNCHER_TYPE;
+
+    /**
+     * Constructs a new {@link Level} object from the contents of a level file.
+     *
+     * @param data {Object}
+     * The object parsed from the level file. See the description of level.js for the structure of level files.
+     */
+    constructor(data) {
+        this.data = data;
+        this.name = getLevelProperty(data, 'name', '');
+        this.par = getLevelProperty(data, 'par', '');
+
+        let bounds = getLevelProperty(data, 'bounds', '');
+        this.ceilingY = getLevelProperty(bounds, 'top', 'bounds.');
+        this.rightBorderX = getLevelProperty(bounds, 'right', 'bounds.');
+
+        getLevelProperty(data, 'terrain', '').forEach((piece, i) => {
+            let path = 'terrain[' + i + '].';
+            let vertices = getLevelProperty(piece, 'vertices', path).map(vertex => new Vector(vertex[0], vertex[1]));
+            let closed = piece.closed !== false;
+            let shape = new Polygon(vertices, getLevelProperty(piece, 'color', path), closed);
+
+            this.terrainShapes.push(shape);
+            this.terrainArray.push(...getTerrainPolygons(vertices, closed, getMaterial(piece.material)));
+
+            if(piece.name !== undefined) {
+                this.namedTerrainShapes[piece.name] = shape;
+            }
+        });
+
+        let catapult = getLevelProperty(data, 'catapult', '');
+        let x = getLevelProperty(catapult, 'x', 'catapult.');
+        let y = getLevelProperty(catapult, 'y', 'catapult.');
+        this.catapultPosition = new Vector(x, y);
+        this.catapultWidth = getLevelProperty(catapult, 'width', 'catapult.');
+        this.catapultHeight = getLevelProperty(catapult, 'height', 'catapult.');
+        let color = getLevelProperty(catapult, 'color', 'catapult.');
+        this.catapult = getIsoscelesTriangle(x, y, this.catapultHeight, this.catapultWidth, color, -90);
+        this.catapultTerrain = getTerrainPolygons([
+            this.catapultPosition.copy(),
+            new Vector(x - this.catapultWidth / 2, y - this.catapultHeight),
+            new Vector(x + this.catapultWidth / 2, y - this.catapultHeight)
+        ], true, getMaterial(catapult.material))[0];
+
+        let hole = getLevelProperty(data, 'hole', '');
+        this.hole = new Rectangle(
+            getLevelProperty(hole, 'x', 'hole.'), getLevelProperty(hole, 'y', 'hole.'),
+            getLevelProperty(hole, 'w', 'hole.'), getLevelProperty(hole, 'h', 'hole.')
+        );
+
+        let flag = getLevelProperty(data, 'flag', '');
+        this.flagPosition = new Vector(getLevelProperty(flag, 'x', 'flag.'), getLevelProperty(flag, 'y', 'flag.'));
+        this.flagHeight = getLevelProperty(flag, 'height', 'flag.');
+
+        let wind = getLevelProperty(data, 'wind', '');
+        this.minWindVelocity = getLevelProperty(wind, 'min', 'wind.');
+        this.maxWindVelocity = getLevelProperty(wind, 'max', 'wind.');
+        this.windField = new WindField(y - this.catapultHeight);
+
+        if(wind.shear !== undefined) {
+            this.windField.shear = wind.shear;
+        }
+
+        if(wind.gusts !== undefined) {
+            this.windField.gustStrength = wind.gusts;
+        }
+
+        if(wind.gustPeriod !== undefined) {
+            this.windField.gustPeriod = wind.gustPeriod;
+        }
+
+        if(wind.vertical !== undefined) {
+            this.windField.verticalVelocity = wind.vertical;
+        }
+
+        (wind.zones || []).forEach((zone, i) => {
+            let path = 'wind.zones[' + i + '].';
+            let area = new Rectangle(
+                getLevelProperty(zone, 'x', path), getLevelProperty(zone, 'y', path),
+                getLevelProperty(zone, 'w', path), getLevelProperty(zone, 'h', path)
+            );
+            let velocity = getLevelProperty(zone, 'velocity', path);
+
+            this.windField.zones.push(new WindZone(area, new Vector(velocity[0], velocity[1])));
+        });
+
+        if(data.launcher !== undefined) {
+            if(!LAUNCHER_TYPES.hasOwnProperty(data.launcher)) {
+                throw new Error(
+                    "Unknown launcher \"" + data.launcher + "\". Known launchers are: " +
+                    Object.keys(LAUNCHER_TYPES).join(", ") + "."
+                );
+            }
+
+            this.launcherType = data.launcher;
+        }
+    }
+
+    /**
+     * @param name {string}
+     * The name given to a piece of terrain in the level file.
+     *
+     * @returns {Polygon}
+     * The visualization of the piece of terrain or undefined, if no piece of terrain has the given name.
+     */
+    getTerrainShape(name) {
+        return this.namedTerrainShapes[name];
+    }
+}
\ No newline at end of file
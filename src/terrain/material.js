@@ -0,0 +1,105 @@
+/**
+ * Provides the {@link Material} class, the {@link MATERIALS} pieces of terrain can be made of and
+ * a function for looking them up by their names.
+ *
+ * @author Tizian Kirchner
+ */
+
+/**
+ * Determines how a {@link Ball} bounces off and rolls across the surface of a {@link TerrainPolygon}.
+ */
+class Material {
+    /**
+     * The name through which this {@link Material} is given in level files.
+     * @type {string}
+     */
+    name;
+
+    /**
+     * The coefficient of restitution. Determines which fraction of its velocity along the surface's normal
+     * a {@link Ball} keeps, when it bounces off the surface.
+     *
+     * @type {number}
+     * @see Ball.reflectInAir
+     */
+    restitution;
+
+    /**
+     * Multiplies the {@link Ball.rollResistanceCoefficient}, while a {@link Ball} rolls across the surface.
+     *
+     * @type {number}
+     * @see Ball.getSegmentAcceleration
+     */
+    rollResistanceFactor;
+
+    /**
+     * The coefficient of sliding friction. Determines how much a {@link Ball} bouncing off the surface is slowed down
+     * along the surface, relative to how hard it hits the surface.
+     *
+     * @type {number}
+     * @see Ball.reflectInAir
+     */
+    slidingFriction;
+
+    /**
+     * Constructs a new {@link Material} object.
+     *
+     * @param name {string}
+     * See {@link Material.name}.
+     *
+     * @param restitution {number}
+     * See {@link Material.restitution}.
+     *
+     * @param rollResistanceFactor {number}
+     * See {@link Material.rollResistanceFactor}.
+     *
+     * @param slidingFriction {number}
+     * See {@link Material.slidingFriction}.
+     */
+    constructor(name, restitution, rollResistanceFactor, slidingFriction) {
+        this.name = name;
+        this.restitution = restitution;
+        this.rollResistanceFactor = rollResistanceFactor;
+        this.slidingFriction = slidingFriction;
+    }
+}
+
+/**
+ * The {@link Material}s pieces of terrain can be made of, accessible through their names.
+ *
+ * @type {Object.<string, Material>}
+ */
+const MATERIALS = {
+    carpet: new Material('carpet', 0.8, 1, 0.4),
+    wood: new Material('wood', 0.65, 0.5, 0.2),
+    rubber: new Material('rubber', 0.9, 2, 0.6),
+    concrete: new Material('concrete', 0.5, 0.3, 0.4)
+};
+
+/**
+ * The name of the {@link Material} of terrain, for which no {@link Material} has been given.
+ * @type {string}
+ */
+const DEFAULT_MATERIAL = 'carpet';
+
+/**
+ * Looks up one of the {@link MATERIALS} and fails if there is no {@link Material} with the given name.
+ *
+ * @param [name] {string}
+ * The name of the {@link Material}. Defaults to the {@link DEFAULT_MATERIAL}.
+ *
+ * @returns {Material} The {@link Material}.
+ */
+function getMaterial(name) {
+    if(name === undefined) {
+        name = DEFAULT_MATERIAL;
+    }
+
+    if(!MATERIALS.hasOwnProperty(name)) {
+        throw new Error(
+            "Unknown material \"" + name + "\". Known materials are: " + Object.keys(MATERIALS).join(", ") + "."
+        );
+    }
+
+    return MATERIALS[name];
+}
\ No newline at end of file
@@ -16,24 +16,22 @@ class TerrainCorner {
     position;
 
     /**
-     * Determines whether this {@link TerrainCorner} is a right or left corner
-     * using either the {@link DIR_RGT} or {@link DIR_LFT} direction constant.
+     * The {@link TerrainSegment} ending at this {@link TerrainCorner}.
      *
      * Used by the {@link Ball.getCornerOverwrite} method for collision detection.
      *
-     * @type {number}
+     * @type {TerrainSegment}
      */
-    horizontalLocation;
+    previousSegment;
 
     /**
-     * Determines whether this {@link TerrainCorner} is a top or bottom corner
-     * using either the {@link DIR_TP} or {@link DIR_BTM} direction constant.
+     * The {@link TerrainSegment} starting at this {@link TerrainCorner}.
      *
      * Used by the {@link Ball.getCornerOverwrite} method for collision detection.
      *
-     * @type {number}
+     * @type {TerrainSegment}
      */
-    verticalLocation;
+    nextSegment;
 
     /**
      * This field should always be set to {@link TERRAIN_CORNER}.
@@ -46,19 +44,19 @@ class TerrainCorner {
     /**
      * Constructs a new {@link TerrainCorner} object.
      *
-     * @param position {p5.Vector}
+     * @param position {Vector}
      * See {@link TerrainCorner.position}.
      *
-     * @param horizontalLocation {number}
-     * See {@link TerrainCorner.horizontalLocation}.
+     * @param previousSegment {TerrainSegment}
+     * See {@link TerrainCorner.previousSegment}.
      *
-     * @param verticalLocation {number}
-     * See {@link TerrainCorner.verticalLocation}.
+     * @param nextSegment {TerrainSegment}
+     * See {@link TerrainCorner.nextSegment}.
      */
-    constructor(position, horizontalLocation, verticalLocation) {
+    constructor(position, previousSegment, nextSegment) {
         this.position = position;
-        this.horizontalLocation = horizontalLocation;
-        this.verticalLocation = verticalLocation;
+        this.previousSegment = previousSegment;
+        this.nextSegment = nextSegment;
         this.type = TERRAIN_CORNER;
     }
 
@@ -1,5 +1,5 @@
 /**
- * Provides the {@link TerrainPolygon} class and
+ * Provides the {@link TerrainPolygon} class, functions for constructing {@link TerrainPolygon} objects and
  * constants for the type field of {@link TerrainSegment} and {@link TerrainCorner} objects.
  *
  * @author Tizian Kirchner
@@ -17,6 +17,374 @@ const TERRAIN_SEGMENT = 0;
  */
 const TERRAIN_CORNER = 1;
 
+/**
+ * If the sine of the angle, by which a polyline turns at one of its vertices, is smaller than this value,
+ * the vertex is treated as lying on a straight line.
+ *
+ * @type {number}
+ */
+const COLLINEAR_THRESHOLD = 1e-9;
+
+/**
+ * Constructs the {@link TerrainPolygon}s for a piece of terrain outlined by a polyline.
+ *
+ * A {@link Ball} can only be detected inside a {@link TerrainPolygon} whose {@link TerrainSegment}s form a convex
+ * shape. Therefore, a closed polyline describing a concave polygon is split into convex pieces,
+ * by triangulating it and merging the triangles back together as long as they stay convex.
+ * The edges between two pieces become {@link TerrainSegment.internal internal} {@link TerrainSegment}s.
+ * An open polyline is split at its concave vertices instead.
+ *
+ * Every convex vertex of a piece gets a {@link TerrainCorner}, no matter at which angle its two
+ * {@link TerrainSegment}s meet. Vertices lying on a straight line between their neighbours are removed.
+ *
+ * @param vertices {Vector[]}
+ * The vertices of the polyline.
+ * A closed polyline must not intersect itself and may list its vertices in either order.
+ * An open polyline must list its vertices so that the terrain lies to the left and the air to the right,
+ * when walking from the first to the last vertex. For example, the surface of the ground is walked from right to left.
+ *
+ * @param [closed] {boolean}
+ * If the last vertex is connected to the first one. Defaults to true.
+ *
+ * @param [material] {Material}
+ * What the piece of terrain is made of. Defaults to the {@link DEFAULT_MATERIAL}.
+ *
+ * @returns {TerrainPolygon[]}
+ * The new {@link TerrainPolygon}s which together make up the piece of terrain.
+ */
+function getTerrainPolygons(vertices, closed, material) {
+    if(closed === undefined) {
+        closed = true;
+    }
+
+    let minVertexCount = closed ? 3 : 2;
+
+    if(vertices.length < minVertexCount) {
+        throw new Error(
+            "A " + (closed ? "closed" : "open") + " terrain polyline requires at least " + minVertexCount +
+            " vertices, but got " + vertices.length + "."
+        );
+    }
+
+    let points = removeCollinearVertices(vertices, closed);
+
+    if(closed) {
+        if(points.length < 3) {
+            throw new Error("The vertices of a closed terrain polyline must not all lie on a straight line.");
+        }
+
+        if(isSelfIntersecting(points)) {
+            throw new Error("A closed terrain polyline must not intersect itself.");
+        }
+
+        if(getSignedArea(points) < 0) {
+            points.reverse();
+        }
+
+        return mergeConvexPieces(points, triangulatePolygon(points)).map(piece => {
+            return createTerrainPolygon(points, piece, true, material);
+        });
+    } else {
+        let pieces = [];
+        let piece = [0];
+
+        for(let i = 1; i < points.length; i++) {
+            piece.push(i);
+
+            if(i < points.length - 1 && getTurn(points[i - 1], points[i], points[i + 1]) < 0) {
+                pieces.push(piece);
+                piece = [i];
+            }
+        }
+
+        pieces.push(piece);
+
+        return pieces.map(piece => createTerrainPolygon(points, piece, false, material));
+    }
+}
+
+/**
+ * Constructs a {@link TerrainPolygon} for a convex piece of a terrain polyline.
+ *
+ * @param points {Vector[]}
+ * The vertices of the whole polyline.
+ *
+ * @param piece {number[]}
+ * The indices of the piece's vertices in the points array.
+ *
+ * @param closed {boolean}
+ * If the piece's last vertex is connected to its first one.
+ *
+ * @param [material] {Material}
+ * What the piece is made of. Defaults to the {@link DEFAULT_MATERIAL}.
+ *
+ * @returns {TerrainPolygon}
+ * A new {@link TerrainPolygon} with a {@link TerrainSegment} for every edge of the piece and
+ * a {@link TerrainCorner} for every vertex connecting two of these edges.
+ */
+function createTerrainPolygon(points, piece, closed, material) {
+    let segmentCount = closed ? piece.length : piece.length - 1;
+    let segments = [];
+    let corners = [];
+
+    for(let i = 0; i < segmentCount; i++) {
+        let start = piece[i];
+        let end = piece[(i + 1) % piece.length];
+        let segment = new TerrainSegment(points[start].copy(), points[end].copy());
+        segment.internal = end !== (start + 1) % points.length;
+        segments.push(segment);
+    }
+
+    for(let i = closed ? 0 : 1; i < segmentCount; i++) {
+        let previousSegment = segments[(i + segmentCount - 1) % segmentCount];
+        let nextSegment = segments[i];
+        let corner = new TerrainCorner(nextSegment.startPoint.copy(), previousSegment, nextSegment);
+
+        previousSegment.endCorner = corner;
+        nextSegment.startCorner = corner;
+        corners.push(corner);
+    }
+
+    return new TerrainPolygon(segments, corners, material);
+}
+
+/**
+ * Returns a copy of a polyline's vertices without the vertices that lie on a straight line between their neighbours.
+ *
+ * Fails if two neighbouring vertices are at the same position or if the polyline folds back onto itself.
+ *
+ * @param vertices {Vector[]}
+ * The vertices of the polyline.
+ *
+ * @param closed {boolean}
+ * If the last vertex is connected to the first one.
+ *
+ * @returns {Vector[]}
+ * The remaining vertices.
+ */
+function removeCollinearVertices(vertices, closed) {
+    let count = vertices.length;
+
+    for(let i = 0; i < (closed ? count : count - 1); i++) {
+        if(Vector.sub(vertices[(i + 1) % count], vertices[i]).magSq() === 0) {
+            throw new Error(
+                "Two neighbouring vertices of a terrain polyline are both at (" +
+                vertices[i].x + "; " + vertices[i].y + ")."
+            );
+        }
+    }
+
+    return vertices.filter((vertex, i) => {
+        if(!closed && (i === 0 || i === count - 1)) {
+            return true;
+        }
+
+        let previous = vertices[(i + count - 1) % count];
+        let next = vertices[(i + 1) % count];
+
+        if(Math.abs(getTurn(previous, vertex, next)) >= COLLINEAR_THRESHOLD) {
+            return true;
+        }
+
+        if(Vector.sub(vertex, previous).dot(Vector.sub(next, vertex)) < 0) {
+            throw new Error(
+                "A terrain polyline must not fold back onto itself, but does at (" + vertex.x + "; " + vertex.y + ")."
+            );
+        }
+
+        return false;
+    });
+}
+
+/**
+ * @param previous {Vector} The vertex before the current vertex.
+ * @param current {Vector} The vertex at which the polyline turns.
+ * @param next {Vector} The vertex after the current vertex.
+ *
+ * @returns {number}
+ * The sine of the angle by which a polyline turns at the current vertex.
+ * Positive for counterclockwise turns and negative for clockwise turns.
+ */
+function getTurn(previous, current, next) {
+    let incoming = Vector.sub(current, previous).normalize();
+    let outgoing = Vector.sub(next, current).normalize();
+    return incoming.cross(outgoing);
+}
+
+/**
+ * @param points {Vector[]} The vertices of a closed polyline.
+ * @returns {number} The area enclosed by the polyline, negative if the vertices are in clockwise order.
+ */
+function getSignedArea(points) {
+    let area = 0;
+
+    points.forEach((point, i) => {
+        area += point.cross(points[(i + 1) % points.length]) / 2;
+    });
+
+    return area;
+}
+
+/**
+ * @param points {Vector[]} The vertices of a closed polyline.
+ * @returns {boolean} If two edges of the polyline, which are not neighbours, touch or cross each other.
+ */
+function isSelfIntersecting(points) {
+    let count = points.length;
+
+    for(let i = 0; i < count; i++) {
+        for(let j = i + 2; j < count; j++) {
+            if(i === 0 && j === count - 1) {
+                continue;
+            }
+
+            let a = points[i];
+            let b = points[i + 1];
+            let c = points[j];
+            let d = points[(j + 1) % count];
+
+            let abc = Vector.sub(b, a).cross(Vector.sub(c, a));
+            let abd = Vector.sub(b, a).cross(Vector.sub(d, a));
+            let cda = Vector.sub(d, c).cross(Vector.sub(a, c));
+            let cdb = Vector.sub(d, c).cross(Vector.sub(b, c));
+
+            if(abc * abd <= 0 && cda * cdb <= 0 && (abc !== 0 || abd !== 0)) {
+                return true;
+            }
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Splits a polygon into triangles by repeatedly cutting off one of its ears.
+ *
+ * An ear is a triangle formed by three neighbouring vertices, which turns counterclockwise and
+ * contains none of the polygon's other vertices.
+ *
+ * @param points {Vector[]}
+ * The vertices of the polygon in counterclockwise order.
+ *
+ * @returns {number[][]}
+ * The triangles, each given as the indices of its vertices in counterclockwise order.
+ */
+function triangulatePolygon(points) {
+    let remaining = points.map((point, i) => i);
+    let triangles = [];
+
+    while(remaining.length > 3) {
+        let earIndex = remaining.findIndex((current, i) => {
+            let previous = remaining[(i + remaining.length - 1) % remaining.length];
+            let next = remaining[(i + 1) % remaining.length];
+
+            return getTurn(points[previous], points[current], points[next]) >= COLLINEAR_THRESHOLD &&
+                remaining.every(other => {
+                    return other === previous || other === current || other === next ||
+                        !isInTriangle(points[other], points[previous], points[current], points[next]);
+                });
+        });
+
+        if(earIndex === -1) {
+            throw new Error("A closed terrain polyline must not intersect itself.");
+        }
+
+        let count = remaining.length;
+        triangles.push([
+            remaining[(earIndex + count - 1) % count], remaining[earIndex], remaining[(earIndex + 1) % count]
+        ]);
+        remaining.splice(earIndex, 1);
+    }
+
+    triangles.push(remaining);
+    return triangles;
+}
+
+/**
+ * @param point {Vector} The point to test.
+ * @param a {Vector} The first corner of the triangle.
+ * @param b {Vector} The second corner of the triangle.
+ * @param c {Vector} The third corner of the triangle.
+ *
+ * @returns {boolean}
+ * If the point lies inside or on the border of the triangle, whose corners are in counterclockwise order.
+ */
+function isInTriangle(point, a, b, c) {
+    return Vector.sub(b, a).cross(Vector.sub(point, a)) >= 0 &&
+        Vector.sub(c, b).cross(Vector.sub(point, b)) >= 0 &&
+        Vector.sub(a, c).cross(Vector.sub(point, c)) >= 0;
+}
+
+/**
+ * Merges neighbouring convex pieces of a polygon, as long as the merged piece is still convex.
+ *
+ * @param points {Vector[]}
+ * The vertices of the polygon in counterclockwise order.
+ *
+ * @param pieces {number[][]}
+ * The convex pieces, each given as the indices of its vertices in counterclockwise order.
+ *
+ * @returns {number[][]}
+ * The merged pieces.
+ */
+function mergeConvexPieces(points, pieces) {
+    let merged = true;
+
+    while(merged) {
+        merged = false;
+
+        for(let i = 0; i < pieces.length && !merged; i++) {
+            for(let j = i + 1; j < pieces.length && !merged; j++) {
+                let piece = getMergedPiece(pieces[i], pieces[j]);
+
+                if(piece != null && piece.every((current, k) => {
+                    let previous = piece[(k + piece.length - 1) % piece.length];
+                    let next = piece[(k + 1) % piece.length];
+                    return getTurn(points[previous], points[current], points[next]) > -COLLINEAR_THRESHOLD;
+                })) {
+                    pieces[i] = piece;
+                    pieces.splice(j, 1);
+                    merged = true;
+                }
+            }
+        }
+    }
+
+    return pieces;
+}
+
+/**
+ * @param a {number[]} The indices of the first piece's vertices in counterclockwise order.
+ * @param b {number[]} The indices of the second piece's vertices in counterclockwise order.
+ *
+ * @returns {number[] | null}
+ * The indices of the piece formed by joining both pieces along their shared edge,
+ * or null if the pieces do not share an edge.
+ */
+function getMergedPiece(a, b) {
+    for(let i = 0; i < a.length; i++) {
+        let start = a[i];
+        let end = a[(i + 1) % a.length];
+        let j = b.indexOf(end);
+
+        if(j !== -1 && b[(j + 1) % b.length] === start) {
+            let piece = [];
+
+            for(let k = 1; k <= a.length; k++) {
+                piece.push(a[(i + k) % a.length]);
+            }
+
+            for(let k = 2; k < b.length; k++) {
+                piece.push(b[(j + k) % b.length]);
+            }
+
+            return piece;
+        }
+    }
+
+    return null;
+}
+
 /**
  * A polygon made out of {@link TerrainSegment}s and {@link TerrainCorner}s.
  *
@@ -38,6 +406,12 @@ class TerrainPolygon {
      */
     corners;
 
+    /**
+     * Determines how {@link Ball}s bounce off and roll across this {@link TerrainPolygon}.
+     * @type {Material}
+     */
+    material;
+
     /**
      * Constructs a new {@link TerrainPolygon} object.
      *
@@ -46,9 +420,13 @@ class TerrainPolygon {
      *
      * @param corners {[TerrainCorner]}
      * See {@link TerrainPolygon.corners}.
+     *
+     * @param [material] {Material}
+     * See {@link TerrainPolygon.material}. Defaults to the {@link DEFAULT_MATERIAL}.
      */
-    constructor(segments, corners) {
+    constructor(segments, corners, material) {
         this.segments = segments;
         this.corners = corners;
+        this.material = material !== undefined ? material : getMaterial(DEFAULT_MATERIAL);
     }
 }
\ No newline at end of file
@@ -20,20 +20,20 @@ function getTerrainSegmentFromRectangle(rectangle, orientation) {
 
     switch(orientation) {
         case DIR_TP:
-            startPoint = createVector(rectangle.getRightX(), rectangle.getTopY());
-            endPoint = createVector(rectangle.getLeftX(), rectangle.getTopY());
+            startPoint = new Vector(rectangle.getRightX(), rectangle.getTopY());
+            endPoint = new Vector(rectangle.getLeftX(), rectangle.getTopY());
             break;
         case DIR_BTM:
-            startPoint = createVector(rectangle.getLeftX(), rectangle.getBottomY());
-            endPoint = createVector(rectangle.getRightX(), rectangle.getBottomY());
+            startPoint = new Vector(rectangle.getLeftX(), rectangle.getBottomY());
+            endPoint = new Vector(rectangle.getRightX(), rectangle.getBottomY());
             break;
         case DIR_RGT:
-            startPoint = createVector(rectangle.getRightX(), rectangle.getBottomY());
-            endPoint = createVector(rectangle.getRightX(), rectangle.getTopY());
+            startPoint = new Vector(rectangle.getRightX(), rectangle.getBottomY());
+            endPoint = new Vector(rectangle.getRightX(), rectangle.getTopY());
             break;
         case DIR_LFT:
-            startPoint = createVector(rectangle.getLeftX(), rectangle.getTopY());
-            endPoint = createVector(rectangle.getLeftX(), rectangle.getBottomY());
+            startPoint = new Vector(rectangle.getLeftX(), rectangle.getTopY());
+            endPoint = new Vector(rectangle.getLeftX(), rectangle.getBottomY());
             break;
     }
     
@@ -96,6 +96,17 @@ class TerrainSegment {
      */
     type;
 
+    /**
+     * If this {@link TerrainSegment} separates two convex pieces of the same terrain, instead of terrain and air.
+     *
+     * Internal segments still bound their {@link TerrainPolygon},
+     * but are never chosen as the segment a {@link Ball} collided with.
+     *
+     * @type {boolean}
+     * @see getTerrainPolygons
+     */
+    internal = false;
+
     /* End Border */
 
     /**
@@ -120,6 +131,14 @@ class TerrainSegment {
      */
     endBorderDistance;
 
+    /**
+     * The {@link TerrainCorner} connecting the {@link endPoint} to the next {@link TerrainSegment}
+     * of the same {@link TerrainPolygon}, or null if the {@link endPoint} is not connected.
+     *
+     * @type {TerrainCorner}
+     */
+    endCorner = null;
+
     /* Start Border */
 
     /**
@@ -144,6 +163,14 @@ class TerrainSegment {
      */
     startBorderDistance;
 
+    /**
+     * The {@link TerrainCorner} connecting the {@link startPoint} to the previous {@link TerrainSegment}
+     * of the same {@link TerrainPolygon}, or null if the {@link startPoint} is not connected.
+     *
+     * @type {TerrainCorner}
+     */
+    startCorner = null;
+
     /**
      * Constructs a new {@link TerrainSegment} object.
      *
@@ -166,24 +193,24 @@ class TerrainSegment {
      * the {@link startPoint} is under the {@link endPoint},
      * the {@link normal} {@link Vector} will point straight to the right.
      *
-     * @param startPoint {p5.Vector}
+     * @param startPoint {Vector}
      * See {@link TerrainSegment.startPoint}.
      *
-     * @param endPoint {p5.Vector}
+     * @param endPoint {Vector}
      * See {@link TerrainSegment.endPoint}.
      */
     constructor(startPoint, endPoint) {
         this.startPoint = startPoint;
         this.endPoint = endPoint;
-        this.direction = p5.Vector.sub(endPoint, startPoint);
-        this.normal = createVector(this.direction.y, -this.direction.x).setMag(1);
+        this.direction = Vector.sub(endPoint, startPoint);
+        this.normal = new Vector(this.direction.y, -this.direction.x).setMag(1);
         this.distance = startPoint.dot(this.normal);
         this.type = TERRAIN_SEGMENT;
 
         this.endBorderNormal = this.direction.copy().setMag(1);
         this.endBorderDistance = endPoint.dot(this.endBorderNormal);
 
-        this.startBorderNormal = p5.Vector.mult(this.endBorderNormal, -1);
+        this.startBorderNormal = Vector.mult(this.endBorderNormal, -1);
         this.startBorderDistance = startPoint.dot(this.startBorderNormal);
     }
 
@@ -191,11 +218,11 @@ class TerrainSegment {
      * Draws this {@link TerrainSegment}'s {@link direction} in white and its {@link normal} in green.
      */
     draw() {
-        let startPoint = createVector(
+        let startPoint = new Vector(
             transformCxToPx(this.startPoint.x), transformCyToPy(this.startPoint.y)
         );
 
-        let endPoint = createVector(
+        let endPoint = new Vector(
             transformCxToPx(this.endPoint.x), transformCyToPy(this.endPoint.y)
         );
 
@@ -203,11 +230,11 @@ class TerrainSegment {
         strokeWeight(canvasScale * 0.01);
         line(startPoint.x, startPoint.y, endPoint.x, endPoint.y);
 
-        let normalStart = createVector(
+        let normalStart = new Vector(
             this.startPoint.x + this.direction.x / 2, this.startPoint.y + this.direction.y / 2
         );
 
-        let normalEnd = p5.Vector.add(normalStart, p5.Vector.div(this.normal, 4));
+        let normalEnd = Vector.add(normalStart, Vector.div(this.normal, 4));
 
         stroke(CL_GRN);
         line(
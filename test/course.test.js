@@ -0,0 +1,154 @@
+/**
+ * Tests for playing several levels as the holes of a {@link Course},
+ * and for a {@link SimulationWorld} continuing a hole from where the {@link Ball} came to rest.
+ *
+ * Run the tests from the repository's root folder with: node --test test/
+ *
+ * @author Tizian Kirchner
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {readLevelFile} = require('../src/physics/headless.js');
+const {STEP, createWindlessWorld, throwBall, shoot} = require('./helpers.js');
+
+/**
+ * @returns {Course} A {@link Course} playing the {@link COURSE_FILES}.
+ */
+function createCourse() {
+    return new Course(COURSE_FILES.map(file => readLevelFile(file)));
+}
+
+/**
+ * Creates a windless {@link SimulationWorld} on level1.json, places its {@link Ball} on the ground between the
+ * obstacle and the catapult and lets it come to rest.
+ *
+ * @returns {SimulationWorld} The {@link SimulationWorld} with its {@link Ball} resting on the ground.
+ */
+function createRestingWorld() {
+    let world = createWindlessWorld();
+    world.terrainArray.push(world.catapultTerrain);
+    world.catapultTerrainAdded = true;
+    throwBall(world, new Vector(5, 0.2), new Vector(0, 0), 5);
+    return world;
+}
+
+test.describe('course', () => {
+    test.it('loads every hole as a valid level', () => {
+        let course = createCourse();
+
+        course.holes.forEach((hole, i) => {
+            let level = new Level(hole);
+            assert.ok(level.hole.w > 0, 'hole ' + (i + 1) + ' has no hole');
+            assert.ok(course.getPar(i) > 0, 'hole ' + (i + 1) + ' has no par');
+        });
+    });
+
+    test.it('moves on to the next hole until every hole is finished', () => {
+        let course = createCourse();
+
+        course.finishHole(2);
+        assert.strictEqual(course.holeIndex, 1);
+        assert.strictEqual(course.getHoleData(), course.holes[1]);
+
+        course.finishHole(3);
+        course.finishHole(6);
+        assert.ok(course.isFinished());
+        assert.strictEqual(course.holeIndex, course.holes.length - 1);
+
+        course.finishHole(1);
+        assert.deepStrictEqual(course.scores, [2, 3, 6]);
+
+        course.restart();
+        assert.strictEqual(course.holeIndex, 0);
+        assert.deepStrictEqual(course.scores, []);
+    });
+
+    test.it('totals the strokes and counts birdies, pars and bogeys', () => {
+        let course = new Course([{par: 3}, {par: 3}, {par: 4}, {par: 2}]);
+        [1, 3, 6, 2].forEach(strokes => course.finishHole(strokes));
+
+        assert.strictEqual(course.getTotalStrokes(), 12);
+        assert.strictEqual(course.getTotalPar(), 12);
+        assert.deepStrictEqual(course.getScoreCounts(), {birdies: 1, pars: 2, bogeys: 1});
+    });
+
+    test.it('names scores relative to the par', () => {
+        assert.strictEqual(getScoreName(1, 3), 'Hole in One');
+        assert.strictEqual(getScoreName(2, 3), 'Birdie');
+        assert.strictEqual(getScoreName(3, 3), 'Par');
+        assert.strictEqual(getScoreName(5, 3), 'Double Bogey');
+        assert.strictEqual(getScoreName(8, 3), '+5');
+    });
+
+    test.it('rejects a course without holes', () => {
+        assert.throws(() => new Course([]));
+    });
+});
+
+test.describe('next stroke', () => {
+    test.it('lets the ball come to rest at its lie', () => {
+        let world = createRestingWorld();
+
+        assert.strictEqual(world.state, STATE_AIM, 'the ball did not come to rest');
+        assert.strictEqual(world.ball.velocity.mag(), 0);
+        assert.deepStrictEqual(world.lie, world.ball.body.position);
+    });
+
+    test.it('shoots the ball away from where the launcher has been pulled', () => {
+        let world = createRestingWorld();
+        let tries = world.tries;
+
+        shoot(world, new Vector(0.4, -0.3));
+
+        assert.strictEqual(world.state, STATE_THROW);
+        assert.strictEqual(world.tries, tries + 1);
+        assert.ok(world.ball.velocity.x < 0 && world.ball.velocity.y > 0);
+        assert.ok(Math.abs(world.ball.velocity.mag() - 0.5 * LAUNCHER_MAX_SPEED / LAUNCHER_MAX_LENGTH) < 1e-9);
+    });
+
+    test.it('limits how far the launcher can be pulled', () => {
+        let world = createRestingWorld();
+
+        shoot(world, new Vector(0, -5));
+
+        assert.ok(Math.abs(world.ball.velocity.mag() - LAUNCHER_MAX_SPEED) < 1e-9);
+    });
+
+    test.it('keeps the ball at rest if the launcher has barely been pulled', () => {
+        let world = createRestingWorld();
+        let tries = world.tries;
+
+        shoot(world, new Vector(LAUNCHER_MIN_LENGTH / 2, 0));
+
+        assert.strictEqual(world.state, STATE_AIM);
+        assert.strictEqual(world.tries, tries);
+    });
+
+    test.it('returns the ball to its lie with a penalty stroke when it goes out of bounds', () => {
+        let world = createRestingWorld();
+        let lie = world.lie.copy();
+
+        shoot(world, new Vector(-0.5, 0));
+        world.ball.body.position = new Vector(world.rightBorderX + 1, 1);
+        world.step(STEP);
+
+        assert.strictEqual(world.state, STATE_AIM);
+        assert.deepStrictEqual(world.ball.body.position, lie);
+        assert.strictEqual(world.penaltyStrokes, OUT_OF_BOUNDS_PENALTY);
+        assert.strictEqual(world.getStrokes(), world.tries + OUT_OF_BOUNDS_PENALTY);
+    });
+
+    test.it('returns the ball to the catapult when it goes out of bounds before coming to rest', () => {
+        initializeTerrain(readLevelFile('level1.json'));
+        let world = createWorld();
+        world.ball.body.position = new Vector(world.rightBorderX + 1, 1);
+        world.state = STATE_THROW;
+        world.step(STEP);
+
+        assert.strictEqual(world.state, STATE_SPRING_ATTACHED);
+        assert.strictEqual(world.lie, null);
+        assert.strictEqual(world.penaltyStrokes, OUT_OF_BOUNDS_PENALTY);
+    });
+});
\ No newline at end of file
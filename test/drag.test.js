@@ -0,0 +1,80 @@
+/**
+ * Tests for the drag models of the {@link SimulationWorld}: the constant {@link DRAG_COEFFICIENT} and the drag
+ * coefficient depending on the Reynolds number of the {@link Ball}.
+ *
+ * Run the tests from the repository's root folder with: node --test test/
+ *
+ * @author Tizian Kirchner
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+require('../src/physics/headless.js');
+const {createWindlessWorld, throwBall} = require('./helpers.js');
+
+/**
+ * Creates a windless {@link SimulationWorld} on level1.json.
+ *
+ * @param dragModel {number}
+ * See {@link SimulationWorld.dragModel}.
+ *
+ * @param airDensity {number}
+ * See {@link SimulationWorld.airDensity}.
+ *
+ * @returns {SimulationWorld} The {@link SimulationWorld}.
+ */
+function createWorldWith(dragModel, airDensity) {
+    let world = createWindlessWorld();
+    world.dragModel = dragModel;
+    world.airDensity = airDensity;
+    world.ball.recalculateDM();
+    return world;
+}
+
+/**
+ * Drops the {@link Ball} from above the ground right of the hole and measures how fast it falls.
+ *
+ * @param world {SimulationWorld}
+ * The {@link SimulationWorld} to simulate.
+ *
+ * @returns {number} How many m/s fast the {@link Ball} falls after half a second.
+ */
+function getFallingSpeed(world) {
+    throwBall(world, new Vector(6, 3), new Vector(0, 0), 0.5);
+    return -world.ball.velocity.y;
+}
+
+test.describe('drag', () => {
+    test.it('follows the drag coefficient of a sphere across the Reynolds numbers', () => {
+        assert.ok(Math.abs(getSphereDragCoefficient(0.01) * 0.01 / 24 - 1) < 0.01, 'no viscous flow');
+
+        [1e4, 1e5, 2e5].forEach(reynoldsNumber => {
+            let dragCoefficient = getSphereDragCoefficient(reynoldsNumber);
+            assert.ok(dragCoefficient > 0.35 && dragCoefficient < 0.5, reynoldsNumber + ': ' + dragCoefficient);
+        });
+
+        assert.ok(getSphereDragCoefficient(5e5) < 0.15, 'no drag crisis');
+    });
+
+    test.it('only lets the drag coefficient depend on the speed with the Reynolds model', () => {
+        let constant = createWorldWith(DRAG_MODEL_CONSTANT, 1.3).ball;
+        assert.strictEqual(constant.getDragCoefficient(1), DRAG_COEFFICIENT);
+        assert.strictEqual(constant.getDragCoefficient(50), DRAG_COEFFICIENT);
+
+        let reynolds = createWorldWith(DRAG_MODEL_REYNOLDS, 1.3).ball;
+        let reynoldsNumber = reynolds.getReynoldsNumber(10);
+        assert.strictEqual(reynolds.getDragCoefficient(10), getSphereDragCoefficient(reynoldsNumber));
+        assert.ok(reynolds.getDragCoefficient(50) < reynolds.getDragCoefficient(10) / 2, 'no drag crisis');
+
+        reynolds.world.airViscosity = STANDARD_AIR_VISCOSITY * 100;
+        assert.ok(reynolds.getReynoldsNumber(10) < reynoldsNumber / 99);
+    });
+
+    test.it('lets the ball fall faster through dense air after the drag crisis', () => {
+        let constant = getFallingSpeed(createWorldWith(DRAG_MODEL_CONSTANT, 1000));
+        let reynolds = getFallingSpeed(createWorldWith(DRAG_MODEL_REYNOLDS, 1000));
+
+        assert.ok(reynolds > constant + 0.1, 'reynolds ' + reynolds + ' constant ' + constant);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,96 @@
+/**
+ * Helpers shared by the tests, which set up and simulate {@link SimulationWorld}s on the physics core loaded by
+ * headless.js.
+ *
+ * @author Tizian Kirchner
+ */
+
+const {readLevelFile} = require('../src/physics/headless.js');
+
+/**
+ * The time step the scenarios are simulated with. Matches the one used in the browser.
+ * @type {number}
+ */
+const STEP = 1 / 240;
+
+/**
+ * Creates a windless {@link SimulationWorld}.
+ *
+ * @param [levelData] {Object}
+ * The parsed level file the {@link SimulationWorld} is created on. Defaults to level1.json.
+ *
+ * @param [seed] {number}
+ * See {@link createWorld}.
+ *
+ * @returns {SimulationWorld} The {@link SimulationWorld}.
+ */
+function createWindlessWorld(levelData = readLevelFile('level1.json'), seed) {
+    initializeTerrain(levelData);
+    let world = createWorld(seed);
+    world.windVelocity = new Vector(0, 0);
+    return world;
+}
+
+/**
+ * Throws the {@link Ball} of a {@link SimulationWorld} from a position and simulates it.
+ *
+ * @param world {SimulationWorld}
+ * The {@link SimulationWorld} to simulate.
+ *
+ * @param position {Vector}
+ * Where the {@link Ball} is thrown from.
+ *
+ * @param velocity {Vector}
+ * The {@link Ball}'s initial velocity.
+ *
+ * @param seconds {number}
+ * For how many seconds the {@link Ball} is simulated, unless it comes to rest earlier.
+ *
+ * @param [spin] {number}
+ * See {@link Ball.setSpin}.
+ *
+ * @param [onStep] {function(SimulationWorld)}
+ * Called after every step.
+ */
+function throwBall(world, position, velocity, seconds, spin = 0, onStep) {
+    world.ball.body.position = position;
+    world.ball.velocity = velocity;
+    world.ball.setSpin(spin);
+    world.state = STATE_THROW;
+
+    for(let i = 0; i < seconds / STEP && world.state === STATE_THROW; i++) {
+        world.step(STEP);
+
+        if(onStep !== undefined) {
+            onStep(world);
+        }
+    }
+}
+
+/**
+ * Pulls the {@link SimulationWorld.launcher launcher} away from the {@link Ball} and lets go of it, then simulates the
+ * {@link SimulationWorld} while the {@link ClubLauncher club} is being swung.
+ *
+ * @param world {SimulationWorld}
+ * The {@link SimulationWorld} whose {@link Ball} rests in the state {@link STATE_AIM}.
+ *
+ * @param pull {Vector}
+ * Where the {@link SimulationWorld.launcher launcher} is pulled to, relative to the {@link Ball}.
+ *
+ * @returns {number} How many steps the {@link Ball} rested after being let go, before it was shot.
+ */
+function shoot(world, pull) {
+    world.grabBall();
+    world.pullBall(Vector.add(world.ball.body.position, pull));
+    world.releaseBall();
+
+    let steps = 0;
+
+    for(; steps < 5 / STEP && world.state === STATE_SWING; steps++) {
+        world.step(STEP);
+    }
+
+    return steps;
+}
+
+module.exports = {STEP, createWindlessWorld, throwBall, shoot};
\ No newline at end of file
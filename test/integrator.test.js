@@ -0,0 +1,134 @@
+/**
+ * Tests for the {@link INTEGRATORS} and how they advance the {@link Ball} through the air and on the {@link Spring}.
+ *
+ * Run the tests from the repository's root folder with: node --test test/
+ *
+ * @author Tizian Kirchner
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {readLevelFile} = require('../src/physics/headless.js');
+const {STEP, createWindlessWorld, throwBall} = require('./helpers.js');
+
+/**
+ * Simulates an undamped harmonic oscillator with an angular frequency of 1 rad/s for about one period.
+ *
+ * @param integrator {Integrator}
+ * The {@link Integrator} to simulate the oscillator with.
+ *
+ * @param delta {number}
+ * How many seconds each time step lasts.
+ *
+ * @returns {{position: Vector, velocity: Vector, time: number}}
+ * The position and velocity of the oscillator, which started at a position of (1; 0) at rest,
+ * and for how many seconds it has been simulated.
+ */
+function simulateOscillator(integrator, delta) {
+    let state = {position: new Vector(1, 0), velocity: new Vector(0, 0)};
+    let getAcceleration = position => Vector.mult(position, -1);
+    let steps = Math.round(2 * Math.PI / delta);
+
+    for(let i = 0; i < steps; i++) {
+        state = integrator.integrate(state.position, state.velocity, getAcceleration, delta);
+    }
+
+    state.time = steps * delta;
+    return state;
+}
+
+/**
+ * Throws the {@link Ball} through airless space on level1.json for half a second.
+ *
+ * @param integrator {Integrator}
+ * See {@link SimulationWorld.integrator}.
+ *
+ * @returns {SimulationWorld} The {@link SimulationWorld} after the throw.
+ */
+function throwThroughVacuum(integrator) {
+    let world = createWindlessWorld();
+    world.airDensity = 0;
+    world.ball.recalculateDM();
+    world.integrator = integrator;
+    throwBall(world, new Vector(8, 2), new Vector(-3, 2), 0.5);
+    return world;
+}
+
+test.describe('integrators', () => {
+    test.it('does not change the given position and velocity', () => {
+        Object.values(INTEGRATORS).forEach(integrator => {
+            let position = new Vector(1, 2);
+            let velocity = new Vector(3, 4);
+            integrator.integrate(position, velocity, () => new Vector(5, 6), 0.1);
+
+            assert.deepStrictEqual([position, velocity], [new Vector(1, 2), new Vector(3, 4)], integrator.name);
+        });
+    });
+
+    test.it('follows a harmonic oscillator more closely with higher-order integrators', () => {
+        let errors = {};
+
+        Object.keys(INTEGRATORS).forEach(key => {
+            let state = simulateOscillator(INTEGRATORS[key], 0.01);
+            errors[key] = state.position.x - Math.cos(state.time);
+        });
+
+        assert.ok(Math.abs(errors.rungeKutta4) < 1e-8, 'RK4 ' + errors.rungeKutta4);
+        assert.ok(Math.abs(errors.velocityVerlet) < 1e-4, 'Verlet ' + errors.velocityVerlet);
+        assert.ok(Math.abs(errors.semiImplicitEuler) < 1e-3, 'semi-implicit Euler ' + errors.semiImplicitEuler);
+        assert.ok(errors.explicitEuler > 0.02, 'explicit Euler ' + errors.explicitEuler);
+    });
+
+    test.it('keeps the energy of the oscillator from growing unless it is integrated with explicit Euler', () => {
+        Object.keys(INTEGRATORS).forEach(key => {
+            let state = simulateOscillator(INTEGRATORS[key], 0.1);
+            let energy = (state.position.magSq() + state.velocity.magSq()) / 2;
+
+            if(key === 'explicitEuler') {
+                assert.ok(energy > 0.9, key + ' ' + energy);
+            } else {
+                assert.ok(Math.abs(energy - 0.5) < 0.01, key + ' ' + energy);
+            }
+        });
+    });
+
+    test.it('throws the ball along the exact parabola with Verlet and RK4', () => {
+        let gravity = STANDARD_GRAVITY;
+        let expected = new Vector(8 - 3 * 0.5, 2 + 2 * 0.5 - gravity * 0.5 * 0.5 / 2);
+        let offsets = {};
+
+        Object.keys(INTEGRATORS).forEach(key => {
+            let position = throwThroughVacuum(INTEGRATORS[key]).ball.body.position;
+            assert.ok(Math.abs(position.x - expected.x) < 1e-9, key + ' ' + position);
+            offsets[key] = position.y - expected.y;
+        });
+
+        assert.ok(Math.abs(offsets.rungeKutta4) < 1e-9, 'RK4 ' + offsets.rungeKutta4);
+        assert.ok(Math.abs(offsets.velocityVerlet) < 1e-9, 'Verlet ' + offsets.velocityVerlet);
+
+        // The first-order integrators lag behind or run ahead of gravity by half a time step.
+        let eulerOffset = gravity * STEP * 0.5 / 2;
+        assert.ok(Math.abs(offsets.explicitEuler - eulerOffset) < 1e-9, 'explicit ' + offsets.explicitEuler);
+        let semiImplicitOffset = offsets.semiImplicitEuler;
+        assert.ok(Math.abs(semiImplicitOffset + eulerOffset) < 1e-9, 'semi-implicit ' + semiImplicitOffset);
+    });
+
+    test.it('launches the ball off the spring with every integrator', () => {
+        Object.values(INTEGRATORS).forEach(integrator => {
+            initializeTerrain(readLevelFile('level1.json'));
+            let world = createWorld();
+            world.integrator = integrator;
+            world.grabBall();
+            world.pullBall(Vector.add(world.catapultPosition, new Vector(0.6, -0.4)));
+            world.releaseBall();
+
+            for(let i = 0; i < 2 / STEP && world.state !== STATE_THROW; i++) {
+                world.step(STEP);
+            }
+
+            assert.strictEqual(world.state, STATE_THROW, integrator.name);
+            assert.ok(world.ball.velocity.x < -3, integrator.name + ' ' + world.ball.velocity);
+        });
+    });
+});
\ No newline at end of file
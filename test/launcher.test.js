@@ -0,0 +1,133 @@
+/**
+ * Tests for the {@link Launcher}s, which shoot the {@link Ball} like a slingshot, with an impulse or by swinging a
+ * golf club, and the launcher types levels and the physics settings can select.
+ *
+ * Run the tests from the repository's root folder with: node --test test/
+ *
+ * @author Tizian Kirchner
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {readLevelFile} = require('../src/physics/headless.js');
+const {STEP, createWindlessWorld, shoot} = require('./helpers.js');
+
+/**
+ * Creates a windless {@link SimulationWorld} on level1.json in airless space, whose {@link Ball} is teed up on the
+ * catapult.
+ *
+ * @param launcherType {string}
+ * The key of the type in the {@link LAUNCHER_TYPES} the {@link Ball} is launched with.
+ *
+ * @returns {SimulationWorld} The {@link SimulationWorld}.
+ */
+function createTeedUpWorld(launcherType) {
+    let world = createWindlessWorld(readLevelFile('level1.json'), 1);
+    world.airDensity = 0;
+    world.ball.recalculateDM();
+    world.setLauncherType(launcherType);
+    return world;
+}
+
+test.describe('launchers', () => {
+    test.it('tee the ball up on the catapult on levels without the spring', () => {
+        let data = readLevelFile('level1.json');
+        data.launcher = 'club';
+        initializeTerrain(data);
+        let world = createWorld(1);
+
+        assert.strictEqual(world.launcherType, 'club');
+        assert.ok(world.launcher instanceof ClubLauncher);
+        assert.strictEqual(world.state, STATE_AIM);
+        assert.ok(world.terrainArray.includes(world.catapultTerrain));
+
+        let position = world.ball.body.position;
+        assert.strictEqual(position.x, world.catapultPosition.x);
+        assert.ok(Math.abs(position.y - world.catapultPosition.y - world.ball.body.getRadius()) < 1e-9);
+
+        world.newTry();
+        assert.strictEqual(world.state, STATE_AIM);
+        assert.strictEqual(world.terrainArray.filter(terrain => terrain === world.catapultTerrain).length, 1);
+    });
+
+    test.it('reject levels with an unknown launcher', () => {
+        let data = readLevelFile('level1.json');
+        data.launcher = 'cannon';
+
+        assert.throws(() => new Level(data), /Unknown launcher "cannon"/);
+    });
+
+    test.it('shoot the ball towards the drag with an impulse, slower the heavier the ball is', () => {
+        let world = createTeedUpWorld('impulse');
+        assert.strictEqual(shoot(world, new Vector(-0.6, 0.3)), 0);
+        assert.strictEqual(world.state, STATE_THROW);
+
+        let velocity = world.ball.velocity;
+        let expectedSpeed = new Vector(-0.6, 0.3).mag() * LAUNCHER_MAX_IMPULSE / LAUNCHER_MAX_LENGTH / world.ball.mass;
+        assert.ok(velocity.x < 0 && velocity.y > 0);
+        assert.ok(Math.abs(velocity.y / velocity.x + 0.5) < 1e-9);
+        assert.ok(Math.abs(velocity.mag() - expectedSpeed) < 1e-9);
+
+        let heavyWorld = createTeedUpWorld('impulse');
+        heavyWorld.ball.mass *= 2;
+        shoot(heavyWorld, new Vector(-0.6, 0.3));
+        assert.strictEqual(heavyWorld.state, STATE_THROW);
+        assert.ok(Math.abs(heavyWorld.ball.velocity.mag() - velocity.mag() / 2) < 1e-9);
+    });
+
+    test.it('swing the club before striking the ball at the angle of the loft', () => {
+        let world = createTeedUpWorld('club');
+        let steps = shoot(world, new Vector(0.6, 0.4));
+
+        assert.strictEqual(world.state, STATE_THROW);
+        assert.ok(steps > 20);
+        assert.strictEqual(world.tries, 1);
+
+        let velocity = world.ball.velocity;
+        assert.ok(velocity.x < 0);
+        assert.ok(Math.abs(Math.atan2(velocity.y, -velocity.x) - CLUB_LOFT) < 1e-9);
+
+        let loftedWorld = createTeedUpWorld('club');
+        loftedWorld.launcher.loft = 2 * CLUB_LOFT;
+        shoot(loftedWorld, new Vector(0.6, 0.4));
+        assert.strictEqual(loftedWorld.state, STATE_THROW);
+        velocity = loftedWorld.ball.velocity;
+        assert.ok(Math.abs(Math.atan2(velocity.y, -velocity.x) - 2 * CLUB_LOFT) < 1e-9);
+    });
+
+    test.it('strike the ball faster with a heavier club and a longer swing', () => {
+        let getLaunchSpeed = (mass, pull) => {
+            let world = createTeedUpWorld('club');
+            world.launcher.mass = mass;
+            shoot(world, pull);
+            assert.strictEqual(world.state, STATE_THROW);
+            return world.ball.velocity.mag();
+        };
+
+        let defaultSpeed = getLaunchSpeed(CLUB_MASS, new Vector(0.6, 0.4));
+
+        assert.ok(getLaunchSpeed(2 * CLUB_MASS, new Vector(0.6, 0.4)) > defaultSpeed * 1.05);
+        assert.ok(getLaunchSpeed(CLUB_MASS, new Vector(0.3, 0.1)) < defaultSpeed);
+    });
+
+    test.it('are reproduced by replays', () => {
+        let world = createTeedUpWorld('club');
+        world.launcher.mass = 3;
+        world.launcher.loft = 0.3;
+        shoot(world, new Vector(0.6, 0.4));
+        assert.strictEqual(world.state, STATE_THROW);
+
+        for(let i = 0; i < 10 / STEP && world.state !== STATE_AIM && !world.success; i++) {
+            world.step(STEP);
+        }
+
+        let player = new ReplayPlayer(new Replay(JSON.parse(JSON.stringify(world.replay))));
+        player.seek(player.replay.getStepCount());
+
+        assert.ok(player.replay.getStepCount() > 100);
+        assert.strictEqual(player.world.launcherType, 'club');
+        assert.deepStrictEqual(player.world.ball.body.position, world.ball.body.position);
+        assert.strictEqual(player.world.state, world.state);
+    });
+});
\ No newline at end of file
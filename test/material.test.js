@@ -0,0 +1,128 @@
+/**
+ * Tests for the {@link Material}s of terrain and how they change the way a {@link Ball} bounces off
+ * and rolls across the terrain.
+ *
+ * Run the tests from the repository's root folder with: node --test test/
+ *
+ * @author Tizian Kirchner
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {readLevelFile} = require('../src/physics/headless.js');
+const {createWindlessWorld, throwBall} = require('./helpers.js');
+
+/**
+ * Creates a windless {@link SimulationWorld} on level1.json, whose ground right of the hole is made of a
+ * {@link Material}.
+ *
+ * @param material {string}
+ * The name of the {@link Material} the ground right of the hole is made of.
+ *
+ * @returns {SimulationWorld} The {@link SimulationWorld}.
+ */
+function createWorldOn(material) {
+    let data = readLevelFile('level1.json');
+    data.terrain.find(piece => piece.name === 'rightGround').material = material;
+    return createWindlessWorld(data);
+}
+
+/**
+ * Drops the {@link Ball} onto the ground right of the hole and measures how high it bounces back up.
+ *
+ * @param material {string}
+ * The name of the {@link Material} the ground is made of.
+ *
+ * @returns {number} The highest position of the {@link Ball}'s center after its first bounce.
+ */
+function getBounceHeight(material) {
+    let world = createWorldOn(material);
+    let bounced = false;
+    let height = 0;
+
+    throwBall(world, new Vector(5, 1), new Vector(0, 0), 1.5, 0, world => {
+        bounced = bounced || world.ball.velocity.y > 0;
+
+        if(bounced) {
+            height = Math.max(height, world.ball.body.position.y);
+        }
+    });
+
+    return height;
+}
+
+/**
+ * Rolls the {@link Ball} along the ground right of the hole, until it came to rest.
+ *
+ * @param material {string}
+ * The name of the {@link Material} the ground is made of.
+ *
+ * @returns {number} How many meters the {@link Ball} rolled.
+ */
+function getRollDistance(material) {
+    let world = createWorldOn(material);
+    let start = new Vector(6.4, world.ball.body.getRadius() + 0.001);
+    throwBall(world, start.copy(), new Vector(-0.8, 0), 10);
+
+    assert.strictEqual(world.state, STATE_AIM, 'the ball did not come to rest');
+    return start.x - world.ball.body.position.x;
+}
+
+test.describe('materials', () => {
+    test.it('lets the ball bounce higher off bouncier materials', () => {
+        let rubber = getBounceHeight('rubber');
+        let carpet = getBounceHeight('carpet');
+        let concrete = getBounceHeight('concrete');
+
+        assert.ok(rubber > carpet, 'rubber ' + rubber + ' carpet ' + carpet);
+        assert.ok(carpet > concrete, 'carpet ' + carpet + ' concrete ' + concrete);
+    });
+
+    test.it('lets the ball roll further across materials with less rolling resistance', () => {
+        let concrete = getRollDistance('concrete');
+        let carpet = getRollDistance('carpet');
+        let rubber = getRollDistance('rubber');
+
+        assert.ok(concrete > carpet, 'concrete ' + concrete + ' carpet ' + carpet);
+        assert.ok(carpet > rubber, 'carpet ' + carpet + ' rubber ' + rubber);
+    });
+
+    test.it('slows the bouncing ball down along the surface through sliding friction', () => {
+        let speedLosses = ['wood', 'carpet'].map(material => {
+            let world = createWorldOn(material);
+            let speedBefore;
+            let speedAfter;
+
+            throwBall(world, new Vector(5, 0.15), new Vector(-4, 0), 0.3, 0, world => {
+                if(world.ball.velocity.y <= 0 && speedAfter === undefined) {
+                    speedBefore = Math.abs(world.ball.velocity.x);
+                } else if(speedAfter === undefined) {
+                    speedAfter = Math.abs(world.ball.velocity.x);
+                }
+            });
+
+            return speedBefore - speedAfter;
+        });
+
+        assert.ok(speedLosses[0] > 0.1, 'wood ' + speedLosses[0]);
+        assert.ok(speedLosses[1] > speedLosses[0] + 0.1, 'carpet ' + speedLosses[1] + ' wood ' + speedLosses[0]);
+    });
+
+    test.it('makes terrain without a material out of the default material', () => {
+        initializeTerrain(readLevelFile('level1.json'));
+
+        level.terrainArray.forEach(terrain => {
+            assert.strictEqual(terrain.material, MATERIALS[DEFAULT_MATERIAL]);
+        });
+
+        assert.strictEqual(new Level(readLevelFile('level3.json')).terrainArray[0].material, MATERIALS.rubber);
+    });
+
+    test.it('rejects unknown materials', () => {
+        let data = readLevelFile('level1.json');
+        data.terrain[0].material = 'ice';
+
+        assert.throws(() => new Level(data), /Unknown material "ice"/);
+    });
+});
\ No newline at end of file
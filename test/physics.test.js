@@ -0,0 +1,260 @@
+/**
+ * Regression tests simulating the scenarios provided by src/physics/test.js without a browser.
+ *
+ * Every scenario is simulated with the fixed time step {@link physicsStep} used in the browser.
+ * While simulating, the {@link Ball} must never enter the {@link STATE_ERROR} state, get stuck inside a
+ * {@link TerrainPolygon} or pass through the obstacle and the wall of the {@link level} stored in level1.json.
+ * Once a scenario played out, the {@link Ball}'s final position or the success of the try is checked.
+ *
+ * Run the tests from the repository's root folder with: node --test test/
+ *
+ * @author Tizian Kirchner
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const {readLevelFile} = require('../src/physics/headless.js');
+const {STEP} = require('./helpers.js');
+
+let scenarioFile = path.join(__dirname, '..', 'src', 'physics', 'test.js');
+vm.runInThisContext(fs.readFileSync(scenarioFile, 'utf8'), {filename: scenarioFile});
+
+/**
+ * How far in meters a {@link Ball} may penetrate the terrain during a single step,
+ * before the penetration counts as the {@link Ball} being inside the terrain.
+ * @type {number}
+ */
+const PENETRATION_TOLERANCE = 0.02;
+
+initializeTerrain(readLevelFile('level1.json'));
+
+const wall = level.getTerrainShape('wall');
+const obstacle = level.getTerrainShape('obstacle');
+const rectangularTerrain = ['wall', 'obstacle', 'leftGround', 'rightGround', 'bottomGround'].map(name => {
+    return level.getTerrainShape(name);
+});
+
+/**
+ * The height of the ground surrounding the hole.
+ * @type {number}
+ */
+const GROUND_Y = level.hole.getTopY();
+
+/**
+ * Checks if a point lies inside a rectangular {@link Polygon}, shrunk by the {@link PENETRATION_TOLERANCE}.
+ *
+ * @param point {Vector}
+ * The point to check.
+ *
+ * @param shape {Polygon}
+ * The rectangular {@link Polygon} to check against.
+ *
+ * @returns {boolean} True if the point lies inside the {@link Polygon}.
+ */
+function isInsideRectangle(point, shape) {
+    return point.x > shape.getLeftX() + PENETRATION_TOLERANCE &&
+        point.x < shape.getRightX() - PENETRATION_TOLERANCE &&
+        point.y < shape.getTopY() - PENETRATION_TOLERANCE &&
+        point.y > shape.getBottomY() + PENETRATION_TOLERANCE;
+}
+
+/**
+ * Checks the invariants every step of every scenario has to fulfill.
+ *
+ * @param world {SimulationWorld}
+ * The {@link SimulationWorld} after the step.
+ *
+ * @param previousPosition {Vector}
+ * The position of the {@link Ball}'s center before the step.
+ *
+ * @param time {number}
+ * How many seconds of the scenario have been simulated.
+ */
+function assertValidStep(world, previousPosition, time) {
+    let ball = world.ball;
+    let position = ball.body.position;
+    let radius = ball.body.getRadius();
+    let at = " after " + time.toFixed(3) + "s at " + position;
+
+    assert.notStrictEqual(world.state, STATE_ERROR, "ball entered the error state" + at);
+    assert.ok(Number.isFinite(position.x) && Number.isFinite(position.y), "ball position is not finite" + at);
+
+    rectangularTerrain.forEach(shape => {
+        assert.ok(!isInsideRectangle(position, shape), "ball is stuck inside the terrain" + at);
+    });
+
+    assert.ok(position.x > wall.getRightX() + radius - PENETRATION_TOLERANCE, "ball passed the wall" + at);
+
+    // the ball may only get from one side of the obstacle to the other by flying over it
+    let obstacleLeftX = obstacle.getLeftX() - radius + PENETRATION_TOLERANCE;
+    let obstacleRightX = obstacle.getRightX() + radius - PENETRATION_TOLERANCE;
+    let crossedObstacle =
+        (previousPosition.x >= obstacleRightX && position.x <= obstacleLeftX) ||
+        (previousPosition.x <= obstacleLeftX && position.x >= obstacleRightX) ||
+        (previousPosition.x > obstacleLeftX && previousPosition.x < obstacleRightX &&
+            (position.x <= obstacleLeftX || position.x >= obstacleRightX) &&
+            Math.min(previousPosition.y, position.y) < obstacle.getTopY());
+    let belowObstacleTop = Math.min(previousPosition.y, position.y) < obstacle.getTopY() - PENETRATION_TOLERANCE;
+    assert.ok(!(crossedObstacle && belowObstacleTop), "ball passed through the obstacle" + at);
+}
+
+/**
+ * Simulates a scenario and checks the invariants of every step.
+ *
+ * @param setUp {function(SimulationWorld)}
+ * One of the functions provided by src/physics/test.js.
+ *
+ * @param seconds {number}
+ * For how many seconds the scenario is simulated.
+ *
+ * @returns {SimulationWorld} The {@link SimulationWorld} after the scenario played out.
+ */
+function simulateScenario(setUp, seconds) {
+    let world = createWorld();
+    setUp(world);
+
+    let steps = Math.round(seconds / STEP);
+
+    for(let i = 1; i <= steps; i++) {
+        let previousPosition = world.ball.body.position.copy();
+        world.step(STEP);
+        assertValidStep(world, previousPosition, i * STEP);
+    }
+
+    return world;
+}
+
+/**
+ * Checks if the {@link Ball} rests at a position.
+ *
+ * @param world {SimulationWorld}
+ * The {@link SimulationWorld} after the scenario played out.
+ *
+ * @param x {number}
+ * The expected horizontal position of the {@link Ball}'s center.
+ *
+ * @param y {number}
+ * The expected vertical position of the {@link Ball}'s center.
+ *
+ * @param [tolerance] {number}
+ * How many meters the {@link Ball} may be off in each direction. Defaults to 0.02.
+ */
+function assertRestsAt(world, x, y, tolerance = 0.02) {
+    let ball = world.ball;
+    let position = ball.body.position;
+
+    assert.strictEqual(world.state, STATE_AIM, "the ball did not come to rest");
+    assert.ok(ball.velocity.mag() < 0.05, "ball is still moving with " + ball.velocity);
+    assert.ok(Math.abs(position.x - x) <= tolerance, "expected x = " + x + ", got " + position.x);
+    assert.ok(Math.abs(position.y - y) <= tolerance, "expected y = " + y + ", got " + position.y);
+}
+
+/**
+ * Checks if the {@link Ball} landed in the hole.
+ *
+ * @param world {SimulationWorld}
+ * The {@link SimulationWorld} after the scenario played out.
+ */
+function assertLandedInHole(world) {
+    let position = world.ball.body.position;
+    let radius = world.ball.body.getRadius();
+
+    assert.ok(world.success, "ball did not land in the hole, it is at " + position);
+    assert.strictEqual(world.successfulTries, 1);
+    assert.ok(position.x > level.hole.getLeftX() + radius - PENETRATION_TOLERANCE);
+    assert.ok(position.x < level.hole.getRightX() - radius + PENETRATION_TOLERANCE);
+    assert.ok(Math.abs(position.y - (level.hole.getBottomY() + radius)) <= 0.02);
+}
+
+test.describe('hole corners', () => {
+    test.it('rolls off the right corner into the hole', () => {
+        assertLandedInHole(simulateScenario(testRightCornerFall, 8));
+    });
+
+    test.it('rolls off the left corner into the hole', () => {
+        assertLandedInHole(simulateScenario(testLeftCornerFall, 8));
+    });
+
+    test.it('balances on the right corner', () => {
+        let world = simulateScenario(testRightCornerCollision, 10);
+        assertRestsAt(world, level.hole.getRightX(), GROUND_Y + world.ball.body.getRadius());
+    });
+
+    test.it('balances on the left corner', () => {
+        let world = simulateScenario(testLeftCornerCollision, 10);
+        assertRestsAt(world, level.hole.getLeftX(), GROUND_Y + world.ball.body.getRadius());
+    });
+
+    test.it('collides with the hole\'s wall and floor at once', () => {
+        assertLandedInHole(simulateScenario(testHoleCornerCollision, 8));
+    });
+});
+
+test.describe('strong wind', () => {
+    test.it('presses the rolling ball against the obstacle without passing it', () => {
+        let world = simulateScenario(testStrongWindGroundCollision, 10);
+        assert.strictEqual(world.successfulTries, 0);
+    });
+
+    test.it('presses the flying ball against the wall without passing it', () => {
+        let world = simulateScenario(testStrongWindAirCollision, 30);
+        let x = level.getTerrainShape('slope').getRightX();
+        assertRestsAt(world, x, GROUND_Y + world.ball.body.getRadius(), 0.05);
+    });
+});
+
+test.describe('wall', () => {
+    test.it('does not tunnel through the wall when crossing it within a single step', () => {
+        simulateScenario(testTunnelingWallCollision, 2);
+    });
+});
+
+test.describe('slope', () => {
+    test.it('rolls down the slope into the hole', () => {
+        assertLandedInHole(simulateScenario(testSlopeDrop, 10));
+    });
+
+    test.it('rolls up the slope and back into the hole', () => {
+        assertLandedInHole(simulateScenario(testSlopeClimb, 10));
+    });
+});
+
+test.describe('catapult', () => {
+    test.it('balances on the catapult\'s tip', () => {
+        let world = simulateScenario(testCatapultTipCollision, 8);
+        assertRestsAt(world, level.catapultPosition.x, level.catapultPosition.y + world.ball.body.getRadius());
+        assert.ok(world.catapultTerrainAdded);
+    });
+
+    test.it('bounces back off the catapult\'s side', () => {
+        let world = simulateScenario(testCatapultSideCollision, 8);
+        let position = world.ball.body.position;
+        assertRestsAt(world, position.x, GROUND_Y + world.ball.body.getRadius());
+        let catapultLeftX = level.catapultPosition.x - level.catapultWidth / 2;
+        assert.ok(position.x < catapultLeftX - world.ball.body.getRadius() + PENETRATION_TOLERANCE);
+    });
+});
+
+test.describe('obstacle', () => {
+    test.it('bounces off the obstacle\'s top left corner', () => {
+        simulateScenario(testObstacleCornerCollision, 10);
+    });
+
+    test.it('comes to rest on the obstacle', () => {
+        let world = simulateScenario(testObstacleTopCollision, 8);
+        let x = (obstacle.getLeftX() + obstacle.getRightX()) / 2;
+        assertRestsAt(world, x, obstacle.getTopY() + world.ball.body.getRadius());
+    });
+
+    test.it('does not tunnel through the obstacle at high speed', () => {
+        simulateScenario(testFastObstacleCollision, 2);
+    });
+
+    test.it('does not tunnel through the obstacle when crossing it within a single step', () => {
+        simulateScenario(testTunnelingObstacleCollision, 2);
+    });
+});
\ No newline at end of file
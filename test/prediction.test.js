@@ -0,0 +1,105 @@
+/**
+ * Tests for the trajectory preview, which predicts where the held {@link Ball} will go once it is let go.
+ *
+ * Run the tests from the repository's root folder with: node --test test/
+ *
+ * @author Tizian Kirchner
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {readLevelFile} = require('../src/physics/headless.js');
+const {STEP} = require('./helpers.js');
+
+/**
+ * Creates a {@link SimulationWorld} on level1.json with a headwind and holds its {@link Ball} on the stretched spring.
+ *
+ * @returns {SimulationWorld} The {@link SimulationWorld}.
+ */
+function createPulledWorld() {
+    initializeTerrain(readLevelFile('level1.json'));
+    let world = createWorld();
+    world.windVelocity = new Vector(2, 0);
+    world.grabBall();
+    world.pullBall(Vector.add(world.catapultPosition, new Vector(0.6, -0.4)));
+    return world;
+}
+
+/**
+ * Lets go of the held {@link Ball} and checks that it passes through the predicted points at the predicted times.
+ *
+ * @param world {SimulationWorld}
+ * The {@link SimulationWorld} whose {@link Ball} is being held.
+ *
+ * @param points {Vector[]}
+ * The trajectory predicted by {@link predictTrajectory}.
+ */
+function assertFollowsPrediction(world, points) {
+    let stepsPerPoint = Math.round(PREDICTION_POINT_INTERVAL / STEP);
+    world.releaseBall();
+
+    points.forEach((point, i) => {
+        assert.ok(Vector.sub(point, world.ball.body.position).mag() < 1e-9, i + ': ' + point);
+
+        for(let j = 0; j < stepsPerPoint; j++) {
+            world.step(STEP);
+        }
+    });
+}
+
+test.describe('trajectory prediction', () => {
+    test.it('predicts the positions the ball passes through after being let go', () => {
+        let world = createPulledWorld();
+        let points = predictTrajectory(world, 2, STEP);
+
+        assert.ok(points.length > 20, 'points ' + points.length);
+        assertFollowsPrediction(world, points);
+    });
+
+    test.it('does not change the simulated world', () => {
+        let world = createPulledWorld();
+        let position = world.ball.body.position.copy();
+        let springVector = world.spring.vector.copy();
+        let terrainCount = world.terrainArray.length;
+
+        predictTrajectory(world, 3, STEP);
+
+        assert.strictEqual(world.state, STATE_SPRING_ATTACHED);
+        assert.ok(world.ballHeld);
+        assert.deepStrictEqual(world.ball.body.position, position);
+        assert.deepStrictEqual(world.ball.velocity, new Vector(0, 0));
+        assert.deepStrictEqual(world.spring.vector, springVector);
+        assert.strictEqual(world.terrainArray.length, terrainCount);
+        assert.strictEqual(world.tries, 0);
+    });
+
+    test.it('covers less time on harder difficulties and nothing once turned off', () => {
+        let world = createPulledWorld();
+        let lengths = Object.keys(PREDICTION_DIFFICULTIES).map(key => {
+            return predictTrajectory(world, PREDICTION_DIFFICULTIES[key].horizon, STEP).length;
+        });
+
+        assert.ok(lengths[0] > lengths[1] && lengths[1] > lengths[2] && lengths[2] > 0, lengths.join(', '));
+        assert.strictEqual(lengths[3], 0);
+
+        world.releaseBall();
+        assert.strictEqual(predictTrajectory(world, 3, STEP).length, 0);
+    });
+
+    test.it('predicts the shot of the launcher', () => {
+        let world = createPulledWorld();
+        world.releaseBall();
+
+        for(let i = 0; i < 10 / STEP && world.state !== STATE_AIM; i++) {
+            world.step(STEP);
+        }
+
+        world.grabBall();
+        world.pullBall(Vector.add(world.lie, new Vector(-0.4, -0.4)));
+        let points = predictTrajectory(world, 1, STEP);
+
+        assert.ok(points.length > 10, 'points ' + points.length);
+        assertFollowsPrediction(world, points);
+    });
+});
\ No newline at end of file
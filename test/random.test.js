@@ -0,0 +1,71 @@
+/**
+ * Tests for the seedable {@link Random} numbers, which make the wind of a game reproducible.
+ *
+ * Run the tests from the repository's root folder with: node --test test/
+ *
+ * @author Tizian Kirchner
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {readLevelFile} = require('../src/physics/headless.js');
+
+/**
+ * Generates the first numbers of a {@link Random} sequence.
+ *
+ * @param random {Random}
+ * The {@link Random} object to generate the numbers with.
+ *
+ * @param count {number}
+ * How many numbers to generate.
+ *
+ * @returns {number[]} The numbers.
+ */
+function generate(random, count) {
+    return Array.from({length: count}, () => random.next());
+}
+
+test.describe('random numbers', () => {
+    test.it('repeat the same sequence for the same seed', () => {
+        let numbers = generate(new Random(12345), 100);
+
+        assert.deepStrictEqual(generate(new Random(12345), 100), numbers);
+        assert.notDeepStrictEqual(generate(new Random(12346), 100), numbers);
+        assert.ok(numbers.every(number => number >= 0 && number < 1));
+    });
+
+    test.it('continue the sequence independently in a copy', () => {
+        let random = new Random(7);
+        random.next();
+        let copy = random.copy();
+
+        assert.deepStrictEqual(generate(copy, 10), generate(random, 10));
+        assert.strictEqual(copy.seed, 7);
+    });
+
+    test.it('read seeds entered as text', () => {
+        assert.strictEqual(parseSeed("42"), 42);
+        assert.strictEqual(parseSeed(" 4294967295 "), SEED_COUNT - 1);
+        assert.strictEqual(parseSeed("4294967296"), null);
+        assert.strictEqual(parseSeed("-1"), null);
+        assert.strictEqual(parseSeed("1.5"), null);
+        assert.strictEqual(parseSeed(null), null);
+        assert.strictEqual(parseSeed(undefined), null);
+    });
+
+    test.it('reproduce the wind of worlds with the same seed', () => {
+        initializeTerrain(readLevelFile('level1.json'));
+        let world = createWorld(99);
+        let sameWorld = createWorld(99);
+
+        for(let i = 0; i < 5; i++) {
+            world.randomizeWind();
+            world.copy().randomizeWind();
+            sameWorld.randomizeWind();
+
+            assert.deepStrictEqual(world.windVelocity, sameWorld.windVelocity);
+            assert.ok(world.windVelocity.x >= world.minWindVelocity && world.windVelocity.x < world.maxWindVelocity);
+        }
+    });
+});
\ No newline at end of file
@@ -0,0 +1,143 @@
+/**
+ * Tests for the {@link Replay}s recording each try, which reproduce the try exactly when they are played back.
+ *
+ * Run the tests from the repository's root folder with: node --test test/
+ *
+ * @author Tizian Kirchner
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {readLevelFile} = require('../src/physics/headless.js');
+const {STEP} = require('./helpers.js');
+
+/**
+ * Pulls the {@link Ball} away from a position and lets go of it, then simulates the {@link SimulationWorld} until the
+ * {@link Ball} comes to rest, lands in the hole or the time runs out.
+ *
+ * @param world {SimulationWorld}
+ * The {@link SimulationWorld} to simulate.
+ *
+ * @param position {Vector}
+ * The position the {@link Ball} is pulled away from.
+ *
+ * @param pull {Vector}
+ * How far the {@link Ball} is pulled away from the position.
+ */
+function playTry(world, position, pull) {
+    world.grabBall();
+    world.pullBall(Vector.add(position, pull));
+    world.releaseBall();
+
+    for(let i = 0; i < 15 / STEP && world.state !== STATE_AIM && !world.success; i++) {
+        world.step(STEP);
+    }
+}
+
+/**
+ * Plays the {@link SimulationWorld.replay replay} of a {@link SimulationWorld} back, after saving it as JSON and
+ * loading it again, like a replay file.
+ *
+ * @param world {SimulationWorld}
+ * The {@link SimulationWorld} whose last try to play back.
+ *
+ * @returns {ReplayPlayer}
+ * The {@link ReplayPlayer}, which has played back every step of the try.
+ */
+function playBack(world) {
+    let player = new ReplayPlayer(new Replay(JSON.parse(JSON.stringify(world.replay))));
+    player.seek(player.replay.getStepCount());
+    return player;
+}
+
+/**
+ * Creates a {@link SimulationWorld} on level 2 with physics settings differing from the default ones.
+ * The wind is set to a headwind, with which the first try of the scenarios comes to rest before the hole.
+ *
+ * @returns {SimulationWorld} The {@link SimulationWorld}.
+ */
+function createCustomWorld() {
+    initializeTerrain(readLevelFile('level2.json'));
+    let world = createWorld();
+    world.windVelocity = new Vector(3, 0);
+    world.launchSpin = 40;
+    world.integrator = INTEGRATORS.rungeKutta4;
+    world.dragModel = DRAG_MODEL_REYNOLDS;
+    world.spring.stiffness = 70;
+    world.spring.damping = 0.3;
+    return world;
+}
+
+test.describe('replays', () => {
+    test.it('reproduce tries launched by the spring and by the launcher exactly', () => {
+        let world = createCustomWorld();
+
+        playTry(world, world.catapultPosition, new Vector(0.7, -0.3));
+        let player = playBack(world);
+
+        assert.strictEqual(world.state, STATE_AIM);
+        assert.strictEqual(player.world.state, world.state);
+        assert.deepStrictEqual(player.world.ball.body.position, world.ball.body.position);
+        assert.strictEqual(player.world.ball.angle, world.ball.angle);
+
+        playTry(world, world.ball.body.position, new Vector(0.3, -0.3));
+        player = playBack(world);
+
+        assert.strictEqual(player.world.state, world.state);
+        assert.strictEqual(player.world.success, world.success);
+        assert.deepStrictEqual(player.world.ball.body.position, world.ball.body.position);
+    });
+
+    test.it('reach the same state when seeking backwards', () => {
+        let world = createCustomWorld();
+        playTry(world, world.catapultPosition, new Vector(0.6, -0.4));
+        let player = new ReplayPlayer(world.replay);
+
+        player.seek(100);
+        let position = player.world.ball.body.position.copy();
+        player.seek(400);
+        player.seek(100);
+
+        assert.strictEqual(player.stepIndex, 100);
+        assert.deepStrictEqual(player.world.ball.body.position, position);
+        assert.ok(Math.abs(player.getTime() - 100 * STEP) < 1e-9);
+    });
+
+    test.it('store repeated time steps compactly and record a limited number of steps', () => {
+        let replay = captureReplay(createCustomWorld());
+
+        replay.addStep(STEP);
+        replay.addStep(STEP);
+        replay.addStep(STEP / 2);
+
+        assert.deepStrictEqual(replay.schedule, [[STEP, 2], [STEP / 2, 1]]);
+        assert.strictEqual(replay.getDelta(1), STEP);
+        assert.strictEqual(replay.getDelta(2), STEP / 2);
+        assert.strictEqual(replay.getDelta(3), undefined);
+
+        replay.schedule = [[STEP, REPLAY_MAX_STEPS]];
+        replay.addStep(STEP);
+        assert.strictEqual(replay.getStepCount(), REPLAY_MAX_STEPS);
+    });
+
+    test.it('reject invalid replay files', () => {
+        let data = JSON.parse(JSON.stringify(captureReplay(createCustomWorld())));
+
+        assert.throws(() => new Replay({...data, version: REPLAY_VERSION + 1}), /version/);
+        assert.throws(() => new Replay({...data, schedule: undefined}), /"schedule"/);
+        assert.throws(
+            () => new Replay({...data, environment: {...data.environment, integrator: 'leapfrog'}}),
+            /unknown integrator/
+        );
+    });
+
+    test.it('are not recorded by predictions', () => {
+        let world = createCustomWorld();
+        world.grabBall();
+        world.pullBall(Vector.add(world.catapultPosition, new Vector(0.6, -0.4)));
+
+        predictTrajectory(world, 1, STEP);
+        assert.strictEqual(world.replay, null);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,138 @@
+/**
+ * Tests for the spin of the {@link Ball}: rolling without slipping, bouncing off terrain with spin,
+ * the Magnus lift of a spinning {@link Ball} in flight and launching the {@link Ball} with topspin or backspin.
+ *
+ * Run the tests from the repository's root folder with: node --test test/
+ *
+ * @author Tizian Kirchner
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+require('../src/physics/headless.js');
+const {STEP, createWindlessWorld, throwBall} = require('./helpers.js');
+
+/**
+ * Throws the {@link Ball} upwards with spin and measures how high it flies.
+ *
+ * @param spin {number}
+ * See {@link Ball.setSpin}.
+ *
+ * @param liftCoefficient {number}
+ * See {@link Ball.liftCoefficient}.
+ *
+ * @returns {number} The highest position of the {@link Ball}'s center.
+ */
+function getPeakHeight(spin, liftCoefficient) {
+    let world = createWindlessWorld();
+    world.ball.liftCoefficient = liftCoefficient;
+    world.ball.recalculateDM();
+    throwBall(world, new Vector(8, 1), new Vector(-4, 3), 0, spin);
+
+    while(world.ball.velocity.y > 0) {
+        world.step(STEP);
+    }
+
+    return world.ball.body.position.y;
+}
+
+test.describe('spin', () => {
+    test.it('lets a ball landing without spin roll without slipping', () => {
+        let world = createWindlessWorld();
+        throwBall(world, new Vector(6.4, 0.15), new Vector(-2, 0), 1);
+
+        let ball = world.ball;
+        assert.ok(ball.groundSegment != null, 'the ball is not on the ground');
+        assert.ok(Math.abs(ball.getSlipVelocity(ball.groundSegment.normal)) < ROLLING_SLIP_THRESHOLD);
+        assert.ok(ball.velocity.x < 0 && ball.angularVelocity > 0);
+        assert.ok(ball.velocity.mag() < 2 * 5 / 7, 'the ball kept its speed ' + ball.velocity);
+    });
+
+    test.it('lets a topspin shot roll further than a backspin shot', () => {
+        let restingX = [20, 0, -20].map(spin => {
+            let world = createWindlessWorld();
+            throwBall(world, new Vector(6.4, 0.3), new Vector(-1, 0.5), 10, spin);
+            assert.strictEqual(world.state, STATE_AIM, 'the ball did not come to rest');
+            return world.ball.body.position.x;
+        });
+
+        assert.ok(restingX[0] < restingX[1] - 0.2, 'topspin ' + restingX[0] + ' no spin ' + restingX[1]);
+        assert.ok(restingX[1] < restingX[2] - 0.2, 'no spin ' + restingX[1] + ' backspin ' + restingX[2]);
+    });
+
+    test.it('pulls a ball with strong backspin back after landing', () => {
+        let world = createWindlessWorld();
+        throwBall(world, new Vector(5, 0.3), new Vector(-1, 0.5), 10, -60);
+
+        assert.strictEqual(world.state, STATE_AIM, 'the ball did not come to rest');
+        assert.ok(world.ball.body.position.x > 5, 'the ball rests at ' + world.ball.body.position);
+    });
+
+    test.it('bounces a spinning ball off a wall into a different direction', () => {
+        let verticalVelocities = [20, 0, -20].map(spin => {
+            let world = createWindlessWorld();
+            let ball = world.ball;
+            throwBall(world, new Vector(0.5, 2), new Vector(-5, 0), 0, spin);
+
+            while(ball.velocity.x < 0) {
+                world.step(STEP);
+            }
+
+            return ball.velocity.y;
+        });
+
+        assert.ok(verticalVelocities[0] > verticalVelocities[1] + 0.5, 'topspin ' + verticalVelocities[0]);
+        assert.ok(verticalVelocities[1] > verticalVelocities[2] + 0.5, 'backspin ' + verticalVelocities[2]);
+    });
+
+    test.it('lifts a ball with backspin and pushes a ball with topspin down in flight', () => {
+        let topspin = getPeakHeight(60, 1);
+        let noSpin = getPeakHeight(0, 1);
+        let backspin = getPeakHeight(-60, 1);
+
+        assert.ok(backspin > noSpin + 0.02, 'backspin ' + backspin + ' no spin ' + noSpin);
+        assert.ok(noSpin > topspin + 0.02, 'no spin ' + noSpin + ' topspin ' + topspin);
+    });
+
+    test.it('does not lift a spinning ball without a lift coefficient', () => {
+        assert.strictEqual(getPeakHeight(-60, 0), getPeakHeight(0, 0));
+    });
+
+    test.it('launches the ball with the launch spin', () => {
+        let world = createWindlessWorld();
+        world.launchSpin = 30;
+        world.grabBall();
+        world.pullBall(Vector.add(world.catapultPosition, new Vector(0.6, -0.4)));
+        world.releaseBall();
+
+        for(let i = 0; i < 2 / STEP && world.state !== STATE_THROW; i++) {
+            world.step(STEP);
+        }
+
+        assert.strictEqual(world.state, STATE_THROW);
+        assert.ok(world.ball.velocity.x < 0);
+        assert.strictEqual(world.ball.angularVelocity, 30);
+
+        world.ball.body.position = new Vector(5, world.ball.body.getRadius());
+        world.ball.velocity = new Vector(0, 0);
+        world.state = STATE_AIM;
+        world.launchSpin = -30;
+        world.grabBall();
+        world.pullBall(Vector.add(world.ball.body.position, new Vector(-0.5, -0.2)));
+        world.releaseBall();
+
+        assert.ok(world.ball.velocity.x > 0);
+        assert.strictEqual(world.ball.angularVelocity, 30);
+    });
+
+    test.it('does not let a ball come to rest while it is still spinning', () => {
+        let world = createWindlessWorld();
+        world.ball.velocity = new Vector(0, 0);
+        world.ball.angularVelocity = 5;
+        world.state = STATE_THROW;
+        world.checkBallAtRest(REST_TIME);
+
+        assert.strictEqual(world.state, STATE_THROW);
+    });
+});
\ No newline at end of file
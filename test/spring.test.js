@@ -0,0 +1,91 @@
+/**
+ * Tests for the {@link Spring}, whose stiffness, lengths and damping can be changed through the physics settings.
+ *
+ * Run the tests from the repository's root folder with: node --test test/
+ *
+ * @author Tizian Kirchner
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {readLevelFile} = require('../src/physics/headless.js');
+const {STEP} = require('./helpers.js');
+
+/**
+ * Pulls the {@link Ball} on level1.json away from the catapult in airless space and lets it go.
+ *
+ * @param springProperties {Object}
+ * The properties assigned to the {@link Spring} before the {@link Ball} is pulled.
+ *
+ * @param pull {Vector}
+ * Where the {@link Ball} is pulled to, relative to the tip of the catapult.
+ *
+ * @returns {SimulationWorld} The {@link SimulationWorld} right after the {@link Ball} has been let go.
+ */
+function pullBall(springProperties, pull) {
+    initializeTerrain(readLevelFile('level1.json'));
+    let world = createWorld(1);
+    world.airDensity = 0;
+    world.ball.recalculateDM();
+    Object.assign(world.spring, springProperties);
+
+    world.grabBall();
+    world.pullBall(Vector.add(world.catapultPosition, pull));
+    world.releaseBall();
+    return world;
+}
+
+/**
+ * Lets go of the {@link Ball} and simulates it until the spring releases it into the air.
+ *
+ * @param springProperties {Object}
+ * See {@link pullBall}.
+ *
+ * @returns {number} How many m/s fast the {@link Ball} is launched.
+ */
+function getLaunchSpeed(springProperties) {
+    let world = pullBall(springProperties, new Vector(0.6, -0.4));
+
+    for(let i = 0; i < 2 / STEP && world.state !== STATE_THROW; i++) {
+        world.step(STEP);
+    }
+
+    assert.strictEqual(world.state, STATE_THROW);
+    return world.ball.velocity.mag();
+}
+
+test.describe('spring', () => {
+    test.it('launches the ball faster, the stiffer it is', () => {
+        let defaultSpeed = getLaunchSpeed({});
+
+        assert.ok(getLaunchSpeed({stiffness: 2 * SPRING_STIFFNESS}) > defaultSpeed * 1.3);
+        assert.ok(getLaunchSpeed({stiffness: 0.8 * SPRING_STIFFNESS}) < defaultSpeed);
+    });
+
+    test.it('launches the ball slower, the stronger it is damped', () => {
+        let undampedSpeed = getLaunchSpeed({damping: 0});
+
+        assert.ok(getLaunchSpeed({}) < undampedSpeed);
+        assert.ok(getLaunchSpeed({damping: 1}) < getLaunchSpeed({}));
+    });
+
+    test.it('can only be pulled between its relaxed and maximum length', () => {
+        let world = pullBall({relaxedLength: 0.3, maxLength: 0.6}, new Vector(2, 0));
+        assert.ok(Math.abs(world.spring.vector.mag() - 0.6) < 1e-9);
+
+        world = pullBall({relaxedLength: 0.3, maxLength: 0.6}, new Vector(0, -0.1));
+        assert.ok(Math.abs(world.spring.vector.mag() - 0.3) < 1e-9);
+        assert.strictEqual(world.state, STATE_SPRING_ATTACHED);
+    });
+
+    test.it('keeps its properties in copies of the world', () => {
+        let world = pullBall({stiffness: 80, relaxedLength: 0.2, maxLength: 1.2, damping: 0.3}, new Vector(0.6, -0.4));
+        let copy = world.copy().spring;
+
+        assert.deepStrictEqual(
+            [copy.stiffness, copy.relaxedLength, copy.maxLength, copy.damping],
+            [80, 0.2, 1.2, 0.3]
+        );
+    });
+});
\ No newline at end of file
@@ -0,0 +1,90 @@
+/**
+ * Tests for the {@link Telemetry}, which records the energy and momentum of the {@link Ball} during a try.
+ *
+ * Run the tests from the repository's root folder with: node --test test/
+ *
+ * @author Tizian Kirchner
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {readLevelFile} = require('../src/physics/headless.js');
+const {STEP} = require('./helpers.js');
+
+/**
+ * Launches the {@link Ball} off the spring on level1.json and simulates it until it comes to rest or until the time
+ * runs out.
+ *
+ * @param airDensity {number}
+ * See {@link SimulationWorld.airDensity}.
+ *
+ * @param seconds {number}
+ * For how many seconds to simulate at most.
+ *
+ * @returns {SimulationWorld} The {@link SimulationWorld} after the throw.
+ */
+function launchBall(airDensity, seconds) {
+    initializeTerrain(readLevelFile('level1.json'));
+    let world = createWorld();
+    world.airDensity = airDensity;
+    world.ball.recalculateDM();
+
+    world.grabBall();
+    world.pullBall(Vector.add(world.catapultPosition, new Vector(0.6, -0.4)));
+    world.releaseBall();
+
+    for(let i = 0; i < seconds / STEP && world.state !== STATE_AIM; i++) {
+        world.step(STEP);
+    }
+
+    return world;
+}
+
+test.describe('telemetry', () => {
+    test.it('accounts for the energy of the ball by cause during a throw', () => {
+        let world = launchBall(1.3, 10);
+        let samples = world.telemetry.samples;
+        let first = samples[0];
+        let last = world.telemetry.getLatestSample();
+
+        assert.strictEqual(world.state, STATE_AIM);
+        assert.ok(first.spring > 0, 'spring ' + first.spring);
+        assert.ok(last.drag > 0 && last.collision > 0 && last.rolling > 0, JSON.stringify(last));
+        assert.ok(Math.abs(last.kinetic) < 1e-6, 'kinetic ' + last.kinetic);
+
+        samples.forEach(sample => {
+            assert.ok(Math.abs(sample.total / first.total - 1) < 0.05, sample.time + ': ' + sample.total);
+        });
+    });
+
+    test.it('only counts the damping of the spring as drag in airless space', () => {
+        let world = launchBall(0, 0.5);
+        let dragAtRelease = world.telemetry.samples.find(sample => sample.spring === 0).drag;
+
+        assert.strictEqual(world.state, STATE_THROW);
+        assert.ok(dragAtRelease > 0);
+        assert.ok(Math.abs(world.telemetry.dragEnergy - dragAtRelease) < 1e-12, 'drag ' + world.telemetry.dragEnergy);
+    });
+
+    test.it('records the momentum of the ball', () => {
+        let world = launchBall(1.3, 0.5);
+        world.telemetry.recordSample(world);
+        let momentum = world.telemetry.getLatestSample().momentum;
+
+        assert.deepStrictEqual(momentum, Vector.mult(world.ball.velocity, world.ball.mass));
+    });
+
+    test.it('discards the samples of the previous try and keeps a limited number of samples', () => {
+        let world = launchBall(1.3, 0.5);
+        world.newTry();
+        assert.strictEqual(world.telemetry.samples.length, 0);
+
+        for(let i = 0; i < (TELEMETRY_MAX_SAMPLES + 10) * TELEMETRY_SAMPLE_INTERVAL / STEP; i++) {
+            world.step(STEP);
+        }
+
+        assert.strictEqual(world.telemetry.samples.length, TELEMETRY_MAX_SAMPLES);
+        assert.ok(world.telemetry.samples[0].time > 0);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,198 @@
+/**
+ * Tests for the construction of {@link TerrainPolygon}s from polylines through {@link getTerrainPolygons},
+ * and for a {@link Ball} colliding with non-rectangular terrain built that way.
+ *
+ * Run the tests from the repository's root folder with: node --test test/
+ *
+ * @author Tizian Kirchner
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {readLevelFile} = require('../src/physics/headless.js');
+const {STEP} = require('./helpers.js');
+
+/**
+ * How far in meters a {@link Ball} may penetrate the terrain, before it counts as being inside the terrain.
+ * @type {number}
+ */
+const PENETRATION_TOLERANCE = 0.02;
+
+/**
+ * @param points {number[][]} Points given as [x, y].
+ * @returns {Vector[]} The points as {@link Vector}s.
+ */
+function toVectors(points) {
+    return points.map(point => new Vector(point[0], point[1]));
+}
+
+/**
+ * @param polygons {TerrainPolygon[]}
+ * @returns {TerrainSegment[]} The segments of all polygons, which separate terrain and air.
+ */
+function getOuterSegments(polygons) {
+    return polygons.flatMap(polygon => polygon.segments).filter(segment => !segment.internal);
+}
+
+/**
+ * @param point {Vector} The point.
+ * @param segment {TerrainSegment} The segment.
+ * @returns {number} The distance between the point and the closest point of the segment.
+ */
+function getSegmentDistance(point, segment) {
+    let length = segment.direction.magSq();
+    let amount = Math.min(1, Math.max(0, Vector.sub(point, segment.startPoint).dot(segment.direction) / length));
+    return Vector.sub(point, Vector.lerp(segment.startPoint, segment.endPoint, amount)).mag();
+}
+
+/**
+ * @param point {Vector} The point.
+ * @param vertices {Vector[]} The vertices of a closed polygon.
+ * @returns {boolean} If the point lies inside the polygon.
+ */
+function isInsidePolygon(point, vertices) {
+    let inside = false;
+
+    vertices.forEach((start, i) => {
+        let end = vertices[(i + 1) % vertices.length];
+
+        if((start.y > point.y) !== (end.y > point.y) &&
+            point.x < start.x + (point.y - start.y) / (end.y - start.y) * (end.x - start.x)) {
+            inside = !inside;
+        }
+    });
+
+    return inside;
+}
+
+/**
+ * Adds a closed piece of terrain to level1.json, drops the {@link Ball} and checks after every step,
+ * that the {@link Ball} does not penetrate the piece.
+ *
+ * @param vertices {number[][]} The vertices of the added piece, given as [x, y].
+ * @param position {Vector} Where the {@link Ball} is dropped from.
+ * @param seconds {number} For how many seconds the drop is simulated.
+ *
+ * @returns {SimulationWorld} The {@link SimulationWorld} after the drop.
+ */
+function simulateDrop(vertices, position, seconds) {
+    let data = readLevelFile('level1.json');
+    data.terrain.push({color: "#bd515a", vertices: vertices});
+
+    let world = new SimulationWorld(new Level(data));
+    let shape = toVectors(vertices);
+    let segments = getOuterSegments(getTerrainPolygons(shape));
+
+    world.ball.body.position = position;
+    world.ball.velocity = new Vector(0, 0);
+    world.windVelocity = new Vector(0, 0);
+    world.state = STATE_THROW;
+
+    for(let i = 1; i <= Math.round(seconds / STEP); i++) {
+        world.step(STEP);
+
+        let center = world.ball.body.position;
+        let at = " after " + (i * STEP).toFixed(3) + "s at " + center;
+        let distance = Math.min(...segments.map(segment => getSegmentDistance(center, segment)));
+
+        assert.notStrictEqual(world.state, STATE_ERROR, "ball entered the error state" + at);
+        assert.ok(!isInsidePolygon(center, shape), "ball is inside the terrain" + at);
+        assert.ok(distance > world.ball.body.getRadius() - PENETRATION_TOLERANCE, "ball penetrated the terrain" + at);
+    }
+
+    return world;
+}
+
+test.describe('getTerrainPolygons', () => {
+    test.it('builds a single polygon with a corner at every vertex of a convex polygon', () => {
+        let polygons = getTerrainPolygons(toVectors([[0, 0], [2, 0], [3, 1], [1, 2], [-1, 1]]));
+
+        assert.strictEqual(polygons.length, 1);
+        assert.strictEqual(polygons[0].segments.length, 5);
+        assert.strictEqual(polygons[0].corners.length, 5);
+        assert.ok(polygons[0].segments.every(segment => !segment.internal));
+    });
+
+    test.it('lets the normals point away from the terrain for vertices in clockwise order', () => {
+        let polygons = getTerrainPolygons(toVectors([[0, 0], [0, 1], [1, 1], [1, 0]]));
+        let top = polygons[0].segments.find(segment => segment.startPoint.y === 1 && segment.endPoint.y === 1);
+
+        assert.strictEqual(top.normal.x, 0);
+        assert.strictEqual(top.normal.y, 1);
+    });
+
+    test.it('removes vertices lying on a straight line between their neighbours', () => {
+        let polygons = getTerrainPolygons(toVectors([[0, 0], [1, 0], [2, 0], [2, 1], [0, 1]]));
+
+        assert.strictEqual(polygons[0].segments.length, 4);
+        assert.strictEqual(polygons[0].corners.length, 4);
+    });
+
+    test.it('splits a concave polygon into convex pieces without a corner at the concave vertex', () => {
+        let vertices = toVectors([[0, 0], [4, 0], [4, 1], [2, 1], [2, 2], [0, 2]]);
+        let polygons = getTerrainPolygons(vertices);
+
+        assert.ok(polygons.length > 1);
+        assert.strictEqual(getOuterSegments(polygons).length, vertices.length);
+
+        polygons.forEach(polygon => {
+            polygon.corners.forEach(corner => {
+                let concave = corner.position.x === 2 && corner.position.y === 1;
+                assert.ok(!concave || corner.previousSegment.internal || corner.nextSegment.internal);
+            });
+        });
+    });
+
+    test.it('splits an open polyline at its concave vertices', () => {
+        let valley = getTerrainPolygons(toVectors([[4, 1], [2, 0], [0, 1]]), false);
+        let hill = getTerrainPolygons(toVectors([[4, 0], [2, 1], [0, 0]]), false);
+
+        assert.strictEqual(valley.length, 2);
+        assert.ok(valley.every(polygon => polygon.segments.length === 1 && polygon.corners.length === 0));
+        assert.strictEqual(hill.length, 1);
+        assert.strictEqual(hill[0].segments.length, 2);
+        assert.strictEqual(hill[0].corners.length, 1);
+    });
+
+    test.it('rejects invalid polylines', () => {
+        assert.throws(() => getTerrainPolygons(toVectors([[0, 0], [1, 0]])));
+        assert.throws(() => getTerrainPolygons(toVectors([[0, 0], [1, 0], [1, 0], [0, 1]])));
+        assert.throws(() => getTerrainPolygons(toVectors([[0, 0], [1, 1], [1, 0], [0, 1]])));
+    });
+});
+
+test.describe('non-rectangular terrain', () => {
+    test.it('deflects the ball off the tip of a diamond', () => {
+        let world = simulateDrop([[6.5, 1.5], [6, 2], [5.5, 1.5], [6, 1]], new Vector(6.05, 3), 2);
+        assert.ok(world.ball.body.position.x > 6.5, "ball did not roll off to the right");
+    });
+
+    test.it('lets the ball roll down the faces of a hexagon', () => {
+        let vertices = [[6.6, 0], [6.9, 0.3], [6.6, 0.6], [6.2, 0.6], [5.9, 0.3], [6.2, 0]];
+        let world = simulateDrop(vertices, new Vector(6.05, 2), 3);
+        assert.ok(world.ball.body.position.x < 5.9, "ball did not roll off to the left");
+    });
+
+    test.it('catches the ball inside a concave cup', () => {
+        let vertices = [[6, 0], [7, 0], [7, 0.6], [6.9, 0.6], [6.9, 0.1], [6.1, 0.1], [6.1, 0.6], [6, 0.6]];
+        let world = simulateDrop(vertices, new Vector(6.5, 1.5), 4);
+        let position = world.ball.body.position;
+
+        assert.ok(Math.abs(position.y - (0.1 + world.ball.body.getRadius())) <= 0.02, "ball is at " + position);
+        assert.ok(position.x > 6.1 && position.x < 6.9, "ball is at " + position);
+    });
+
+    test.it('lets the ball touch the free ends of an open polyline like round caps', () => {
+        initializeTerrain(readLevelFile('level1.json'));
+        let ball = createWorld(1).ball;
+        let segment = getTerrainPolygons(toVectors([[2, 0], [0, 0]]), false)[0].segments[0];
+        let radius = ball.body.getRadius();
+
+        assert.ok(Math.abs(ball.getSegmentCollisionDistance(segment, new Vector(1, 0.05)) - (radius - 0.05)) < 1e-9);
+        assert.strictEqual(ball.getSegmentCollisionDistance(segment, new Vector(2 + 0.8 * radius, 0.8 * radius)), 0);
+
+        let overlap = ball.getSegmentCollisionDistance(segment, new Vector(-0.5 * radius, 0.5 * radius));
+        assert.ok(Math.abs(overlap - (Math.sqrt(0.75) - 0.5) * radius) < 1e-9);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,124 @@
+/**
+ * Tests for the {@link Trail}s recording the path of the {@link Ball} during each shot and the best shot replayed
+ * by the ghost ball.
+ *
+ * Run the tests from the repository's root folder with: node --test test/
+ *
+ * @author Tizian Kirchner
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {readLevelFile} = require('../src/physics/headless.js');
+const {STEP} = require('./helpers.js');
+
+/**
+ * Launches the {@link Ball} off the spring and simulates it until it comes to rest or until the time runs out.
+ *
+ * @param world {SimulationWorld}
+ * The {@link SimulationWorld} to simulate.
+ *
+ * @param pull {Vector}
+ * How far the {@link Ball} is pulled away from the tip of the catapult.
+ */
+function launchBall(world, pull) {
+    world.newTry();
+    world.grabBall();
+    world.pullBall(Vector.add(world.catapultPosition, pull));
+    world.releaseBall();
+
+    for(let i = 0; i < 10 / STEP && world.state !== STATE_AIM; i++) {
+        world.step(STEP);
+    }
+}
+
+/**
+ * Creates a finished {@link Trail} ending at a position.
+ *
+ * @param end {Vector}
+ * The last point of the {@link Trail}.
+ *
+ * @param success {boolean}
+ * See {@link Trail.success}.
+ *
+ * @returns {Trail} The {@link Trail}.
+ */
+function createTrail(end, success) {
+    let trail = new Trail();
+    trail.points = [new Vector(9, 1), end];
+    trail.success = success;
+    return trail;
+}
+
+test.describe('trails', () => {
+    test.it('records the path of the ball from being let go until it comes to rest', () => {
+        initializeTerrain(readLevelFile('level1.json'));
+        let world = createWorld();
+        launchBall(world, new Vector(0.6, -0.4));
+        let trail = world.trail;
+
+        assert.strictEqual(world.state, STATE_AIM);
+        assert.ok(Vector.sub(trail.getEndPosition(), world.ball.body.position).mag() < 0.01);
+        assert.ok(Math.abs(trail.times[1] - trail.times[0] - TRAIL_POINT_INTERVAL) < 1e-9);
+        assert.ok(Math.abs(trail.times[trail.times.length - 1] - trail.time) < TRAIL_POINT_INTERVAL);
+        assert.strictEqual(world.trails.length, 0);
+    });
+
+    test.it('looks up where the ball was at a time of the shot', () => {
+        let trail = new Trail();
+        trail.points = [new Vector(0, 0), new Vector(1, 2)];
+        trail.angles = [0, 1];
+        trail.times = [0.5, 1.5];
+
+        assert.deepStrictEqual(trail.getStateAt(1), {position: new Vector(0.5, 1), angle: 0.5});
+        assert.deepStrictEqual(trail.getStateAt(0).position, new Vector(0, 0));
+        assert.deepStrictEqual(trail.getStateAt(3).position, new Vector(1, 2));
+    });
+
+    test.it('keeps a limited number of finished trails', () => {
+        initializeTerrain(readLevelFile('level1.json'));
+        let world = createWorld();
+
+        for(let i = 0; i < TRAIL_HISTORY_LENGTH + 2; i++) {
+            launchBall(world, new Vector(0.6, -0.2 - i * 0.05));
+        }
+
+        assert.strictEqual(world.trails.length, TRAIL_HISTORY_LENGTH);
+        assert.ok(world.bestTrail !== null);
+        assert.ok(world.trails.every(trail => trail !== world.trail));
+
+        world.reset();
+        assert.strictEqual(world.trails.length, 0);
+        assert.strictEqual(world.bestTrail, null);
+    });
+
+    test.it('prefers the most recent successful shot, then the shot ending closest to the hole', () => {
+        initializeTerrain(readLevelFile('level1.json'));
+        let world = createWorld();
+        let hole = world.hole;
+        let opening = new Vector((hole.getLeftX() + hole.getRightX()) / 2, hole.getTopY());
+
+        let far = createTrail(Vector.add(opening, new Vector(2, 0)), false);
+        let close = createTrail(Vector.add(opening, new Vector(0.5, 0)), false);
+        let success = createTrail(opening, true);
+        let nextSuccess = createTrail(opening, true);
+
+        [far, close].forEach(trail => {
+            world.trail = trail;
+            world.startTrail();
+        });
+
+        assert.strictEqual(world.bestTrail, close);
+        world.trail = far;
+        world.startTrail();
+        assert.strictEqual(world.bestTrail, close);
+
+        [success, close, nextSuccess].forEach(trail => {
+            world.trail = trail;
+            world.startTrail();
+        });
+
+        assert.strictEqual(world.bestTrail, nextSuccess);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,128 @@
+/**
+ * Tests for the {@link WindField}, which varies the wind over the height, the time and the areas of a level.
+ *
+ * Run the tests from the repository's root folder with: node --test test/
+ *
+ * @author Tizian Kirchner
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {readLevelFile} = require('../src/physics/headless.js');
+
+/**
+ * Creates a {@link SimulationWorld} on level1.json, whose wind is configured by additional properties of the level
+ * file.
+ *
+ * @param wind {Object}
+ * The properties added to the "wind" object of the level file.
+ *
+ * @returns {SimulationWorld}
+ * The {@link SimulationWorld} with a base wind of 4 m/s from the left.
+ */
+function createWorldWithWind(wind) {
+    let data = readLevelFile('level1.json');
+    Object.assign(data.wind, wind);
+    initializeTerrain(data);
+
+    let world = createWorld(1);
+    world.randomizeWind();
+    world.windVelocity = new Vector(4, 0);
+    return world;
+}
+
+test.describe('wind field', () => {
+    test.it('blows like the base wind everywhere, unless the level varies it', () => {
+        let world = createWorldWithWind({});
+
+        [new Vector(1, 0.1), new Vector(5, 3), new Vector(8, 20)].forEach(position => {
+            assert.deepStrictEqual(world.getWindVelocityAt(position), world.windVelocity);
+        });
+    });
+
+    test.it('grows stronger with the height above the ground', () => {
+        let world = createWorldWithWind({shear: 0.3});
+        let groundY = world.catapultPosition.y - level.catapultHeight;
+        let getSpeed = height => world.getWindVelocityAt(new Vector(5, groundY + height)).x;
+
+        assert.ok(Math.abs(getSpeed(WIND_REFERENCE_HEIGHT) - 4) < 1e-9);
+        assert.ok(getSpeed(0) > 0 && getSpeed(0) < getSpeed(0.5));
+        assert.ok(getSpeed(0.5) < getSpeed(WIND_REFERENCE_HEIGHT));
+        assert.ok(getSpeed(WIND_REFERENCE_HEIGHT) < getSpeed(5));
+    });
+
+    test.it('varies over time through gusts, which are determined by the seed', () => {
+        let world = createWorldWithWind({gusts: 0.25, gustPeriod: 4});
+        let sameWorld = createWorldWithWind({gusts: 0.25, gustPeriod: 4});
+        let position = new Vector(5, 1);
+        let speeds = [];
+
+        for(let i = 0; i < 240 * 8; i++) {
+            world.step(1 / 240);
+            sameWorld.step(1 / 240);
+            speeds.push(world.getWindVelocityAt(position).x);
+            assert.strictEqual(sameWorld.getWindVelocityAt(position).x, speeds[i]);
+        }
+
+        assert.ok(Math.min(...speeds) >= 4 * 0.75 - 1e-9 && Math.max(...speeds) <= 4 * 1.25 + 1e-9);
+        assert.ok(Math.max(...speeds) - Math.min(...speeds) > 1);
+    });
+
+    test.it('adds the wind of zones and a vertical wind', () => {
+        let world = createWorldWithWind({
+            vertical: 1, zones: [{x: 4, y: 3, w: 1, h: 3, velocity: [0, 6]}]
+        });
+
+        assert.deepStrictEqual(world.getWindVelocityAt(new Vector(4.5, 1)), new Vector(4, 7));
+        assert.deepStrictEqual(world.getWindVelocityAt(new Vector(6, 1)), new Vector(4, 1));
+        assert.throws(() => new Level({...readLevelFile('level1.json'), wind: {min: 0, max: 0, zones: [{x: 1}]}}),
+            /"wind.zones\[0\].y"/);
+    });
+
+    test.it('pushes the ball according to the wind at its position', () => {
+        let world = createWorldWithWind({zones: [{x: 4, y: 3, w: 1, h: 3, velocity: [0, 6]}]});
+        let ball = world.ball;
+        world.windVelocity = new Vector(0, 0);
+
+        let inside = ball.getAirAccelerationAt(new Vector(4.5, 1), new Vector(0, 0));
+        let outside = ball.getAirAccelerationAt(new Vector(6, 1), new Vector(0, 0));
+
+        assert.strictEqual(outside.y, -world.gravity);
+        assert.ok(inside.y > outside.y);
+    });
+});
+
+test.describe('wind modes', () => {
+    test.it('randomize the wind within the range of the world', () => {
+        let world = createWorldWithWind({});
+        world.minWindVelocity = 2;
+        world.maxWindVelocity = 3;
+
+        for(let i = 0; i < 20; i++) {
+            world.randomizeWind();
+            assert.ok(world.windVelocity.x >= 2 && world.windVelocity.x < 3);
+            assert.strictEqual(world.windVelocity.y, 0);
+        }
+    });
+
+    test.it('let a fixed wind blow in any direction', () => {
+        let world = createWorldWithWind({});
+        world.windMode = WIND_MODE_FIXED;
+        world.fixedWindVelocity = new Vector(-2, 3);
+        world.randomizeWind();
+
+        assert.deepStrictEqual(world.windVelocity, new Vector(-2, 3));
+        assert.deepStrictEqual(world.getWindVelocityAt(new Vector(6, 1)), new Vector(-2, 3));
+        assert.notStrictEqual(world.windVelocity, world.fixedWindVelocity);
+    });
+
+    test.it('turn the wind off everywhere, including zones', () => {
+        let world = createWorldWithWind({shear: 0.2, zones: [{x: 4, y: 3, w: 1, h: 3, velocity: [0, 6]}]});
+        world.windMode = WIND_MODE_OFF;
+        world.randomizeWind();
+
+        assert.deepStrictEqual(world.windVelocity, new Vector(0, 0));
+        assert.deepStrictEqual(world.getWindVelocityAt(new Vector(4.5, 1)), new Vector(0, 0));
+    });
+});
\ No newline at end of file